@@ -0,0 +1,616 @@
+#!/usr/bin/env node
+// cha.js - Command-line entry point for the Tea Effect Analysis System
+// Runs TeaAnalysisSystem in Node so analyses can be scripted, batched or scheduled
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { TeaAnalysisSystem } from '../js/TeaAnalysisSystem.js';
+import { normalizeTea } from '../js/data/TeaSchema.js';
+import { validateTea } from '../js/data/TeaValidation.js';
+import { createTeaExport } from '../js/reports/tea-export.js';
+import { generateEffectsReport, generateEnhancedEffectsReport } from '../js/reports/effects-report.js';
+import { calibrateWeights, formatConfigOverride } from '../js/analysis/calibration.js';
+import { crossValidate, formatCrossValidationMarkdown } from '../js/analysis/crossValidation.js';
+import { analyzeSensitivity, formatSensitivityMarkdown } from '../js/analysis/sensitivity.js';
+import { simulateUncertainty, formatUncertaintyMarkdown } from '../js/analysis/uncertainty.js';
+import { simulateSession, formatSessionMarkdown } from '../js/brewing/session.js';
+import { simulateDay, formatDayMarkdown } from '../js/analysis/dailyConsumption.js';
+import { recommend, formatRecommendationsMarkdown } from '../js/analysis/recommendation.js';
+import { findSimilar, formatSimilarMarkdown } from '../js/analysis/similarity.js';
+import { compareTeas, formatComparisonText, formatComparisonMarkdown } from '../js/analysis/comparison.js';
+import { analyzeBlend, formatBlendMarkdown } from '../js/blending/blend.js';
+import { designBlend, formatDesignMarkdown } from '../js/blending/designer.js';
+
+// The calculators log their progress to the console; keep stdout for results only
+console.log = console.info = console.warn = console.debug = (...args) => console.error(...args);
+
+const USAGE = `Usage: cha <command> [options]
+
+Commands:
+  analyze <tea.json|name>   Analyze a tea from a JSON file (single tea or array) or by database name
+  list                      List the teas in the reference database
+  report                    Compare calculated effects with expected effects for all reference teas
+  export <tea.json|name>    Build the JSON export document used by the browser export tool
+  sensitivity <tea>         Rank a tea's inputs (JSON file or name) by how far they move its effect scores
+  uncertainty <tea>         Monte Carlo score bands for a tea whose fields hold ranges or distributions
+  session <tea>             Simulate a multi-infusion gongfu session of a tea (JSON file or name)
+  day <tea@HH:MM>...        Simulate a day of cups (or a JSON plan file) and the caffeine left at bedtime
+  blend <tea=weight>...      Analyze a blend of teas in weight proportions (or a JSON blend file)
+  design <tea>...           Find the blend proportions of the given teas closest to a --target profile
+  recommend                 Rank the reference teas by fit with the effects you want (--target, --avoid, ...)
+  similar <tea>             Find the teas nearest to a tea (JSON file or name) by effects, features or qi (--by)
+  compare <tea> <tea>...    Align the analyses of two or more teas and explain their differences from the first
+  calibrate                 Tune the component weights against the expected effects of the reference teas
+  crossvalidate             Leave-one-out cross-validation of the calibration (training vs held-out error)
+  help                      Show this message
+
+Options:
+  --format <json|markdown>  Output format (default: json)
+  --output <file>           Write the output to a file instead of stdout
+  --type <type>             Filter the list command by tea type
+  --enhanced                Use the enhanced report with component contributions
+  --diff                    Print the compare command's differences as a plain-text summary
+  --trace                   Include the per-effect score provenance ledger in analyze/export output
+  --rules                   Let calibrate/crossvalidate also tune the final-stage adjustment rule multipliers
+  --iterations <n>          Maximum calibration passes (default: 20)
+  --samples <n>             Monte Carlo samples for uncertainty (default: 200)
+  --seed <n>                Random seed for uncertainty (default: 1)
+  --assume-uncertainty      Treat plain compound, altitude and humidity values as estimates
+  --temperature <°C>        Brew the tea(s) at this water temperature
+  --steep-time <seconds>    Brew the tea(s) for this long
+  --leaf-ratio <g/100ml>    Brew with this much leaf per 100 ml of water
+  --volume <ml>             Brew in this much water
+  --infusion <n>            Score the nth infusion of the same leaf
+  --infusions <n>           Number of infusions in a session
+  --increment <seconds>     Seconds added to each session steep after the first (--steep-time)
+  --rinse <seconds>         Discarded rinse before the first session infusion (0 for none)
+  --bedtime <HH:MM>         Bedtime for the day command (default: 22:00)
+  --caffeine-limit <mg>     Caffeine allowed in the body at bedtime (default: bedtimeCaffeineLimit config)
+  --profile <profile.json>  Personalize scores and timing for a drinker profile
+  --target <effect=n,...>   Effect scores to recommend for, e.g. calming=8,focusing=6
+  --avoid <effect,...>      Effects a recommended tea should be weak in
+  --max-caffeine <mg>       Leave out teas (or designed blends) whose cup holds more caffeine than this
+  --min-proportion <share>  Smallest share (0-1) every tea keeps in a designed blend
+  --time-of-day <period>    Recommend for morning, midday, afternoon, evening or night
+  --season <season>         Recommend for spring, summer, fall or winter
+  --limit <n>               Number of recommendations or similar teas to show
+  --by <embedding>          Compare teas by effects, features or qi in the similar command (default: effects)
+  --name <name>             Name of the blend (default: its components and shares)
+`;
+
+// Brewing options and the brewing parameter each one sets (see js/props/BrewingParameters.js)
+const brewingOptions = {
+    temperature: 'temperature',
+    'steep-time': 'steepTime',
+    'leaf-ratio': 'leafToWaterRatio',
+    volume: 'vesselVolume',
+    infusion: 'infusion'
+};
+
+// Options that take no value
+const booleanFlags = ['enhanced', 'diff', 'trace', 'rules', 'assume-uncertainty', 'help'];
+
+/**
+ * Parse command-line arguments into a command, positional arguments and options
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} { command, args, options }
+ */
+function parseArgs(argv) {
+    const args = [];
+    const options = { format: 'json' };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (booleanFlags.includes(arg.slice(2))) {
+            options[arg.slice(2)] = true;
+        } else if (arg.startsWith('--')) {
+            const [key, inlineValue] = arg.slice(2).split('=');
+            options[key] = inlineValue !== undefined ? inlineValue : argv[++i];
+        } else {
+            args.push(arg);
+        }
+    }
+    
+    return { command: args.shift() || 'help', args, options };
+}
+
+/**
+ * Read the brewing options into brewing parameters
+ * @param {Object} options - Parsed options
+ * @returns {Object|null} Brewing parameters, or null if no brewing option was given
+ */
+function parseBrewing(options) {
+    const brewing = {};
+    Object.entries(brewingOptions).forEach(([option, parameter]) => {
+        if (options[option] === undefined) return;
+        const value = Number(options[option]);
+        if (!Number.isFinite(value) || value <= 0) {
+            throw new Error(`Invalid --${option} "${options[option]}" (expected a positive number)`);
+        }
+        brewing[parameter] = value;
+    });
+    return Object.keys(brewing).length > 0 ? brewing : null;
+}
+
+/**
+ * Validate teas read from a file: warnings go to stderr, errors stop the command
+ * @param {Object[]} teas - Teas in any supported shape
+ * @param {string} source - File the teas came from, for messages
+ * @returns {Object[]} The same teas
+ */
+function checkTeas(teas, source) {
+    teas.forEach((tea, index) => {
+        const { errors, warnings } = validateTea(normalizeTea(tea).tea);
+        const label = `${source}${teas.length > 1 ? `[${index}]` : ''}${tea?.name ? ` (${tea.name})` : ''}`;
+        
+        warnings.forEach(({ path, message }) => console.error(`Warning: ${label} ${path}: ${message}`));
+        if (errors.length > 0) {
+            const details = errors.map(({ path, message, suggestion }) => `  ${path || '(tea)'}: ${message}. ${suggestion}`);
+            throw new Error(`Invalid tea in ${label}:\n${details.join('\n')}`);
+        }
+    });
+    return teas;
+}
+
+/**
+ * Resolve a tea argument to a list of teas
+ * @param {string} source - Path to a JSON file or a tea name from the database
+ * @param {TeaAnalysisSystem} system - The analysis system used for name lookups
+ * @param {Object} options - Parsed options; brewing options override each tea's own brewing parameters
+ * @returns {Promise<Object[]>} The teas to process
+ */
+async function loadTeas(source, system, options = {}) {
+    if (!source) {
+        throw new Error('A tea JSON file or tea name is required');
+    }
+    
+    let teas;
+    if (source.endsWith('.json')) {
+        const data = JSON.parse(await readFile(source, 'utf8'));
+        teas = Array.isArray(data) ? data : [data];
+    } else {
+        const tea = system.findTeaByName(source);
+        if (!tea) {
+            throw new Error(`Tea "${source}" not found in database`);
+        }
+        teas = [tea];
+    }
+    
+    const brewing = parseBrewing(options);
+    const brewed = brewing ? teas.map(tea => ({ ...tea, brewing: { ...tea.brewing, ...brewing } })) : teas;
+    return source.endsWith('.json') ? checkTeas(brewed, source) : brewed;
+}
+
+/**
+ * Format the analysis of one tea as Markdown using each calculator's formatInference
+ * @param {Object} tea - The analyzed tea
+ * @param {TeaAnalysisSystem} system - The system holding the last analysis
+ * @returns {string} Markdown text
+ */
+function formatAnalysisMarkdown(tea, system) {
+    const sections = Object.values(system.generateFormattedOutput());
+    return [`# ${tea.name || 'Unknown Tea'}`, ...sections].join('\n\n');
+}
+
+// Analyze one or more teas with the full calculator set
+async function analyzeCommand(args, options, system) {
+    const teas = await loadTeas(args[0], system, options);
+    
+    if (options.format === 'markdown') {
+        return teas.map(tea => {
+            system.analyzeTea(tea);
+            return formatAnalysisMarkdown(tea, system);
+        }).join('\n\n---\n\n');
+    }
+    
+    const results = teas.map(tea => system.analyzeTea(tea));
+    return JSON.stringify(results.length === 1 ? results[0] : results, null, 2);
+}
+
+// Perturb each input of one or more teas and rank the score changes
+async function sensitivityCommand(args, options, system) {
+    const teas = await loadTeas(args[0], system, options);
+    const results = teas.map(tea => analyzeSensitivity(tea, { system }));
+    
+    if (options.format === 'markdown') {
+        return results.map(result => formatSensitivityMarkdown(result)).join('\n\n---\n\n');
+    }
+    
+    return JSON.stringify(results.length === 1 ? results[0] : results, null, 2);
+}
+
+// Sample the uncertain fields of one or more teas and report score bands
+async function uncertaintyCommand(args, options, system) {
+    const teas = await loadTeas(args[0], system, options);
+    const samples = options.samples !== undefined ? parseInt(options.samples, 10) : 200;
+    const seed = options.seed !== undefined ? parseInt(options.seed, 10) : 1;
+    if (!Number.isInteger(seed)) {
+        throw new Error(`Invalid --seed "${options.seed}" (expected an integer)`);
+    }
+    
+    const results = teas.map(tea => simulateUncertainty(tea, {
+        samples,
+        seed,
+        assumeUncertainty: Boolean(options['assume-uncertainty']),
+        system
+    }));
+    
+    if (options.format === 'markdown') {
+        return results.map(result => formatUncertaintyMarkdown(result)).join('\n\n---\n\n');
+    }
+    
+    return JSON.stringify(results.length === 1 ? results[0] : results, null, 2);
+}
+
+/**
+ * Read an optional non-negative number option
+ * @param {Object} options - Parsed options
+ * @param {string} name - Option name
+ * @returns {number|undefined} The value, or undefined if the option was not given
+ */
+function parseNumberOption(options, name) {
+    if (options[name] === undefined) return undefined;
+    const value = Number(options[name]);
+    if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`Invalid --${name} "${options[name]}" (expected a non-negative number)`);
+    }
+    return value;
+}
+
+// Simulate a gongfu session for one or more teas
+async function sessionCommand(args, options, system) {
+    const teas = await loadTeas(args[0], system, options);
+    const results = teas.map(tea => simulateSession(tea, {
+        system,
+        infusions: parseNumberOption(options, 'infusions'),
+        firstSteep: parseNumberOption(options, 'steep-time'),
+        steepIncrement: parseNumberOption(options, 'increment'),
+        rinse: parseNumberOption(options, 'rinse')
+    }));
+    
+    if (options.format === 'markdown') {
+        return results.map(result => formatSessionMarkdown(result)).join('\n\n---\n\n');
+    }
+    
+    return JSON.stringify(results.length === 1 ? results[0] : results, null, 2);
+}
+
+/**
+ * Read a day plan: a JSON file holding [{ tea, time, brewing }], or "name@HH:MM" arguments
+ * @param {string[]} args - Positional arguments
+ * @param {Object} options - Parsed options (brewing options apply to every cup)
+ * @returns {Promise<Object[]>} Plan entries for simulateDay
+ */
+async function loadDayPlan(args, options) {
+    if (args.length === 0) {
+        throw new Error('A day plan is required (e.g. "Sencha@08:00" "Assam@11:00" or a JSON plan file)');
+    }
+    
+    let plan;
+    if (args.length === 1 && args[0].endsWith('.json')) {
+        plan = JSON.parse(await readFile(args[0], 'utf8'));
+        if (!Array.isArray(plan)) {
+            throw new Error(`${args[0]} must hold an array of cups`);
+        }
+        checkTeas(plan.map(entry => entry?.tea).filter(tea => tea && typeof tea === 'object'), args[0]);
+    } else {
+        plan = args.map(arg => {
+            const at = arg.lastIndexOf('@');
+            if (at <= 0) {
+                throw new Error(`Invalid cup "${arg}" (expected name@HH:MM)`);
+            }
+            return { tea: arg.slice(0, at), time: arg.slice(at + 1) };
+        });
+    }
+    
+    const brewing = parseBrewing(options);
+    return brewing ? plan.map(entry => ({ ...entry, brewing: { ...entry.brewing, ...brewing } })) : plan;
+}
+
+// Simulate the caffeine and L-theanine load of a day of cups
+async function dayCommand(args, options, system) {
+    const result = simulateDay(await loadDayPlan(args, options), {
+        system,
+        bedtime: options.bedtime,
+        caffeineLimit: parseNumberOption(options, 'caffeine-limit')
+    });
+    
+    if (options.format === 'markdown') {
+        return formatDayMarkdown(result);
+    }
+    
+    return JSON.stringify(result, null, 2);
+}
+
+/**
+ * Read a blend: a JSON file holding { name, components: [{ tea, weight }], brewing }, or "name=weight" arguments
+ * @param {string[]} args - Positional arguments
+ * @param {Object} options - Parsed options (brewing options apply to the whole blend)
+ * @returns {Promise<Object>} Blend for analyzeBlend
+ */
+async function loadBlend(args, options) {
+    if (args.length === 0) {
+        throw new Error('Blend components are required (e.g. "Sencha=70" "Assam=30" or a JSON blend file)');
+    }
+    
+    let blend;
+    if (args.length === 1 && args[0].endsWith('.json')) {
+        blend = JSON.parse(await readFile(args[0], 'utf8'));
+        checkTeas((blend?.components || []).map(component => component?.tea).filter(tea => tea && typeof tea === 'object'), args[0]);
+    } else {
+        blend = {
+            components: args.map(arg => {
+                const at = arg.lastIndexOf('=');
+                const weight = Number(arg.slice(at + 1));
+                if (at <= 0 || !Number.isFinite(weight)) {
+                    throw new Error(`Invalid component "${arg}" (expected name=weight)`);
+                }
+                return { tea: arg.slice(0, at), weight };
+            })
+        };
+    }
+    
+    if (options.name) blend.name = options.name;
+    const brewing = parseBrewing(options);
+    return brewing ? { ...blend, brewing: { ...blend.brewing, ...brewing } } : blend;
+}
+
+// Analyze a blend and split its effects between the component teas
+async function blendCommand(args, options, system) {
+    const result = analyzeBlend(await loadBlend(args, options), { system });
+    
+    if (options.format === 'markdown') {
+        return formatBlendMarkdown(result);
+    }
+    
+    return JSON.stringify(result, null, 2);
+}
+
+// Search the blend of the given teas that comes closest to the target profile
+async function designCommand(args, options, system) {
+    const result = designBlend({
+        system,
+        target: parseTarget(options.target),
+        teas: args,
+        maxCaffeine: parseNumberOption(options, 'max-caffeine') ?? null,
+        minProportion: parseNumberOption(options, 'min-proportion') ?? 0,
+        brewing: parseBrewing(options)
+    });
+    
+    if (options.format === 'markdown') {
+        return formatDesignMarkdown(result);
+    }
+    
+    return JSON.stringify(result, null, 2);
+}
+
+/**
+ * Parse --target into effect scores
+ * @param {string} value - Comma-separated effect=score pairs
+ * @returns {Object} Effect scores
+ */
+function parseTarget(value) {
+    if (!value) return {};
+    return Object.fromEntries(value.split(',').map(pair => {
+        const [effect, score] = pair.split('=');
+        if (!effect || score === undefined || !Number.isFinite(Number(score))) {
+            throw new Error(`Invalid --target entry "${pair}" (expected effect=score)`);
+        }
+        return [effect.trim(), Number(score)];
+    }));
+}
+
+// Rank the reference teas against the effects the user is after
+async function recommendCommand(args, options, system) {
+    const result = recommend({
+        system,
+        target: parseTarget(options.target),
+        avoid: options.avoid ? options.avoid.split(',').map(effect => effect.trim()) : [],
+        maxCaffeine: parseNumberOption(options, 'max-caffeine') ?? null,
+        timeOfDay: options['time-of-day'] || null,
+        season: options.season || null,
+        limit: parseNumberOption(options, 'limit') ?? null
+    });
+    
+    if (options.format === 'markdown') {
+        return formatRecommendationsMarkdown(result);
+    }
+    
+    return JSON.stringify(result, null, 2);
+}
+
+// Find the nearest neighbors of one or more teas
+async function similarCommand(args, options, system) {
+    const teas = await loadTeas(args[0], system, options);
+    const results = teas.map(tea => findSimilar(tea, {
+        system,
+        by: options.by || 'effects',
+        k: parseNumberOption(options, 'limit') ?? 3,
+        maxCaffeine: parseNumberOption(options, 'max-caffeine') ?? null
+    }));
+    
+    if (options.format === 'markdown') {
+        return results.map(result => formatSimilarMarkdown(result)).join('\n\n---\n\n');
+    }
+    
+    return JSON.stringify(results.length === 1 ? results[0] : results, null, 2);
+}
+
+// Compare teas (JSON files or names) side by side against the first one
+async function compareCommand(args, options, system) {
+    const teas = (await Promise.all(args.map(source => loadTeas(source, system, options)))).flat();
+    const result = compareTeas(teas, { system });
+    
+    if (options.diff) {
+        return formatComparisonText(result);
+    }
+    if (options.format === 'markdown') {
+        return formatComparisonMarkdown(result);
+    }
+    
+    return JSON.stringify(result, null, 2);
+}
+
+// Build export documents for one or more teas
+async function exportCommand(args, options, system) {
+    const teas = await loadTeas(args[0], system, options);
+    const documents = teas.map(tea => createTeaExport(tea, system.analyzeTea(tea)));
+    return JSON.stringify(documents.length === 1 ? documents[0] : documents, null, 2);
+}
+
+// List the reference teas
+async function listCommand(args, options, system) {
+    let teas = system.getAvailableTeas();
+    if (options.type) {
+        teas = teas.filter(tea => tea.type === options.type.toLowerCase());
+    }
+    
+    if (options.format === 'markdown') {
+        return teas.map(tea => `- **${tea.name}** (${tea.type}, ${tea.origin})`).join('\n');
+    }
+    
+    return JSON.stringify(teas.map(({ name, type, origin }) => ({ name, type, origin })), null, 2);
+}
+
+// Run the effects report over the reference database
+async function reportCommand(args, options) {
+    const generate = options.enhanced ? generateEnhancedEffectsReport : generateEffectsReport;
+    const report = await generate(message => console.error(message));
+    
+    if (options.format === 'markdown') {
+        return report.reportText;
+    }
+    
+    const { teaReports, summary } = report;
+    return JSON.stringify({ summary, teaReports }, null, 2);
+}
+
+/**
+ * Read the --iterations option
+ * @param {Object} options - Parsed options
+ * @returns {number} Maximum calibration passes
+ */
+function parseIterations(options) {
+    const maxIterations = options.iterations !== undefined ? parseInt(options.iterations, 10) : 20;
+    if (!Number.isInteger(maxIterations) || maxIterations < 1) {
+        throw new Error(`Invalid --iterations "${options.iterations}" (expected a positive integer)`);
+    }
+    return maxIterations;
+}
+
+// Calibrate the component weights and print a defaultConfig override
+async function calibrateCommand(args, options) {
+    const maxIterations = parseIterations(options);
+    
+    const result = calibrateWeights({
+        includeRules: Boolean(options.rules),
+        maxIterations,
+        onProgress: entry => {
+            if (entry.accepted && entry.parameter) {
+                console.error(`Pass ${entry.iteration}: ${entry.parameter} = ${entry.value} -> ${entry.bestObjective.toFixed(4)}`);
+            }
+        }
+    });
+    
+    if (options.format === 'markdown') {
+        const { initial, best } = result;
+        return [
+            '# Weight Calibration',
+            '',
+            '| Metric | Initial | Calibrated |',
+            '|--------|---------|------------|',
+            `| Objective | ${initial.objective.toFixed(4)} | ${best.objective.toFixed(4)} |`,
+            `| Mean absolute error | ${initial.mae.toFixed(4)} | ${best.mae.toFixed(4)} |`,
+            `| Dominant effect match | ${(initial.dominantMatchRate * 100).toFixed(0)}% | ${(best.dominantMatchRate * 100).toFixed(0)}% |`,
+            '',
+            `${result.iterations} passes, ${result.evaluations} evaluations.`,
+            '',
+            'Override for `js/config/defaultConfig.js`:',
+            '',
+            '```js',
+            formatConfigOverride(result.configOverride),
+            '```'
+        ].join('\n');
+    }
+    
+    return JSON.stringify(result, null, 2);
+}
+
+// Cross-validate the calibration over the reference teas
+async function crossValidateCommand(args, options) {
+    const result = crossValidate({
+        includeRules: Boolean(options.rules),
+        maxIterations: parseIterations(options),
+        onFold: fold => console.error(`Held out ${fold.tea}: MAE ${fold.heldOut.mae.toFixed(2)} (training ${fold.training.mae.toFixed(2)})`)
+    });
+    
+    if (options.format === 'markdown') {
+        return formatCrossValidationMarkdown(result);
+    }
+    
+    return JSON.stringify(result, null, 2);
+}
+
+const commands = {
+    analyze: analyzeCommand,
+    export: exportCommand,
+    sensitivity: sensitivityCommand,
+    uncertainty: uncertaintyCommand,
+    session: sessionCommand,
+    day: dayCommand,
+    blend: blendCommand,
+    design: designCommand,
+    recommend: recommendCommand,
+    similar: similarCommand,
+    compare: compareCommand,
+    list: listCommand,
+    report: reportCommand,
+    calibrate: calibrateCommand,
+    crossvalidate: crossValidateCommand
+};
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} Process exit code
+ */
+async function main(argv) {
+    const { command, args, options } = parseArgs(argv);
+    
+    if (command === 'help' || options.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+    
+    const run = commands[command];
+    if (!run) {
+        process.stderr.write(`Unknown command "${command}"\n\n${USAGE}`);
+        return 1;
+    }
+    
+    if (!['json', 'markdown'].includes(options.format)) {
+        process.stderr.write(`Unknown format "${options.format}" (expected json or markdown)\n`);
+        return 1;
+    }
+    
+    try {
+        const system = new TeaAnalysisSystem(options.trace ? { traceScores: true } : {});
+        if (options.profile) {
+            system.setDrinkerProfile(JSON.parse(await readFile(options.profile, 'utf8')));
+        }
+        const output = await run(args, options, system);
+        
+        if (options.output) {
+            await writeFile(options.output, output + '\n');
+        } else {
+            process.stdout.write(output + '\n');
+        }
+        return 0;
+    } catch (error) {
+        process.stderr.write(`Error: ${error.message}\n`);
+        return 1;
+    }
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
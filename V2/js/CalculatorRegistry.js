@@ -0,0 +1,127 @@
+// CalculatorRegistry.js
+// Keeps track of the calculators TeaAnalysisSystem runs, their dependencies and where their output goes
+
+export class CalculatorRegistry {
+    constructor() {
+        // name -> { name, calculator, dependsOn, outputKey, enabled }, in registration order
+        this.entries = new Map();
+    }
+
+    /**
+     * Register a calculator
+     * @param {string} name - Unique calculator name
+     * @param {BaseCalculator} calculator - Object with infer/formatInference/serialize
+     * @param {Object} options - { dependsOn: string[], outputKey: string, enabled: boolean }
+     * @returns {CalculatorRegistry} The registry, for chaining
+     */
+    register(name, calculator, { dependsOn = [], outputKey = name, enabled = true } = {}) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Calculator name must be a non-empty string');
+        }
+        if (!calculator || typeof calculator.infer !== 'function' || typeof calculator.serialize !== 'function') {
+            throw new Error(`Calculator "${name}" must implement infer() and serialize()`);
+        }
+
+        const clash = [...this.entries.values()].find(entry => entry.name !== name && entry.outputKey === outputKey);
+        if (clash) {
+            throw new Error(`Output key "${outputKey}" is already used by calculator "${clash.name}"`);
+        }
+
+        this.entries.set(name, { name, calculator, dependsOn: [...dependsOn], outputKey, enabled });
+        return this;
+    }
+
+    // Remove a calculator entirely
+    unregister(name) {
+        return this.entries.delete(name);
+    }
+
+    // Skip a calculator (and anything depending on it) without removing it
+    disable(name) {
+        this.requireEntry(name).enabled = false;
+        return this;
+    }
+
+    // Re-enable a disabled calculator
+    enable(name) {
+        this.requireEntry(name).enabled = true;
+        return this;
+    }
+
+    // Check whether a calculator is registered
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    // Get a registered calculator instance
+    get(name) {
+        return this.entries.get(name)?.calculator;
+    }
+
+    // Get the full registry entry for a calculator
+    getEntry(name) {
+        return this.entries.get(name);
+    }
+
+    // Get an entry or throw if it is not registered
+    requireEntry(name) {
+        const entry = this.entries.get(name);
+        if (!entry) {
+            throw new Error(`Calculator "${name}" is not registered`);
+        }
+        return entry;
+    }
+
+    // All calculators keyed by name, enabled or not
+    getCalculators() {
+        return Object.fromEntries([...this.entries.values()].map(entry => [entry.name, entry.calculator]));
+    }
+
+    /**
+     * Order the enabled calculators so every calculator runs after its dependencies
+     * Calculators whose dependencies are disabled are left out as well
+     * Ties keep registration order
+     * @returns {Object[]} Registry entries in execution order
+     */
+    getExecutionOrder() {
+        const active = new Map();
+        const isActive = (name, visiting = new Set()) => {
+            const entry = this.entries.get(name);
+            if (!entry || !entry.enabled) return false;
+            if (visiting.has(name)) return true; // cycles are reported below
+            visiting.add(name);
+            return entry.dependsOn.every(dependency => isActive(dependency, visiting));
+        };
+
+        this.entries.forEach((entry, name) => {
+            entry.dependsOn.forEach(dependency => {
+                if (!this.entries.has(dependency)) {
+                    throw new Error(`Calculator "${name}" depends on unregistered calculator "${dependency}"`);
+                }
+            });
+            if (isActive(name)) {
+                active.set(name, entry);
+            }
+        });
+
+        // Kahn's algorithm over the active calculators
+        const remaining = new Map([...active].map(([name, entry]) => [name, new Set(entry.dependsOn)]));
+        const order = [];
+
+        while (remaining.size > 0) {
+            const ready = [...remaining].find(([, dependencies]) => dependencies.size === 0);
+            if (!ready) {
+                throw new Error(`Calculator dependency cycle between: ${[...remaining.keys()].join(', ')}`);
+            }
+
+            const [name] = ready;
+            remaining.delete(name);
+            remaining.forEach(dependencies => dependencies.delete(name));
+            order.push(active.get(name));
+        }
+
+        return order;
+    }
+}
+
+export default CalculatorRegistry;
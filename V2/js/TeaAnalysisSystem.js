@@ -13,69 +13,191 @@ import { InteractionCalculator } from './calculators/InteractionCalculator.js';
 import { TimingCalculator } from './calculators/TimingCalculator.js';
 import { QiTeaAnalyzer } from './calculators/QiTeaAnalyzer.js';
 import { defaultConfig } from './config/defaultConfig.js';
-import { effectSystemConfig } from './config/EffectSystemConfig.js';
-import { getAllTeas, findByName } from './data/TeaDatabase.js';
+import { EffectSystemConfig } from './config/EffectSystemConfig.js';
+import TeaDatabase from './data/TeaDatabase.js';
+import { TEA_SCHEMA_VERSION, normalizeTea } from './data/TeaSchema.js';
+import { imputeTea } from './data/TeaImputation.js';
+import { centralTea } from './utils/distributions.js';
+import { primaryEffects } from './props/PrimaryEffects.js';
+import { flavorInfluences } from './props/FlavorInfluences.js';
+import { processingInfluences } from './props/ProcessingInfluences.js';
+import { effectCombinations } from './props/EffectCombinations.js';
+import geographicalDescriptors from './props/GeographicalDescriptors.js';
 import * as Normalization from './utils/normalization.js';
+import { CalculatorRegistry } from './CalculatorRegistry.js';
+
+// Top-level result keys written by the system itself rather than by a calculator
+const RESERVED_OUTPUT_KEYS = ['inputSchema', 'imputed', 'compositeScores', 'normalizedScores', 'dominantEffect', 'enhancedScores'];
 
 export class TeaAnalysisSystem {
     constructor(config = {}) {
         // Merge default configuration with provided config
-        this.config = { ...defaultConfig, ...effectSystemConfig, ...config };
+        this.config = new EffectSystemConfig({ ...defaultConfig, ...config });
         
         // Initialize calculators
         this.initializeCalculators();
+        this.loadReferenceData();
         
         // Initialize state
         this.currentTea = null;
         this.currentResults = null;
+        this.currentInferences = null;
     }
     
-    // Initialize all calculator classes
+    // Register the built-in calculators; each one's output lands under its own key
     initializeCalculators() {
-        this.calculators = {
-            teaEffect: new TeaEffectCalculator(this.config),
-            flavor: new FlavorCalculator(this.config),
-            geography: new GeographyCalculator(this.config),
-            season: new SeasonCalculator(this.config),
-            processing: new ProcessingCalculator(this.config),
-            compound: new CompoundCalculator(this.config),
-            teaType: new TeaTypeCalculator(this.config),
-            interaction: new InteractionCalculator(this.config),
-            timing: new TimingCalculator(this.config),
-            qi: new QiTeaAnalyzer(this.config)
-        };
+        this.registry = new CalculatorRegistry();
+        
+        this.register('teaEffect', new TeaEffectCalculator(this.config))
+            .register('flavor', new FlavorCalculator(this.config))
+            .register('geography', new GeographyCalculator(this.config))
+            .register('season', new SeasonCalculator(this.config))
+            .register('processing', new ProcessingCalculator(this.config))
+            .register('compound', new CompoundCalculator(this.config))
+            .register('teaType', new TeaTypeCalculator(this.config))
+            .register('interaction', new InteractionCalculator(this.config))
+            .register('timing', new TimingCalculator(this.config))
+            .register('qi', new QiTeaAnalyzer(this.config));
+    }
+    
+    /**
+     * Add a calculator to the analysis
+     * @param {string} name - Unique calculator name
+     * @param {BaseCalculator} calculator - Calculator instance
+     * @param {Object} options - { dependsOn: names whose output this calculator receives, outputKey: result key (defaults to name) }
+     * @returns {TeaAnalysisSystem} The system, for chaining
+     */
+    register(name, calculator, options = {}) {
+        const outputKey = options.outputKey || name;
+        if (RESERVED_OUTPUT_KEYS.includes(outputKey)) {
+            throw new Error(`Output key "${outputKey}" is reserved by TeaAnalysisSystem`);
+        }
+        this.registry.register(name, calculator, options);
+        return this;
+    }
+    
+    // Remove a calculator from the analysis
+    unregister(name) {
+        return this.registry.unregister(name);
+    }
+    
+    // Skip a calculator (and its dependents) in later analyses
+    disable(name) {
+        this.registry.disable(name);
+        return this;
+    }
+    
+    // Include a previously disabled calculator again
+    enable(name) {
+        this.registry.enable(name);
+        return this;
+    }
+    
+    // All registered calculators keyed by name
+    get calculators() {
+        return this.registry.getCalculators();
+    }
+    
+    // Load the reference props into the calculators that need them
+    loadReferenceData() {
+        const { teaEffect, flavor, processing, geography, interaction } = this.calculators;
+        
+        teaEffect.loadData(
+            primaryEffects,
+            flavorInfluences,
+            processingInfluences,
+            effectCombinations,
+            geographicalDescriptors.geographicFeatureToEffectMapping
+        );
+        teaEffect.interactionCalculator.setEffectCombinations(effectCombinations);
+        
+        // The standalone calculators get the same data as the ones inside teaEffect
+        flavor.setFlavorInfluences(flavorInfluences);
+        processing.setProcessingEffects(processingInfluences);
+        geography.setGeographicalInfluences(teaEffect.geographicalInfluences);
+        interaction.setEffectCombinations(effectCombinations);
+    }
+    
+    /**
+     * Analyze for a particular drinker from now on
+     * @param {Object|null} profile - Drinker profile (see props/DrinkerProfiles.js), or null for the default drinker
+     * @returns {TeaAnalysisSystem} The system, for chaining
+     */
+    setDrinkerProfile(profile) {
+        this.config.set('drinkerProfile', profile || null);
+        return this;
+    }
+    
+    /**
+     * Bring a tea into the shape the calculators read
+     * @param {Object} rawTea - Tea in any supported shape
+     * @returns {Object|null} { tea, sourceShape, remapped, imputed }, or null if the tea is not an object
+     */
+    prepareTea(rawTea) {
+        // Migrate legacy tea shapes so every calculator reads the canonical schema;
+        // ranges and distributions are analyzed at their central value (see analysis/uncertainty.js)
+        const { tea: normalizedTea, sourceShape, remapped } = normalizeTea(centralTea(rawTea));
+        if (!normalizedTea) {
+            return null;
+        }
+        
+        // Estimate missing compound and geography values instead of letting calculators read them as 0
+        const { tea, imputed } = this.config.get('imputeMissingData')
+            ? imputeTea(normalizedTea, { referenceTeas: TeaDatabase.getAllTeas() })
+            : { tea: normalizedTea, imputed: [] };
+        
+        return { tea, sourceShape, remapped, imputed };
     }
     
     // Analyze a tea using all available calculators
-    analyzeTea(tea) {
-        if (!tea) {
+    analyzeTea(rawTea) {
+        if (!rawTea) {
             console.error('No tea data provided for analysis');
             return null;
         }
         
+        const prepared = this.prepareTea(rawTea);
+        if (!prepared) {
+            console.error('Tea data must be an object');
+            return null;
+        }
+        const { tea, sourceShape, remapped, imputed } = prepared;
+        
         this.currentTea = tea;
         const results = {};
+        const inferences = {};
         
-        // Call each calculator's infer method
-        Object.entries(this.calculators).forEach(([key, calculator]) => {
+        // Run the calculators in dependency order; each gets its dependencies' serialized output
+        this.registry.getExecutionOrder().forEach(({ name, calculator, dependsOn, outputKey }) => {
+            const upstream = {};
+            dependsOn.forEach(dependency => {
+                upstream[dependency] = results[this.registry.getEntry(dependency).outputKey];
+            });
+            
             try {
-                const inference = calculator.infer(tea);
-                const serialized = calculator.serialize(inference);
-                
-                // Merge serialized results
-                Object.assign(results, serialized);
+                const inference = calculator.infer(tea, upstream);
+                inferences[name] = inference;
+                results[outputKey] = calculator.serialize(inference);
             } catch (error) {
-                console.error(`Error in ${key} calculator:`, error);
-                results[key + 'Error'] = error.message;
+                console.error(`Error in ${name} calculator:`, error);
+                results[outputKey] = { error: error.message };
             }
         });
         
         // Process results through normalization if needed
-        if (this.config.normalizeResults) {
+        if (this.config.get('normalizeResults')) {
             this.normalizeResults(results);
         }
         
+        results.inputSchema = {
+            version: TEA_SCHEMA_VERSION,
+            sourceShape,
+            remapped
+        };
+        results.imputed = imputed;
+        
         this.currentResults = results;
+        this.currentInferences = inferences;
         return results;
     }
     
@@ -86,23 +208,20 @@ export class TeaAnalysisSystem {
         }
         
         const formattedOutput = {};
+        const inferences = this.currentInferences || {};
         
         // Call each calculator's formatInference method
-        Object.entries(this.calculators).forEach(([key, calculator]) => {
+        this.registry.getExecutionOrder().forEach(({ name, calculator, outputKey }) => {
             try {
-                // Find the relevant inference data for this calculator
-                const inferenceKey = key + 'Inference';
-                const inference = this.currentResults[inferenceKey] || 
-                                 this.currentResults[key] || 
-                                 null;
+                // Use the raw inference kept from the last analysis
+                const inference = inferences[name] || null;
                 
-                if (inference) {
-                    const formatted = calculator.formatInference(inference);
-                    formattedOutput[key] = formatted;
+                if (inference && typeof calculator.formatInference === 'function') {
+                    formattedOutput[outputKey] = calculator.formatInference(inference);
                 }
             } catch (error) {
-                console.error(`Error formatting output for ${key}:`, error);
-                formattedOutput[key] = `Error: ${error.message}`;
+                console.error(`Error formatting output for ${name}:`, error);
+                formattedOutput[outputKey] = `Error: ${error.message}`;
             }
         });
         
@@ -115,10 +234,10 @@ export class TeaAnalysisSystem {
         const allScores = {};
         
         // Gather scores from each calculator's results
-        Object.keys(this.calculators).forEach(key => {
-            const scoreKey = key + 'Scores';
-            if (results[scoreKey] && typeof results[scoreKey] === 'object') {
-                Object.entries(results[scoreKey]).forEach(([effect, score]) => {
+        this.registry.getExecutionOrder().forEach(({ name, outputKey }) => {
+            const scores = results[outputKey]?.[name + 'Scores'];
+            if (scores && typeof scores === 'object') {
+                Object.entries(scores).forEach(([effect, score]) => {
                     if (!allScores[effect]) {
                         allScores[effect] = [];
                     }
@@ -161,7 +280,7 @@ export class TeaAnalysisSystem {
     // Calculate weighted average for a specific effect
     calculateWeightedAverage(effect, scores) {
         // Get weights from configuration
-        const weights = this.config.componentWeights || {};
+        const weights = this.config.get('componentWeights') || {};
         const defaultWeight = 1;
         
         // If no weights are defined, use simple average
@@ -205,12 +324,12 @@ export class TeaAnalysisSystem {
     
     // Get all available teas for analysis
     getAvailableTeas() {
-        return getAllTeas();
+        return TeaDatabase.getAllTeas();
     }
     
     // Find a specific tea by name
     findTeaByName(name) {
-        return findByName(name);
+        return TeaDatabase.findByName(name);
     }
     
     // Get the current tea being analyzed
@@ -227,6 +346,7 @@ export class TeaAnalysisSystem {
     reset() {
         this.currentTea = null;
         this.currentResults = null;
+        this.currentInferences = null;
     }
 }
 
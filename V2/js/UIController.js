@@ -241,9 +241,11 @@ export class UIController {
         let html = `<h3>Component Contributions</h3>`;
         html += `<div class="component-scores">`;
         
-        // Get all score objects
-        const scoreObjects = Object.entries(results)
-            .filter(([key, value]) => key.endsWith('Scores') && key !== 'enhancedScores' && key !== 'normalizedScores' && key !== 'compositeScores')
+        // Get all score objects from each calculator's namespaced output
+        const scoreObjects = Object.values(results)
+            .filter(output => output && typeof output === 'object')
+            .flatMap(output => Object.entries(output))
+            .filter(([key, value]) => key.endsWith('Scores') && key !== 'finalScores' && value && typeof value === 'object')
             .map(([key, value]) => ({
                 name: key.replace('Scores', ''),
                 scores: value
@@ -0,0 +1,279 @@
+// calibration.js
+// Tunes TeaEffectCalculator's component weights (and optionally the final-stage rule multipliers)
+// against the expectedEffects recorded in the tea database
+
+import { TeaAnalysisSystem } from '../TeaAnalysisSystem.js';
+import TeaDatabase from '../data/TeaDatabase.js';
+import { adjustmentRules } from '../props/AdjustmentRules.js';
+import { applyRuleOverrides } from '../utils/RuleEngine.js';
+
+// Component weights searched by default, with the range each may take
+const WEIGHT_BOUNDS = { min: 0, max: 1 };
+const MULTIPLIER_BOUNDS = { min: 0.5, max: 2 };
+const defaultWeightKeys = ['teaType', 'compounds', 'flavors', 'processing', 'geography', 'seasonal'];
+
+/**
+ * Round a parameter value so configs stay readable
+ * @param {number} value - Value to round
+ * @returns {number} Value rounded to 4 decimals
+ */
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Get the effect with the highest score
+ * @param {Object} scores - Effect scores
+ * @returns {string|null} Effect id, or null for an empty map
+ */
+function topEffect(scores) {
+    const sorted = Object.entries(scores || {}).sort(([, a], [, b]) => b - a);
+    return sorted.length > 0 ? sorted[0][0] : null;
+}
+
+/**
+ * Measure how well a calculator reproduces the expected effects of a set of teas
+ * @param {TeaEffectCalculator} calculator - Calculator with its reference data loaded
+ * @param {Object[]} teas - Teas with expectedEffects
+ * @param {Object} options - { dominantWeight: objective penalty for a fully missed dominant effect }
+ * @returns {Object} { objective, mae, dominantMatchRate, teas: [{ name, mae, expectedDominant, calculatedDominant }] }
+ */
+export function evaluateAgreement(calculator, teas, { dominantWeight = 2 } = {}) {
+    let totalError = 0;
+    let comparedEffects = 0;
+    let dominantMatches = 0;
+
+    const perTea = teas.map(tea => {
+        const { finalScores, dominantEffect } = calculator.infer(tea);
+        const expected = tea.expectedEffects || {};
+
+        let teaError = 0;
+        Object.entries(expected).forEach(([effect, expectedScore]) => {
+            teaError += Math.abs((finalScores[effect] || 0) - expectedScore);
+        });
+        const effectCount = Object.keys(expected).length;
+        totalError += teaError;
+        comparedEffects += effectCount;
+
+        const expectedDominant = topEffect(expected);
+        const calculatedDominant = dominantEffect?.id || null;
+        if (expectedDominant && expectedDominant === calculatedDominant) {
+            dominantMatches++;
+        }
+
+        return {
+            name: tea.name,
+            mae: effectCount > 0 ? teaError / effectCount : 0,
+            expectedDominant,
+            calculatedDominant
+        };
+    });
+
+    const mae = comparedEffects > 0 ? totalError / comparedEffects : 0;
+    const dominantMatchRate = teas.length > 0 ? dominantMatches / teas.length : 0;
+
+    return {
+        objective: mae + dominantWeight * (1 - dominantMatchRate),
+        mae,
+        dominantMatchRate,
+        teas: perTea
+    };
+}
+
+/**
+ * List the tunable parameters
+ * @param {Object} weights - Starting component weights
+ * @param {Array} rules - Starting adjustment rules
+ * @param {Object} options - { weightKeys, includeRules }
+ * @returns {Object[]} Parameters as { kind, key, ruleId, effect, value, min, max }
+ */
+function buildParameters(weights, rules, { weightKeys, includeRules }) {
+    const parameters = weightKeys.map(key => ({
+        kind: 'weight',
+        key,
+        value: weights[key] ?? 0,
+        ...WEIGHT_BOUNDS
+    }));
+
+    if (includeRules) {
+        rules.filter(rule => rule.stage === 'final').forEach(rule => {
+            (rule.actions || []).filter(action => action.op === 'multiply').forEach(action => {
+                parameters.push({
+                    kind: 'multiplier',
+                    key: `${rule.id}.${action.effect}`,
+                    ruleId: rule.id,
+                    effect: action.effect,
+                    value: action.value,
+                    ...MULTIPLIER_BOUNDS
+                });
+            });
+        });
+    }
+
+    return parameters;
+}
+
+/**
+ * Turn parameter values into the config keys TeaEffectCalculator reads
+ * @param {Object[]} parameters - Parameters from buildParameters
+ * @param {Object} baseWeights - Weights not being tuned
+ * @param {Object} baseRuleOverrides - Rule overrides already in the config
+ * @returns {Object} { componentWeights, adjustmentRuleOverrides }
+ */
+function toConfig(parameters, baseWeights, baseRuleOverrides) {
+    const componentWeights = { ...baseWeights };
+    const adjustmentRuleOverrides = Object.fromEntries(
+        Object.entries(baseRuleOverrides || {}).map(([ruleId, values]) => [ruleId, { ...values }])
+    );
+
+    parameters.forEach(parameter => {
+        if (parameter.kind === 'weight') {
+            componentWeights[parameter.key] = parameter.value;
+        } else {
+            adjustmentRuleOverrides[parameter.ruleId] = {
+                ...adjustmentRuleOverrides[parameter.ruleId],
+                [parameter.effect]: parameter.value
+            };
+        }
+    });
+
+    return { componentWeights, adjustmentRuleOverrides };
+}
+
+/**
+ * Search the component weights (and optionally final-stage rule multipliers) by coordinate descent
+ * Each pass tries moving every parameter up and down by the current step and keeps any move that
+ * lowers the objective; the step halves after a pass without improvement
+ * @param {Object} options - Calibration options
+ * @param {Object[]} options.teas - Teas to calibrate against (default: the database teas with expectedEffects)
+ * @param {Object} options.config - Starting config overrides (default: defaultConfig)
+ * @param {boolean} options.includeRules - Also tune the final-stage rule multipliers
+ * @param {string[]} options.weightKeys - Component weights to tune
+ * @param {number} options.maxIterations - Maximum number of passes over the parameters
+ * @param {number} options.initialStep - Starting step size for weights (multipliers use twice this)
+ * @param {number} options.minStep - Stop once the step falls below this
+ * @param {number} options.dominantWeight - Objective penalty for missing every dominant effect
+ * @param {Function} options.onProgress - Called with each history entry
+ * @returns {Object} { bestConfig, configOverride, initial, best, history, iterations, evaluations }
+ */
+export function calibrateWeights({
+    teas = TeaDatabase.getAllTeas(),
+    config = {},
+    includeRules = false,
+    weightKeys = defaultWeightKeys,
+    maxIterations = 20,
+    initialStep = 0.1,
+    minStep = 0.01,
+    dominantWeight = 2,
+    onProgress = () => {}
+} = {}) {
+    const calibrationTeas = teas.filter(tea => tea.expectedEffects && Object.keys(tea.expectedEffects).length > 0);
+    if (calibrationTeas.length === 0) {
+        throw new Error('Calibration needs at least one tea with expectedEffects');
+    }
+
+    const system = new TeaAnalysisSystem({ ...config, traceScores: false });
+    const calculator = system.calculators.teaEffect;
+    const baseWeights = { ...system.config.get('componentWeights') };
+    const baseRuleOverrides = system.config.get('adjustmentRuleOverrides') || {};
+    const parameters = buildParameters(
+        baseWeights,
+        applyRuleOverrides(adjustmentRules, baseRuleOverrides),
+        { weightKeys, includeRules }
+    );
+
+    let evaluations = 0;
+    const evaluate = () => {
+        const { componentWeights, adjustmentRuleOverrides } = toConfig(parameters, baseWeights, baseRuleOverrides);
+        system.config.set('componentWeights', componentWeights);
+        if (includeRules) {
+            calculator.ruleEngine.setRules(applyRuleOverrides(adjustmentRules, adjustmentRuleOverrides));
+        }
+        evaluations++;
+        return evaluateAgreement(calculator, calibrationTeas, { dominantWeight });
+    };
+
+    const initial = evaluate();
+    let best = initial;
+    const history = [{
+        evaluation: evaluations, iteration: 0, parameter: null, value: null,
+        objective: initial.objective, bestObjective: initial.objective, accepted: true
+    }];
+    onProgress(history[0]);
+
+    let step = initialStep;
+    let iteration = 0;
+
+    while (iteration < maxIterations && step >= minStep) {
+        iteration++;
+        let improved = false;
+
+        parameters.forEach(parameter => {
+            const current = parameter.value;
+            const parameterStep = parameter.kind === 'multiplier' ? step * 2 : step;
+
+            for (const direction of [1, -1]) {
+                const candidate = round(Math.min(parameter.max, Math.max(parameter.min, current + direction * parameterStep)));
+                if (candidate === current) continue;
+
+                parameter.value = candidate;
+                const result = evaluate();
+                const accepted = result.objective < best.objective - 1e-9;
+                if (accepted) {
+                    best = result;
+                    improved = true;
+                } else {
+                    parameter.value = current;
+                }
+
+                const entry = {
+                    evaluation: evaluations, iteration, parameter: parameter.key, value: candidate,
+                    objective: result.objective, bestObjective: best.objective, accepted
+                };
+                history.push(entry);
+                onProgress(entry);
+
+                if (accepted) break;
+            }
+        });
+
+        if (!improved) {
+            step /= 2;
+        }
+    }
+
+    const bestConfig = toConfig(parameters, baseWeights, baseRuleOverrides);
+    const configOverride = { componentWeights: bestConfig.componentWeights };
+    if (includeRules) {
+        configOverride.adjustmentRuleOverrides = bestConfig.adjustmentRuleOverrides;
+    }
+
+    return {
+        bestConfig,
+        configOverride,
+        initial: { objective: initial.objective, mae: initial.mae, dominantMatchRate: initial.dominantMatchRate },
+        best: { objective: best.objective, mae: best.mae, dominantMatchRate: best.dominantMatchRate, teas: best.teas },
+        history,
+        iterations: iteration,
+        evaluations
+    };
+}
+
+/**
+ * Format a calibration override as source to paste into config/defaultConfig.js
+ * @param {Object} configOverride - The configOverride returned by calibrateWeights
+ * @returns {string} Object-literal entries in defaultConfig's style
+ */
+export function formatConfigOverride(configOverride) {
+    const json = JSON.stringify(configOverride, null, 2)
+        .replace(/"([A-Za-z_$][\w$]*)":/g, '$1:')
+        .replace(/"/g, "'");
+    // Drop the outer braces so the entries can be pasted into defaultConfig
+    return json.split('\n').slice(1, -1).join('\n') + ',';
+}
+
+export default {
+    evaluateAgreement,
+    calibrateWeights,
+    formatConfigOverride
+};
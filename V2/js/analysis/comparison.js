@@ -0,0 +1,435 @@
+// comparison.js
+// Side-by-side comparison: aligns the analyses of two or more teas and explains each difference
+// by the input differences that cause it
+
+import { TeaAnalysisSystem } from '../TeaAnalysisSystem.js';
+import { getNestedProperty } from '../utils/helpers.js';
+import { numericInputs } from './sensitivity.js';
+
+// Calculator behind each of TeaEffectCalculator's component scores
+export const componentCalculators = {
+    base: 'TeaTypeCalculator',
+    compounds: 'CompoundCalculator',
+    flavors: 'FlavorCalculator',
+    processing: 'ProcessingCalculator',
+    geography: 'GeographyCalculator',
+    seasonal: 'SeasonCalculator'
+};
+
+// Inputs compared besides the sensitivity analysis' numeric inputs
+const valueInputs = [
+    { path: 'type', label: 'Type' },
+    { path: 'origin', label: 'Origin' },
+    { path: 'age', label: 'Age' },
+    { path: 'geography.latitude', label: 'Latitude' },
+    { path: 'geography.longitude', label: 'Longitude' }
+];
+
+// List inputs, compared entry by entry
+const listInputs = [
+    { path: 'processingMethods', label: 'processing method' },
+    { path: 'flavorProfile', label: 'flavor note' }
+];
+
+// Smallest change (score points, minutes) worth reporting as a difference or a cause
+const differenceThreshold = 0.05;
+
+// Causes listed per difference
+const maxCauses = 3;
+
+/**
+ * Set a dot-path value on a copy of a tea; undefined removes it
+ * @param {Object} tea - Tea to copy
+ * @param {string} path - Dot path such as 'processing.oxidationLevel'
+ * @param {*} value - Value to set
+ * @returns {Object} The modified copy
+ */
+function withValue(tea, path, value) {
+    const copy = JSON.parse(JSON.stringify(tea));
+    const keys = path.split('.');
+    let target = copy;
+    keys.slice(0, -1).forEach(key => {
+        if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+        target = target[key];
+    });
+    if (value === undefined) {
+        delete target[keys[keys.length - 1]];
+    } else {
+        target[keys[keys.length - 1]] = value;
+    }
+    return copy;
+}
+
+// Format an input value for a change description
+function formatValue(value) {
+    if (value === undefined || value === null) return 'unset';
+    if (typeof value === 'number') return String(Math.round(value * 100) / 100);
+    return String(value);
+}
+
+// Format a signed change
+function signed(value, digits = 2) {
+    return `${value >= 0 ? '+' : '−'}${Math.abs(value).toFixed(digits)}`;
+}
+
+/**
+ * Every input in which a tea differs from the reference, with the reference tea carrying that one input over
+ * @param {Object} reference - Prepared reference tea
+ * @param {Object} tea - Prepared tea compared with it
+ * @returns {Object[]} [{ id, label, change, from, to, variant }] where change describes the input difference
+ *   and variant is the reference tea with the input taken from the other tea
+ */
+function differingInputs(reference, tea) {
+    const inputs = [];
+
+    [...valueInputs, ...numericInputs].forEach(({ path, label }) => {
+        const from = getNestedProperty(reference, path, undefined);
+        const to = getNestedProperty(tea, path, undefined);
+        if (from === to) return;
+
+        // Lower-case the label but not names such as L-Theanine
+        const name = /^[A-Z][a-z]/.test(label) ? `${label[0].toLowerCase()}${label.slice(1)}` : label;
+        const change = typeof from === 'number' && typeof to === 'number'
+            ? `${to > from ? 'higher' : 'lower'} ${name} (${formatValue(from)} → ${formatValue(to)})`
+            : `${name} ${formatValue(from)} → ${formatValue(to)}`;
+        inputs.push({ id: path, label, change, from, to, variant: withValue(reference, path, to) });
+    });
+
+    listInputs.forEach(({ path, label }) => {
+        const current = Array.isArray(reference[path]) ? reference[path] : [];
+        const other = Array.isArray(tea[path]) ? tea[path] : [];
+
+        other.filter(entry => !current.includes(entry)).forEach(entry => {
+            inputs.push({
+                id: `${path}:+${entry}`,
+                label: `${label[0].toUpperCase()}${label.slice(1)} "${entry}"`,
+                change: `with ${label} "${entry}"`,
+                from: false,
+                to: true,
+                variant: withValue(reference, path, [...current, entry])
+            });
+        });
+        current.filter(entry => !other.includes(entry)).forEach(entry => {
+            inputs.push({
+                id: `${path}:-${entry}`,
+                label: `${label[0].toUpperCase()}${label.slice(1)} "${entry}"`,
+                change: `without ${label} "${entry}"`,
+                from: true,
+                to: false,
+                variant: withValue(reference, path, current.filter(item => item !== entry))
+            });
+        });
+    });
+
+    return inputs;
+}
+
+/**
+ * The aligned views of one tea: scores, timing and Qi
+ * @param {Object} tea - Prepared tea
+ * @param {TeaAnalysisSystem} system - System whose calculators to use
+ * @returns {Object} { finalScores, componentScores, timing, qi }
+ */
+function analyzeViews(tea, system) {
+    const { teaEffect, timing, qi } = system.calculators;
+    const effects = teaEffect.infer(tea);
+    const { onset, peak, duration, pharmacokinetics } = timing.calculateBaseTiming(tea);
+    const { energyProfile, elementalBalance, directions, timeOfDay } = qi.infer(tea);
+
+    return {
+        dominantEffect: effects.dominantEffect?.id || null,
+        finalScores: effects.finalScores,
+        componentScores: effects.componentScores,
+        timing: {
+            onset,
+            peak,
+            duration,
+            caffeineMg: pharmacokinetics.doses.caffeine,
+            lTheanineMg: pharmacokinetics.doses.lTheanine,
+            curve: pharmacokinetics.curve.map(({ minute, activity }) => ({ minute, activity }))
+        },
+        qi: {
+            energyProfile,
+            elementalBalance,
+            direction: directions?.primary || null,
+            bestTime: timeOfDay?.best?.slot || null
+        }
+    };
+}
+
+/**
+ * Difference of each key of two value maps, kept when it is large enough to report
+ * @returns {Object} { key: { reference, tea, delta } }
+ */
+function valueDifferences(reference, values) {
+    const keys = new Set([...Object.keys(reference || {}), ...Object.keys(values || {})]);
+    return Object.fromEntries([...keys]
+        .map(key => {
+            const from = reference?.[key] || 0;
+            const to = values?.[key] || 0;
+            return [key, { reference: from, tea: to, delta: to - from }];
+        })
+        .filter(([, { delta }]) => Math.abs(delta) >= differenceThreshold));
+}
+
+/**
+ * Explain how one tea differs from the reference tea
+ * Each differing input is carried over to the reference tea on its own; the change that causes in a
+ * calculator's output is that input's share of the difference. Inputs interact, so the shares need not
+ * add up to the whole difference.
+ * @returns {Object} Comparison entry, see compareTeas
+ */
+function explainDifferences(reference, tea, referenceViews, views, system) {
+    const inputs = differingInputs(reference, tea).map(input => ({
+        ...input,
+        views: analyzeViews(input.variant, system)
+    }));
+
+    const cause = (input, delta, calculator, extra = {}) => ({
+        input: input.id,
+        change: input.change,
+        delta,
+        calculator,
+        ...extra
+    });
+    const strongest = causes => causes
+        .filter(({ delta }) => Math.abs(delta) >= differenceThreshold)
+        .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+        .slice(0, maxCauses);
+
+    // Final scores: an input's share is how far it moves the final score, and the component
+    // scores it moves show where that comes from
+    const finalScores = valueDifferences(referenceViews.finalScores, views.finalScores);
+    Object.entries(finalScores).forEach(([effect, difference]) => {
+        difference.causes = strongest(inputs.map(input => {
+            const components = Object.entries(componentCalculators)
+                .map(([component, calculator]) => ({
+                    component,
+                    calculator,
+                    delta: (input.views.componentScores[component]?.[effect] || 0) - (referenceViews.componentScores[component]?.[effect] || 0)
+                }))
+                .filter(({ delta }) => Math.abs(delta) >= differenceThreshold)
+                .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+            return cause(
+                input,
+                (input.views.finalScores[effect] || 0) - (referenceViews.finalScores[effect] || 0),
+                components[0]?.calculator || 'TeaEffectCalculator',
+                { components }
+            );
+        }));
+    });
+
+    const componentScores = Object.fromEntries(Object.entries(componentCalculators)
+        .map(([component, calculator]) => [component, {
+            calculator,
+            differences: valueDifferences(referenceViews.componentScores[component], views.componentScores[component])
+        }])
+        .filter(([, { differences }]) => Object.keys(differences).length > 0));
+
+    const timing = valueDifferences(
+        { onset: referenceViews.timing.onset, peak: referenceViews.timing.peak, duration: referenceViews.timing.duration,
+            caffeineMg: referenceViews.timing.caffeineMg, lTheanineMg: referenceViews.timing.lTheanineMg },
+        { onset: views.timing.onset, peak: views.timing.peak, duration: views.timing.duration,
+            caffeineMg: views.timing.caffeineMg, lTheanineMg: views.timing.lTheanineMg }
+    );
+    Object.entries(timing).forEach(([key, difference]) => {
+        difference.causes = strongest(inputs.map(input =>
+            cause(input, input.views.timing[key] - referenceViews.timing[key], 'TimingCalculator')));
+    });
+
+    const qi = {};
+    ['energyProfile', 'elementalBalance'].forEach(group => {
+        const differences = valueDifferences(referenceViews.qi[group], views.qi[group]);
+        Object.entries(differences).forEach(([key, difference]) => {
+            difference.causes = strongest(inputs.map(input =>
+                cause(input, (input.views.qi[group][key] || 0) - (referenceViews.qi[group][key] || 0), 'QiTeaAnalyzer')));
+        });
+        qi[group] = differences;
+    });
+
+    return {
+        tea: tea.name,
+        inputs: inputs.map(({ id, label, change, from, to }) => ({ id, label, change, from, to })),
+        finalScores,
+        componentScores,
+        timing,
+        qi
+    };
+}
+
+/**
+ * Compare two or more teas side by side
+ * @param {Array} teas - Teas to compare (database names or tea objects); the first is the reference
+ * @param {Object} options
+ * @param {TeaAnalysisSystem} options.system - System whose calculators, config and drinker profile to use (default: a new one)
+ * @returns {Object} { reference, teas, comparisons } where teas are the aligned analyses
+ *   [{ name, type, dominantEffect, finalScores, componentScores, timing, qi }] and comparisons hold, for each
+ *   tea after the first, its differences from the reference: { tea, inputs, finalScores, componentScores,
+ *   timing, qi }. Every difference is { reference, tea, delta, causes } with causes
+ *   [{ input, change, delta, calculator }] ranked by how much of the difference each input accounts for.
+ *   Final score causes also list the component scores the input moves, as components
+ *   [{ component, calculator, delta }], and name the calculator of the largest.
+ */
+export function compareTeas(teas, { system = null } = {}) {
+    const analysisSystem = system || new TeaAnalysisSystem({ traceScores: false });
+
+    if (!Array.isArray(teas) || teas.length < 2) {
+        throw new Error('A comparison needs at least two teas');
+    }
+
+    const prepared = teas.map(tea => {
+        const resolved = typeof tea === 'string' ? analysisSystem.findTeaByName(tea) : tea;
+        if (!resolved) {
+            throw new Error(`Tea "${tea}" not found in database`);
+        }
+        return analysisSystem.prepareTea(resolved).tea;
+    });
+    const views = prepared.map(tea => analyzeViews(tea, analysisSystem));
+    const [reference, ...others] = prepared;
+
+    return {
+        reference: reference.name,
+        teas: prepared.map((tea, i) => ({ name: tea.name, type: tea.type, ...views[i] })),
+        comparisons: others.map((tea, i) => explainDifferences(reference, tea, views[0], views[i + 1], analysisSystem))
+    };
+}
+
+/**
+ * One line per cause, e.g. 'higher oxidation level (10 → 80) → +0.45 comforting (component scores: +2.10 via
+ * ProcessingCalculator)' for a final score, or 'higher caffeine level (4 → 6) → +12.0 mg caffeine via TimingCalculator'
+ * @param {Object} cause - Cause of a difference, see compareTeas
+ * @param {string} key - What differs, e.g. the effect
+ * @param {number} digits - Decimals of the change
+ * @param {string} unit - Unit of the change
+ * @returns {string} Text of the cause
+ */
+export function formatCause({ change, delta, calculator, components }, key, digits = 2, unit = '') {
+    const source = components
+        ? (components.length > 0
+            ? `(component scores: ${components.map(component => `${signed(component.delta, digits)} via ${component.calculator}`).join(', ')})`
+            : '(via rescaling against the top effect)')
+        : `via ${calculator}`;
+    return `${change} → ${signed(delta, digits)}${unit} ${key} ${source}`;
+}
+
+// Units and precision of the timing differences
+const timingFormats = {
+    onset: { digits: 0, unit: ' min' },
+    peak: { digits: 0, unit: ' min' },
+    duration: { digits: 0, unit: ' min' },
+    caffeineMg: { digits: 1, unit: ' mg', label: 'caffeine' },
+    lTheanineMg: { digits: 1, unit: ' mg', label: 'L-theanine' }
+};
+
+/**
+ * Format a comparison as a plain-text summary of what differs from the reference tea and why
+ * @param {Object} result - Result of compareTeas
+ * @returns {string} Plain text
+ */
+export function formatComparisonText(result) {
+    const lines = [`Tea comparison: ${result.teas.map(({ name }) => name).join(' vs ')} (reference: ${result.reference})`];
+
+    const section = (title, differences, formats = {}) => {
+        const entries = Object.entries(differences);
+        if (entries.length === 0) return;
+        lines.push('', `${title}:`);
+        entries
+            .sort(([, a], [, b]) => Math.abs(b.delta) - Math.abs(a.delta))
+            .forEach(([key, { reference, tea, delta, causes = [] }]) => {
+                const { digits = 2, unit = '', label = key } = formats[key] || {};
+                lines.push(`  ${label}: ${reference.toFixed(digits)} → ${tea.toFixed(digits)}${unit} (${signed(delta, digits)}${unit})`);
+                causes.forEach(cause => lines.push(`    ${formatCause(cause, label, digits, unit)}`));
+            });
+    };
+
+    result.comparisons.forEach(comparison => {
+        lines.push('', `=== ${comparison.tea} vs ${result.reference} ===`);
+
+        lines.push('', 'Input differences:');
+        if (comparison.inputs.length === 0) {
+            lines.push('  none');
+        }
+        comparison.inputs.forEach(({ change }) => lines.push(`  ${change}`));
+
+        section('Final scores', comparison.finalScores);
+
+        const components = Object.values(comparison.componentScores);
+        if (components.length > 0) {
+            lines.push('', 'Component scores:');
+            components.forEach(({ calculator, differences }) => {
+                const changes = Object.entries(differences)
+                    .sort(([, a], [, b]) => Math.abs(b.delta) - Math.abs(a.delta))
+                    .map(([effect, { delta }]) => `${effect} ${signed(delta)}`);
+                lines.push(`  ${calculator}: ${changes.join(', ')}`);
+            });
+        }
+
+        section('Timing', comparison.timing, timingFormats);
+        section('Qi energy', comparison.qi.energyProfile);
+        section('Five elements', comparison.qi.elementalBalance);
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Format a comparison as aligned tables, one column per tea, followed by the explained differences
+ * @param {Object} result - Result of compareTeas
+ * @returns {string} Markdown text
+ */
+export function formatComparisonMarkdown(result) {
+    const { teas } = result;
+    const header = first => `| ${first} | ${teas.map(({ name }) => name).join(' | ')} |\n|${'---|'.repeat(teas.length + 1)}\n`;
+    const rows = (keys, valueOf, digits = 2) => keys
+        .map(key => `| ${key} | ${teas.map(tea => {
+            const value = valueOf(tea, key);
+            return typeof value === 'number' ? value.toFixed(digits) : (value ?? '–');
+        }).join(' | ')} |\n`)
+        .join('');
+    const keysOf = objects => [...new Set(objects.flatMap(object => Object.keys(object || {})))];
+
+    let markdown = `# Tea Comparison: ${teas.map(({ name }) => name).join(' vs ')}\n\n`;
+    markdown += `Differences are relative to **${result.reference}**.\n\n`;
+
+    markdown += '## Final Scores\n\n';
+    markdown += header('Effect');
+    markdown += rows(keysOf(teas.map(tea => tea.finalScores)), (tea, effect) => tea.finalScores[effect] || 0);
+    markdown += `| dominant | ${teas.map(tea => tea.dominantEffect || '–').join(' | ')} |\n\n`;
+
+    markdown += '## Component Scores\n\n';
+    Object.entries(componentCalculators).forEach(([component, calculator]) => {
+        const effects = keysOf(teas.map(tea => tea.componentScores[component]));
+        if (effects.length === 0) return;
+        markdown += `### ${calculator} (${component})\n\n`;
+        markdown += header('Effect');
+        markdown += rows(effects, (tea, effect) => tea.componentScores[component]?.[effect] || 0);
+        markdown += '\n';
+    });
+
+    markdown += '## Timing\n\n';
+    markdown += header('');
+    markdown += rows(['onset', 'peak', 'duration'], (tea, key) => `${tea.timing[key]} min`);
+    markdown += rows(['caffeineMg', 'lTheanineMg'], (tea, key) => tea.timing[key], 1);
+    markdown += '\n';
+
+    markdown += '## Qi\n\n';
+    markdown += header('');
+    markdown += rows(keysOf(teas.map(tea => tea.qi.energyProfile)), (tea, key) => tea.qi.energyProfile[key], 0);
+    markdown += rows(keysOf(teas.map(tea => tea.qi.elementalBalance)), (tea, key) => tea.qi.elementalBalance[key], 0);
+    markdown += rows(['direction', 'bestTime'], (tea, key) => tea.qi[key]);
+    markdown += '\n';
+
+    markdown += '## Explained Differences\n\n```\n';
+    markdown += formatComparisonText(result);
+    markdown += '\n```\n';
+
+    return markdown;
+}
+
+export default {
+    componentCalculators,
+    compareTeas,
+    formatCause,
+    formatComparisonText,
+    formatComparisonMarkdown
+};
@@ -0,0 +1,176 @@
+// crossValidation.js
+// Leave-one-out cross-validation of calibrated configs: calibrate on n-1 teas, score the held-out tea
+
+import { TeaAnalysisSystem } from '../TeaAnalysisSystem.js';
+import TeaDatabase from '../data/TeaDatabase.js';
+import { calibrateWeights } from './calibration.js';
+import { computeEffectMetrics, formatMetricsMarkdown } from './metrics.js';
+
+/**
+ * Score one tea with a config
+ * @param {TeaEffectCalculator} calculator - Calculator built from the config
+ * @param {Object} tea - Tea with expectedEffects
+ * @returns {Object} { finalScores, dominant, comparison, mae, firedRules }
+ */
+function scoreTea(calculator, tea) {
+    const { finalScores, dominantEffect, firedRules } = calculator.infer(tea);
+    const comparison = calculator.compareWithExpectedEffects(finalScores, tea.expectedEffects);
+    const errors = [...comparison.matches, ...comparison.mismatches]
+        .map(({ expected, calculated }) => Math.abs(calculated - expected));
+
+    return {
+        finalScores,
+        dominant: dominantEffect?.id || null,
+        comparison,
+        mae: errors.length > 0 ? errors.reduce((sum, error) => sum + error, 0) / errors.length : 0,
+        firedRules: firedRules.filter(rule => rule.stage === 'final').map(rule => rule.id)
+    };
+}
+
+// Effect with the highest expected score
+function expectedDominant(tea) {
+    const sorted = Object.entries(tea.expectedEffects || {}).sort(([, a], [, b]) => b - a);
+    return sorted.length > 0 ? sorted[0][0] : null;
+}
+
+// Mean of a list of numbers
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+/**
+ * Run leave-one-out cross-validation of calibrateWeights over the reference teas
+ * For every tea: calibrate on the others, then score the held-out tea with the calibrated config
+ * and with the starting config
+ * @param {Object} options - Options passed through to calibrateWeights (includeRules, maxIterations, ...)
+ * @param {Object[]} options.teas - Teas to validate on (default: the database teas with expectedEffects)
+ * @param {Object} options.config - Starting config overrides
+ * @param {Function} options.onFold - Called with each fold result as it completes
+ * @returns {Object} { folds, training, heldOut, baseline, generalizationGap, heldOutMetrics, baselineMetrics, unsupportedRules }
+ */
+export function crossValidate({ teas = TeaDatabase.getAllTeas(), config = {}, onFold = () => {}, ...calibrationOptions } = {}) {
+    const validationTeas = teas.filter(tea => tea.expectedEffects && Object.keys(tea.expectedEffects).length > 0);
+    if (validationTeas.length < 2) {
+        throw new Error('Cross-validation needs at least two teas with expectedEffects');
+    }
+
+    const baselineCalculator = new TeaAnalysisSystem({ ...config, traceScores: false }).calculators.teaEffect;
+    const baselineScores = validationTeas.map(tea => scoreTea(baselineCalculator, tea));
+
+    const folds = validationTeas.map((tea, index) => {
+        const trainingTeas = validationTeas.filter((_, i) => i !== index);
+        const calibration = calibrateWeights({ ...calibrationOptions, teas: trainingTeas, config });
+
+        const calculator = new TeaAnalysisSystem({ ...config, ...calibration.configOverride, traceScores: false })
+            .calculators.teaEffect;
+        const heldOut = scoreTea(calculator, tea);
+        const baseline = baselineScores[index];
+
+        // Tea-specific rules that fire on no training tea are never tuned by this fold's calibration
+        const trainingRules = new Set(baselineScores.filter((_, i) => i !== index).flatMap(score => score.firedRules));
+        const unsupportedRules = heldOut.firedRules.filter(rule => !trainingRules.has(rule));
+
+        const fold = {
+            tea: tea.name,
+            type: tea.type,
+            expectedDominant: expectedDominant(tea),
+            configOverride: calibration.configOverride,
+            training: {
+                mae: calibration.best.mae,
+                dominantMatchRate: calibration.best.dominantMatchRate,
+                objective: calibration.best.objective
+            },
+            heldOut: {
+                mae: heldOut.mae,
+                dominant: heldOut.dominant,
+                dominantMatch: heldOut.dominant === expectedDominant(tea),
+                matchPercentage: heldOut.comparison.matchPercentage,
+                finalScores: heldOut.finalScores
+            },
+            baseline: {
+                mae: baseline.mae,
+                dominant: baseline.dominant,
+                dominantMatch: baseline.dominant === expectedDominant(tea),
+                matchPercentage: baseline.comparison.matchPercentage,
+                finalScores: baseline.finalScores
+            },
+            firedRules: heldOut.firedRules,
+            unsupportedRules
+        };
+        onFold(fold);
+        return fold;
+    });
+
+    // MAE is pooled over every expected effect, as in the calibration objective
+    const summarize = (key, metrics) => ({
+        mae: metrics.overall.mae,
+        dominantMatchRate: mean(folds.map(fold => (fold[key].dominantMatch ? 1 : 0))),
+        matchPercentage: mean(folds.map(fold => fold[key].matchPercentage))
+    });
+    const toRecords = key => folds.map((fold, index) => ({
+        tea: fold.tea,
+        type: fold.type,
+        expected: validationTeas[index].expectedEffects,
+        calculated: fold[key].finalScores
+    }));
+
+    const training = {
+        mae: mean(folds.map(fold => fold.training.mae)),
+        dominantMatchRate: mean(folds.map(fold => fold.training.dominantMatchRate))
+    };
+    const heldOutMetrics = computeEffectMetrics(toRecords('heldOut'));
+    const baselineMetrics = computeEffectMetrics(toRecords('baseline'));
+    const heldOut = summarize('heldOut', heldOutMetrics);
+
+    return {
+        folds,
+        training,
+        heldOut,
+        baseline: summarize('baseline', baselineMetrics),
+        generalizationGap: heldOut.mae - training.mae,
+        heldOutMetrics,
+        baselineMetrics,
+        unsupportedRules: [...new Set(folds.flatMap(fold => fold.unsupportedRules))]
+    };
+}
+
+/**
+ * Format a cross-validation result as markdown
+ * @param {Object} result - Result of crossValidate
+ * @returns {string} Markdown report
+ */
+export function formatCrossValidationMarkdown(result) {
+    const { folds, training, heldOut, baseline, generalizationGap, heldOutMetrics, unsupportedRules } = result;
+    const pct = value => `${Math.round(value * 100)}%`;
+
+    let text = '# Leave-One-Out Cross-Validation\n\n';
+    text += '## Summary\n\n';
+    text += '| | MAE | Dominant match | Effects within 2 points |\n';
+    text += '|---|-----|----------------|-------------------------|\n';
+    text += `| Training (calibrated, n-1 teas) | ${training.mae.toFixed(2)} | ${pct(training.dominantMatchRate)} | – |\n`;
+    text += `| Held-out (calibrated) | ${heldOut.mae.toFixed(2)} | ${pct(heldOut.dominantMatchRate)} | ${heldOut.matchPercentage.toFixed(0)}% |\n`;
+    text += `| Held-out (starting config) | ${baseline.mae.toFixed(2)} | ${pct(baseline.dominantMatchRate)} | ${baseline.matchPercentage.toFixed(0)}% |\n\n`;
+    text += `Generalization gap (held-out minus training MAE): ${generalizationGap.toFixed(2)}\n\n`;
+
+    if (unsupportedRules.length > 0) {
+        text += `Rules that only fire on their held-out tea, so no fold can validate them: ${unsupportedRules.join(', ')}\n\n`;
+    }
+
+    text += '## Folds\n\n';
+    text += '| Held-out tea | Training MAE | Held-out MAE | Starting MAE | Dominant (expected / calibrated / starting) | Untrained rules |\n';
+    text += '|--------------|--------------|--------------|--------------|---------------------------------------------|-----------------|\n';
+    folds.forEach(fold => {
+        text += `| ${fold.tea} | ${fold.training.mae.toFixed(2)} | ${fold.heldOut.mae.toFixed(2)} | ${fold.baseline.mae.toFixed(2)} | `;
+        text += `${fold.expectedDominant} / ${fold.heldOut.dominant} / ${fold.baseline.dominant} | ${fold.unsupportedRules.join(', ') || '–'} |\n`;
+    });
+    text += '\n';
+
+    text += formatMetricsMarkdown(heldOutMetrics).replace('## Calibration Metrics', '## Held-Out Metrics');
+
+    return text;
+}
+
+export default {
+    crossValidate,
+    formatCrossValidationMarkdown
+};
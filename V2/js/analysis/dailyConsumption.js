@@ -0,0 +1,236 @@
+// dailyConsumption.js
+// Simulates a day of drinking several cups: cumulative caffeine and L-theanine load, overlapping
+// effect phases and the caffeine left at bedtime
+
+import { TeaAnalysisSystem } from '../TeaAnalysisSystem.js';
+import { resolveKinetics, concentrationAt } from '../utils/pharmacokinetics.js';
+import { resolveDrinkerProfile, profileKinetics } from '../utils/drinkerProfile.js';
+import { compoundKinetics } from '../props/Pharmacokinetics.js';
+import { parseClockTime, formatClockTime } from '../utils/clockTime.js';
+import { defaultBedtime } from '../props/TimeOfDay.js';
+
+// Bedtime used when the caller sets none
+export { defaultBedtime };
+
+/**
+ * Amount of a compound in the body from a set of cups at a given time
+ * @param {Object[]} cups - Cups with { start, doses }
+ * @param {string} compound - Compound key of compoundKinetics
+ * @param {Object} parameters - Result of resolveKinetics
+ * @param {number} minute - Minutes after midnight
+ * @returns {Object} { concentration (mg/L), amount (mg in the body) }
+ */
+function loadAt(cups, compound, parameters, minute) {
+    const kinetics = parameters.compounds[compound];
+    // Linear kinetics: the curves of separate cups add up
+    const concentration = cups.reduce((sum, cup) => (
+        sum + concentrationAt(cup.doses[compound] || 0, kinetics, parameters.bodyWeight, minute - cup.start)
+    ), 0);
+
+    return { concentration, amount: concentration * kinetics.volumeOfDistribution * parameters.bodyWeight };
+}
+
+// Phase a cup is in at a given time, or null outside its effects
+function phaseAt(cup, minute) {
+    return cup.phases.find(phase => minute >= phase.start && minute < phase.end) || null;
+}
+
+/**
+ * Simulate a day of cups
+ * @param {Object[]} plan - Cups in any order: { tea: tea object or database name, time: 'HH:MM', brewing }
+ * @param {Object} options - Simulation options
+ * @param {string} options.bedtime - Bedtime ('HH:MM'; times before the first cup count as the next morning;
+ *   default: the drinker profile's, or defaultBedtime)
+ * @param {number} options.caffeineLimit - mg of caffeine allowed in the body at bedtime (default: bedtimeCaffeineLimit config)
+ * @param {TeaAnalysisSystem} options.system - System whose TimingCalculator and config to use (default: a new one)
+ * @returns {Object} { cups, bedtime, caffeineLimit, timeline, peakLoad, overlaps, residualAtBedtime, warnings }
+ */
+export function simulateDay(plan, { bedtime = null, caffeineLimit = null, system = null } = {}) {
+    if (!Array.isArray(plan) || plan.length === 0) {
+        throw new Error('A day plan needs at least one cup');
+    }
+
+    const analysisSystem = system || new TeaAnalysisSystem({ traceScores: false });
+    const timingCalculator = analysisSystem.calculators.timing;
+    const profile = resolveDrinkerProfile(analysisSystem.config.get('drinkerProfile'));
+    const parameters = resolveKinetics(profileKinetics(profile, analysisSystem.config.get('pharmacokinetics')));
+    const limit = caffeineLimit ?? analysisSystem.config.get('bedtimeCaffeineLimit');
+
+    // Each cup's own timing and phases, from TimingCalculator, shifted to the time it is drunk
+    const cups = plan
+        .map(entry => {
+            const rawTea = typeof entry.tea === 'string' ? analysisSystem.findTeaByName(entry.tea) : entry.tea;
+            if (!rawTea) {
+                throw new Error(`Tea "${entry.tea}" not found in database`);
+            }
+
+            const prepared = analysisSystem.prepareTea(entry.brewing ? { ...rawTea, brewing: entry.brewing } : rawTea);
+            if (!prepared) {
+                throw new Error('Tea data must be an object');
+            }
+            const { tea } = prepared;
+            const start = parseClockTime(entry.time);
+            const timing = timingCalculator.calculateBaseTiming(tea);
+            const phases = timingCalculator.calculateEffectPhases(timing, tea);
+
+            return {
+                tea: tea.name,
+                time: formatClockTime(start),
+                start,
+                doses: timing.pharmacokinetics.doses,
+                onset: start + timing.onset,
+                peak: start + timing.peak,
+                end: start + timing.duration,
+                phases: phases.map(phase => ({ name: phase.name, start: start + phase.start, end: start + phase.end }))
+            };
+        })
+        .sort((a, b) => a.start - b.start);
+
+    const firstCup = cups[0].start;
+    let bedtimeMinute = parseClockTime(bedtime || profile?.bedtime || defaultBedtime);
+    if (bedtimeMinute <= firstCup) bedtimeMinute += 1440;
+
+    // Load over the day, from the first cup until bedtime or the end of the last cup's effects
+    const lastMinute = Math.max(bedtimeMinute, ...cups.map(cup => cup.end));
+    const timeline = [];
+    for (let minute = firstCup; minute <= lastMinute; minute += parameters.step) {
+        const point = { minute, time: formatClockTime(minute) };
+        Object.keys(parameters.compounds).forEach(compound => {
+            const { concentration, amount } = loadAt(cups, compound, parameters, minute);
+            point[compound] = concentration;
+            point[`${compound}Mg`] = amount;
+        });
+        point.activeCups = cups.filter(cup => minute >= cup.onset && minute < cup.end).map(cup => cup.tea);
+        timeline.push(point);
+    }
+
+    const peakLoad = {};
+    Object.keys(parameters.compounds).forEach(compound => {
+        const peak = timeline.reduce((best, point) => (point[`${compound}Mg`] > best[`${compound}Mg`] ? point : best), timeline[0]);
+        peakLoad[compound] = { mg: peak[`${compound}Mg`], concentration: peak[compound], time: peak.time };
+    });
+
+    // Which earlier cups are still working when each cup kicks in
+    const overlaps = [];
+    cups.forEach((cup, index) => {
+        cups.slice(0, index).forEach(earlier => {
+            const phase = phaseAt(earlier, cup.onset);
+            if (phase) {
+                overlaps.push({ cup: cup.tea, time: formatClockTime(cup.onset), overlapsWith: earlier.tea, phase: phase.name });
+            }
+        });
+    });
+
+    // Residual caffeine at bedtime, and the cups that push it over the limit or add to it once it is over
+    const residual = count => loadAt(cups.slice(0, count), 'caffeine', parameters, bedtimeMinute).amount;
+    const residualAtBedtime = residual(cups.length);
+    const warnings = [];
+    cups.forEach((cup, index) => {
+        const before = residual(index);
+        const after = residual(index + 1);
+        if (typeof limit === 'number' && after > limit && after > before) {
+            warnings.push({
+                cup: cup.tea,
+                time: cup.time,
+                residualBefore: before,
+                residualAfter: after,
+                limit,
+                message: before <= limit
+                    ? `${cup.tea} at ${cup.time} leaves ${after.toFixed(0)} mg of caffeine at bedtime, over the ${limit} mg limit`
+                    : `${cup.tea} at ${cup.time} adds ${(after - before).toFixed(0)} mg to the caffeine at bedtime, already over the ${limit} mg limit`
+            });
+        }
+        if (cup.start >= bedtimeMinute) {
+            warnings.push({
+                cup: cup.tea,
+                time: cup.time,
+                residualBefore: before,
+                residualAfter: after,
+                limit,
+                message: `${cup.tea} at ${cup.time} is drunk at or after bedtime`
+            });
+        }
+    });
+
+    return {
+        cups,
+        bedtime: formatClockTime(bedtimeMinute),
+        caffeineLimit: limit,
+        timeline,
+        peakLoad,
+        overlaps,
+        residualAtBedtime: {
+            caffeineMg: residualAtBedtime,
+            lTheanineMg: loadAt(cups, 'lTheanine', parameters, bedtimeMinute).amount
+        },
+        warnings
+    };
+}
+
+/**
+ * Format a simulated day as markdown: the cups, an hourly load chart, overlaps and bedtime warnings
+ * @param {Object} day - Result of simulateDay
+ * @returns {string} Markdown text
+ */
+export function formatDayMarkdown(day) {
+    let markdown = '# Daily Caffeine and L-Theanine Load\n\n';
+
+    markdown += '| Time | Tea | Caffeine | L-Theanine | Onset | Peak | Effects end |\n';
+    markdown += '|------|-----|----------|------------|-------|------|-------------|\n';
+    day.cups.forEach(cup => {
+        markdown += `| ${cup.time} | ${cup.tea} | ${cup.doses.caffeine.toFixed(0)} mg | ${cup.doses.lTheanine.toFixed(0)} mg | `;
+        markdown += `${formatClockTime(cup.onset)} | ${formatClockTime(cup.peak)} | ${formatClockTime(cup.end)} |\n`;
+    });
+    markdown += '\n';
+
+    // Hourly chart of the amount in the body, scaled to the day's peak
+    const compounds = Object.keys(compoundKinetics);
+    const width = 20;
+    markdown += '## Load Over the Day (mg in the body)\n\n```\n';
+    markdown += `${'time'.padEnd(5)}  ${compounds.map(compound => compoundKinetics[compound].label.padEnd(width + 6)).join('  ')}\n`;
+    day.timeline
+        .filter(point => point.minute % 60 === 0 || point === day.timeline[0])
+        .forEach(point => {
+            const columns = compounds.map(compound => {
+                const mg = point[`${compound}Mg`];
+                const share = day.peakLoad[compound].mg > 0 ? mg / day.peakLoad[compound].mg : 0;
+                return `${'█'.repeat(Math.round(share * width)).padEnd(width)} ${mg.toFixed(0).padStart(5)}`;
+            });
+            markdown += `${point.time}  ${columns.join('  ')}\n`;
+        });
+    markdown += '```\n\n';
+
+    compounds.forEach(compound => {
+        const peak = day.peakLoad[compound];
+        markdown += `- Peak ${compoundKinetics[compound].label.toLowerCase()} load: ${peak.mg.toFixed(0)} mg at ${peak.time}\n`;
+    });
+    markdown += '\n';
+
+    if (day.overlaps.length > 0) {
+        markdown += '## Overlapping Effects\n\n';
+        day.overlaps.forEach(overlap => {
+            markdown += `- ${overlap.cup} kicks in at ${overlap.time} during the ${overlap.phase.toLowerCase()} of ${overlap.overlapsWith}\n`;
+        });
+        markdown += '\n';
+    }
+
+    markdown += `## Bedtime (${day.bedtime})\n\n`;
+    markdown += `Residual caffeine: **${day.residualAtBedtime.caffeineMg.toFixed(0)} mg**`;
+    markdown += typeof day.caffeineLimit === 'number' ? ` (limit ${day.caffeineLimit} mg)\n\n` : '\n\n';
+
+    if (day.warnings.length > 0) {
+        day.warnings.forEach(warning => {
+            markdown += `> ⚠️ ${warning.message}\n`;
+        });
+    } else {
+        markdown += 'No cup pushes bedtime caffeine over the limit.\n';
+    }
+
+    return markdown;
+}
+
+export default {
+    defaultBedtime,
+    simulateDay,
+    formatDayMarkdown
+};
@@ -0,0 +1,121 @@
+// landscape.js
+// Tea landscape: projects every tea's effect or feature vector onto its first two principal components
+
+import { TeaAnalysisSystem } from '../TeaAnalysisSystem.js';
+import TeaDatabase from '../data/TeaDatabase.js';
+import { baseTeaType } from '../data/TeaImputation.js';
+import { embedTeas } from './similarity.js';
+
+// Power iteration settings for the principal components
+const powerIterations = 500;
+const convergence = 1e-10;
+
+/**
+ * Leading eigenvector of a symmetric matrix by power iteration
+ * @param {number[][]} matrix - Symmetric matrix
+ * @returns {Object} { vector, value } with the vector of unit length
+ */
+function leadingEigenvector(matrix) {
+    const size = matrix.length;
+    // Start off-axis so a dimension with no variance cannot trap the iteration
+    let vector = Array.from({ length: size }, (_, i) => 1 + i / size);
+    let value = 0;
+
+    for (let iteration = 0; iteration < powerIterations; iteration++) {
+        const next = matrix.map(row => row.reduce((sum, entry, j) => sum + entry * vector[j], 0));
+        const norm = Math.sqrt(next.reduce((sum, entry) => sum + entry * entry, 0));
+        if (norm === 0) return { vector: vector.map(() => 0), value: 0 };
+
+        const normalized = next.map(entry => entry / norm);
+        const change = normalized.reduce((sum, entry, i) => sum + (entry - vector[i]) ** 2, 0);
+        vector = normalized;
+        value = norm;
+        if (change < convergence) break;
+    }
+
+    // Fix the sign so the largest loading is positive and the map does not flip between runs
+    const largest = vector.reduce((best, entry) => Math.abs(entry) > Math.abs(best) ? entry : best, 0);
+    return { vector: largest < 0 ? vector.map(entry => -entry) : vector, value };
+}
+
+/**
+ * First principal components of a set of vectors
+ * @param {number[][]} rows - One vector per observation
+ * @param {number} count - Number of components
+ * @returns {Object} { mean, components: [{ vector, variance }], totalVariance }
+ */
+export function principalComponents(rows, count = 2) {
+    const size = rows[0]?.length || 0;
+    const mean = Array.from({ length: size }, (_, j) => rows.reduce((sum, row) => sum + row[j], 0) / rows.length);
+    const centered = rows.map(row => row.map((value, j) => value - mean[j]));
+
+    let covariance = Array.from({ length: size }, (_, i) => Array.from({ length: size }, (_, j) =>
+        centered.reduce((sum, row) => sum + row[i] * row[j], 0) / Math.max(1, rows.length - 1)));
+    const totalVariance = covariance.reduce((sum, row, i) => sum + row[i], 0);
+
+    // Take out each component's variance before finding the next (deflation)
+    const components = [];
+    for (let c = 0; c < Math.min(count, size); c++) {
+        const { vector, value } = leadingEigenvector(covariance);
+        components.push({ vector, variance: value });
+        covariance = covariance.map((row, i) => row.map((entry, j) => entry - value * vector[i] * vector[j]));
+    }
+
+    return { mean, components, totalVariance };
+}
+
+/**
+ * Project teas onto a 2D map
+ * @param {Object} options
+ * @param {string} options.by - 'effects' (final effect scores) or 'features' (compounds, processing, flavors, geography)
+ * @param {Object[]} options.teas - Teas to map (default: the reference database)
+ * @param {TeaAnalysisSystem} options.system - System whose calculators, config and drinker profile to use (default: a new one)
+ * @returns {Object} { by, axes, points } where axes are [{ explained, loadings }] with the share of variance
+ *   each axis explains and its dimensions by weight, and points are [{ name, type, baseType, x, y, caffeineMg }]
+ */
+export function computeLandscape({ by = 'effects', teas = null, system = null } = {}) {
+    const analysisSystem = system || new TeaAnalysisSystem({ traceScores: false });
+    if (!['effects', 'features'].includes(by)) {
+        throw new Error(`Unknown landscape "${by}" (expected effects or features)`);
+    }
+
+    const prepared = (teas || TeaDatabase.getAllTeas())
+        .map(tea => analysisSystem.prepareTea(tea)?.tea)
+        .filter(Boolean);
+    if (prepared.length < 3) {
+        throw new Error('A landscape needs at least three teas');
+    }
+
+    const vectors = embedTeas(prepared, by, analysisSystem);
+    // Every dimension any tea has (harvest month only appears when it is set); a missing one counts as 0
+    const dimensions = [...new Set(vectors.flatMap(vector => Object.keys(vector)))];
+    const rows = vectors.map(vector => dimensions.map(dimension => vector[dimension] || 0));
+    const { mean, components, totalVariance } = principalComponents(rows, 2);
+
+    const axes = components.map(({ vector, variance }) => ({
+        explained: totalVariance > 0 ? variance / totalVariance : 0,
+        loadings: dimensions
+            .map((dimension, j) => ({ dimension, weight: vector[j] }))
+            .sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight))
+    }));
+
+    const points = prepared.map((tea, i) => {
+        const [x = 0, y = 0] = components.map(({ vector }) =>
+            rows[i].reduce((sum, value, j) => sum + (value - mean[j]) * vector[j], 0));
+        return {
+            name: tea.name,
+            type: tea.type,
+            baseType: baseTeaType(tea.type),
+            x,
+            y,
+            caffeineMg: analysisSystem.calculators.timing.calculateBaseTiming(tea).pharmacokinetics.doses.caffeine
+        };
+    });
+
+    return { by, axes, points };
+}
+
+export default {
+    principalComponents,
+    computeLandscape
+};
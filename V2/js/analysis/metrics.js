@@ -0,0 +1,249 @@
+// metrics.js
+// Agreement metrics between calculated effect scores and the expectedEffects of reference teas
+
+import { primaryEffects } from '../props/PrimaryEffects.js';
+
+// The eight core effects, in primaryEffects order
+export const coreEffects = Object.keys(primaryEffects);
+
+// Hit rates reported for the calculated top-k effects
+const TOP_K = [1, 2, 3];
+
+/**
+ * Rank values, giving tied values the average of their ranks
+ * @param {number[]} values - Values to rank
+ * @returns {number[]} 1-based ranks, highest value first
+ */
+function averageRanks(values) {
+    const order = values.map((value, index) => ({ value, index })).sort((a, b) => b.value - a.value);
+    const ranks = new Array(values.length);
+
+    for (let start = 0; start < order.length;) {
+        let end = start;
+        while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+        const rank = (start + end) / 2 + 1;
+        for (let i = start; i <= end; i++) ranks[order[i].index] = rank;
+        start = end + 1;
+    }
+
+    return ranks;
+}
+
+/**
+ * Spearman rank correlation, with ties handled by average ranks
+ * @param {number[]} a - First series
+ * @param {number[]} b - Second series, same length
+ * @returns {number|null} Correlation in [-1, 1], or null when either series is constant
+ */
+export function spearmanCorrelation(a, b) {
+    if (a.length !== b.length || a.length < 2) return null;
+
+    const ranksA = averageRanks(a);
+    const ranksB = averageRanks(b);
+    const mean = (ranksA.length + 1) / 2;
+
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+    ranksA.forEach((rank, i) => {
+        covariance += (rank - mean) * (ranksB[i] - mean);
+        varianceA += (rank - mean) ** 2;
+        varianceB += (ranksB[i] - mean) ** 2;
+    });
+
+    if (varianceA === 0 || varianceB === 0) return null;
+    return covariance / Math.sqrt(varianceA * varianceB);
+}
+
+/**
+ * Get the effects of a score map from highest to lowest
+ * Ties keep the map's order, as in TeaEffectCalculator's dominant effect
+ * @param {Object} scores - Effect scores
+ * @returns {string[]} Effect ids
+ */
+function rankEffects(scores) {
+    return Object.entries(scores || {})
+        .sort(([, a], [, b]) => b - a)
+        .map(([effect]) => effect);
+}
+
+/**
+ * Average the non-null values of a list
+ * @param {Array} values - Numbers or nulls
+ * @returns {number|null} The mean, or null if there are no numbers
+ */
+function mean(values) {
+    const numbers = values.filter(value => typeof value === 'number');
+    return numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+}
+
+/**
+ * Compute the metrics for one tea
+ * @param {Object} record - { tea, type, expected: expectedEffects, calculated: finalScores }
+ * @returns {Object} Per-tea metrics
+ */
+function evaluateRecord({ tea, type, expected, calculated }) {
+    const errors = Object.entries(expected).map(([effect, score]) => ({
+        effect,
+        error: (calculated[effect] || 0) - score
+    }));
+
+    // Effects missing from expectedEffects are read as not expected (0)
+    const spearman = spearmanCorrelation(
+        coreEffects.map(effect => expected[effect] || 0),
+        coreEffects.map(effect => calculated[effect] || 0)
+    );
+
+    const expectedDominant = rankEffects(expected)[0] || null;
+    const calculatedRanking = rankEffects(calculated);
+    const rank = calculatedRanking.indexOf(expectedDominant);
+
+    return {
+        tea,
+        type,
+        errors,
+        mae: mean(errors.map(({ error }) => Math.abs(error))),
+        spearman,
+        expectedDominant,
+        calculatedDominant: calculatedRanking[0] || null,
+        expectedDominantRank: rank >= 0 ? rank + 1 : null
+    };
+}
+
+/**
+ * Summarize a set of per-tea metrics
+ * @param {Object[]} evaluated - Results of evaluateRecord
+ * @returns {Object} { teaCount, mae, meanSpearman, dominantMatchRate, topKHitRate }
+ */
+function summarize(evaluated) {
+    const allErrors = evaluated.flatMap(({ errors }) => errors.map(({ error }) => Math.abs(error)));
+    const hits = k => evaluated.filter(({ expectedDominantRank }) => expectedDominantRank && expectedDominantRank <= k).length;
+
+    return {
+        teaCount: evaluated.length,
+        mae: mean(allErrors),
+        meanSpearman: mean(evaluated.map(({ spearman }) => spearman)),
+        dominantMatchRate: evaluated.length > 0 ? hits(1) / evaluated.length : 0,
+        topKHitRate: Object.fromEntries(TOP_K.map(k => [k, evaluated.length > 0 ? hits(k) / evaluated.length : 0]))
+    };
+}
+
+/**
+ * Compute the calibration metrics suite over a set of teas
+ * @param {Object[]} records - One per tea: { tea: name, type, expected: expectedEffects, calculated: finalScores }
+ * @returns {Object} { overall, perEffect, perTea, confusionMatrix, byType }
+ */
+export function computeEffectMetrics(records) {
+    const evaluated = records
+        .filter(record => record.expected && Object.keys(record.expected).length > 0)
+        .map(record => evaluateRecord({ ...record, calculated: record.calculated || {} }));
+
+    // Mean absolute (and signed) error per effect, over the teas that list it
+    const perEffect = {};
+    coreEffects.forEach(effect => {
+        const errors = evaluated.flatMap(({ errors }) => errors.filter(e => e.effect === effect).map(e => e.error));
+        perEffect[effect] = {
+            count: errors.length,
+            mae: mean(errors.map(Math.abs)),
+            bias: mean(errors)
+        };
+    });
+
+    // Rows: expected dominant effect, columns: calculated dominant effect
+    const matrix = Object.fromEntries(coreEffects.map(expected => [
+        expected,
+        Object.fromEntries(coreEffects.map(calculated => [calculated, 0]))
+    ]));
+    evaluated.forEach(({ expectedDominant, calculatedDominant }) => {
+        if (matrix[expectedDominant] && calculatedDominant in matrix[expectedDominant]) {
+            matrix[expectedDominant][calculatedDominant]++;
+        }
+    });
+
+    const types = [...new Set(evaluated.map(({ type }) => type || 'unknown'))];
+    const byType = Object.fromEntries(types.map(type => [
+        type,
+        summarize(evaluated.filter(record => (record.type || 'unknown') === type))
+    ]));
+
+    return {
+        overall: summarize(evaluated),
+        perEffect,
+        perTea: evaluated.map(({ tea, type, mae, spearman, expectedDominant, calculatedDominant, expectedDominantRank }) => ({
+            tea, type, mae, spearman, expectedDominant, calculatedDominant, expectedDominantRank
+        })),
+        confusionMatrix: { effects: coreEffects, matrix },
+        byType
+    };
+}
+
+// Format a metric for a table cell
+function cell(value, digits = 2) {
+    return typeof value === 'number' ? value.toFixed(digits) : '–';
+}
+
+// Format a rate as a percentage
+function percent(value) {
+    return `${Math.round(value * 100)}%`;
+}
+
+/**
+ * Format the metrics suite as markdown
+ * @param {Object} metrics - Result of computeEffectMetrics
+ * @returns {string} Markdown sections
+ */
+export function formatMetricsMarkdown(metrics) {
+    const { overall, perEffect, perTea, confusionMatrix, byType } = metrics;
+    let text = '## Calibration Metrics\n\n';
+
+    text += `- **Mean absolute error**: ${cell(overall.mae)}\n`;
+    text += `- **Mean Spearman correlation**: ${cell(overall.meanSpearman)}\n`;
+    Object.entries(overall.topKHitRate).forEach(([k, rate]) => {
+        text += `- **Expected dominant in calculated top ${k}**: ${percent(rate)}\n`;
+    });
+    text += '\n';
+
+    text += '### Error by Effect\n\n';
+    text += '| Effect | Teas | MAE | Bias |\n';
+    text += '|--------|------|-----|------|\n';
+    Object.entries(perEffect).forEach(([effect, { count, mae, bias }]) => {
+        text += `| ${effect} | ${count} | ${cell(mae)} | ${cell(bias)} |\n`;
+    });
+    text += '\n';
+
+    text += '### Rank Agreement by Tea\n\n';
+    text += '| Tea | Type | MAE | Spearman | Expected dominant rank |\n';
+    text += '|-----|------|-----|----------|------------------------|\n';
+    perTea.forEach(({ tea, type, mae, spearman, expectedDominantRank }) => {
+        text += `| ${tea} | ${type} | ${cell(mae)} | ${cell(spearman)} | ${expectedDominantRank ?? '–'} |\n`;
+    });
+    text += '\n';
+
+    text += '### Dominant Effect Confusion Matrix\n\n';
+    text += 'Rows are expected, columns calculated.\n\n';
+    const { effects, matrix } = confusionMatrix;
+    text += `| | ${effects.join(' | ')} |\n`;
+    text += `|---|${effects.map(() => '---').join('|')}|\n`;
+    effects.forEach(expected => {
+        text += `| **${expected}** | ${effects.map(calculated => matrix[expected][calculated] || '·').join(' | ')} |\n`;
+    });
+    text += '\n';
+
+    text += '### By Tea Type\n\n';
+    text += `| Type | Teas | MAE | Spearman | ${TOP_K.map(k => `Top ${k}`).join(' | ')} |\n`;
+    text += `|------|------|-----|----------|${TOP_K.map(() => '------').join('|')}|\n`;
+    Object.entries(byType).forEach(([type, summary]) => {
+        text += `| ${type} | ${summary.teaCount} | ${cell(summary.mae)} | ${cell(summary.meanSpearman)} | `;
+        text += `${TOP_K.map(k => percent(summary.topKHitRate[k])).join(' | ')} |\n`;
+    });
+    text += '\n';
+
+    return text;
+}
+
+export default {
+    coreEffects,
+    spearmanCorrelation,
+    computeEffectMetrics,
+    formatMetricsMarkdown
+};
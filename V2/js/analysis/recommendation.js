@@ -0,0 +1,323 @@
+// recommendation.js
+// Effect-targeted tea recommendations: ranks the reference teas by how well their calculated
+// effects match what the drinker wants to feel, and explains every ranking
+
+import { TeaAnalysisSystem } from '../TeaAnalysisSystem.js';
+import TeaDatabase from '../data/TeaDatabase.js';
+import { baseTeaType } from '../data/TeaImputation.js';
+import { seasonalFactors } from '../props/SeasonalFactors.js';
+import { primaryEffects } from '../props/PrimaryEffects.js';
+import { concentrationAt } from '../utils/pharmacokinetics.js';
+import { resolveDrinkerProfile } from '../utils/drinkerProfile.js';
+import { parseClockTime } from '../utils/clockTime.js';
+import { timeOfDaySlots, defaultBedtime } from '../props/TimeOfDay.js';
+
+// Weight of each fit component in the overall fit; components the query leaves out drop out
+export const recommendationWeights = {
+    target: 0.55,
+    avoid: 0.2,
+    timeOfDay: 0.15,
+    season: 0.1
+};
+
+// Column headings of the fit components
+const componentLabels = {
+    target: 'Target',
+    avoid: 'Avoid',
+    timeOfDay: 'Time of day',
+    season: 'Season'
+};
+
+// Clock time each named time of day stands for when working out the caffeine left at bedtime
+// (the slot clock times of props/TimeOfDay.js, so recommendations and the Qi analysis agree)
+export const timeOfDayClock = Object.fromEntries(
+    Object.entries(timeOfDaySlots).map(([slot, { clock }]) => [slot, clock])
+);
+
+// Accepted spellings of the seasons in props/SeasonalFactors.js
+const seasonAliases = { autumn: 'fall' };
+
+/**
+ * Fit of a score map against effect preference weights (props/SeasonalFactors.js format)
+ * @param {Object} scores - Final effect scores (0-10)
+ * @param {Object} preferences - Effect weights, negative for effects to avoid
+ * @returns {number} 0 (everything preferred is absent, everything disliked present) to 1
+ */
+function preferenceFit(scores, preferences) {
+    const entries = Object.entries(preferences);
+    const total = entries.reduce((sum, [, weight]) => sum + Math.abs(weight), 0);
+    if (total === 0) return 0.5;
+
+    const weighted = entries.reduce((sum, [effect, weight]) => sum + weight * (scores[effect] || 0) / 10, 0);
+    return (weighted / total + 1) / 2;
+}
+
+/**
+ * Caffeine left in the body at bedtime from one cup
+ * @param {Object} pharmacokinetics - TimingCalculator pharmacokinetics ({ doses, parameters })
+ * @param {number} minutesToBed - Minutes between the cup and bedtime
+ * @returns {number} mg of caffeine
+ */
+function residualCaffeine({ doses, parameters }, minutesToBed) {
+    const kinetics = parameters.compounds.caffeine;
+    return concentrationAt(doses.caffeine, kinetics, parameters.bodyWeight, minutesToBed)
+        * kinetics.volumeOfDistribution * parameters.bodyWeight;
+}
+
+/**
+ * Score one tea against a query
+ * @param {Object} tea - Prepared tea
+ * @param {Object} scores - Its final effect scores
+ * @param {Object} pharmacokinetics - Its TimingCalculator pharmacokinetics
+ * @param {Object} query - Resolved query
+ * @returns {Object} Fit components { [component]: { fit, details } }
+ */
+function scoreComponents(tea, scores, pharmacokinetics, query) {
+    const components = {};
+
+    const targets = Object.entries(query.target);
+    if (targets.length > 0) {
+        const details = targets.map(([effect, target]) => ({
+            effect,
+            target,
+            score: scores[effect] || 0,
+            gap: (scores[effect] || 0) - target
+        }));
+        const meanGap = details.reduce((sum, { gap }) => sum + Math.abs(gap), 0) / details.length;
+        components.target = { fit: 1 - meanGap / 10, details };
+    }
+
+    if (query.avoid.length > 0) {
+        const details = query.avoid.map(effect => ({ effect, score: scores[effect] || 0 }));
+        const meanScore = details.reduce((sum, { score }) => sum + score, 0) / details.length;
+        components.avoid = { fit: 1 - meanScore / 10, details };
+    }
+
+    if (query.timeOfDay) {
+        const preferences = seasonalFactors.timeOfDayFactors[query.timeOfDay.period] || {};
+        const residualMg = residualCaffeine(pharmacokinetics, query.timeOfDay.minutesToBed);
+        const overLimit = Math.max(0, residualMg - query.caffeineLimit);
+
+        // Caffeine still in the body at bedtime counts against the cup, in proportion to the excess
+        const fit = preferenceFit(scores, preferences) * Math.max(0, 1 - overLimit / query.caffeineLimit);
+        components.timeOfDay = {
+            fit,
+            details: { period: query.timeOfDay.period, preferences, residualMg, bedtime: query.timeOfDay.bedtime }
+        };
+    }
+
+    if (query.season) {
+        const typeFactor = seasonalFactors.teaTypeFactors[baseTeaType(tea.type)]?.[query.season] ?? 5;
+        const processingFactor = (tea.processingMethods || [])
+            .reduce((sum, method) => sum + (seasonalFactors.processingFactors[method]?.[query.season] || 0), 0);
+        const suitability = Math.min(10, Math.max(0, typeFactor + processingFactor));
+        const effectFit = preferenceFit(scores, seasonalFactors.seasonalEffectPreferences[query.season] || {});
+
+        components.season = {
+            fit: (suitability / 10 + effectFit) / 2,
+            details: { season: query.season, suitability, effectFit }
+        };
+    }
+
+    return components;
+}
+
+/**
+ * One-line explanation of a ranking
+ * @param {Object} recommendation - Scored recommendation
+ * @returns {string} Explanation
+ */
+function explain({ components, caffeineMg }) {
+    const parts = [];
+
+    if (components.target) {
+        const matches = components.target.details
+            .map(({ effect, target, score }) => `${effect} ${score.toFixed(1)} (wanted ${target})`);
+        parts.push(matches.join(', '));
+    }
+    if (components.avoid) {
+        parts.push(`avoided: ${components.avoid.details.map(({ effect, score }) => `${effect} ${score.toFixed(1)}`).join(', ')}`);
+    }
+    if (components.timeOfDay) {
+        const { period, residualMg, bedtime } = components.timeOfDay.details;
+        parts.push(`${period} fit ${Math.round(components.timeOfDay.fit * 100)}%, ${residualMg.toFixed(0)} mg caffeine left at ${bedtime}`);
+    }
+    if (components.season) {
+        const { season, suitability } = components.season.details;
+        parts.push(`${season} suitability ${suitability.toFixed(1)}/10`);
+    }
+    parts.push(`${caffeineMg.toFixed(0)} mg caffeine per cup`);
+
+    return parts.join('; ');
+}
+
+/**
+ * Rank teas by how well their calculated effects fit what the drinker wants
+ * @param {Object} query - What to look for
+ * @param {Object} query.target - Wanted effect scores, e.g. { calming: 8, focusing: 6 }
+ * @param {string[]} query.avoid - Effects that should be as weak as possible
+ * @param {number} query.maxCaffeine - Most mg of caffeine a cup may hold; teas over it are excluded
+ * @param {string} query.timeOfDay - morning, midday, afternoon, evening or night (see timeOfDayClock)
+ * @param {string} query.season - spring, summer, fall (or autumn) or winter
+ * @param {number} query.limit - Number of recommendations to return (default: all)
+ * @param {Object[]} query.teas - Teas to rank (default: the reference database)
+ * @param {TeaAnalysisSystem} query.system - System whose calculators, config and drinker profile to use (default: a new one)
+ * @returns {Object} { query, recommendations, excluded } where each recommendation is
+ *   { rank, name, type, fit (0-100), components, caffeineMg, dominantEffect, scores, explanation }
+ */
+export function recommend({
+    target = {},
+    avoid = [],
+    maxCaffeine = null,
+    timeOfDay = null,
+    season = null,
+    limit = null,
+    teas = null,
+    system = null
+} = {}) {
+    const analysisSystem = system || new TeaAnalysisSystem({ traceScores: false });
+    const { teaEffect, timing } = analysisSystem.calculators;
+
+    // A misspelled effect would otherwise score every tea 0 and quietly skew the ranking
+    [...Object.keys(target), ...avoid].forEach(effect => {
+        if (!primaryEffects[effect]) {
+            throw new Error(`Unknown effect "${effect}" (expected ${Object.keys(primaryEffects).join(', ')})`);
+        }
+    });
+    Object.entries(target).forEach(([effect, value]) => {
+        if (typeof value !== 'number' || value < 0 || value > 10) {
+            throw new Error(`Target for "${effect}" must be a number from 0 to 10 (got ${value})`);
+        }
+    });
+
+    const seasonName = season ? (seasonAliases[season] || season) : null;
+    if (seasonName && !seasonalFactors.seasonalEffectPreferences[seasonName]) {
+        throw new Error(`Unknown season "${season}" (expected spring, summer, fall or winter)`);
+    }
+    if (timeOfDay && !timeOfDayClock[timeOfDay]) {
+        throw new Error(`Unknown time of day "${timeOfDay}" (expected ${Object.keys(timeOfDayClock).join(', ')})`);
+    }
+
+    // The cup's time and the drinker's bedtime decide how much caffeine is still around at night
+    const profile = resolveDrinkerProfile(analysisSystem.config.get('drinkerProfile'));
+    const bedtime = profile?.bedtime || defaultBedtime;
+    let minutesToBed = null;
+    if (timeOfDay) {
+        minutesToBed = parseClockTime(bedtime) - parseClockTime(timeOfDayClock[timeOfDay]);
+        if (minutesToBed <= 0) minutesToBed += 1440;
+    }
+
+    const query = {
+        target,
+        avoid,
+        maxCaffeine,
+        timeOfDay: timeOfDay ? { period: timeOfDay, bedtime, minutesToBed } : null,
+        season: seasonName,
+        caffeineLimit: analysisSystem.config.get('bedtimeCaffeineLimit') ?? 50
+    };
+
+    const recommendations = [];
+    const excluded = [];
+    (teas || TeaDatabase.getAllTeas()).forEach(rawTea => {
+        const prepared = analysisSystem.prepareTea(rawTea);
+        if (!prepared) return;
+        const { tea } = prepared;
+
+        const { pharmacokinetics } = timing.calculateBaseTiming(tea);
+        const caffeineMg = pharmacokinetics.doses.caffeine;
+        if (typeof maxCaffeine === 'number' && caffeineMg > maxCaffeine) {
+            excluded.push({ name: tea.name, reason: `${caffeineMg.toFixed(0)} mg caffeine per cup (max ${maxCaffeine} mg)` });
+            return;
+        }
+
+        const { finalScores, dominantEffect } = teaEffect.infer(tea);
+        const components = scoreComponents(tea, finalScores, pharmacokinetics, query);
+
+        // Weighted mean of the components the query asked for
+        const active = Object.keys(components);
+        const totalWeight = active.reduce((sum, component) => sum + recommendationWeights[component], 0);
+        const fit = totalWeight > 0
+            ? active.reduce((sum, component) => sum + recommendationWeights[component] * components[component].fit, 0) / totalWeight
+            : 0;
+        active.forEach(component => {
+            components[component].weight = recommendationWeights[component] / totalWeight;
+        });
+
+        recommendations.push({
+            name: tea.name,
+            type: tea.type,
+            fit: Math.round(fit * 1000) / 10,
+            components,
+            caffeineMg,
+            dominantEffect: dominantEffect?.id || null,
+            scores: finalScores
+        });
+    });
+
+    recommendations.sort((a, b) => b.fit - a.fit || a.caffeineMg - b.caffeineMg);
+    recommendations.forEach((recommendation, index) => {
+        recommendation.rank = index + 1;
+        recommendation.explanation = explain(recommendation);
+    });
+
+    return {
+        query: { target, avoid, maxCaffeine, timeOfDay, season: seasonName, bedtime: timeOfDay ? bedtime : null },
+        recommendations: typeof limit === 'number' ? recommendations.slice(0, limit) : recommendations,
+        excluded
+    };
+}
+
+/**
+ * Format recommendations as a ranking table with the reasoning behind each entry
+ * @param {Object} result - Result of recommend
+ * @returns {string} Markdown text
+ */
+export function formatRecommendationsMarkdown(result) {
+    const { query, recommendations, excluded } = result;
+    const wanted = Object.entries(query.target).map(([effect, value]) => `${effect} ${value}`);
+
+    let markdown = '# Tea Recommendations\n\n';
+    const criteria = [
+        wanted.length > 0 ? `Target: ${wanted.join(', ')}` : null,
+        query.avoid.length > 0 ? `Avoid: ${query.avoid.join(', ')}` : null,
+        typeof query.maxCaffeine === 'number' ? `Max caffeine: ${query.maxCaffeine} mg` : null,
+        query.timeOfDay ? `Time of day: ${query.timeOfDay} (bedtime ${query.bedtime})` : null,
+        query.season ? `Season: ${query.season}` : null
+    ].filter(Boolean);
+    markdown += `${criteria.join(' · ') || 'No criteria given'}\n\n`;
+
+    if (recommendations.length === 0) {
+        markdown += 'No tea meets the criteria.\n';
+    } else {
+        const components = Object.keys(recommendationWeights)
+            .filter(component => recommendations[0].components[component]);
+
+        markdown += `| # | Tea | Fit | ${components.map(component => componentLabels[component]).join(' | ')} | Caffeine |\n`;
+        markdown += `|---|-----|-----|${components.map(() => '------').join('|')}|----------|\n`;
+        recommendations.forEach(({ rank, name, fit, components: parts, caffeineMg }) => {
+            const columns = components.map(component => `${Math.round(parts[component].fit * 100)}%`);
+            markdown += `| ${rank} | ${name} | ${fit.toFixed(1)} | ${columns.join(' | ')} | ${caffeineMg.toFixed(0)} mg |\n`;
+        });
+
+        markdown += '\n## Why\n\n';
+        recommendations.forEach(({ rank, name, explanation }) => {
+            markdown += `${rank}. **${name}**: ${explanation}\n`;
+        });
+    }
+
+    if (excluded.length > 0) {
+        markdown += '\n## Excluded\n\n';
+        excluded.forEach(({ name, reason }) => {
+            markdown += `- ${name}: ${reason}\n`;
+        });
+    }
+
+    return markdown;
+}
+
+export default {
+    recommendationWeights,
+    timeOfDayClock,
+    recommend,
+    formatRecommendationsMarkdown
+};
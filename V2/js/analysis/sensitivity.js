@@ -0,0 +1,243 @@
+// sensitivity.js
+// Perturbs each input of a tea and records how far every final effect score moves
+
+import { TeaAnalysisSystem } from '../TeaAnalysisSystem.js';
+import { getNestedProperty } from '../utils/helpers.js';
+import { flavorInfluences } from '../props/FlavorInfluences.js';
+import { processingInfluences } from '../props/ProcessingInfluences.js';
+
+// Numeric inputs and how far to move them in each direction
+export const numericInputs = [
+    { path: 'caffeineLevel', label: 'Caffeine level', step: 1, min: 0, max: 10 },
+    { path: 'lTheanineLevel', label: 'L-Theanine level', step: 1, min: 0, max: 10 },
+    { path: 'catechinLevel', label: 'Catechin level', step: 1, min: 0, max: 10 },
+    { path: 'geography.altitude', label: 'Altitude', step: 300, min: 0, max: 9000 },
+    { path: 'geography.humidity', label: 'Humidity', step: 10, min: 0, max: 100 },
+    { path: 'geography.harvestMonth', label: 'Harvest month', step: 1, min: 1, max: 12, wrap: true },
+    { path: 'processing.oxidationLevel', label: 'Oxidation level', step: 10, min: 0, max: 100 }
+];
+
+// Every flavor note known to FlavorInfluences (they are grouped by flavor family)
+const knownFlavors = Object.values(flavorInfluences).flatMap(family => Object.keys(family));
+
+/**
+ * Set a dot-path value on a copy of a tea
+ * @param {Object} tea - Tea to copy
+ * @param {string} path - Dot path such as 'geography.altitude'
+ * @param {*} value - Value to set
+ * @returns {Object} The modified copy
+ */
+function withValue(tea, path, value) {
+    const copy = JSON.parse(JSON.stringify(tea));
+    const keys = path.split('.');
+    let target = copy;
+    keys.slice(0, -1).forEach(key => {
+        if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+        target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+    return copy;
+}
+
+/**
+ * Move a numeric value by one step, clamping (or wrapping for months) at the bounds
+ * @param {number} value - Starting value
+ * @param {Object} input - Entry from numericInputs
+ * @param {number} direction - -1 or 1
+ * @returns {number} The perturbed value
+ */
+function stepValue(value, { step, min, max, wrap }, direction) {
+    const next = value + direction * step;
+    if (wrap) {
+        const span = max - min + 1;
+        return ((next - min) % span + span) % span + min;
+    }
+    return Math.min(max, Math.max(min, next));
+}
+
+/**
+ * Difference between two score maps, for every effect in either
+ * @param {Object} baseline - Baseline scores
+ * @param {Object} scores - Perturbed scores
+ * @returns {Object} Effect deltas
+ */
+function scoreDeltas(baseline, scores) {
+    const effects = new Set([...Object.keys(baseline), ...Object.keys(scores)]);
+    return Object.fromEntries([...effects].map(effect => [effect, (scores[effect] || 0) - (baseline[effect] || 0)]));
+}
+
+/**
+ * Run the sensitivity analysis for one tea
+ * @param {Object} rawTea - Tea in any supported shape
+ * @param {Object} options - Analysis options
+ * @param {TeaAnalysisSystem} options.system - System to prepare the tea with and whose TeaEffectCalculator to use (default: a new one)
+ * @param {Object[]} options.inputs - Numeric inputs to perturb (default: numericInputs)
+ * @param {boolean} options.additions - Also try adding every known processing method and flavor note
+ * @returns {Object} { tea, baseline, dominantEffect, inputs, ranking, imputed } where each input is
+ *   { id, kind, label, baseValue, imputed, perturbations: [{ change, value, deltas }], effectSwings, swing, topEffect, topDelta }
+ *   and imputed marks base values analyzeTea estimated because the tea does not set them
+ */
+export function analyzeSensitivity(rawTea, { system = null, inputs = numericInputs, additions = true } = {}) {
+    const analysisSystem = system || new TeaAnalysisSystem({ traceScores: false });
+    // Start from the tea analyzeTea scores, so estimated compound levels get perturbed rather than read as 0
+    const { tea, imputed } = analysisSystem.prepareTea(rawTea);
+    const imputedFields = imputed.map(({ field }) => field);
+    const calculator = analysisSystem.calculators.teaEffect;
+    const score = candidate => calculator.infer(candidate).finalScores;
+
+    const baselineResult = calculator.infer(tea);
+    const baseline = baselineResult.finalScores;
+    const results = [];
+
+    const record = (id, kind, label, baseValue, variants) => {
+        const perturbations = variants.map(({ change, value, tea: variant }) => ({
+            change,
+            value,
+            deltas: scoreDeltas(baseline, score(variant))
+        }));
+
+        const effectSwings = {};
+        perturbations.forEach(({ deltas }) => {
+            Object.entries(deltas).forEach(([effect, delta]) => {
+                effectSwings[effect] = Math.max(effectSwings[effect] || 0, Math.abs(delta));
+            });
+        });
+        const [topEffect, swing] = Object.entries(effectSwings).sort(([, a], [, b]) => b - a)[0] || [null, 0];
+        // Signed change behind the swing, e.g. -1.2 when lowering caffeine drops energizing
+        const topDelta = perturbations
+            .map(({ deltas }) => deltas[topEffect] || 0)
+            .find(delta => Math.abs(delta) === swing) || 0;
+
+        results.push({ id, kind, label, baseValue, imputed: imputedFields.includes(id), perturbations, effectSwings, swing, topEffect, topDelta });
+    };
+
+    // Numeric inputs: one step down and one step up
+    inputs.forEach(input => {
+        const baseValue = getNestedProperty(tea, input.path, undefined);
+        if (typeof baseValue !== 'number') return;
+
+        const variants = [-1, 1]
+            .map(direction => stepValue(baseValue, input, direction))
+            .filter((value, index, values) => value !== baseValue && values.indexOf(value) === index)
+            .map(value => ({
+                change: value < baseValue ? 'decrease' : 'increase',
+                value,
+                tea: withValue(tea, input.path, value)
+            }));
+        if (variants.length > 0) {
+            record(input.path, 'numeric', input.label, baseValue, variants);
+        }
+    });
+
+    // List inputs: remove each entry the tea has, optionally add each one it lacks
+    const lists = [
+        { path: 'processingMethods', label: 'Processing method', known: Object.keys(processingInfluences) },
+        { path: 'flavorProfile', label: 'Flavor note', known: knownFlavors }
+    ];
+
+    lists.forEach(({ path, label, known }) => {
+        const current = Array.isArray(tea[path]) ? tea[path] : [];
+
+        current.forEach(entry => {
+            record(`${path}:-${entry}`, 'remove', `${label} "${entry}"`, true, [{
+                change: 'remove',
+                value: entry,
+                tea: withValue(tea, path, current.filter(item => item !== entry))
+            }]);
+        });
+
+        if (!additions) return;
+        known.filter(entry => !current.includes(entry)).forEach(entry => {
+            record(`${path}:+${entry}`, 'add', `${label} "${entry}"`, false, [{
+                change: 'add',
+                value: entry,
+                tea: withValue(tea, path, [...current, entry])
+            }]);
+        });
+    });
+
+    return {
+        tea: tea.name,
+        baseline,
+        dominantEffect: baselineResult.dominantEffect?.id || null,
+        inputs: results,
+        ranking: [...results].sort((a, b) => b.swing - a.swing).map(({ id }) => id),
+        imputed: imputedFields
+    };
+}
+
+// Format a signed score change
+function signed(value) {
+    return `${value >= 0 ? '+' : '−'}${Math.abs(value).toFixed(2)}`;
+}
+
+/**
+ * Format a sensitivity analysis as a ranked tornado table
+ * Each row charts the lower/removed setting to the left and the higher/added setting to the right
+ * @param {Object} sensitivity - Result of analyzeSensitivity
+ * @param {Object} options - { limit: rows to show, effect: effect to chart (default: each input's most moved effect) }
+ * @returns {string} Markdown text
+ */
+export function formatSensitivityMarkdown(sensitivity, { limit = 15, effect = null } = {}) {
+    const swingOf = input => (effect ? input.effectSwings[effect] || 0 : input.swing);
+    const ranked = sensitivity.inputs
+        .filter(input => swingOf(input) > 0.005)
+        .sort((a, b) => swingOf(b) - swingOf(a) || sensitivity.ranking.indexOf(a.id) - sensitivity.ranking.indexOf(b.id));
+    const maxSwing = ranked.length > 0 ? swingOf(ranked[0]) : 1;
+    const bar = value => '█'.repeat(Math.max(1, Math.round(Math.min(1, Math.abs(value) / maxSwing) * 10)));
+
+    let markdown = `# Input Sensitivity: ${sensitivity.tea}\n\n`;
+    markdown += effect
+        ? `Inputs ranked by how far they move the **${effect}** score.\n\n`
+        : 'Inputs ranked by the largest change they cause in any effect score.\n\n';
+
+    if (ranked.length === 0) {
+        return markdown + '*No input changes the scores*\n';
+    }
+
+    markdown += '| Input | Base | Perturbation | Effect | ◀ Lower / removed | Higher / added ▶ |\n';
+    markdown += '|-------|------|--------------|--------|------------------:|:-----------------|\n';
+
+    ranked.slice(0, limit).forEach(input => {
+        const charted = effect || input.topEffect;
+        const low = input.perturbations.find(p => p.change === 'decrease' || p.change === 'remove');
+        const high = input.perturbations.find(p => p.change === 'increase' || p.change === 'add');
+        const side = perturbation => {
+            const delta = perturbation?.deltas[charted] || 0;
+            return Math.abs(delta) > 0.005 ? { delta, bar: bar(delta) } : null;
+        };
+        const left = side(low);
+        const right = side(high);
+
+        const baseValue = input.kind === 'numeric'
+            ? `${input.baseValue}${input.imputed ? ' (est.)' : ''}`
+            : (input.baseValue ? 'listed' : '–');
+        const perturbation = input.kind === 'numeric'
+            ? input.perturbations.map(p => p.value).join(' / ')
+            : input.kind;
+
+        markdown += `| ${input.label} | ${baseValue} | ${perturbation} | ${charted} | `;
+        markdown += `${left ? `${signed(left.delta)} ${left.bar}` : ''} | ${right ? `${right.bar} ${signed(right.delta)}` : ''} |\n`;
+    });
+
+    if (ranked.length > limit) {
+        markdown += `\n${ranked.length - limit} more inputs move the scores less.\n`;
+    }
+
+    if (ranked.slice(0, limit).some(input => input.imputed)) {
+        markdown += '\n(est.) The tea does not set this value; it is estimated from the tea type and similar teas.\n';
+    }
+
+    const flat = sensitivity.inputs.filter(input => input.kind === 'numeric' && swingOf(input) <= 0.005);
+    if (flat.length > 0) {
+        markdown += `\nNo change when moving: ${flat.map(input => input.label).join(', ')}\n`;
+    }
+
+    return markdown;
+}
+
+export default {
+    numericInputs,
+    analyzeSensitivity,
+    formatSensitivityMarkdown
+};
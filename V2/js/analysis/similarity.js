@@ -0,0 +1,205 @@
+// similarity.js
+// Similarity search: embeds teas by effects, raw features or qi energy and finds a tea's nearest neighbors
+
+import { TeaAnalysisSystem } from '../TeaAnalysisSystem.js';
+import TeaDatabase from '../data/TeaDatabase.js';
+import { primaryEffects } from '../props/PrimaryEffects.js';
+
+// Compound levels (0-10) in the feature embedding
+const featureCompounds = ['caffeineLevel', 'lTheanineLevel', 'catechinLevel'];
+
+// Weight of each feature group; every group is scaled to a similar range before weighting
+export const featureWeights = {
+    compounds: 1,
+    processing: 1,
+    flavors: 1,
+    geography: 1
+};
+
+// The embeddings findSimilar knows
+export const embeddings = ['effects', 'features', 'qi'];
+
+/**
+ * Embed a tea by its final effect scores (0-1 per effect)
+ * @param {Object} tea - Prepared tea
+ * @param {TeaAnalysisSystem} system - System whose TeaEffectCalculator to use
+ * @returns {Object} { label: value }
+ */
+function embedEffects(tea, system) {
+    const { finalScores } = system.calculators.teaEffect.infer(tea);
+    return Object.fromEntries(Object.keys(primaryEffects).map(effect => [effect, (finalScores[effect] || 0) / 10]));
+}
+
+/**
+ * Embed a tea by its QiTeaAnalyzer energy profile and five element balance (0-1 per dimension)
+ * @param {Object} tea - Prepared tea
+ * @param {TeaAnalysisSystem} system - System whose QiTeaAnalyzer to use
+ * @returns {Object} { label: value }
+ */
+function embedQi(tea, system) {
+    const { energyProfile, elementalBalance } = system.calculators.qi.infer(tea);
+    return Object.fromEntries([
+        ...Object.entries(energyProfile).map(([key, value]) => [`energy ${key}`, value / 10]),
+        ...Object.entries(elementalBalance).map(([element, value]) => [`element ${element}`, value / 10])
+    ]);
+}
+
+/**
+ * Embed a tea by its raw features: compound levels, processing methods, flavor notes and geography
+ * Methods and notes are one-hot over the vocabulary, scaled to unit length so a long flavor list
+ * does not outweigh a short one; the harvest month sits on a circle so December is next to January.
+ * @param {Object} tea - Prepared tea
+ * @param {Object} vocabulary - { processing: [...], flavors: [...] } across the compared teas
+ * @returns {Object} { label: value }
+ */
+function embedFeatures(tea, vocabulary) {
+    const vector = {};
+    const { compounds, processing, flavors, geography } = featureWeights;
+
+    featureCompounds.forEach(key => {
+        vector[key] = (tea[key] || 0) / 10 * compounds;
+    });
+
+    const oneHot = (group, entries, weight) => {
+        const present = new Set(entries || []);
+        const scale = present.size > 0 ? weight / Math.sqrt(present.size) : 0;
+        vocabulary[group].forEach(entry => {
+            vector[`${group === 'flavors' ? 'flavor' : 'processing'} ${entry}`] = present.has(entry) ? scale : 0;
+        });
+    };
+    oneHot('processing', tea.processingMethods, processing);
+    oneHot('flavors', [...(tea.flavorProfile || []), ...(tea.secondaryFlavors || [])], flavors);
+
+    const { altitude = 0, humidity = 0, latitude = 0, harvestMonth = null } = tea.geography || {};
+    vector.altitude = Math.min(altitude / 2000, 1) * geography;
+    vector.humidity = humidity / 100 * geography;
+    vector.latitude = latitude / 90 * geography;
+    if (harvestMonth) {
+        const angle = (harvestMonth - 1) / 12 * 2 * Math.PI;
+        vector['harvest month (cos)'] = Math.cos(angle) / 2 * geography;
+        vector['harvest month (sin)'] = Math.sin(angle) / 2 * geography;
+    }
+
+    return vector;
+}
+
+/**
+ * Embed a set of teas the same way, so their vectors can be compared
+ * @param {Object[]} teas - Prepared teas
+ * @param {string} by - 'effects', 'features' or 'qi'
+ * @param {TeaAnalysisSystem} system - System whose calculators to use
+ * @returns {Object[]} One { label: value } vector per tea; feature vectors share one vocabulary
+ */
+export function embedTeas(teas, by, system) {
+    if (!embeddings.includes(by)) {
+        throw new Error(`Unknown embedding "${by}" (expected ${embeddings.join(', ')})`);
+    }
+
+    if (by === 'effects') return teas.map(tea => embedEffects(tea, system));
+    if (by === 'qi') return teas.map(tea => embedQi(tea, system));
+
+    const vocabulary = {
+        processing: [...new Set(teas.flatMap(tea => tea.processingMethods || []))],
+        flavors: [...new Set(teas.flatMap(tea => [...(tea.flavorProfile || []), ...(tea.secondaryFlavors || [])]))]
+    };
+    return teas.map(tea => embedFeatures(tea, vocabulary));
+}
+
+/**
+ * Euclidean distance between two embeddings; dimensions missing from one count as 0
+ * @returns {number} Distance
+ */
+function distance(a, b) {
+    const labels = new Set([...Object.keys(a), ...Object.keys(b)]);
+    let sum = 0;
+    labels.forEach(label => {
+        sum += ((a[label] || 0) - (b[label] || 0)) ** 2;
+    });
+    return Math.sqrt(sum);
+}
+
+/**
+ * Find the teas closest to a tea
+ * @param {Object|string} query - Tea object or database name
+ * @param {Object} options
+ * @param {string} options.by - 'effects' (final effect scores), 'features' (compounds, processing, flavors,
+ *   geography) or 'qi' (QiTeaAnalyzer energy profile and elements)
+ * @param {number} options.k - Number of neighbors to return (default: 3)
+ * @param {number} options.maxCaffeine - Leave out teas whose cup holds more mg of caffeine than this
+ * @param {Object[]} options.teas - Teas to search (default: the reference database)
+ * @param {TeaAnalysisSystem} options.system - System whose calculators and config to use (default: a new one)
+ * @returns {Object} { tea, by, caffeineMg, neighbors } where each neighbor is
+ *   { rank, name, type, distance, caffeineMg, differences } and differences are the (up to) three
+ *   dimensions the neighbor differs most in, as { dimension, tea, neighbor }
+ */
+export function findSimilar(query, { by = 'effects', k = 3, maxCaffeine = null, teas = null, system = null } = {}) {
+    const analysisSystem = system || new TeaAnalysisSystem({ traceScores: false });
+
+    if (!Number.isInteger(k) || k < 1) {
+        throw new Error(`k must be a positive whole number (got ${k})`);
+    }
+
+    const rawQuery = typeof query === 'string' ? analysisSystem.findTeaByName(query) : query;
+    if (!rawQuery) {
+        throw new Error(`Tea "${query}" not found in database`);
+    }
+    const queryTea = analysisSystem.prepareTea(rawQuery).tea;
+
+    // Every other tea is a candidate
+    const candidates = (teas || TeaDatabase.getAllTeas())
+        .map(tea => analysisSystem.prepareTea(tea)?.tea)
+        .filter(tea => tea && tea.name !== queryTea.name);
+
+    const [queryVector, ...vectors] = embedTeas([queryTea, ...candidates], by, analysisSystem);
+    const caffeineOf = tea => analysisSystem.calculators.timing.calculateBaseTiming(tea).pharmacokinetics.doses.caffeine;
+
+    const neighbors = candidates
+        .map((tea, i) => ({ tea, vector: vectors[i], caffeineMg: caffeineOf(tea) }))
+        .filter(({ caffeineMg }) => typeof maxCaffeine !== 'number' || caffeineMg <= maxCaffeine)
+        .map(({ tea, vector, caffeineMg }) => {
+            const differences = Object.keys({ ...queryVector, ...vector })
+                .map(dimension => ({ dimension, tea: queryVector[dimension] || 0, neighbor: vector[dimension] || 0 }))
+                .filter(({ tea, neighbor }) => Math.abs(neighbor - tea) > 1e-9)
+                .sort((a, b) => Math.abs(b.neighbor - b.tea) - Math.abs(a.neighbor - a.tea))
+                .slice(0, 3);
+            return { name: tea.name, type: tea.type, distance: distance(queryVector, vector), caffeineMg, differences };
+        })
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, k)
+        .map((neighbor, index) => ({ rank: index + 1, ...neighbor }));
+
+    return { tea: queryTea.name, by, caffeineMg: caffeineOf(queryTea), neighbors };
+}
+
+/**
+ * Format a similarity search as a table of the nearest neighbors and what sets each apart
+ * @param {Object} result - Result of findSimilar
+ * @returns {string} Markdown text
+ */
+export function formatSimilarMarkdown(result) {
+    let markdown = `# Teas Similar to ${result.tea} (by ${result.by})\n\n`;
+    markdown += `${result.tea}: ${result.caffeineMg.toFixed(0)} mg caffeine per cup\n\n`;
+
+    if (result.neighbors.length === 0) {
+        return markdown + 'No other tea meets the criteria.\n';
+    }
+
+    markdown += '| # | Tea | Type | Distance | Caffeine | Differs most in |\n';
+    markdown += '|---|-----|------|----------|----------|-----------------|\n';
+    result.neighbors.forEach(({ rank, name, type, distance: d, caffeineMg, differences }) => {
+        const differs = differences
+            .map(({ dimension, tea, neighbor }) => `${dimension} ${neighbor > tea ? '+' : ''}${(neighbor - tea).toFixed(2)}`)
+            .join(', ') || 'nothing';
+        markdown += `| ${rank} | ${name} | ${type} | ${d.toFixed(3)} | ${caffeineMg.toFixed(0)} mg | ${differs} |\n`;
+    });
+
+    return markdown;
+}
+
+export default {
+    featureWeights,
+    embeddings,
+    embedTeas,
+    findSimilar,
+    formatSimilarMarkdown
+};
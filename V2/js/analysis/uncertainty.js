@@ -0,0 +1,228 @@
+// uncertainty.js
+// Monte Carlo uncertainty bands: sample a tea's uncertain fields and run every sample through TeaEffectCalculator
+
+import { TeaAnalysisSystem } from '../TeaAnalysisSystem.js';
+import { normalizeTea } from '../data/TeaSchema.js';
+import { getNestedProperty } from '../utils/helpers.js';
+import { createRandom, findDistributions, validateDistributions, sampleTea, centralTea } from '../utils/distributions.js';
+import { formatScoreWithBand } from '../utils/markdownUtils.js';
+
+// Spread assumed for point estimates when assumeUncertainty is on
+export const defaultUncertainty = {
+    caffeineLevel: { distribution: 'normal', sd: 0.75, min: 0, max: 10 },
+    lTheanineLevel: { distribution: 'normal', sd: 0.75, min: 0, max: 10 },
+    catechinLevel: { distribution: 'normal', sd: 0.75, min: 0, max: 10 },
+    'geography.altitude': { distribution: 'normal', sd: 150, min: 0 },
+    'geography.humidity': { distribution: 'normal', sd: 5, min: 0, max: 100 }
+};
+
+// Spread around the values analyzeTea estimates for missing fields (see data/TeaImputation.js);
+// wider than defaultUncertainty since nothing was measured
+export const imputedUncertainty = {
+    caffeineLevel: value => ({ distribution: 'normal', mean: value, sd: 1.5, min: 0, max: 10 }),
+    lTheanineLevel: value => ({ distribution: 'normal', mean: value, sd: 1.5, min: 0, max: 10 }),
+    catechinLevel: value => ({ distribution: 'normal', mean: value, sd: 1.5, min: 0, max: 10 }),
+    'geography.altitude': value => ({ distribution: 'normal', mean: value, sd: 300, min: 0 }),
+    'geography.humidity': value => ({ distribution: 'normal', mean: value, sd: 10, min: 0, max: 100 }),
+    'geography.latitude': value => ({ distribution: 'normal', mean: value, sd: 1, min: -90, max: 90 }),
+    'geography.longitude': value => ({ distribution: 'normal', mean: value, sd: 1, min: -180, max: 180 }),
+    // A month either side, wrapping around the year
+    'geography.harvestMonth': value => ({
+        distribution: 'choice',
+        values: [(value + 10) % 12 + 1, value, value % 12 + 1],
+        weights: [1, 2, 1]
+    })
+};
+
+/**
+ * Linear-interpolated percentile of sorted values
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} p - Percentile (0-100)
+ * @returns {number} The percentile value
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const position = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Turn point estimates into normal distributions around them (fields that are already uncertain are kept)
+ * @param {Object} tea - Canonical tea
+ * @param {Object} spreads - Dot path -> { distribution, sd, min, max } (the mean is taken from the tea)
+ * @returns {Object} Tea copy with the spread fields replaced by distributions
+ */
+function withAssumedUncertainty(tea, spreads) {
+    const copy = JSON.parse(JSON.stringify(tea));
+
+    Object.entries(spreads).forEach(([path, spread]) => {
+        const value = getNestedProperty(copy, path, undefined);
+        if (typeof value !== 'number' || value === 0) return;
+
+        const keys = path.split('.');
+        const parent = keys.slice(0, -1).reduce((target, key) => target?.[key], copy);
+        if (parent) {
+            parent[keys[keys.length - 1]] = { ...spread, mean: value };
+        }
+    });
+
+    return copy;
+}
+
+/**
+ * Set a dot-path value on a copy of a tea
+ * @param {Object} tea - Tea to copy
+ * @param {string} path - Dot path such as 'geography.altitude'
+ * @param {*} value - Value to set
+ * @returns {Object} The modified copy
+ */
+function withValue(tea, path, value) {
+    const copy = JSON.parse(JSON.stringify(tea));
+    const keys = path.split('.');
+    let target = copy;
+    keys.slice(0, -1).forEach(key => {
+        if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+        target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+    return copy;
+}
+
+/**
+ * Simulate the effect scores of a tea with uncertain fields
+ * @param {Object} rawTea - Tea whose numeric fields may be ranges or distributions (see utils/distributions.js)
+ * @param {Object} options - Simulation options
+ * @param {number} options.samples - Number of Monte Carlo samples
+ * @param {number} options.seed - Seed for repeatable results
+ * @param {number[]} options.percentiles - Percentiles to report per effect
+ * @param {boolean} options.assumeUncertainty - Treat plain compound, altitude and humidity values as estimates (see defaultUncertainty)
+ * @param {TeaAnalysisSystem} options.system - System to prepare the tea with and whose TeaEffectCalculator to use (default: a new one)
+ * @returns {Object} { tea, samples, seed, uncertainFields, imputed, pointEstimate, effects, dominantProbability }
+ *   where imputed lists the fields analyzeTea estimates (sampled around the estimate, see imputedUncertainty)
+ *   where effects[effect] is { mean, sd, min, max, percentiles: { p: value } }
+ */
+export function simulateUncertainty(rawTea, {
+    samples = 200,
+    seed = 1,
+    percentiles = [5, 25, 50, 75, 95],
+    assumeUncertainty = false,
+    system = null
+} = {}) {
+    if (!Number.isInteger(samples) || samples < 1) {
+        throw new Error(`samples must be a positive integer (got ${samples})`);
+    }
+
+    const analysisSystem = system || new TeaAnalysisSystem({ traceScores: false });
+    const calculator = analysisSystem.calculators.teaEffect;
+    const random = createRandom(seed);
+
+    // normalizeTea carries range and distribution specs through unchanged
+    let { tea } = normalizeTea(rawTea);
+    // Catch malformed specs once here rather than as a TypeError in the middle of sampling
+    validateDistributions(tea);
+
+    // Fill the gaps analyzeTea would, so the point estimate matches it and the estimates get sampled too
+    const { imputed } = analysisSystem.prepareTea(rawTea);
+    imputed.forEach(({ field, value }) => {
+        tea = withValue(tea, field, imputedUncertainty[field] ? imputedUncertainty[field](value) : value);
+    });
+    if (assumeUncertainty) {
+        tea = withAssumedUncertainty(tea, defaultUncertainty);
+    }
+    const uncertainFields = findDistributions(tea);
+    const pointEstimate = calculator.infer(centralTea(tea));
+
+    const scoresByEffect = {};
+    const dominantCounts = {};
+
+    for (let i = 0; i < samples; i++) {
+        const { finalScores, dominantEffect } = calculator.infer(sampleTea(tea, random));
+
+        Object.entries(finalScores).forEach(([effect, score]) => {
+            (scoresByEffect[effect] = scoresByEffect[effect] || []).push(score);
+        });
+        if (dominantEffect?.id) {
+            dominantCounts[dominantEffect.id] = (dominantCounts[dominantEffect.id] || 0) + 1;
+        }
+    }
+
+    const effects = {};
+    Object.entries(scoresByEffect).forEach(([effect, scores]) => {
+        // Effects missing from some samples scored 0 there
+        while (scores.length < samples) scores.push(0);
+        const sorted = [...scores].sort((a, b) => a - b);
+        const mean = sorted.reduce((sum, score) => sum + score, 0) / samples;
+        const variance = sorted.reduce((sum, score) => sum + (score - mean) ** 2, 0) / samples;
+
+        effects[effect] = {
+            mean,
+            sd: Math.sqrt(variance),
+            min: sorted[0],
+            max: sorted[sorted.length - 1],
+            percentiles: Object.fromEntries(percentiles.map(p => [p, percentile(sorted, p)]))
+        };
+    });
+
+    const dominantProbability = Object.fromEntries(
+        Object.entries(dominantCounts)
+            .sort(([, a], [, b]) => b - a)
+            .map(([effect, count]) => [effect, count / samples])
+    );
+
+    return {
+        tea: rawTea.name,
+        samples,
+        seed,
+        uncertainFields,
+        imputed: imputed.map(({ field }) => field),
+        pointEstimate: {
+            finalScores: pointEstimate.finalScores,
+            dominantEffect: pointEstimate.dominantEffect?.id || null
+        },
+        effects,
+        dominantProbability
+    };
+}
+
+/**
+ * Format an uncertainty simulation as markdown score bands
+ * @param {Object} result - Result of simulateUncertainty
+ * @param {Object} options - { low, high }: percentiles bounding the band (must have been simulated)
+ * @returns {string} Markdown text
+ */
+export function formatUncertaintyMarkdown(result, { low = 5, high = 95 } = {}) {
+    let markdown = `# Effect Score Uncertainty: ${result.tea}\n\n`;
+
+    if (result.uncertainFields.length === 0) {
+        markdown += '*No uncertain fields; every sample gives the point estimate*\n\n';
+    } else {
+        markdown += `${result.samples} samples over: ${result.uncertainFields.join(', ')}\n\n`;
+    }
+    if (result.imputed?.length > 0) {
+        markdown += `Estimated because the tea does not set them: ${result.imputed.join(', ')}\n\n`;
+    }
+
+    markdown += `## Probability of Being Dominant\n\n`;
+    Object.entries(result.dominantProbability).forEach(([effect, probability]) => {
+        markdown += `- **${effect}**: ${Math.round(probability * 100)}%\n`;
+    });
+    markdown += '\n';
+
+    markdown += `## Score Bands (mean, ${low}th–${high}th percentile)\n\n`;
+    Object.entries(result.effects)
+        .sort(([, a], [, b]) => b.mean - a.mean)
+        .forEach(([effect, stats]) => {
+            markdown += `**${effect}:** ${formatScoreWithBand(stats.mean, stats.percentiles[low], stats.percentiles[high])}\n`;
+        });
+
+    return markdown;
+}
+
+export default {
+    defaultUncertainty,
+    imputedUncertainty,
+    simulateUncertainty,
+    formatUncertaintyMarkdown
+};
@@ -0,0 +1,309 @@
+// blend.js
+// Blend model: merges component teas in weight proportions into one composite tea for the full analysis
+
+import { TeaAnalysisSystem } from '../TeaAnalysisSystem.js';
+import { blendedCompounds, blendedGeography, blendThresholds, maxOriginSpreadKm } from '../props/BlendParameters.js';
+
+/**
+ * Resolve the blend's components to prepared teas with their share of the blend
+ * @param {Object[]} components - [{ tea, weight }] where tea is a database name or a tea object
+ * @param {TeaAnalysisSystem} system - System used for name lookups and tea preparation
+ * @returns {Object[]} [{ name, tea, weight, proportion }] ordered by proportion, largest first
+ */
+function resolveComponents(components, system) {
+    if (!Array.isArray(components) || components.length === 0) {
+        throw new Error('A blend needs at least one component');
+    }
+
+    const resolved = components.map(({ tea: source, weight }, index) => {
+        if (typeof weight !== 'number' || !(weight > 0)) {
+            throw new Error(`Component ${index + 1} needs a positive weight (got ${weight})`);
+        }
+        const rawTea = typeof source === 'string' ? system.findTeaByName(source) : source;
+        if (!rawTea) {
+            throw new Error(`Tea "${source}" not found in database`);
+        }
+        const prepared = system.prepareTea(rawTea);
+        if (!prepared) {
+            throw new Error(`Component ${index + 1} is not a tea object`);
+        }
+        return { name: prepared.tea.name, tea: prepared.tea, weight };
+    });
+
+    const totalWeight = resolved.reduce((sum, { weight }) => sum + weight, 0);
+    return resolved
+        .map(component => ({ ...component, proportion: component.weight / totalWeight }))
+        .sort((a, b) => b.proportion - a.proportion);
+}
+
+/**
+ * Weighted mean of a numeric field over the components that have it
+ * @param {Object[]} components - Resolved components
+ * @param {Function} read - Reads the value from a tea
+ * @returns {number|undefined} Mean, or undefined if no component has the field
+ */
+function weightedMean(components, read) {
+    const present = components.filter(({ tea }) => typeof read(tea) === 'number');
+    const total = present.reduce((sum, { proportion }) => sum + proportion, 0);
+    if (total === 0) return undefined;
+    return present.reduce((sum, { tea, proportion }) => sum + read(tea) * proportion, 0) / total;
+}
+
+/**
+ * Share of the blend behind each entry of a list field, in order of share
+ * @param {Object[]} components - Resolved components
+ * @param {Function} read - Reads the list from a tea
+ * @returns {Array} [[entry, share]] largest share first
+ */
+function listShares(components, read) {
+    const shares = new Map();
+    components.forEach(({ tea, proportion }) => {
+        new Set(read(tea) || []).forEach(entry => shares.set(entry, (shares.get(entry) || 0) + proportion));
+    });
+    return [...shares.entries()].sort(([, a], [, b]) => b - a);
+}
+
+/**
+ * Weighted mean harvest month, averaged around the calendar so December and January meet
+ * @param {Object[]} components - Resolved components
+ * @returns {number|undefined} Month (1-12)
+ */
+function blendHarvestMonth(components) {
+    const present = components.filter(({ tea }) => typeof tea.geography?.harvestMonth === 'number');
+    if (present.length === 0) return undefined;
+
+    const angle = month => (month - 1) / 12 * 2 * Math.PI;
+    const x = present.reduce((sum, { tea, proportion }) => sum + Math.cos(angle(tea.geography.harvestMonth)) * proportion, 0);
+    const y = present.reduce((sum, { tea, proportion }) => sum + Math.sin(angle(tea.geography.harvestMonth)) * proportion, 0);
+    const month = Math.round(Math.atan2(y, x) / (2 * Math.PI) * 12);
+    return ((month % 12) + 12) % 12 + 1;
+}
+
+/**
+ * Great-circle distance between two points
+ * @returns {number} Kilometres
+ */
+function distanceKm(a, b) {
+    const radians = degrees => degrees * Math.PI / 180;
+    const dLat = radians(b.latitude - a.latitude);
+    const dLon = radians(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2
+        + Math.cos(radians(a.latitude)) * Math.cos(radians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Merge the components' geography; coordinates of far-apart origins are not averaged
+ * @param {Object[]} components - Resolved components
+ * @returns {Object} { geography, origins } where origins is { mixed, spreadKm, coordinatesFrom }
+ */
+function blendGeography(components) {
+    const geography = {};
+    blendedGeography.forEach(key => {
+        const value = weightedMean(components, tea => tea.geography?.[key]);
+        if (value !== undefined) geography[key] = Math.round(value);
+    });
+    const harvestMonth = blendHarvestMonth(components);
+    if (harvestMonth !== undefined) geography.harvestMonth = harvestMonth;
+
+    const located = components.filter(({ tea }) =>
+        typeof tea.geography?.latitude === 'number' && typeof tea.geography?.longitude === 'number');
+    let spreadKm = 0;
+    located.forEach((a, i) => located.slice(i + 1).forEach(b => {
+        spreadKm = Math.max(spreadKm, distanceKm(a.tea.geography, b.tea.geography));
+    }));
+
+    const mixed = spreadKm > maxOriginSpreadKm;
+    let coordinatesFrom = null;
+    if (located.length > 0) {
+        if (mixed) {
+            // located keeps the proportion order, so this is the largest located component
+            coordinatesFrom = located[0].name;
+            geography.latitude = located[0].tea.geography.latitude;
+            geography.longitude = located[0].tea.geography.longitude;
+        } else {
+            geography.latitude = weightedMean(located, tea => tea.geography.latitude);
+            geography.longitude = weightedMean(located, tea => tea.geography.longitude);
+        }
+    }
+
+    return { geography, origins: { mixed, spreadKm: Math.round(spreadKm), coordinatesFrom } };
+}
+
+/**
+ * Merge a blend's components into one composite tea
+ * Compound levels, altitude, humidity and oxidation are weighted means. Flavor notes and processing
+ * methods are kept by the share of the blend behind them (props/BlendParameters.js). Type, sub-type
+ * and the other processing details come from the largest component.
+ * @param {Object} blend - { name, components: [{ tea, weight }], brewing }
+ * @param {Object} options
+ * @param {TeaAnalysisSystem} options.system - System used for name lookups and tea preparation (default: a new one)
+ * @returns {Object} { tea, components, origins } where components are [{ name, type, origin, weight, proportion, tea }]
+ */
+export function composeBlend(blend, { system = null } = {}) {
+    const analysisSystem = system || new TeaAnalysisSystem({ traceScores: false });
+    const components = resolveComponents(blend?.components, analysisSystem);
+    const [largest] = components;
+
+    const percent = proportion => `${Math.round(proportion * 100)}%`;
+    const tea = {
+        name: blend.name || components.map(({ name, proportion }) => `${name} ${percent(proportion)}`).join(' + '),
+        type: largest.tea.type,
+        ...(largest.tea.subType ? { subType: largest.tea.subType } : {}),
+        origin: components.map(({ tea: { origin }, name, proportion }) => `${origin || name} (${percent(proportion)})`).join(' / ')
+    };
+
+    blendedCompounds.forEach(key => {
+        const value = weightedMean(components, componentTea => componentTea[key]);
+        if (value !== undefined) tea[key] = Math.round(value * 100) / 100;
+    });
+
+    const age = weightedMean(components, componentTea => componentTea.age || 0);
+    if (age > 0) tea.age = Math.round(age * 10) / 10;
+
+    // Notes most of the blend shares lead; the rest become secondary flavors
+    const flavorShares = listShares(components, componentTea => [
+        ...(componentTea.flavorProfile || []),
+        ...(componentTea.secondaryFlavors || [])
+    ]);
+    tea.flavorProfile = flavorShares
+        .filter(([, share]) => share >= blendThresholds.primaryFlavorShare)
+        .map(([note]) => note);
+    tea.secondaryFlavors = flavorShares
+        .filter(([, share]) => share < blendThresholds.primaryFlavorShare)
+        .map(([note]) => note);
+
+    tea.processingMethods = listShares(components, componentTea => componentTea.processingMethods)
+        .filter(([, share]) => share >= blendThresholds.processingShare)
+        .map(([method]) => method);
+
+    const oxidationLevel = weightedMean(components, componentTea => componentTea.processing?.oxidationLevel);
+    const processing = { ...(largest.tea.processing || {}) };
+    if (oxidationLevel !== undefined) processing.oxidationLevel = Math.round(oxidationLevel);
+    if (Object.keys(processing).length > 0) tea.processing = processing;
+
+    const { geography, origins } = blendGeography(components);
+    if (Object.keys(geography).length > 0) tea.geography = geography;
+
+    if (blend.brewing) tea.brewing = { ...blend.brewing };
+
+    tea.blend = components.map(({ name, weight, proportion }) => ({ name, weight, proportion }));
+
+    return {
+        tea,
+        components: components.map(({ name, tea: componentTea, weight, proportion }) => ({
+            name,
+            type: componentTea.type,
+            origin: componentTea.origin || null,
+            weight,
+            proportion,
+            tea: componentTea
+        })),
+        origins
+    };
+}
+
+/**
+ * Analyze a blend with the full TeaAnalysisSystem pipeline, and split every final effect score
+ * between the components
+ * A component's contribution to an effect is the blend's score times its share of the
+ * proportion-weighted standalone scores (the component brewed and scored on its own), so the
+ * contributions add up to the blend's score.
+ * @param {Object} blend - { name, components: [{ tea, weight }], brewing }
+ * @param {Object} options
+ * @param {TeaAnalysisSystem} options.system - System whose calculators, config and drinker profile to use (default: a new one)
+ * @returns {Object} { name, tea, components, origins, analysis, finalScores, dominantEffect, contributions }
+ *   where contributions[effect] is { score, components: [{ name, proportion, standalone, share, contribution }] }
+ */
+export function analyzeBlend(blend, { system = null } = {}) {
+    const analysisSystem = system || new TeaAnalysisSystem({ traceScores: false });
+    const { tea, components, origins } = composeBlend(blend, { system: analysisSystem });
+
+    // Score each component brewed the way the blend is
+    const standalone = components.map(component => analysisSystem.calculators.teaEffect.infer(
+        tea.brewing ? { ...component.tea, brewing: tea.brewing } : component.tea
+    ).finalScores);
+
+    const analysis = analysisSystem.analyzeTea(tea);
+    const { finalScores, dominantEffect } = analysis.teaEffect;
+
+    const contributions = {};
+    Object.entries(finalScores).forEach(([effect, score]) => {
+        const weighted = components.map(({ proportion }, i) => proportion * (standalone[i][effect] || 0));
+        const total = weighted.reduce((sum, value) => sum + value, 0);
+
+        contributions[effect] = {
+            score,
+            components: components.map(({ name, proportion }, i) => {
+                // Effects none of the components shows on its own are split by proportion
+                const share = total > 0 ? weighted[i] / total : proportion;
+                return { name, proportion, standalone: standalone[i][effect] || 0, share, contribution: score * share };
+            })
+        };
+    });
+
+    return {
+        name: tea.name,
+        tea,
+        components: components.map(({ tea: componentTea, ...component }) => component),
+        origins,
+        analysis,
+        finalScores,
+        dominantEffect: dominantEffect?.id || null,
+        contributions
+    };
+}
+
+/**
+ * Format a blend analysis as its composition, the composite tea and the per-component contributions
+ * @param {Object} result - Result of analyzeBlend
+ * @returns {string} Markdown text
+ */
+export function formatBlendMarkdown(result) {
+    const { tea, components, origins, contributions } = result;
+    const percent = value => `${(value * 100).toFixed(0)}%`;
+
+    let markdown = `# Blend: ${result.name}\n\n`;
+
+    markdown += '| Component | Type | Origin | Weight | Share |\n';
+    markdown += '|-----------|------|--------|--------|-------|\n';
+    components.forEach(({ name, type, origin, weight, proportion }) => {
+        markdown += `| ${name} | ${type} | ${origin || '–'} | ${weight} | ${percent(proportion)} |\n`;
+    });
+    markdown += '\n';
+
+    markdown += '## Composite Tea\n\n';
+    markdown += `- **Type**: ${tea.type}${tea.subType ? ` (${tea.subType})` : ''}\n`;
+    blendedCompounds.filter(key => tea[key] !== undefined).forEach(key => {
+        markdown += `- **${key}**: ${tea[key].toFixed(2)}\n`;
+    });
+    markdown += `- **Flavors**: ${tea.flavorProfile.join(', ') || '–'}`;
+    markdown += tea.secondaryFlavors.length > 0 ? ` (secondary: ${tea.secondaryFlavors.join(', ')})\n` : '\n';
+    markdown += `- **Processing**: ${tea.processingMethods.join(', ') || '–'}\n`;
+    if (tea.geography) {
+        const { altitude, humidity, harvestMonth } = tea.geography;
+        markdown += `- **Geography**: ${altitude ?? '–'} m, ${humidity ?? '–'}% humidity, harvest month ${harvestMonth ?? '–'}\n`;
+    }
+    if (origins.mixed) {
+        markdown += `- **Mixed origins**: up to ${origins.spreadKm} km apart; coordinates from ${origins.coordinatesFrom}\n`;
+    }
+    markdown += '\n';
+
+    markdown += `## Effect Contributions (dominant: ${result.dominantEffect || '–'})\n\n`;
+    markdown += `| Effect | Blend | ${components.map(({ name }) => name).join(' | ')} |\n`;
+    markdown += `|--------|-------|${components.map(() => '------').join('|')}|\n`;
+    Object.entries(contributions)
+        .sort(([, a], [, b]) => b.score - a.score)
+        .forEach(([effect, { score, components: parts }]) => {
+            const cells = parts.map(({ contribution, standalone }) => `${contribution.toFixed(1)} (alone ${standalone.toFixed(1)})`);
+            markdown += `| ${effect} | ${score.toFixed(1)} | ${cells.join(' | ')} |\n`;
+        });
+
+    return markdown;
+}
+
+export default {
+    composeBlend,
+    analyzeBlend,
+    formatBlendMarkdown
+};
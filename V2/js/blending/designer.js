@@ -0,0 +1,228 @@
+// designer.js
+// Inverse blend design: searches the proportions of a shortlist of teas whose blend comes closest to a target effect profile
+
+import { TeaAnalysisSystem } from '../TeaAnalysisSystem.js';
+import { primaryEffects } from '../props/PrimaryEffects.js';
+import { blendSearch } from '../props/BlendParameters.js';
+import { composeBlend } from './blend.js';
+
+/**
+ * Every way of splitting `divisions` equal parts between `count` components
+ * @param {number} count - Number of components
+ * @param {number} divisions - Parts to split
+ * @returns {number[][]} Proportion vectors summing to 1
+ */
+export function gridPoints(count, divisions) {
+    const points = [];
+    const split = (prefix, left) => {
+        if (prefix.length === count - 1) {
+            points.push([...prefix, left].map(parts => parts / divisions));
+            return;
+        }
+        for (let parts = left; parts >= 0; parts--) {
+            split([...prefix, parts], left - parts);
+        }
+    };
+    split([], divisions);
+    return points;
+}
+
+// Number of grid points for count components and the given divisions: C(divisions + count - 1, count - 1)
+function gridSize(count, divisions) {
+    let size = 1;
+    for (let k = 1; k < count; k++) {
+        size = size * (divisions + k) / k;
+    }
+    return Math.round(size);
+}
+
+/**
+ * Search blend proportions of a shortlist of teas whose analyzed effect profile is closest to a target
+ * The fit is the root mean square of the residuals (predicted minus target score) over the target effects.
+ * A grid over the proportions finds a starting blend, which is then refined by moving small amounts
+ * between pairs of components (props/BlendParameters.js blendSearch).
+ * @param {Object} options
+ * @param {Object} options.target - Wanted effect scores, e.g. { calming: 8, focusing: 6 }
+ * @param {Array} options.teas - Shortlist of at least two teas (database names or tea objects)
+ * @param {number} options.maxCaffeine - Most mg of caffeine a cup of the blend may hold
+ * @param {number} options.minProportion - Smallest share every tea of the shortlist must keep (default: 0, teas may drop out)
+ * @param {Object} options.brewing - How the blend is brewed (default: the largest component's type default)
+ * @param {TeaAnalysisSystem} options.system - System whose calculators, config and drinker profile to use (default: a new one)
+ * @returns {Object} { target, constraints, proportions, blend, predicted, residuals, error, caffeineMg, evaluations }
+ *   where proportions are [{ name, proportion }] and blend can be passed to analyzeBlend
+ */
+export function designBlend({
+    target = {},
+    teas = [],
+    maxCaffeine = null,
+    minProportion = 0,
+    brewing = null,
+    system = null
+} = {}) {
+    const analysisSystem = system || new TeaAnalysisSystem({ traceScores: false });
+    const { teaEffect, timing } = analysisSystem.calculators;
+
+    const effects = Object.keys(target);
+    if (effects.length === 0) {
+        throw new Error('A target needs at least one effect score');
+    }
+    effects.forEach(effect => {
+        if (!primaryEffects[effect]) {
+            throw new Error(`Unknown effect "${effect}" (expected ${Object.keys(primaryEffects).join(', ')})`);
+        }
+        if (typeof target[effect] !== 'number' || target[effect] < 0 || target[effect] > 10) {
+            throw new Error(`Target for "${effect}" must be a number from 0 to 10 (got ${target[effect]})`);
+        }
+    });
+    if (!Array.isArray(teas) || teas.length < 2) {
+        throw new Error('A blend design needs a shortlist of at least two teas');
+    }
+    if (typeof minProportion !== 'number' || minProportion < 0 || minProportion * teas.length > 1) {
+        throw new Error(`Minimum proportion ${minProportion} cannot be met by ${teas.length} teas`);
+    }
+
+    // Look the names up once rather than on every blend scored
+    const shortlist = teas.map(tea => {
+        const resolved = typeof tea === 'string' ? analysisSystem.findTeaByName(tea) : tea;
+        if (!resolved) {
+            throw new Error(`Tea "${tea}" not found in database`);
+        }
+        return resolved;
+    });
+    const names = shortlist.map(tea => tea.name);
+
+    // Score a proportion vector; null when it breaks a constraint
+    let evaluations = 0;
+    const cache = new Map();
+    const evaluate = proportions => {
+        const key = proportions.map(proportion => proportion.toFixed(4)).join(',');
+        if (cache.has(key)) return cache.get(key);
+
+        let candidate = null;
+        if (proportions.every(proportion => proportion >= minProportion - 1e-9)) {
+            const components = shortlist
+                .map((tea, i) => ({ tea, weight: proportions[i] }))
+                .filter(({ weight }) => weight > 1e-9);
+            const { tea } = composeBlend({ components, ...(brewing ? { brewing } : {}) }, { system: analysisSystem });
+            const caffeineMg = timing.calculateBaseTiming(tea).pharmacokinetics.doses.caffeine;
+
+            if (typeof maxCaffeine !== 'number' || caffeineMg <= maxCaffeine) {
+                evaluations++;
+                const { finalScores } = teaEffect.infer(tea);
+                const residuals = Object.fromEntries(effects.map(effect => [effect, (finalScores[effect] || 0) - target[effect]]));
+                const error = Math.sqrt(effects.reduce((sum, effect) => sum + residuals[effect] ** 2, 0) / effects.length);
+                candidate = { proportions, finalScores, residuals, error, caffeineMg };
+            }
+        }
+
+        cache.set(key, candidate);
+        return candidate;
+    };
+
+    // Coarse grid, as fine as the point budget allows
+    let divisions = blendSearch.divisions;
+    while (divisions > 1 && gridSize(shortlist.length, divisions) > blendSearch.maxGridPoints) {
+        divisions--;
+    }
+    let best = null;
+    gridPoints(shortlist.length, divisions).forEach(point => {
+        const candidate = evaluate(point);
+        if (candidate && (!best || candidate.error < best.error)) best = candidate;
+    });
+
+    // The grid may miss a narrow feasible region; the even split is the last resort
+    if (!best) {
+        best = evaluate(shortlist.map(() => 1 / shortlist.length));
+    }
+    if (!best) {
+        throw new Error(`No blend of ${names.join(', ')} meets the constraints`);
+    }
+
+    // Move step from one component to another while that improves the fit, then try smaller steps
+    let step = blendSearch.refineStep;
+    while (step >= blendSearch.minStep) {
+        let improved = false;
+        for (let from = 0; from < shortlist.length; from++) {
+            for (let to = 0; to < shortlist.length; to++) {
+                if (from === to) continue;
+                const moved = Math.min(step, best.proportions[from]);
+                if (moved <= 1e-9) continue;
+
+                const proportions = [...best.proportions];
+                proportions[from] -= moved;
+                proportions[to] += moved;
+                const candidate = evaluate(proportions);
+                if (candidate && candidate.error < best.error - 1e-9) {
+                    best = candidate;
+                    improved = true;
+                }
+            }
+        }
+        if (!improved) step /= 2;
+    }
+
+    const round = value => Math.round(value * 1000) / 1000;
+    const proportions = names.map((name, i) => ({ name, proportion: round(best.proportions[i]) }));
+
+    return {
+        target,
+        constraints: { maxCaffeine, minProportion },
+        proportions,
+        blend: {
+            components: proportions
+                .filter(({ proportion }) => proportion > 0)
+                .map(({ name, proportion }) => ({ tea: name, weight: proportion })),
+            ...(brewing ? { brewing } : {})
+        },
+        predicted: best.finalScores,
+        residuals: best.residuals,
+        error: best.error,
+        caffeineMg: best.caffeineMg,
+        evaluations
+    };
+}
+
+/**
+ * Format a blend design as the proportions found and the target, predicted and residual score per effect
+ * @param {Object} result - Result of designBlend
+ * @returns {string} Markdown text
+ */
+export function formatDesignMarkdown(result) {
+    const { target, constraints, proportions, predicted, residuals } = result;
+
+    let markdown = '# Blend Design\n\n';
+    const criteria = [
+        `Target: ${Object.entries(target).map(([effect, value]) => `${effect} ${value}`).join(', ')}`,
+        typeof constraints.maxCaffeine === 'number' ? `Max caffeine: ${constraints.maxCaffeine} mg` : null,
+        constraints.minProportion > 0 ? `Min proportion: ${(constraints.minProportion * 100).toFixed(0)}%` : null
+    ].filter(Boolean);
+    markdown += `${criteria.join(' · ')}\n\n`;
+
+    markdown += '| Tea | Proportion |\n';
+    markdown += '|-----|------------|\n';
+    proportions.forEach(({ name, proportion }) => {
+        markdown += `| ${name} | ${(proportion * 100).toFixed(1)}% |\n`;
+    });
+    markdown += `\n${result.caffeineMg.toFixed(0)} mg caffeine per cup; RMS error ${result.error.toFixed(2)} `;
+    markdown += `after ${result.evaluations} blends scored\n\n`;
+
+    markdown += '## Predicted Profile\n\n';
+    markdown += '| Effect | Target | Predicted | Residual |\n';
+    markdown += '|--------|--------|-----------|----------|\n';
+    Object.entries(predicted)
+        .sort(([a], [b]) => (target[b] !== undefined) - (target[a] !== undefined))
+        .forEach(([effect, score]) => {
+            const residual = residuals[effect];
+            const wanted = target[effect] !== undefined ? target[effect] : '–';
+            const difference = residual !== undefined ? `${residual >= 0 ? '+' : ''}${residual.toFixed(2)}` : '–';
+            markdown += `| ${effect} | ${wanted} | ${score.toFixed(2)} | ${difference} |\n`;
+        });
+
+    return markdown;
+}
+
+export default {
+    gridPoints,
+    designBlend,
+    formatDesignMarkdown
+};
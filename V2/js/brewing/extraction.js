@@ -0,0 +1,189 @@
+// extraction.js
+// Brewing extraction model: turns leaf-level compound levels into the amounts that reach the cup
+
+import {
+    defaultBrewing,
+    fallbackBrewing,
+    extractionKinetics,
+    referenceTemperature,
+    rehydratedRateFactor,
+    leafRetention,
+    suspendedLeafMethods
+} from '../props/BrewingParameters.js';
+import { baseTeaType } from '../data/TeaImputation.js';
+
+// Gas constant in kJ/(mol·K)
+const GAS_CONSTANT = 0.008314;
+
+/**
+ * Fill in the brewing parameters a tea or caller left out from the tea type's default brew
+ * @param {Object} tea - Canonical tea
+ * @param {Object} brewing - Partial brewing parameters (see props/BrewingParameters.js)
+ * @returns {Object} Complete brewing parameters
+ */
+export function resolveBrewing(tea, brewing = {}) {
+    const defaults = defaultBrewing[baseTeaType(tea?.type)] || fallbackBrewing;
+    const resolved = { ...defaults };
+
+    Object.entries(brewing || {}).forEach(([key, value]) => {
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            // A zero or negative volume, ratio, time or temperature has no meaning and divides by zero below
+            if (value <= 0 && key in defaults) {
+                throw new Error(`Brewing ${key} must be a positive number (got ${value})`);
+            }
+            resolved[key] = value;
+        }
+    });
+    resolved.infusion = Math.max(1, Math.round(resolved.infusion));
+    if (Array.isArray(brewing?.previousSteepTimes)) {
+        // The listed earlier steeps decide which infusion this is
+        resolved.previousSteepTimes = brewing.previousSteepTimes.filter(time => typeof time === 'number' && time > 0);
+        resolved.infusion = resolved.previousSteepTimes.length + 1;
+    }
+
+    return resolved;
+}
+
+// Grams of leaf in the vessel
+export function leafGrams(brewing) {
+    return brewing.leafToWaterRatio * brewing.vesselVolume / 100;
+}
+
+/**
+ * Arrhenius factor scaling a reference-temperature rate to another temperature
+ * @param {number} temperature - Water temperature in °C
+ * @param {number} activationEnergy - Activation energy in kJ/mol
+ * @returns {number} Rate multiplier (1 at referenceTemperature)
+ */
+function temperatureFactor(temperature, activationEnergy) {
+    const kelvin = temperature + 273.15;
+    const referenceKelvin = referenceTemperature + 273.15;
+    return Math.exp(-(activationEnergy / GAS_CONSTANT) * (1 / kelvin - 1 / referenceKelvin));
+}
+
+// Whether the leaf is whisked into the water and drunk whole (matcha)
+function isSuspendedLeaf(tea) {
+    return (tea?.processingMethods || []).some(method => suspendedLeafMethods.includes(method));
+}
+
+/**
+ * Extract one infusion
+ * @param {Object} tea - Canonical tea
+ * @param {Object} brewing - Complete brewing parameters (see resolveBrewing)
+ * @param {Object} remaining - Share of each compound's extractable content still in the leaf (default: all)
+ * @returns {Object} { compounds, remaining } where compounds[compound] is
+ *   { leafMg, extractedMg, cupMg, mgPer100ml, extractedFraction }
+ */
+export function extractInfusion(tea, brewing, remaining = {}) {
+    const grams = leafGrams(brewing);
+    const suspended = isSuspendedLeaf(tea);
+    // Wet leaf keeps part of the liquor back; what it holds stays available to the next infusion
+    const pouredShare = suspended
+        ? 1
+        : Math.max(0, brewing.vesselVolume - grams * leafRetention) / brewing.vesselVolume;
+    const cupVolume = brewing.vesselVolume * pouredShare;
+
+    const compounds = {};
+    const left = {};
+
+    Object.entries(extractionKinetics).forEach(([compound, kinetics]) => {
+        const leafMg = (tea?.[kinetics.level] || 0) * kinetics.mgPerGramPerLevel * grams;
+        const available = remaining[compound] ?? 1;
+
+        let extractedShare;
+        if (suspended) {
+            extractedShare = available;
+        } else {
+            const rate = kinetics.rate
+                * temperatureFactor(brewing.temperature, kinetics.activationEnergy)
+                * (brewing.infusion > 1 ? rehydratedRateFactor : 1);
+            extractedShare = kinetics.maxFraction * available * (1 - Math.exp(-rate * brewing.steepTime / 60));
+        }
+
+        const extractedMg = leafMg * extractedShare;
+        const cupMg = extractedMg * pouredShare;
+        const extractable = suspended ? 1 : kinetics.maxFraction;
+
+        compounds[compound] = {
+            leafMg,
+            extractedMg,
+            cupMg,
+            mgPer100ml: cupVolume > 0 ? cupMg / cupVolume * 100 : 0,
+            extractedFraction: leafMg > 0 ? cupMg / leafMg : 0
+        };
+        left[compound] = Math.max(0, available - extractedShare * pouredShare / extractable);
+    });
+
+    return { compounds, remaining: left, cupVolume };
+}
+
+/**
+ * Extract the given infusion after the earlier ones have depleted the leaf
+ * Earlier infusions steep for brewing.previousSteepTimes when given, otherwise for the same time
+ * @param {Object} tea - Canonical tea
+ * @param {Object} brewing - Complete brewing parameters
+ * @returns {Object} Result of extractInfusion for the last infusion
+ */
+function extractNthInfusion(tea, brewing) {
+    const steepTimes = brewing.previousSteepTimes
+        || Array.from({ length: brewing.infusion - 1 }, () => brewing.steepTime);
+
+    let remaining = {};
+    steepTimes.forEach((steepTime, index) => {
+        remaining = extractInfusion(tea, { ...brewing, steepTime, infusion: index + 1 }, remaining).remaining;
+    });
+    return extractInfusion(tea, { ...brewing, infusion: steepTimes.length + 1 }, remaining);
+}
+
+/**
+ * Work out what a brew puts in the cup and the compound levels that cup corresponds to
+ * Cup levels are on the leaf's 0-10 scale, relative to the tea type's default brew: brewing a tea
+ * the default way gives its leaf levels back, a cooler or shorter brew gives lower levels
+ * @param {Object} tea - Canonical tea with leaf-level caffeineLevel, lTheanineLevel and catechinLevel
+ * @param {Object} brewing - Brewing parameters; missing ones come from the type default
+ * @returns {Object} { brewing, reference, leafGrams, cupVolume, compounds, cupLevels, strength } where compounds[compound] is
+ *   { leafLevel, cupLevel, leafMg, cupMg, mgPer100ml, extractedFraction }
+ *   and strength is the cup's total compound mg relative to the default brew's (1 = as strong)
+ */
+export function extractCompounds(tea, brewing = {}) {
+    const resolved = resolveBrewing(tea, brewing);
+    const reference = resolveBrewing(tea, {});
+    const cup = extractNthInfusion(tea, resolved);
+    const referenceCup = extractInfusion(tea, reference);
+
+    const compounds = {};
+    const cupLevels = {};
+    let cupTotal = 0;
+    let referenceTotal = 0;
+
+    Object.entries(extractionKinetics).forEach(([compound, { level }]) => {
+        const leafLevel = tea?.[level] || 0;
+        const { leafMg, cupMg, mgPer100ml, extractedFraction } = cup.compounds[compound];
+        const referenceMg = referenceCup.compounds[compound].cupMg;
+        const cupLevel = referenceMg > 0
+            ? Math.round(Math.min(10, leafLevel * cupMg / referenceMg) * 10) / 10
+            : 0;
+
+        compounds[compound] = { leafLevel, cupLevel, leafMg, cupMg, mgPer100ml, extractedFraction };
+        cupLevels[level] = cupLevel;
+        cupTotal += cupMg;
+        referenceTotal += referenceMg;
+    });
+
+    return {
+        brewing: resolved,
+        reference,
+        leafGrams: leafGrams(resolved),
+        cupVolume: cup.cupVolume,
+        compounds,
+        cupLevels,
+        strength: referenceTotal > 0 ? cupTotal / referenceTotal : 1
+    };
+}
+
+export default {
+    resolveBrewing,
+    leafGrams,
+    extractInfusion,
+    extractCompounds
+};
@@ -0,0 +1,232 @@
+// session.js
+// Gongfu session simulation: brews the same leaf again and again, tracking what each infusion takes out of it
+
+import { TeaAnalysisSystem } from '../TeaAnalysisSystem.js';
+import { baseTeaType } from '../data/TeaImputation.js';
+import { defaultSessions, extractionKinetics } from '../props/BrewingParameters.js';
+import { extractCompounds } from './extraction.js';
+
+// Brewing parameters a tea's own brewing object may set for the whole session
+const sessionBrewingKeys = ['temperature', 'leafToWaterRatio', 'vesselVolume'];
+
+/**
+ * Work out the session parameters: options win over the tea's brewing object, which wins over the type default
+ * @param {Object} tea - Canonical tea
+ * @param {Object} options - Session options (see simulateSession)
+ * @returns {Object} { infusions, temperature, leafToWaterRatio, vesselVolume, steepTimes, rinse }
+ * @throws {Error} If the number of infusions is not a positive whole number
+ */
+export function resolveSession(tea, options = {}) {
+    const session = { ...(defaultSessions[baseTeaType(tea.type)] || defaultSessions.oolong) };
+
+    sessionBrewingKeys.forEach(key => {
+        if (typeof tea.brewing?.[key] === 'number') session[key] = tea.brewing[key];
+    });
+    Object.entries(options).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) session[key] = value;
+    });
+
+    // Checked before building the steep times, which would silently drop a fraction of an infusion
+    if (!Number.isInteger(session.infusions) || session.infusions < 1) {
+        throw new Error(`A session needs at least one infusion, as a whole number (got ${session.infusions})`);
+    }
+
+    const steepTimes = Array.isArray(session.steepTimes) && session.steepTimes.length > 0
+        ? session.steepTimes
+        : Array.from({ length: session.infusions }, (_, i) => session.firstSteep + i * session.steepIncrement);
+
+    return {
+        infusions: steepTimes.length,
+        temperature: session.temperature,
+        leafToWaterRatio: session.leafToWaterRatio,
+        vesselVolume: session.vesselVolume,
+        steepTimes,
+        rinse: session.rinse || 0
+    };
+}
+
+/**
+ * Simulate a gongfu session
+ * @param {Object} rawTea - Tea in any supported shape
+ * @param {Object} options - Session options; anything left out comes from the tea's brewing object
+ *   or the type's entry in defaultSessions (props/BrewingParameters.js)
+ * @param {TeaAnalysisSystem} options.system - System whose TeaEffectCalculator and config to use (default: a new one)
+ * @param {number} options.infusions - Number of infusions
+ * @param {number[]} options.steepTimes - Steep time of every infusion in seconds (overrides infusions/firstSteep/steepIncrement)
+ * @param {number} options.firstSteep - First steep in seconds
+ * @param {number} options.steepIncrement - Seconds added to each following steep
+ * @param {number} options.rinse - Seconds of a discarded rinse before the first infusion (0 for none)
+ * @param {number} options.temperature - Water temperature in °C
+ * @param {number} options.leafToWaterRatio - Grams of leaf per 100 ml
+ * @param {number} options.vesselVolume - Vessel volume in ml
+ * @returns {Object} { tea, session, steeps, cumulative } where each steep is
+ *   { infusion, steepTime, cupVolume, compounds, cupLevels, strength, finalScores, dominantEffect }
+ *   and strength is the cup's compound mg relative to the type's default brew
+ */
+export function simulateSession(rawTea, { system = null, ...options } = {}) {
+    const analysisSystem = system || new TeaAnalysisSystem({ traceScores: false });
+    const calculator = analysisSystem.calculators.teaEffect;
+
+    // Score the same tea analyzeTea would, so missing compound levels don't read as 0
+    const { tea } = analysisSystem.prepareTea(rawTea);
+
+    const session = resolveSession(tea, options);
+    const { temperature, leafToWaterRatio, vesselVolume, steepTimes, rinse } = session;
+    const earlierSteeps = rinse > 0 ? [rinse] : [];
+
+    const steeps = steepTimes.map((steepTime, index) => {
+        const brewing = {
+            temperature,
+            leafToWaterRatio,
+            vesselVolume,
+            steepTime,
+            previousSteepTimes: [...earlierSteeps, ...steepTimes.slice(0, index)]
+        };
+        const extraction = extractCompounds(tea, brewing);
+        // infer scales a cup weaker than the default brew down by its strength, so spent infusions score lower
+        const { finalScores, dominantEffect } = calculator.infer({ ...tea, brewing });
+
+        return {
+            infusion: index + 1,
+            steepTime,
+            cupVolume: extraction.cupVolume,
+            compounds: Object.fromEntries(Object.entries(extraction.compounds).map(([compound, details]) => [
+                compound,
+                { cupMg: details.cupMg, mgPer100ml: details.mgPer100ml, cupLevel: details.cupLevel }
+            ])),
+            cupLevels: extraction.cupLevels,
+            strength: extraction.strength,
+            finalScores,
+            dominantEffect: dominantEffect?.id || null
+        };
+    });
+
+    session.leafGrams = leafToWaterRatio * vesselVolume / 100;
+    return { tea: tea.name, session, steeps, cumulative: summarizeSession(tea, session, steeps) };
+}
+
+/**
+ * Add up a session: compounds drunk over all infusions and the effect profile across them
+ * @param {Object} tea - The brewed tea
+ * @param {Object} session - Resolved session parameters
+ * @param {Object[]} steeps - Simulated steeps
+ * @returns {Object} { volume, compounds, meanScores, peakScores, dominantEffect, dominantCounts }
+ *   where compounds[compound] is { totalMg, leafMg, extractedFraction, peakInfusion }
+ *   and dominantEffect is the one dominating the most infusions
+ */
+function summarizeSession(tea, session, steeps) {
+    const compounds = {};
+    Object.entries(extractionKinetics).forEach(([compound, { level, mgPerGramPerLevel }]) => {
+        const leafMg = (tea[level] || 0) * mgPerGramPerLevel * session.leafGrams;
+        const amounts = steeps.map(steep => steep.compounds[compound].cupMg);
+        const totalMg = amounts.reduce((sum, mg) => sum + mg, 0);
+
+        compounds[compound] = {
+            totalMg,
+            leafMg,
+            extractedFraction: leafMg > 0 ? totalMg / leafMg : 0,
+            peakInfusion: totalMg > 0 ? amounts.indexOf(Math.max(...amounts)) + 1 : null
+        };
+    });
+
+    const effects = new Set(steeps.flatMap(steep => Object.keys(steep.finalScores)));
+    const meanScores = {};
+    const peakScores = {};
+    effects.forEach(effect => {
+        const scores = steeps.map(steep => steep.finalScores[effect] || 0);
+        meanScores[effect] = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+        peakScores[effect] = Math.max(...scores);
+    });
+
+    const dominantCounts = {};
+    steeps.forEach(({ dominantEffect }) => {
+        if (dominantEffect) dominantCounts[dominantEffect] = (dominantCounts[dominantEffect] || 0) + 1;
+    });
+    const [dominantEffect] = Object.entries(dominantCounts).sort(([, a], [, b]) => b - a)[0] || [null];
+
+    return {
+        volume: steeps.reduce((sum, steep) => sum + steep.cupVolume, 0),
+        compounds,
+        meanScores,
+        peakScores,
+        dominantEffect,
+        dominantCounts
+    };
+}
+
+/**
+ * Format a session as a per-infusion table, a compound chart and the session totals
+ * @param {Object} result - Result of simulateSession
+ * @returns {string} Markdown text
+ */
+export function formatSessionMarkdown(result) {
+    const { session, steeps, cumulative } = result;
+    const compounds = Object.keys(extractionKinetics);
+    const label = compound => extractionKinetics[compound].label;
+
+    let markdown = `# Gongfu Session: ${result.tea}\n\n`;
+    markdown += `${session.leafGrams.toFixed(1)} g leaf in ${session.vesselVolume} ml at ${session.temperature}°C, `;
+    markdown += `${session.infusions} infusions (${session.steepTimes.join(', ')}s)`;
+    markdown += session.rinse > 0 ? ` after a ${session.rinse}s rinse\n\n` : '\n\n';
+
+    // Per-infusion table of the effects that change most over the session (many sit at 10 throughout)
+    const spread = effect => {
+        const scores = steeps.map(steep => steep.finalScores[effect] || 0);
+        return Math.max(...scores) - Math.min(...scores);
+    };
+    const topEffects = Object.keys(cumulative.meanScores)
+        .sort((a, b) => spread(b) - spread(a) || cumulative.meanScores[b] - cumulative.meanScores[a])
+        .slice(0, 3);
+
+    markdown += `| # | Steep | ${compounds.map(compound => `${label(compound)} mg`).join(' | ')} | ${topEffects.join(' | ')} | Dominant |\n`;
+    markdown += `|---|-------|${compounds.map(() => '------').join('|')}|${topEffects.map(() => '------').join('|')}|----------|\n`;
+    steeps.forEach(steep => {
+        const amounts = compounds.map(compound => steep.compounds[compound].cupMg.toFixed(1));
+        const scores = topEffects.map(effect => (steep.finalScores[effect] || 0).toFixed(1));
+        markdown += `| ${steep.infusion} | ${steep.steepTime}s | ${amounts.join(' | ')} | ${scores.join(' | ')} | ${steep.dominantEffect || '–'} |\n`;
+    });
+    markdown += '\n';
+
+    // Chart of each compound across the infusions, scaled to its own peak
+    markdown += '## Compounds per Infusion\n\n```\n';
+    compounds.forEach(compound => {
+        const amounts = steeps.map(steep => steep.compounds[compound].cupMg);
+        const peak = Math.max(...amounts);
+        if (peak <= 0) return;
+
+        markdown += `${label(compound)}\n`;
+        amounts.forEach((mg, i) => {
+            const bar = '█'.repeat(Math.round(mg / peak * 20));
+            markdown += `  ${String(i + 1).padStart(2)} ${bar.padEnd(20)} ${mg.toFixed(1)} mg\n`;
+        });
+    });
+    markdown += '```\n\n';
+
+    // Session totals
+    markdown += '## Session Profile\n\n';
+    markdown += `${Math.round(cumulative.volume)} ml drunk in total.\n\n`;
+    compounds.forEach(compound => {
+        const totals = cumulative.compounds[compound];
+        if (totals.leafMg <= 0) return;
+        markdown += `- **${label(compound)}**: ${totals.totalMg.toFixed(0)} mg of ${totals.leafMg.toFixed(0)} mg in the leaf `;
+        markdown += `(${(totals.extractedFraction * 100).toFixed(0)}%), strongest in infusion ${totals.peakInfusion}\n`;
+    });
+    const counts = Object.entries(cumulative.dominantCounts).map(([effect, count]) => `${effect} (${count})`);
+    markdown += `\nDominant effect over the session: **${cumulative.dominantEffect || '–'}**; infusions led by ${counts.join(', ')}\n\n`;
+
+    markdown += '| Effect | Mean | Peak |\n';
+    markdown += '|--------|------|------|\n';
+    Object.entries(cumulative.meanScores)
+        .sort(([, a], [, b]) => b - a)
+        .forEach(([effect, mean]) => {
+            markdown += `| ${effect} | ${mean.toFixed(1)} | ${cumulative.peakScores[effect].toFixed(1)} |\n`;
+        });
+
+    return markdown;
+}
+
+export default {
+    resolveSession,
+    simulateSession,
+    formatSessionMarkdown
+};
@@ -2,6 +2,9 @@
 // Handles calculations related to chemical compounds in tea and their effects
 
 import { BaseCalculator } from './BaseCalculator.js';
+import { extractCompounds } from '../brewing/extraction.js';
+import { extractionKinetics } from '../props/BrewingParameters.js';
+import { resolveDrinkerProfile, caffeineResponse } from '../utils/drinkerProfile.js';
 
 export class CompoundCalculator extends BaseCalculator {
     constructor(config) {
@@ -31,10 +34,14 @@ export class CompoundCalculator extends BaseCalculator {
             };
         }
         
+        // With brewing parameters, score what reaches the cup rather than what is in the leaf
+        const brewing = tea.brewing ? extractCompounds(tea, tea.brewing) : null;
+        const levels = brewing ? { ...tea, ...brewing.cupLevels } : tea;
+        
         // Extract compound levels
-        const caffeineLevel = tea.caffeineLevel || 0;
-        const lTheanineLevel = tea.lTheanineLevel || 0;
-        const catechinLevel = tea.catechinLevel || 0;
+        const caffeineLevel = levels.caffeineLevel || 0;
+        const lTheanineLevel = levels.lTheanineLevel || 0;
+        const catechinLevel = levels.catechinLevel || 0;
         const totalPolyphenols = tea.totalPolyphenols || 0;
         const aminoAcids = tea.aminoAcids || 0;
         
@@ -51,16 +58,22 @@ export class CompoundCalculator extends BaseCalculator {
             lTheanineToCaffeineRatio
         };
         
+        // A drinker profile changes how strongly the caffeine is felt, not how much the cup holds
+        const profile = this.calculateProfileResponse(compounds);
+        const feltCompounds = profile ? profile.compounds : compounds;
+        
         // Calculate compound effects and scores
-        const compoundEffects = this.getCompoundEffects(compounds, tea.type);
-        const compoundScores = this.calculateCompoundScores(compounds, tea.type);
+        const compoundEffects = this.getCompoundEffects(feltCompounds, tea.type);
+        const compoundScores = this.calculateCompoundScores(feltCompounds, tea.type);
         const description = this.generateCompoundDescription(compounds, tea);
         
         return {
             description,
             compounds,
             compoundEffects,
-            compoundScores
+            compoundScores,
+            brewing,
+            profile
         };
     }
     
@@ -104,6 +117,18 @@ export class CompoundCalculator extends BaseCalculator {
             md += `- **Amino Acids**: ${compounds.aminoAcids.toFixed(1)}/10\n`;
         }
         
+        // Add how the drinker profile scales the caffeine
+        if (inference.profile) {
+            const { name, caffeineResponse: response, compounds: felt } = inference.profile;
+            md += `- **Caffeine as felt by ${name}**: ${felt.caffeineLevel.toFixed(1)}/10 `;
+            md += `(×${response.factor.toFixed(2)}: sensitivity ×${response.sensitivity.toFixed(2)}, tolerance ×${response.tolerance.toFixed(2)})\n`;
+        }
+        
+        // Add the brew the levels were extracted with
+        if (inference.brewing) {
+            md += this.formatBrewing(inference.brewing);
+        }
+        
         // Add compound effects
         md += `\n### Compound Effects\n`;
         
@@ -149,17 +174,64 @@ export class CompoundCalculator extends BaseCalculator {
             };
         }
         
+        const compounds = {
+            description: inference.description,
+            levels: inference.compounds,
+            effects: inference.compoundEffects,
+            _sectionRef: "compounds"
+        };
+        if (inference.brewing) {
+            compounds.brewing = inference.brewing;
+        }
+        if (inference.profile) {
+            compounds.profile = inference.profile;
+        }
+        
         return {
             compoundScores: inference.compoundScores,
+            compounds
+        };
+    }
+    
+    // Scale the caffeine level by the drinker profile's sensitivity and tolerance (null without a profile)
+    calculateProfileResponse(compounds) {
+        const profile = resolveDrinkerProfile(this.config.get?.('drinkerProfile'));
+        if (!profile) {
+            return null;
+        }
+        
+        const response = caffeineResponse(profile);
+        const caffeineLevel = Math.min(10, compounds.caffeineLevel * response.factor);
+        
+        return {
+            name: profile.name,
+            caffeineResponse: response,
             compounds: {
-                description: inference.description,
-                levels: inference.compounds,
-                effects: inference.compoundEffects,
-                _sectionRef: "compounds"
+                ...compounds,
+                caffeineLevel,
+                lTheanineToCaffeineRatio: caffeineLevel > 0 ? compounds.lTheanineLevel / caffeineLevel : 0
             }
         };
     }
     
+    // Format the brewing parameters and what each compound contributes to the cup
+    formatBrewing(brewing) {
+        const { temperature, steepTime, leafToWaterRatio, vesselVolume, infusion } = brewing.brewing;
+        
+        let md = `\n### Brewing\n`;
+        md += `${brewing.leafGrams.toFixed(1)} g leaf (${leafToWaterRatio} g/100 ml) in ${vesselVolume} ml at ${temperature}°C `;
+        md += `for ${steepTime}s, infusion ${infusion}; ${Math.round(brewing.cupVolume)} ml poured\n\n`;
+        md += '| Compound | Leaf level | Cup level | In cup | Extracted |\n';
+        md += '|----------|------------|-----------|--------|-----------|\n';
+        Object.entries(brewing.compounds).forEach(([compound, details]) => {
+            if (details.leafLevel <= 0) return;
+            md += `| ${extractionKinetics[compound]?.label || compound} | ${details.leafLevel.toFixed(1)} | ${details.cupLevel.toFixed(1)} | `;
+            md += `${details.cupMg.toFixed(0)} mg | ${(details.extractedFraction * 100).toFixed(0)}% |\n`;
+        });
+        
+        return md;
+    }
+    
     // Get compound effects based on levels and tea type
     getCompoundEffects(compounds, teaType = '') {
         const effects = {};
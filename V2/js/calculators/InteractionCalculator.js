@@ -182,9 +182,9 @@ export class InteractionCalculator extends BaseCalculator {
         
         if (tea && typeof tea === 'object') {
             // Add L-theanine and caffeine based effects
-            if (tea.compounds?.theanineLevel !== undefined && tea.compounds?.caffeineLevel !== undefined) {
-                const theanineLevel = tea.compounds.theanineLevel;
-                const caffeineLevel = tea.compounds.caffeineLevel;
+            if (tea.lTheanineLevel !== undefined && tea.caffeineLevel !== undefined) {
+                const theanineLevel = tea.lTheanineLevel;
+                const caffeineLevel = tea.caffeineLevel;
                 const ratio = theanineLevel / caffeineLevel;
                 
                 if (ratio > 1.5) {
@@ -265,8 +265,8 @@ export class InteractionCalculator extends BaseCalculator {
         if (!tea) return scores;
         
         // Get compound information from tea
-        const theanineLevel = tea.compounds?.theanineLevel || 0;
-        const caffeineLevel = tea.compounds?.caffeineLevel || 0;
+        const theanineLevel = tea.lTheanineLevel || 0;
+        const caffeineLevel = tea.caffeineLevel || 0;
         
         // Synergy between harmonizing and elevating
         if (scores.harmonizing > 5.0 && scores.elevating > 3.0) {
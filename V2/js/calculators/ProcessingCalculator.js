@@ -4,6 +4,52 @@
 
 import { BaseCalculator } from './BaseCalculator.js';
 import { effectNameSubstitution } from '../props/EffectMapping.js';
+import { adjustmentRules } from '../props/AdjustmentRules.js';
+import { RuleEngine } from '../utils/RuleEngine.js';
+
+// Fragments of free-text method names and the props entry they stand for
+const methodComponents = {
+    'pan': 'pan-fired',
+    'fire': 'pan-fired',
+    'steam': 'steamed',
+    'roast': 'medium-roast',
+    'charcoal': 'charcoal-roasted',
+    'heavy roast': 'heavy-roast',
+    'light roast': 'light-roast',
+    'shade': 'shade-grown'
+};
+
+/**
+ * Resolve a processing method name to an entry in the processing influences props
+ * Tries an exact key first, then a partial (substring) match, then known name fragments
+ * @param {string} method - Processing method as written on the tea
+ * @param {Object} processingInfluences - Processing influences keyed by method
+ * @returns {Object|null} { key, matchType: 'exact'|'partial'|'component' } or null if unrecognized
+ */
+export function matchProcessingMethod(method, processingInfluences) {
+    if (!method || typeof method !== 'string' || !processingInfluences) {
+        return null;
+    }
+    
+    const normalizedMethod = method.toLowerCase().trim();
+    if (processingInfluences[normalizedMethod]) {
+        return { key: normalizedMethod, matchType: 'exact' };
+    }
+    
+    for (const key of Object.keys(processingInfluences)) {
+        if (normalizedMethod.includes(key) || key.includes(normalizedMethod)) {
+            return { key, matchType: 'partial' };
+        }
+    }
+    
+    for (const [component, mappedMethod] of Object.entries(methodComponents)) {
+        if (normalizedMethod.includes(component) && processingInfluences[mappedMethod]) {
+            return { key: mappedMethod, matchType: 'component' };
+        }
+    }
+    
+    return null;
+}
 
 export class ProcessingCalculator extends BaseCalculator {
     constructor(config) {
@@ -11,6 +57,12 @@ export class ProcessingCalculator extends BaseCalculator {
         // This will hold the data loaded from js/props/ProcessingInfluences.js
         this.processingInfluences = {};
         this.processingToPrimaryEffectMap = {};
+        this.ruleEngine = new RuleEngine(adjustmentRules);
+    }
+
+    // Replace the adjustment rules (props/AdjustmentRules.js format)
+    setAdjustmentRules(rules) {
+        this.ruleEngine.setRules(rules);
     }
 
     // Set processing effects data (called when loading data)
@@ -22,7 +74,7 @@ export class ProcessingCalculator extends BaseCalculator {
     // Override infer method from BaseCalculator
     infer(tea) {
         const processingData = tea?.processing || {};
-        const processingMethods = processingData.methods || tea?.processingMethods || []; // Support both formats
+        const processingMethods = tea?.processingMethods || [];
 
         if (!tea || (!processingMethods || !Array.isArray(processingMethods) || processingMethods.length === 0)) {
             return {
@@ -40,7 +92,8 @@ export class ProcessingCalculator extends BaseCalculator {
         const firing = processingData.firing || '';
 
         // Calculate scores based *only* on props data now
-        const processingScores = this.calculateProcessingScores(tea);
+        const firedRules = [];
+        const processingScores = this.calculateProcessingScores(tea, firedRules);
         // Retrieve the descriptions from props for formatting
         const relevantPropsEffects = this.getRelevantPropsEffects(methods, oxidationLevel, tea.type);
         const description = this.generateProcessingDescription(tea);
@@ -53,17 +106,18 @@ export class ProcessingCalculator extends BaseCalculator {
             withering,
             firing,
             processingEffects: relevantPropsEffects, // Return effects described in props
-            processingScores // Return calculated scores
+            processingScores, // Return calculated scores
+            firedRules
         };
     }
 
     // Calculate processing scores based *only* on props data
-    calculateProcessingScores(tea) {
+    // Adjustment rules that fire are appended to firedRules
+    calculateProcessingScores(tea, firedRules = []) {
         const scores = {};
         const processingData = tea?.processing || {};
-        const processingMethods = processingData.methods || tea?.processingMethods || [];
+        const processingMethods = tea?.processingMethods || [];
         const oxidationLevel = processingData.oxidationLevel || 0;
-        const teaType = tea?.type || '';
 
         if (!this.processingInfluences || Object.keys(this.processingInfluences).length === 0) {
             console.warn("ProcessingCalculator: processingInfluences data not loaded.");
@@ -74,41 +128,10 @@ export class ProcessingCalculator extends BaseCalculator {
         processingMethods.forEach(method => {
             const normalizedMethod = method.toLowerCase().trim();
             
-            // Try exact match first
-            let methodData = this.processingInfluences[normalizedMethod];
-            
-            // If no exact match, try to find a partial match
-            if (!methodData) {
-                const keys = Object.keys(this.processingInfluences);
-                for (const key of keys) {
-                    if (normalizedMethod.includes(key) || key.includes(normalizedMethod)) {
-                        methodData = this.processingInfluences[key];
-                        console.log(`Found partial match for ${normalizedMethod}: ${key}`);
-                        break;
-                    }
-                }
-            }
-            
-            // If still no match, try component-based matching
-            if (!methodData) {
-                const methodComponents = {
-                    'pan': 'pan-fired',
-                    'fire': 'pan-fired',
-                    'steam': 'steamed',
-                    'roast': 'medium-roast',
-                    'charcoal': 'charcoal-roasted',
-                    'heavy roast': 'heavy-roast',
-                    'light roast': 'light-roast',
-                    'shade': 'shade-grown'
-                };
-                
-                for (const [component, mappedMethod] of Object.entries(methodComponents)) {
-                    if (normalizedMethod.includes(component) && this.processingInfluences[mappedMethod]) {
-                        methodData = this.processingInfluences[mappedMethod];
-                        console.log(`Found component match for ${normalizedMethod}: ${mappedMethod}`);
-                        break;
-                    }
-                }
+            const match = matchProcessingMethod(normalizedMethod, this.processingInfluences);
+            const methodData = match ? this.processingInfluences[match.key] : null;
+            if (match && match.matchType !== 'exact') {
+                console.log(`Found ${match.matchType} match for ${normalizedMethod}: ${match.key}`);
             }
 
             if (methodData && methodData.effects) {
@@ -146,14 +169,8 @@ export class ProcessingCalculator extends BaseCalculator {
             scores["elevating"] = (scores["elevating"] || 0) + Math.min(0, oxidationFactor * -1.0); // Subtracts up to -1.0
         }
         
-        // Special case for post-fermentation (Puerh) - relies on method being listed
-        if (teaType.includes('puerh') || processingMethods.some(m => m.includes('ferment'))) {
-            scores["grounding"] = (scores["grounding"] || 0) * 1.1; // Slight boost
-            scores["comforting"] = (scores["comforting"] || 0) * 1.1;
-        }
-
-        // --- 3. Apply specific processing modifiers (kept from original) ---
-        this.applySpecificProcessingModifiers(scores, tea);
+        // --- 3. Apply post-fermentation and processing detail rules (props/AdjustmentRules.js) ---
+        firedRules.push(...this.ruleEngine.apply('processing', tea, scores));
 
         // --- 4. Normalize and Cap Scores ---
         Object.keys(scores).forEach(effect => {
@@ -172,40 +189,8 @@ export class ProcessingCalculator extends BaseCalculator {
         methods.forEach(method => {
             const normalizedMethod = method.toLowerCase().trim();
             
-            // Try exact match first
-            let methodData = this.processingInfluences[normalizedMethod];
-            
-            // If no exact match, try to find a partial match
-            if (!methodData) {
-                const keys = Object.keys(this.processingInfluences);
-                for (const key of keys) {
-                    if (normalizedMethod.includes(key) || key.includes(normalizedMethod)) {
-                        methodData = this.processingInfluences[key];
-                        break;
-                    }
-                }
-            }
-            
-            // If still no match, try component-based matching
-            if (!methodData) {
-                const methodComponents = {
-                    'pan': 'pan-fired',
-                    'fire': 'pan-fired',
-                    'steam': 'steamed',
-                    'roast': 'medium-roast',
-                    'charcoal': 'charcoal-roasted',
-                    'heavy roast': 'heavy-roast',
-                    'light roast': 'light-roast',
-                    'shade': 'shade-grown'
-                };
-                
-                for (const [component, mappedMethod] of Object.entries(methodComponents)) {
-                    if (normalizedMethod.includes(component) && this.processingInfluences[mappedMethod]) {
-                        methodData = this.processingInfluences[mappedMethod];
-                        break;
-                    }
-                }
-            }
+            const match = matchProcessingMethod(normalizedMethod, this.processingInfluences);
+            const methodData = match ? this.processingInfluences[match.key] : null;
             
             if (methodData && methodData.description) {
                 // Just store the description linked to the method for formatting
@@ -242,61 +227,6 @@ export class ProcessingCalculator extends BaseCalculator {
         return relevantEffects;
     }
 
-    // Kept from original - applies modifiers based on specific details
-    applySpecificProcessingModifiers(scores, tea) {
-        if (!tea) {
-            return scores;
-        }
-
-        const processingData = tea.processing || {};
-        const firing = processingData.firing || '';
-        const rollingStyle = processingData.rollingStyle || '';
-        const withering = processingData.withering || '';
-        const processingMethods = processingData.methods || tea?.processingMethods || [];
-
-        // Firing modifiers
-        if (firing.includes('charcoal') || firing.includes('heavy')) {
-            if (scores.grounding) scores.grounding *= 1.2;
-            if (scores.comforting) scores.comforting *= 1.15;
-        } else if (firing.includes('light')) {
-            if (scores.elevating) scores.elevating *= 1.1;
-        }
-
-        // Rolling style modifiers
-        if (rollingStyle.includes('heavy') || rollingStyle.includes('tight')) {
-            if (scores.energizing) scores.energizing *= 1.15;
-        } else if (rollingStyle.includes('light')) {
-            if (scores.calming) scores.calming *= 1.1;
-        }
-
-        // Withering modifiers
-        if (withering.includes('long')) {
-            if (scores.harmonizing) scores.harmonizing *= 1.15;
-        } else if (withering.includes('sun')) {
-            // Sun withering might boost elevating slightly
-            if (scores.elevating) scores.elevating *= 1.1;
-        }
-
-        // Modifiers based on methods array (if specific details aren't separate)
-        if (Array.isArray(processingMethods)) {
-            if (processingMethods.some(m => m.includes('roast') && (m.includes('heavy') || m.includes('charcoal')))) {
-                if (scores.grounding && !firing.includes('heavy') && !firing.includes('charcoal')) scores.grounding *= 1.1; // Avoid double boosting
-                if (scores.comforting && !firing.includes('heavy') && !firing.includes('charcoal')) scores.comforting *= 1.1;
-            }
-            if (processingMethods.some(m => m.includes('shade'))) {
-                if (scores.focusing) scores.focusing *= 1.1; // Shade boost focus
-                if (scores.calming) scores.calming *= 1.05;
-                if (scores.elevating) scores.elevating *= 1.05; // Slight shade boost elevating
-            }
-            if (processingMethods.some(m => m.includes('ferment'))) {
-                if (scores.restorative) scores.restorative *= 1.1; // Ferment boost restorative
-                if (scores.grounding) scores.grounding *= 1.05;
-            }
-        }
-
-        return scores;
-    }
-
     // Override formatInference from BaseCalculator
     formatInference(inference) {
         if (!inference || !inference.methods || inference.methods.length === 0) {
@@ -376,6 +306,7 @@ export class ProcessingCalculator extends BaseCalculator {
                 withering: inference.withering,
                 firing: inference.firing,
                 effects: inference.processingEffects,
+                firedRules: inference.firedRules || [],
                 _sectionRef: "processing"
             }
         };
@@ -384,7 +315,7 @@ export class ProcessingCalculator extends BaseCalculator {
     // Generate a description of the processing methods
     generateProcessingDescription(tea) {
         const processingData = tea?.processing || {};
-        const processingMethods = processingData.methods || tea?.processingMethods || [];
+        const processingMethods = tea?.processingMethods || [];
 
         if (!tea || !processingMethods || !Array.isArray(processingMethods) || processingMethods.length === 0) {
             return 'No processing information available for this tea.';
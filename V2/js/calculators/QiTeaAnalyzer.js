@@ -2,6 +2,18 @@
 // Handles calculations related to traditional tea energy effects (qi) from an East Asian perspective
 
 import { BaseCalculator } from './BaseCalculator.js';
+import { extractCompounds } from '../brewing/extraction.js';
+import { resolveKinetics, concentrationAt } from '../utils/pharmacokinetics.js';
+import { resolveDrinkerProfile, constitutionFit, profileKinetics } from '../utils/drinkerProfile.js';
+import { parseClockTime } from '../utils/clockTime.js';
+import {
+    timeOfDaySlots,
+    energyQualities,
+    timeRecommendations,
+    yinYangThresholds,
+    timeOfDayScoring,
+    defaultBedtime
+} from '../props/TimeOfDay.js';
 
 export class QiTeaAnalyzer extends BaseCalculator {
     constructor(config) {
@@ -28,7 +40,8 @@ export class QiTeaAnalyzer extends BaseCalculator {
                 energyProfile: {},
                 elementalBalance: {},
                 directions: {},
-                qiEffects: {}
+                qiEffects: {},
+                timeOfDay: null
             };
         }
         
@@ -47,12 +60,20 @@ export class QiTeaAnalyzer extends BaseCalculator {
         // Generate description
         const description = this.generateQiDescription(energyProfile, elementalBalance, directions, tea);
         
+        // Score each time of day for the tea's energy and the caffeine it leaves at bedtime
+        const timeOfDay = this.calculateTimeOfDaySuitability(energyProfile, directions, this.calculateBedtimeCaffeine(tea));
+        
+        // Check the tea against the drinker's constitution
+        const constitution = this.calculateConstitutionFit(energyProfile);
+        
         return {
             description,
             energyProfile,
             elementalBalance,
             directions,
-            qiEffects
+            qiEffects,
+            timeOfDay,
+            constitution
         };
     }
     
@@ -124,6 +145,38 @@ export class QiTeaAnalyzer extends BaseCalculator {
             md += 'No specific traditional effects identified.\n';
         }
         
+        // Add time of day suitability
+        if (inference.timeOfDay) {
+            const { slots, best, worst, yinYang, qiMovement } = inference.timeOfDay;
+            md += `\n### Time of Day (${yinYang} nature, ${qiMovement.join(' and ')} qi)\n`;
+            
+            Object.entries(slots).forEach(([slot, { label, score }]) => {
+                const bars = '■'.repeat(Math.floor(score / 2)) + 
+                           '□'.repeat(5 - Math.floor(score / 2));
+                md += `- **${label}**: [${bars}] ${score}/10${slot === best.slot ? ' (best)' : ''}${slot === worst.slot ? ' (worst)' : ''}\n`;
+            });
+            
+            md += `\n**Best: ${slots[best.slot].label}** — ${best.reasons.join('; ') || slots[best.slot].ideal}\n`;
+            if (best.caveats?.length > 0) {
+                md += `*Caveat:* ${best.caveats.join('; ')}\n`;
+            }
+            md += `**Worst: ${slots[worst.slot].label}** — ${worst.reasons.join('; ') || 'fewest qualities in its favour'}\n`;
+        }
+        
+        // Add the fit with the drinker's constitution
+        if (inference.constitution) {
+            const { name, constitution, fit } = inference.constitution;
+            md += `\n### Constitution Fit (${name}: ${constitution.temperature}/${constitution.moisture})\n`;
+            
+            if (fit.length > 0) {
+                fit.forEach(({ fit: kind, note }) => {
+                    md += `- ${kind === 'mismatch' ? '⚠️ **Mismatch**' : '✓ **Suited**'}: ${note}\n`;
+                });
+            } else {
+                md += 'Neither notably suited nor ill-suited to this constitution.\n';
+            }
+        }
+        
         return md;
     }
     
@@ -149,11 +202,135 @@ export class QiTeaAnalyzer extends BaseCalculator {
                 elementalBalance: inference.elementalBalance,
                 directions: inference.directions,
                 effects: inference.qiEffects,
+                timeOfDay: inference.timeOfDay || null,
+                constitution: inference.constitution || null,
                 _sectionRef: "traditionalEnergy"
             }
         };
     }
     
+    // Match the energy profile against the drinker profile's constitution (null without a profile)
+    calculateConstitutionFit(energyProfile) {
+        const profile = resolveDrinkerProfile(this.config.get?.('drinkerProfile'));
+        if (!profile) {
+            return null;
+        }
+        
+        const fit = constitutionFit(profile, energyProfile);
+        return {
+            name: profile.name,
+            constitution: profile.constitution,
+            fit,
+            mismatch: fit.some(entry => entry.fit === 'mismatch')
+        };
+    }
+    
+    // Caffeine a cup of the tea (as brewed, or its type's default brew) drunk at each slot's clock time
+    // leaves in the body at the drinker's bedtime
+    calculateBedtimeCaffeine(tea) {
+        const { compounds } = extractCompounds(tea, tea.brewing || {});
+        const profile = resolveDrinkerProfile(this.config.get?.('drinkerProfile'));
+        const parameters = resolveKinetics(profileKinetics(profile, this.config.get?.('pharmacokinetics')));
+        const kinetics = parameters.compounds.caffeine;
+        const bedtime = profile?.bedtime || defaultBedtime;
+        
+        const residualMg = {};
+        Object.entries(timeOfDaySlots).forEach(([slot, { clock }]) => {
+            let minutesToBed = parseClockTime(bedtime) - parseClockTime(clock);
+            if (minutesToBed <= 0) minutesToBed += 1440;
+            const amount = concentrationAt(compounds.caffeine.cupMg, kinetics, parameters.bodyWeight, minutesToBed)
+                * kinetics.volumeOfDistribution * parameters.bodyWeight;
+            residualMg[slot] = Math.round(amount * 10) / 10;
+        });
+        
+        return { bedtime, limit: this.config.get?.('bedtimeCaffeineLimit') ?? 50, residualMg };
+    }
+    
+    // Score how well each time slot suits the tea's energy, with the best and worst slots and why
+    calculateTimeOfDaySuitability(energyProfile, directions, bedtimeCaffeine = null) {
+        const { base, suited, avoided, yinYang: yinYangBonus, qiMovement: qiMovementBonus, caffeine: caffeinePenalty } = timeOfDayScoring;
+        
+        // Qualities the tea shows: every energy range and the secondary direction must match
+        const shows = (quality) => {
+            const conditions = energyQualities[quality];
+            if (!conditions) return false;
+            return Object.entries(conditions).every(([key, condition]) => {
+                if (key === 'secondary') return condition.includes(directions.secondary);
+                const level = energyProfile[key];
+                if (typeof level !== 'number') return false;
+                if (condition.min !== undefined && level < condition.min) return false;
+                if (condition.max !== undefined && level > condition.max) return false;
+                return true;
+            });
+        };
+        
+        // Yin-yang nature from the energy temperature, qi movement from the directions
+        const yinYang = energyProfile.temperature >= yinYangThresholds.yang ? 'yang'
+            : energyProfile.temperature <= yinYangThresholds.yin ? 'yin' : 'balanced';
+        const qiMovement = [];
+        if (directions.primary?.includes('Upward')) qiMovement.push('rising');
+        if (directions.primary?.includes('Downward')) qiMovement.push('descending');
+        if (directions.secondary === 'Outward') qiMovement.push('expanding');
+        if (directions.secondary === 'Inward') qiMovement.push('contracting');
+        if (qiMovement.length === 0) qiMovement.push('balanced');
+        
+        const slots = {};
+        Object.entries(timeOfDaySlots).forEach(([slot, details]) => {
+            const name = details.label.toLowerCase();
+            const suitedQualities = details.suited.filter(shows);
+            const avoidedQualities = details.avoided.filter(shows);
+            const yinYangSuits = timeRecommendations.yinYang[yinYang].includes(slot);
+            const movementsSuiting = qiMovement.filter(movement => timeRecommendations.qiMovement[movement]?.includes(slot));
+            
+            const reasonsFor = [
+                ...suitedQualities.map(quality => `${quality} energy suits the ${name}`),
+                ...(yinYangSuits ? [`${yinYang} nature suits the ${name}`] : []),
+                ...movementsSuiting.map(movement => `${movement} qi suits the ${name}`)
+            ];
+            const reasonsAgainst = avoidedQualities.map(quality => `${quality} energy is best avoided in the ${name}`);
+            
+            // Caffeine still in the body at bedtime counts against the slot, in proportion to the limit
+            const residualMg = bedtimeCaffeine?.residualMg[slot] ?? 0;
+            const caffeineShare = bedtimeCaffeine ? residualMg / bedtimeCaffeine.limit : 0;
+            if (caffeineShare >= 0.5) {
+                reasonsAgainst.push(`a cup in the ${name} leaves ${Math.round(residualMg)} mg of caffeine at bedtime (${bedtimeCaffeine.bedtime})`);
+            }
+            
+            const score = base
+                + suitedQualities.length * suited
+                - avoidedQualities.length * avoided
+                + (yinYangSuits ? yinYangBonus : 0)
+                + movementsSuiting.length * qiMovementBonus
+                - caffeineShare * caffeinePenalty;
+            
+            slots[slot] = {
+                label: details.label,
+                description: details.description,
+                score: Math.round(Math.min(10, Math.max(0, score)) * 10) / 10,
+                suited: suitedQualities,
+                avoided: avoidedQualities,
+                bedtimeCaffeineMg: residualMg,
+                reasonsFor,
+                reasonsAgainst
+            };
+        });
+        
+        // Ties go to the earlier slot for the best and the later slot for the worst
+        const ranked = Object.keys(slots);
+        const bestSlot = ranked.reduce((best, slot) => slots[slot].score > slots[best].score ? slot : best);
+        const worstSlot = ranked.reduce((worst, slot) => slots[slot].score <= slots[worst].score ? slot : worst);
+        
+        // The best slot is explained by what speaks for it (and what still speaks against it), the worst by what speaks against it
+        return {
+            yinYang,
+            qiMovement,
+            bedtime: bedtimeCaffeine?.bedtime || null,
+            slots,
+            best: { slot: bestSlot, score: slots[bestSlot].score, reasons: slots[bestSlot].reasonsFor, caveats: slots[bestSlot].reasonsAgainst },
+            worst: { slot: worstSlot, score: slots[worstSlot].score, reasons: slots[worstSlot].reasonsAgainst }
+        };
+    }
+    
     // Helper method to capitalize first letter
     capitalizeFirstLetter(string) {
         if (!string) return '';
@@ -2,11 +2,14 @@
 // Handles calculations related to seasonal influence on tea effects
 
 import { BaseCalculator } from './BaseCalculator.js';
+import { adjustmentRules } from '../props/AdjustmentRules.js';
+import { RuleEngine } from '../utils/RuleEngine.js';
 
 export class SeasonCalculator extends BaseCalculator {
     constructor(config) {
         super(config);
         this.seasonalFactors = {};
+        this.ruleEngine = new RuleEngine(adjustmentRules);
     }
     
     // Set seasonal factors data
@@ -14,6 +17,11 @@ export class SeasonCalculator extends BaseCalculator {
         this.seasonalFactors = seasonalFactors || {};
     }
     
+    // Replace the adjustment rules (props/AdjustmentRules.js format)
+    setAdjustmentRules(rules) {
+        this.ruleEngine.setRules(rules);
+    }
+    
     // Override infer method from BaseCalculator
     infer(tea) {
         if (!tea || !tea.geography || !tea.geography.harvestMonth) {
@@ -34,7 +42,8 @@ export class SeasonCalculator extends BaseCalculator {
         const seasonDescription = this.generateSeasonDescription(seasonName, tea);
         
         // Calculate seasonal scores
-        const seasonalScores = this.calculateSeasonalScores(seasonName, tea);
+        const firedRules = [];
+        const seasonalScores = this.calculateSeasonalScores(seasonName, tea, firedRules);
         
         return {
             description: seasonDescription,
@@ -42,7 +51,8 @@ export class SeasonCalculator extends BaseCalculator {
             harvestMonth,
             hemisphere: latitude >= 0 ? 'Northern' : 'Southern',
             seasonalEffects,
-            seasonalScores
+            seasonalScores,
+            firedRules
         };
     }
     
@@ -116,6 +126,7 @@ export class SeasonCalculator extends BaseCalculator {
                 harvestMonth: inference.harvestMonth,
                 hemisphere: inference.hemisphere,
                 effects: inference.seasonalEffects,
+                firedRules: inference.firedRules || [],
                 _sectionRef: "seasonal"
             }
         };
@@ -289,7 +300,8 @@ export class SeasonCalculator extends BaseCalculator {
     }
     
     // Calculate seasonal scores for effects
-    calculateSeasonalScores(seasonName, tea) {
+    // Adjustment rules that fire are appended to firedRules
+    calculateSeasonalScores(seasonName, tea, firedRules = []) {
         const scores = {};
         const seasonalEffects = this.getSeasonalEffects(seasonName, tea.type);
         
@@ -298,51 +310,8 @@ export class SeasonCalculator extends BaseCalculator {
             scores[effect] = details.intensity;
         });
         
-        // Apply modifiers based on tea characteristics
-        this.applyTeaSpecificModifiers(scores, tea);
-        
-        return scores;
-    }
-    
-    // Apply modifiers based on specific tea characteristics
-    applyTeaSpecificModifiers(scores, tea) {
-        if (!tea) return scores;
-        
-        // Altitude modifiers
-        if (tea.geography && tea.geography.altitude) {
-            const altitude = tea.geography.altitude;
-            
-            // High altitude enhances focusing and elevating effects
-            if (altitude > 1000) {
-                if (scores.focusing) scores.focusing *= 1.2;
-                if (scores.elevating) scores.elevating *= 1.2;
-            }
-            // Low altitude enhances grounding effects
-            else if (altitude < 500) {
-                if (scores.grounding) scores.grounding *= 1.2;
-                if (scores.comforting) scores.comforting *= 1.1;
-            }
-        }
-        
-        // L-theanine to caffeine ratio modifiers
-        if (tea.lTheanineLevel && tea.caffeineLevel && tea.caffeineLevel > 0) {
-            const ratio = tea.lTheanineLevel / tea.caffeineLevel;
-            
-            // High L-theanine ratio enhances calming and focusing
-            if (ratio > 1.5) {
-                if (scores.calming) scores.calming *= 1.2;
-                if (scores.focusing) scores.focusing *= 1.1;
-            }
-            // Low ratio enhances energizing
-            else if (ratio < 0.8) {
-                if (scores.energizing) scores.energizing *= 1.2;
-            }
-        }
-        
-        // Cap all scores at 10
-        Object.keys(scores).forEach(effect => {
-            scores[effect] = Math.min(10, scores[effect]);
-        });
+        // Apply altitude and compound ratio rules (props/AdjustmentRules.js)
+        firedRules.push(...this.ruleEngine.apply('seasonal', tea, scores));
         
         return scores;
     }
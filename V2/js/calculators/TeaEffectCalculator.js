@@ -11,6 +11,10 @@ import { InteractionCalculator } from './InteractionCalculator.js';
 import { TeaTypeCalculator } from './TeaTypeCalculator.js';
 import { SeasonCalculator } from './SeasonCalculator.js';
 import { normalizeScores, enhanceDominantEffect } from '../utils/normalization.js';
+import { extractCompounds } from '../brewing/extraction.js';
+import { ScoreTrace } from '../utils/ScoreTrace.js';
+import { RuleEngine, applyRuleOverrides } from '../utils/RuleEngine.js';
+import { adjustmentRules } from '../props/AdjustmentRules.js';
 import { effectMapping, teaTypeEffects } from '../props/EffectMapping.js';
 
 export class TeaEffectCalculator extends BaseCalculator {
@@ -22,6 +26,7 @@ export class TeaEffectCalculator extends BaseCalculator {
         this.processingInfluences = {};
         this.effectCombinations = {};
         this.geographicalInfluences = {};
+        this.ruleEngine = new RuleEngine(applyRuleOverrides(adjustmentRules, this.config.get?.('adjustmentRuleOverrides')));
         
         // Initialize the calculators
         this.teaTypeCalculator = new TeaTypeCalculator(this.config);
@@ -103,6 +108,13 @@ export class TeaEffectCalculator extends BaseCalculator {
         }
     }
 
+    // Replace the adjustment rules here and in the component calculators that use them
+    setAdjustmentRules(rules) {
+        this.ruleEngine.setRules(rules);
+        this.processingCalculator.setAdjustmentRules(rules);
+        this.seasonCalculator.setAdjustmentRules(rules);
+    }
+
     // Override infer method from BaseCalculator
     infer(tea) {
         if (!tea) {
@@ -120,7 +132,8 @@ export class TeaEffectCalculator extends BaseCalculator {
                     seasonal: {}
                 },
                 scoreProgression: {},
-                comparison: null
+                comparison: null,
+                firedRules: []
             };
         }
 
@@ -154,16 +167,42 @@ export class TeaEffectCalculator extends BaseCalculator {
             baseScores, processingScores, geographyScores, flavorScores, compoundScores, seasonalScores
         );
 
-        // Calculate final scores with weights
-        const finalScores = this.calculateFinalScores(tea);
+        // Calculate final scores with weights, tracing them when the config asks for it
+        const trace = this.config.get('traceScores') ? new ScoreTrace() : null;
+        const finalRules = [];
+        const finalScores = this.calculateFinalScores(tea, trace, finalRules);
+        
+        // Every adjustment rule that fired, across the component stages and the final blend
+        const firedRules = [
+            ...(processingResult.data?.processing?.firedRules || []),
+            ...(seasonalResult.data?.seasonal?.firedRules || []),
+            ...finalRules
+        ];
         
         // Apply interactions after calculating all component scores
         const interactionScores = this.interactionCalculator.applyEffectInteractions(tea, finalScores);
+        trace?.recordTransform('interaction', 'InteractionCalculator', finalScores, interactionScores,
+            'Effect synergies, balancing rules and complementary/opposing effects');
+        
+        // Normalizing put the top effect at 10 however weak the cup; scale a weaker brew than the default back down
+        const strength = tea.brewing && this.config.get('normalizeScores', true)
+            ? extractCompounds(tea, tea.brewing).strength
+            : 1;
+        if (strength < 1) {
+            const beforeStrength = { ...interactionScores };
+            Object.keys(interactionScores).forEach(effect => {
+                interactionScores[effect] *= strength;
+            });
+            trace?.recordTransform('brew-strength', 'extractCompounds', beforeStrength, interactionScores,
+                `Scale by cup strength ${strength.toFixed(2)} relative to the default brew`);
+        }
         
         // Normalize final scores
+        const beforeClamp = { ...interactionScores };
         Object.keys(interactionScores).forEach(effect => {
             interactionScores[effect] = Math.min(10, Math.max(0, interactionScores[effect]));
         });
+        trace?.recordTransform('clamp', 'clamp', beforeClamp, interactionScores, 'Clamp to 0-10');
 
         // Get top effects
         const sortedEffects = Object.entries(interactionScores)
@@ -209,6 +248,8 @@ export class TeaEffectCalculator extends BaseCalculator {
             scoreProgression,
             finalScores: interactionScores,
             comparison,
+            firedRules,
+            trace,
             originalExpectedEffects: tea.expectedEffects // Keep for reference
         };
     }
@@ -240,7 +281,7 @@ export class TeaEffectCalculator extends BaseCalculator {
 
         // Add seasonal scores
         Object.entries(seasonalScores).forEach(([effect, score]) => {
-            currentScores[effect] = (currentScores[effect] || 0) + score * (weights.seasonal || 0.1);
+            currentScores[effect] = (currentScores[effect] || 0) + score * (weights.seasonal ?? 0.1);
         });
         scoreProgression.withSeasonalScores = { ...currentScores };
 
@@ -314,6 +355,21 @@ export class TeaEffectCalculator extends BaseCalculator {
             }
         }
         
+        // Adjustment rules that fired
+        if (inference.firedRules && inference.firedRules.length > 0) {
+            output += `\n### Adjustment Rules Applied\n\n`;
+            for (const rule of inference.firedRules) {
+                output += `- **${rule.id}** (${rule.stage}): ${rule.description}\n`;
+            }
+        }
+        
+        // Provenance of the headline effects when tracing is on
+        if (inference.trace) {
+            const traced = [dominantEffect, ...(supportingEffects || [])].filter(Boolean).map(effect => effect.id);
+            output += `\n### Score Trace\n\n`;
+            output += inference.trace.toMarkdown(traced);
+        }
+        
         return output;
     }
 
@@ -327,7 +383,9 @@ export class TeaEffectCalculator extends BaseCalculator {
             componentScores: inference.componentScores,
             scoreProgression: inference.scoreProgression,
             finalScores: inference.finalScores,
-            comparison: inference.comparison
+            comparison: inference.comparison,
+            firedRules: inference.firedRules,
+            ...(inference.trace ? { trace: inference.trace.toJSON() } : {})
         };
     }
 
@@ -353,7 +411,9 @@ export class TeaEffectCalculator extends BaseCalculator {
     }
 
     // Calculate final scores with component weighting
-    calculateFinalScores(tea) {
+    // Pass a ScoreTrace to record every contribution and adjustment per effect,
+    // and an array to collect the adjustment rules that fired
+    calculateFinalScores(tea, trace = null, firedRules = []) {
         const weights = this.config.get('componentWeights');
         
         // Get all component scores
@@ -371,92 +431,44 @@ export class TeaEffectCalculator extends BaseCalculator {
         const geographyScores = geographyResult.data?.geographyScores || {};
         const seasonalScores = seasonalResult.data?.seasonalScores || {};
         
-        // Initialize finalScores with base scores
-        let finalScores = {};
-        Object.entries(baseScores).forEach(([effect, score]) => {
-            finalScores[effect] = score * weights.teaType;
-        });
-        
-        // Add compound scores
-        Object.entries(compoundScores).forEach(([effect, score]) => {
-            finalScores[effect] = (finalScores[effect] || 0) + score * weights.compounds;
-        });
-        
-        // Add flavor scores
-        Object.entries(flavorScores).forEach(([effect, score]) => {
-            finalScores[effect] = (finalScores[effect] || 0) + score * weights.flavors;
-        });
-        
-        // Add processing scores
-        Object.entries(processingScores).forEach(([effect, score]) => {
-            finalScores[effect] = (finalScores[effect] || 0) + score * weights.processing;
-        });
-        
-        // Add geography scores
-        Object.entries(geographyScores).forEach(([effect, score]) => {
-            finalScores[effect] = (finalScores[effect] || 0) + score * weights.geography;
-        });
+        // Blend the weighted component scores, in the order they are applied
+        const components = [
+            ['teaType', baseScores, weights.teaType],
+            ['compounds', compoundScores, weights.compounds],
+            ['flavors', flavorScores, weights.flavors],
+            ['processing', processingScores, weights.processing],
+            ['geography', geographyScores, weights.geography],
+            ['seasonal', seasonalScores, weights.seasonal ?? 0.1]
+        ];
         
-        // Add seasonal scores
-        Object.entries(seasonalScores).forEach(([effect, score]) => {
-            finalScores[effect] = (finalScores[effect] || 0) + score * (weights.seasonal || 0.1);
+        let finalScores = {};
+        components.forEach(([source, scores, weight]) => {
+            Object.entries(scores).forEach(([effect, score]) => {
+                const before = finalScores[effect] || 0;
+                finalScores[effect] = before + score * weight;
+                trace?.recordContribution(effect, source, score, weight, before, finalScores[effect]);
+            });
         });
         
-        // Apply effect balancing adjustments
-        if (finalScores.energizing) {
-            finalScores.energizing *= 0.85; // Reduce by 15%
-        }
-        
-        if (finalScores.elevating) {
-            finalScores.elevating *= 1.5; // Boost by 50%
-        }
-        
-        if (finalScores.comforting) {
-            finalScores.comforting *= 1.4; // Boost by 40%
-        }
-        
-        if (finalScores.grounding) {
-            finalScores.grounding *= 1.35; // Boost by 35%
-        }
-        
-        // Apply Tea-Type Specific Adjustments
-        if (tea.type && tea.processingMethods) {
-            // For shade-grown Japanese teas (Gyokuro, Matcha)
-            if (tea.type === 'green' && 
-                tea.processingMethods.includes('shade-grown') && 
-                tea.origin?.includes('Japan')) {
-                finalScores.focusing = (finalScores.focusing || 0) * 1.3;
-                finalScores.elevating = (finalScores.elevating || 0) * 1.4;
-            }
-
-            // For Dan Cong oolongs
-            if (tea.type === 'oolong' && tea.name?.includes('Dan Cong')) {
-                finalScores.elevating = (finalScores.elevating || 0) * 1.5;
-            }
-
-            // For puerh teas
-            if (tea.type.includes('puerh')) {
-                finalScores.grounding = (finalScores.grounding || 0) * 1.4;
-                
-                // Specifically for aged puerh
-                if (tea.processingMethods.includes('aged') || 
-                    tea.processingMethods.includes('pile-fermented')) {
-                    finalScores.grounding = (finalScores.grounding || 0) * 1.3;
-                    finalScores.comforting = (finalScores.comforting || 0) * 1.3;
-                }
-            }
-        }
+        // Apply the balancing and tea-specific adjustment rules (props/AdjustmentRules.js)
+        firedRules.push(...this.ruleEngine.apply('final', tea, finalScores, trace));
         
         // Normalize scores
         if (this.config.get('normalizeScores', true)) {
+            const beforeNormalization = { ...finalScores };
             finalScores = normalizeScores(finalScores);
+            trace?.recordTransform('normalize', 'normalizeScores', beforeNormalization, finalScores,
+                'Scale to 0-10 against the top effect (harmonizing capped near the top non-harmonizing effect)');
             
             // Enhance dominant effect
             const dominantEffect = Object.entries(finalScores)
                 .sort(([, a], [, b]) => b - a)[0];
             
             if (dominantEffect && dominantEffect[1] >= this.config.get('dominantEffectThreshold', 7.0)) {
+                const beforeEnhancement = { ...finalScores };
                 finalScores = enhanceDominantEffect(finalScores, dominantEffect[0]);
+                trace?.recordTransform('enhance', 'enhanceDominantEffect', beforeEnhancement, finalScores,
+                    `Separate dominant effect "${dominantEffect[0]}" from the supporting effects`);
             }
         }
         
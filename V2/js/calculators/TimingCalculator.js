@@ -2,6 +2,21 @@
 // Handles calculations related to tea effect timing and duration
 
 import { BaseCalculator } from './BaseCalculator.js';
+import { extractCompounds } from '../brewing/extraction.js';
+import { simulateConcentrations, deriveTiming, concentrationAt } from '../utils/pharmacokinetics.js';
+import { compoundKinetics } from '../props/Pharmacokinetics.js';
+import { chronotypes } from '../props/DrinkerProfiles.js';
+import { resolveDrinkerProfile, profileKinetics } from '../utils/drinkerProfile.js';
+import { parseClockTime, formatClockTime } from '../utils/clockTime.js';
+
+// The five effect phases, in order; their boundaries come from deriveTiming
+const effectPhases = [
+    { name: 'Initial onset', description: 'The first subtle effects begin to emerge as compounds start to be absorbed.' },
+    { name: 'Rising effects', description: 'Effects progressively intensify as compounds reach higher blood concentrations.' },
+    { name: 'Peak effects', description: 'Maximum intensity of effects as compounds reach optimal concentrations.' },
+    { name: 'Sustained effects', description: 'Effects maintain a steady presence with gradual reduction in intensity.' },
+    { name: 'Tapering effects', description: 'Effects gradually diminish as compounds are metabolized and cleared.' }
+];
 
 export class TimingCalculator extends BaseCalculator {
     constructor(config) {
@@ -44,6 +59,12 @@ export class TimingCalculator extends BaseCalculator {
         // Calculate timing-specific effects
         const timingEffects = this.calculateTimingEffects(timing, phases, tea);
         
+        // Fit the cup into the drinker's day
+        const profile = resolveDrinkerProfile(this.config.get?.('drinkerProfile'));
+        if (profile) {
+            timing.profile = this.calculateProfileTiming(timing, profile);
+        }
+        
         // Generate description
         const description = this.generateTimingDescription(timing, phases, tea);
         
@@ -72,6 +93,21 @@ export class TimingCalculator extends BaseCalculator {
         md += `- **Peak Effects**: ${inference.timing.peak} minutes\n`;
         md += `- **Total Duration**: ${inference.timing.duration} minutes\n\n`;
         
+        // Add the concentration curves the timing is read from
+        if (inference.timing.pharmacokinetics) {
+            md += this.formatConcentrationCurves(inference.timing.pharmacokinetics);
+        }
+        
+        // Add when the drinker should have the cup
+        if (inference.timing.profile) {
+            const { name, bedtime, latestCup, alertWindow, caffeineLimit } = inference.timing.profile;
+            md += `### Timing for ${name}\n`;
+            md += `- **Most alert**: ${alertWindow[0]}-${alertWindow[1]}\n`;
+            md += latestCup
+                ? `- **Latest cup**: ${latestCup} (under ${caffeineLimit} mg of caffeine left by bedtime at ${bedtime})\n\n`
+                : `- **Latest cup**: any time (the cup never puts ${caffeineLimit} mg of caffeine in the body)\n\n`;
+        }
+        
         // Add effect phases
         md += '### Effect Phases\n';
         
@@ -130,6 +166,8 @@ export class TimingCalculator extends BaseCalculator {
             };
         }
         
+        const pharmacokinetics = inference.timing.pharmacokinetics;
+        
         return {
             timing: {
                 description: inference.description,
@@ -138,140 +176,121 @@ export class TimingCalculator extends BaseCalculator {
                 duration: inference.timing.duration,
                 phases: inference.phases,
                 effects: inference.timingEffects,
+                pharmacokinetics: pharmacokinetics ? {
+                    doses: pharmacokinetics.doses,
+                    compounds: pharmacokinetics.compounds,
+                    curve: pharmacokinetics.curve.map(point => Object.fromEntries(
+                        Object.entries(point).map(([key, value]) => [key, Math.round(value * 1000) / 1000])
+                    ))
+                } : null,
+                profile: inference.timing.profile || null,
                 _sectionRef: "timing"
             }
         };
     }
     
-    // Calculate base timing for tea effects
-    calculateBaseTiming(tea) {
-        // Default values for a standard tea
-        let onset = 15;     // 15 minutes until effects begin
-        let peak = 30;      // 30 minutes until peak effects
-        let duration = 180; // 3 hours total duration
-        
-        // Extract key factors
-        const teaType = tea.type || '';
-        const caffeineLevel = tea.caffeineLevel || 0;
-        const lTheanineLevel = tea.lTheanineLevel || 0;
-        
-        // Adjust based on caffeine level (higher = faster onset, longer duration)
-        if (caffeineLevel > 0) {
-            onset = Math.max(5, onset - (caffeineLevel - 5));
-            peak = Math.max(20, peak - (caffeineLevel - 5) * 2);
-            duration = Math.min(360, duration + (caffeineLevel * 15));
+    // Chart the concentration of each compound every half hour
+    formatConcentrationCurves(pharmacokinetics) {
+        const compounds = Object.keys(pharmacokinetics.compounds)
+            .filter(compound => pharmacokinetics.compounds[compound].cmax > 0);
+        if (compounds.length === 0) {
+            return '';
         }
         
-        // Adjust based on L-theanine level (higher = gentler onset, longer duration)
-        if (lTheanineLevel > 0) {
-            onset = Math.min(25, onset + (lTheanineLevel - 5));
-            peak = Math.min(45, peak + (lTheanineLevel - 5) * 2);
-            duration = Math.min(360, duration + (lTheanineLevel * 10));
-        }
+        let md = '### Blood Concentration\n';
+        compounds.forEach(compound => {
+            const { dose, cmax, tmax } = pharmacokinetics.compounds[compound];
+            md += `- **${compoundKinetics[compound].label}**: ${dose.toFixed(0)} mg in the cup, `;
+            md += `peaking at ${cmax.toFixed(2)} mg/L after ${tmax} minutes\n`;
+        });
+        md += '\n```\n';
+        md += `${'min'.padStart(4)}  ${compounds.map(compound => compoundKinetics[compound].label.padEnd(21)).join('  ')}\n`;
+        pharmacokinetics.curve
+            .filter(point => point.minute % 30 === 0)
+            .forEach(point => {
+                const columns = compounds.map(compound => {
+                    const share = point[compound] / pharmacokinetics.compounds[compound].cmax;
+                    return `${'█'.repeat(Math.round(share * 15)).padEnd(15)} ${point[compound].toFixed(2).padStart(5)}`;
+                });
+                md += `${String(point.minute).padStart(4)}  ${columns.join('  ')}\n`;
+            });
+        md += '```\n\n';
         
-        // Adjust based on tea type
-        if (teaType === 'green') {
-            // Green tea: faster onset, moderate duration
-            onset = Math.max(5, onset - 3);
-            duration = Math.min(240, duration + 20);
-        } else if (teaType === 'black') {
-            // Black tea: fast onset, shorter duration
-            onset = Math.max(5, onset - 5);
-            peak = Math.max(15, peak - 5);
-            duration = Math.max(120, duration - 30);
-        } else if (teaType === 'white') {
-            // White tea: gentle onset, moderate duration
-            onset = Math.min(25, onset + 5);
-            peak = Math.min(45, peak + 10);
-            duration = Math.min(270, duration + 30);
-        } else if (teaType.includes('puerh') || teaType === 'dark') {
-            // Puerh/dark tea: moderate onset, long duration
-            onset = Math.min(20, onset + 2);
-            peak = Math.min(40, peak + 5);
-            duration = Math.min(480, duration + 120);
-        } else if (teaType === 'oolong') {
-            // Oolong: balanced timing
-            duration = Math.min(300, duration + 60);
-        }
+        return md;
+    }
+    
+    // Calculate base timing from the plasma concentration curves of one cup
+    calculateBaseTiming(tea) {
+        const pharmacokinetics = this.simulatePharmacokinetics(tea);
+        const { onset, peak, duration, boundaries } = deriveTiming(pharmacokinetics);
         
-        // Process-specific adjustments (if available)
-        if (tea.processing) {
-            if (tea.processing.oxidationLevel > 70) {
-                // High oxidation: faster onset
-                onset = Math.max(5, onset - 3);
-                peak = Math.max(15, peak - 5);
-            } else if (tea.processing.oxidationLevel < 20) {
-                // Low oxidation: gentler onset
-                onset = Math.min(25, onset + 3);
-            }
-            
-            // Firing methods can affect duration
-            if (tea.processing.firing && tea.processing.firing.includes('charcoal')) {
-                // Charcoal firing: longer duration
-                duration = Math.min(360, duration + 60);
-            }
-        }
+        // Keep the curve up to the end of the effects
+        pharmacokinetics.curve = pharmacokinetics.curve.filter(point => point.minute <= duration);
         
         return {
             onset,
             peak,
-            duration
+            duration,
+            boundaries,
+            pharmacokinetics
         };
     }
     
-    // Calculate effect phases based on timing
-    calculateEffectPhases(timing, tea) {
-        const { onset, peak, duration } = timing;
-        const phases = [];
-        
-        // Phase 1: Initial onset
-        phases.push({
-            name: 'Initial onset',
-            start: 0,
-            end: onset,
-            description: 'The first subtle effects begin to emerge as compounds start to be absorbed.',
-            effects: this.calculatePhaseEffects(1, tea)
-        });
-        
-        // Phase 2: Rising effects
-        phases.push({
-            name: 'Rising effects',
-            start: onset,
-            end: peak,
-            description: 'Effects progressively intensify as compounds reach higher blood concentrations.',
-            effects: this.calculatePhaseEffects(2, tea)
-        });
-        
-        // Phase 3: Peak effects
-        const peakDuration = Math.round(duration * 0.25); // Peak lasts about 1/4 of total duration
-        phases.push({
-            name: 'Peak effects',
-            start: peak,
-            end: peak + peakDuration,
-            description: 'Maximum intensity of effects as compounds reach optimal concentrations.',
-            effects: this.calculatePhaseEffects(3, tea)
-        });
+    // Simulate caffeine and L-theanine in the blood after the cup the tea's brewing parameters
+    // (or its type's default brew) produce
+    simulatePharmacokinetics(tea) {
+        const { compounds } = extractCompounds(tea, tea.brewing || {});
+        const doses = {
+            caffeine: compounds.caffeine.cupMg,
+            lTheanine: compounds.lTheanine.cupMg
+        };
         
-        // Phase 4: Sustained effects
-        const sustainedEnd = Math.round(duration * 0.75); // Sustained lasts until 3/4 of duration
-        phases.push({
-            name: 'Sustained effects',
-            start: peak + peakDuration,
-            end: sustainedEnd,
-            description: 'Effects maintain a steady presence with gradual reduction in intensity.',
-            effects: this.calculatePhaseEffects(4, tea)
-        });
+        // A drinker profile changes body weight, caffeine clearance and the level caffeine is noticed at
+        const profile = resolveDrinkerProfile(this.config.get?.('drinkerProfile'));
+        return simulateConcentrations(doses, profileKinetics(profile, this.config.get?.('pharmacokinetics')));
+    }
+    
+    // Latest time of day the cup can be drunk while leaving at most bedtimeCaffeineLimit mg of caffeine
+    // in the body at the drinker's bedtime (null if it never holds that much), and the hours the
+    // drinker's chronotype is most alert
+    calculateProfileTiming(timing, profile) {
+        const { doses, parameters } = timing.pharmacokinetics;
+        const kinetics = parameters.compounds.caffeine;
+        const caffeineLimit = this.config.get?.('bedtimeCaffeineLimit') ?? 50;
+        const amountAt = minute => concentrationAt(doses.caffeine, kinetics, parameters.bodyWeight, minute)
+            * kinetics.volumeOfDistribution * parameters.bodyWeight;
+        
+        // The last minute after drinking that caffeine is still over the limit, up to two days out
+        let lead = 0;
+        for (let minute = 0; minute <= 2880; minute += parameters.step) {
+            if (amountAt(minute) > caffeineLimit) lead = minute + parameters.step;
+        }
         
-        // Phase 5: Tapering effects
-        phases.push({
-            name: 'Tapering effects',
-            start: sustainedEnd,
-            end: duration,
-            description: 'Effects gradually diminish as compounds are metabolized and cleared.',
-            effects: this.calculatePhaseEffects(5, tea)
-        });
+        return {
+            name: profile.name,
+            chronotype: profile.chronotype,
+            bedtime: profile.bedtime,
+            latestCup: lead > 0 ? formatClockTime(parseClockTime(profile.bedtime) - lead) : null,
+            hoursBeforeBed: Math.round(lead / 6) / 10,
+            alertWindow: chronotypes[profile.chronotype].alertWindow,
+            caffeineLimit
+        };
+    }
+    
+    // Calculate effect phases from the boundaries read off the concentration curves
+    calculateEffectPhases(timing, tea) {
+        const { boundaries = [] } = timing;
+        if (boundaries.length === 0) {
+            return [];
+        }
         
-        return phases;
+        return effectPhases.map((phase, index) => ({
+            name: phase.name,
+            start: boundaries[index],
+            end: boundaries[index + 1],
+            description: phase.description,
+            effects: this.calculatePhaseEffects(index + 1, tea)
+        }));
     }
     
     // Calculate the effects for each phase
@@ -451,7 +470,7 @@ export class TimingCalculator extends BaseCalculator {
         }
         
         // Effect: Crash-free
-        if (teaType === 'puerh' || teaType === 'oolong' || (lTheanineLevel > caffeineLevel * 0.8)) {
+        if (phases.length > 0 && (teaType === 'puerh' || teaType === 'oolong' || (lTheanineLevel > caffeineLevel * 0.8))) {
             effects.crashFree = {
                 description: 'Energy levels taper off smoothly without the crash often associated with caffeine.',
                 duration: phases[4].end - phases[3].start // Duration from start of sustained to end of tapering
@@ -514,6 +533,11 @@ export class TimingCalculator extends BaseCalculator {
             description += 'The effects have a relatively short duration compared to other teas. ';
         }
         
+        if (timing.profile?.latestCup) {
+            const { name, bedtime, latestCup } = timing.profile;
+            description += `For ${name}, with a bedtime of ${bedtime}, the last cup should be drunk by about ${latestCup}. `;
+        }
+        
         return description;
     }
 } 
\ No newline at end of file
@@ -0,0 +1,244 @@
+import { defaultDrinkerProfile, caffeineSensitivities, metabolizerTypes, chronotypes } from '../props/DrinkerProfiles.js';
+
+// localStorage key holding { profiles: { [name]: profile }, active: name|null }
+const STORAGE_KEY = 'cha.drinkerProfiles';
+
+// Read the stored profiles, tolerating a missing or corrupt entry
+function loadStore() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (stored && typeof stored.profiles === 'object') {
+            return { profiles: stored.profiles, active: stored.active || null };
+        }
+    } catch (error) {
+        console.warn('Ignoring unreadable drinker profiles:', error);
+    }
+    return { profiles: {}, active: null };
+}
+
+function saveStore(store) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+}
+
+// Profile names are typed by the user; keep them from breaking the markup
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+class DrinkerProfilePanel extends HTMLElement {
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+
+        // Default state
+        this._store = { profiles: {}, active: null };
+    }
+
+    connectedCallback() {
+        this._store = loadStore();
+        this.render();
+
+        // Let the page pick up a profile restored from an earlier visit
+        if (this.activeProfile) {
+            this.dispatchProfileChanged();
+        }
+    }
+
+    // The profile analyses should use, or null for the default drinker
+    get activeProfile() {
+        return this._store.profiles[this._store.active] || null;
+    }
+
+    render() {
+        const names = Object.keys(this._store.profiles);
+        const profile = this.activeProfile || { ...defaultDrinkerProfile, name: '' };
+        const options = (choices, selected) => Object.entries(choices)
+            .map(([value, { label }]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`)
+            .join('');
+        const plainOptions = (values, selected) => values
+            .map(value => `<option value="${value}" ${value === selected ? 'selected' : ''}>${value}</option>`)
+            .join('');
+
+        this.shadowRoot.innerHTML = `
+            <style>
+                :host {
+                    display: block;
+                    width: 100%;
+                    background-color: #f8f9fa;
+                    border-right: 1px solid #e0e0e0;
+                    border-top: 1px solid #e0e0e0;
+                }
+
+                .profile-container {
+                    padding: 1.5rem;
+                }
+
+                .profile-title {
+                    margin-top: 0;
+                    margin-bottom: 1rem;
+                    font-size: 1.25rem;
+                    font-weight: 600;
+                    color: #2c3e50;
+                }
+
+                select, input {
+                    width: 100%;
+                    box-sizing: border-box;
+                    padding: 0.5rem;
+                    font-size: 0.9rem;
+                    border: 1px solid #ced4da;
+                    border-radius: 4px;
+                    background-color: white;
+                }
+
+                .profile-select {
+                    margin-bottom: 1rem;
+                }
+
+                .profile-field {
+                    margin-bottom: 0.75rem;
+                }
+
+                .profile-field label {
+                    display: block;
+                    font-weight: 500;
+                    color: #555;
+                    font-size: 0.85rem;
+                    margin-bottom: 0.25rem;
+                }
+
+                .profile-actions {
+                    display: flex;
+                    gap: 0.5rem;
+                    margin-top: 1rem;
+                }
+
+                .profile-actions button {
+                    flex: 1;
+                    padding: 0.5rem;
+                    border: none;
+                    border-radius: 4px;
+                    cursor: pointer;
+                    color: white;
+                    background-color: #2c3e50;
+                }
+
+                .profile-actions .delete {
+                    background-color: #c0392b;
+                }
+            </style>
+
+            <div class="profile-container">
+                <h2 class="profile-title">Drinker Profile</h2>
+
+                <select class="profile-select">
+                    <option value="">Default drinker</option>
+                    ${names.map(name => `<option value="${escapeHtml(name)}" ${name === this._store.active ? 'selected' : ''}>${escapeHtml(name)}</option>`).join('')}
+                </select>
+
+                <form class="profile-form">
+                    <div class="profile-field">
+                        <label for="name">Name</label>
+                        <input id="name" name="name" required value="${escapeHtml(profile.name)}">
+                    </div>
+                    <div class="profile-field">
+                        <label for="bodyWeight">Body weight (kg)</label>
+                        <input id="bodyWeight" name="bodyWeight" type="number" min="20" max="250" value="${profile.bodyWeight}">
+                    </div>
+                    <div class="profile-field">
+                        <label for="caffeineSensitivity">Caffeine sensitivity</label>
+                        <select id="caffeineSensitivity" name="caffeineSensitivity">${options(caffeineSensitivities, profile.caffeineSensitivity)}</select>
+                    </div>
+                    <div class="profile-field">
+                        <label for="metabolizer">Caffeine metabolism</label>
+                        <select id="metabolizer" name="metabolizer">${options(metabolizerTypes, profile.metabolizer)}</select>
+                    </div>
+                    <div class="profile-field">
+                        <label for="habitualCaffeine">Usual caffeine per day (mg)</label>
+                        <input id="habitualCaffeine" name="habitualCaffeine" type="number" min="0" max="1500" value="${profile.habitualCaffeine}">
+                    </div>
+                    <div class="profile-field">
+                        <label for="chronotype">Chronotype</label>
+                        <select id="chronotype" name="chronotype">${options(chronotypes, profile.chronotype)}</select>
+                    </div>
+                    <div class="profile-field">
+                        <label for="temperature">Constitution: temperature</label>
+                        <select id="temperature" name="temperature">${plainOptions(['cold', 'neutral', 'warm'], profile.constitution.temperature)}</select>
+                    </div>
+                    <div class="profile-field">
+                        <label for="moisture">Constitution: moisture</label>
+                        <select id="moisture" name="moisture">${plainOptions(['damp', 'neutral', 'dry'], profile.constitution.moisture)}</select>
+                    </div>
+
+                    <div class="profile-actions">
+                        <button type="submit">Save</button>
+                        ${this.activeProfile ? '<button type="button" class="delete">Delete</button>' : ''}
+                    </div>
+                </form>
+            </div>
+        `;
+
+        this.attachEventListeners();
+    }
+
+    // Read the form into a profile
+    readForm(form) {
+        const data = new FormData(form);
+        return {
+            name: data.get('name').trim(),
+            bodyWeight: Number(data.get('bodyWeight')) || defaultDrinkerProfile.bodyWeight,
+            caffeineSensitivity: data.get('caffeineSensitivity'),
+            metabolizer: data.get('metabolizer'),
+            habitualCaffeine: Number(data.get('habitualCaffeine')) || 0,
+            chronotype: data.get('chronotype'),
+            constitution: {
+                temperature: data.get('temperature'),
+                moisture: data.get('moisture')
+            }
+        };
+    }
+
+    // Switch to a stored profile (or the default drinker for null) and tell the page
+    activate(name) {
+        this._store.active = name && this._store.profiles[name] ? name : null;
+        saveStore(this._store);
+        this.render();
+        this.dispatchProfileChanged();
+    }
+
+    dispatchProfileChanged() {
+        this.dispatchEvent(new CustomEvent('profile-changed', {
+            detail: { profile: this.activeProfile },
+            bubbles: true,
+            composed: true
+        }));
+    }
+
+    attachEventListeners() {
+        const select = this.shadowRoot.querySelector('.profile-select');
+        select.addEventListener('change', (e) => this.activate(e.target.value));
+
+        const form = this.shadowRoot.querySelector('.profile-form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const profile = this.readForm(form);
+            if (!profile.name) return;
+
+            this._store.profiles[profile.name] = profile;
+            this.activate(profile.name);
+        });
+
+        const deleteButton = this.shadowRoot.querySelector('.delete');
+        if (deleteButton) {
+            deleteButton.addEventListener('click', () => {
+                delete this._store.profiles[this._store.active];
+                this.activate(null);
+            });
+        }
+    }
+}
+
+// Register the custom element
+customElements.define('drinker-profile-panel', DrinkerProfilePanel);
+
+export default DrinkerProfilePanel;
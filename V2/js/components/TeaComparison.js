@@ -0,0 +1,350 @@
+import TeaDatabase from '../data/TeaDatabase.js';
+import { TeaAnalysisSystem } from '../TeaAnalysisSystem.js';
+import { normalizeString } from '../utils/helpers.js';
+import { compareTeas, componentCalculators, formatCause, formatComparisonText } from '../analysis/comparison.js';
+
+// Line color per compared tea, in selection order
+const teaColors = ['#2c3e50', '#e67e22', '#27ae60', '#8e44ad', '#c0392b', '#2980b9'];
+
+// Timing chart size in SVG units
+const WIDTH = 640;
+const HEIGHT = 200;
+const PADDING = 32;
+
+class TeaComparison extends HTMLElement {
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+
+        // Default state: teas in the order they were picked, the first is the reference
+        this._selected = [];
+        this._profile = null;
+        this._result = null;
+        this._error = null;
+        this.onProfileChanged = (event) => {
+            this._profile = event.detail.profile || null;
+            this.update();
+        };
+    }
+
+    connectedCallback() {
+        document.addEventListener('profile-changed', this.onProfileChanged);
+        this.update();
+    }
+
+    disconnectedCallback() {
+        document.removeEventListener('profile-changed', this.onProfileChanged);
+    }
+
+    // Compare the picked teas once at least two are picked
+    update() {
+        this._result = null;
+        this._error = null;
+        if (this._selected.length >= 2) {
+            try {
+                const system = new TeaAnalysisSystem({ traceScores: false, drinkerProfile: this._profile });
+                this._result = compareTeas(this._selected, { system });
+            } catch (error) {
+                this._error = error.message;
+            }
+        }
+        this.render();
+    }
+
+    // Table with one column per tea; cells after the reference show their difference from it
+    renderTable(label, keys, valueOf, differences = () => null, digits = 1) {
+        const { teas, comparisons } = this._result;
+        return `
+            <table>
+                <thead>
+                    <tr><th>${label}</th>${teas.map(({ name }, i) => `<th style="color: ${teaColors[i % teaColors.length]}">${name}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${keys.map(key => `
+                        <tr>
+                            <td>${key}</td>
+                            ${teas.map((tea, i) => {
+                                const value = valueOf(tea, key);
+                                if (typeof value !== 'number') return `<td>${value ?? '–'}</td>`;
+                                const difference = i > 0 ? differences(comparisons[i - 1])?.[key] : null;
+                                const causes = (difference?.causes || []).map(cause => formatCause(cause, key)).join('\n');
+                                return `<td ${causes ? `title="${causes.replace(/"/g, '&quot;')}"` : ''}>
+                                    ${value.toFixed(digits)}
+                                    ${difference ? `<span class="delta ${difference.delta >= 0 ? 'up' : 'down'}">${difference.delta >= 0 ? '+' : ''}${difference.delta.toFixed(digits)}</span>` : ''}
+                                </td>`;
+                            }).join('')}
+                        </tr>`).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Effect activity over time, one line per tea
+    renderTimingChart() {
+        const { teas } = this._result;
+        const maxMinute = Math.max(...teas.flatMap(tea => tea.timing.curve.map(point => point.minute)), 1);
+        const maxActivity = Math.max(...teas.flatMap(tea => tea.timing.curve.map(point => point.activity)), 1e-6);
+        const scaleX = minute => PADDING + minute / maxMinute * (WIDTH - PADDING * 2);
+        const scaleY = activity => HEIGHT - PADDING - activity / maxActivity * (HEIGHT - PADDING * 2);
+
+        return `
+            <svg viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="Effect activity over time">
+                <line class="axis" x1="${PADDING}" y1="${HEIGHT - PADDING}" x2="${WIDTH - PADDING}" y2="${HEIGHT - PADDING}"></line>
+                <text class="axis-title" x="${WIDTH - PADDING}" y="${HEIGHT - 8}" text-anchor="end">${maxMinute} min</text>
+                <text class="axis-title" x="${PADDING}" y="${HEIGHT - 8}">0</text>
+                ${teas.map((tea, i) => `
+                    <polyline fill="none" stroke="${teaColors[i % teaColors.length]}" stroke-width="2"
+                        points="${tea.timing.curve.map(({ minute, activity }) => `${scaleX(minute)},${scaleY(activity)}`).join(' ')}">
+                        <title>${tea.name}: peak at ${tea.timing.peak} min</title>
+                    </polyline>`).join('')}
+            </svg>
+        `;
+    }
+
+    renderResult() {
+        const { teas } = this._result;
+        const keysOf = objects => [...new Set(objects.flatMap(object => Object.keys(object || {})))];
+
+        const components = Object.entries(componentCalculators)
+            .map(([component, calculator]) => ({ component, calculator, effects: keysOf(teas.map(tea => tea.componentScores[component])) }))
+            .filter(({ effects }) => effects.length > 0);
+
+        return `
+            <h3>Final Scores</h3>
+            ${this.renderTable('Effect', keysOf(teas.map(tea => tea.finalScores)),
+                (tea, effect) => tea.finalScores[effect] || 0,
+                comparison => comparison.finalScores)}
+
+            <h3>Component Scores</h3>
+            <div class="component-grid">
+                ${components.map(({ component, calculator, effects }) => `
+                    <div class="component-card">
+                        <h4>${calculator}</h4>
+                        ${this.renderTable('Effect', effects,
+                            (tea, effect) => tea.componentScores[component]?.[effect] || 0,
+                            comparison => comparison.componentScores[component]?.differences)}
+                    </div>`).join('')}
+            </div>
+
+            <h3>Timing</h3>
+            ${this.renderTimingChart()}
+            ${this.renderTable('', ['onset', 'peak', 'duration'], (tea, key) => tea.timing[key],
+                comparison => comparison.timing, 0)}
+            ${this.renderTable('mg per cup', ['caffeineMg', 'lTheanineMg'], (tea, key) => tea.timing[key],
+                comparison => comparison.timing)}
+
+            <h3>Qi</h3>
+            ${this.renderTable('Energy', keysOf(teas.map(tea => tea.qi.energyProfile)),
+                (tea, key) => tea.qi.energyProfile[key], comparison => comparison.qi.energyProfile, 0)}
+            ${this.renderTable('Element', keysOf(teas.map(tea => tea.qi.elementalBalance)),
+                (tea, key) => tea.qi.elementalBalance[key], comparison => comparison.qi.elementalBalance, 0)}
+            ${this.renderTable('', ['direction', 'bestTime'], (tea, key) => tea.qi[key])}
+
+            <h3>Explained Differences</h3>
+            <div class="diff-actions">
+                <button class="copy-diff">Copy</button>
+                <button class="download-diff">Download</button>
+            </div>
+            <pre class="diff">${formatComparisonText(this._result)}</pre>
+        `;
+    }
+
+    render() {
+        const teas = TeaDatabase.getAllTeas();
+
+        this.shadowRoot.innerHTML = `
+            <style>
+                :host {
+                    display: block;
+                    background-color: white;
+                    border-radius: 5px;
+                    box-shadow: 0 2px 5px rgba(0,0,0,0.1);
+                    margin: 1rem;
+                    padding: 1rem 1.5rem;
+                }
+
+                .comparison-title {
+                    margin: 0 0 0.5rem;
+                    font-size: 1.25rem;
+                    font-weight: 600;
+                    color: #2c3e50;
+                }
+
+                .hint, .error {
+                    font-size: 0.85rem;
+                    color: #6c757d;
+                }
+
+                .error {
+                    color: #c0392b;
+                }
+
+                .tea-picker {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 0.5rem;
+                    margin-bottom: 1rem;
+                }
+
+                .tea-picker label {
+                    font-size: 0.8rem;
+                    padding: 0.2rem 0.5rem;
+                    border: 1px solid #ced4da;
+                    border-radius: 1rem;
+                    cursor: pointer;
+                }
+
+                .tea-picker label.picked {
+                    background-color: #e9f5ee;
+                    border-color: #3a7d65;
+                }
+
+                h3 {
+                    font-size: 1rem;
+                    color: #2c3e50;
+                    margin: 1.25rem 0 0.5rem;
+                }
+
+                h4 {
+                    font-size: 0.9rem;
+                    margin: 0 0 0.25rem;
+                    color: #555;
+                }
+
+                table {
+                    border-collapse: collapse;
+                    font-size: 0.8rem;
+                    margin-bottom: 0.5rem;
+                    width: 100%;
+                }
+
+                th, td {
+                    padding: 0.2rem 0.5rem;
+                    border-bottom: 1px solid #eee;
+                    text-align: right;
+                }
+
+                th:first-child, td:first-child {
+                    text-align: left;
+                }
+
+                td[title] {
+                    cursor: help;
+                }
+
+                .delta {
+                    font-size: 0.7rem;
+                    margin-left: 0.25rem;
+                }
+
+                .delta.up {
+                    color: #27ae60;
+                }
+
+                .delta.down {
+                    color: #c0392b;
+                }
+
+                .component-grid {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fill, minmax(280px, 1fr));
+                    gap: 1rem;
+                }
+
+                svg {
+                    width: 100%;
+                    height: auto;
+                    font-size: 11px;
+                }
+
+                .axis {
+                    stroke: #dee2e6;
+                }
+
+                .axis-title {
+                    fill: #6c757d;
+                }
+
+                .diff-actions button {
+                    padding: 0.35rem 0.75rem;
+                    font-size: 0.8rem;
+                    border: none;
+                    border-radius: 4px;
+                    background-color: #3a7d65;
+                    color: white;
+                    cursor: pointer;
+                }
+
+                pre.diff {
+                    background-color: #f8f9fa;
+                    padding: 0.75rem;
+                    font-size: 0.75rem;
+                    overflow-x: auto;
+                    white-space: pre;
+                }
+            </style>
+
+            <h2 class="comparison-title">Tea Comparison</h2>
+            <p class="hint">Pick two or more teas. Differences are shown against the first one picked; hover a difference for the inputs behind it.</p>
+
+            <div class="tea-picker">
+                ${teas.map(tea => {
+                    const position = this._selected.indexOf(tea.name);
+                    return `
+                        <label class="${position >= 0 ? 'picked' : ''}">
+                            <input type="checkbox" value="${tea.name}" ${position >= 0 ? 'checked' : ''}>
+                            ${tea.name}${position === 0 ? ' (reference)' : ''}
+                        </label>`;
+                }).join('')}
+            </div>
+
+            ${this._error ? `<div class="error">${this._error}</div>` : ''}
+            ${this._result ? this.renderResult() : ''}
+        `;
+
+        this.attachEventListeners();
+    }
+
+    attachEventListeners() {
+        this.shadowRoot.querySelectorAll('.tea-picker input').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const name = e.target.value;
+                this._selected = e.target.checked
+                    ? [...this._selected, name]
+                    : this._selected.filter(selected => selected !== name);
+                this.update();
+            });
+        });
+
+        const copyButton = this.shadowRoot.querySelector('.copy-diff');
+        copyButton?.addEventListener('click', () => {
+            navigator.clipboard?.writeText(formatComparisonText(this._result))
+                .then(() => {
+                    copyButton.textContent = 'Copied!';
+                    setTimeout(() => {
+                        copyButton.textContent = 'Copy';
+                    }, 2000);
+                })
+                .catch(err => console.error('Failed to copy the comparison: ', err));
+        });
+
+        // Save the explained differences as a text file
+        this.shadowRoot.querySelector('.download-diff')?.addEventListener('click', () => {
+            const blob = new Blob([formatComparisonText(this._result)], { type: 'text/plain' });
+            const url = URL.createObjectURL(blob);
+
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${this._result.teas.map(({ name }) => normalizeString(name)).join('_vs_')}_comparison.txt`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        });
+    }
+}
+
+// Register the custom element
+customElements.define('tea-comparison', TeaComparison);
+
+export default TeaComparison;
@@ -0,0 +1,272 @@
+import TeaDatabase from '../data/TeaDatabase.js';
+import { TeaAnalysisSystem } from '../TeaAnalysisSystem.js';
+import { computeLandscape } from '../analysis/landscape.js';
+
+// Point color per base tea type
+const typeColors = {
+    green: '#27ae60',
+    white: '#95a5a6',
+    yellow: '#f1c40f',
+    oolong: '#e67e22',
+    black: '#8e2c1f',
+    puerh: '#5d4037'
+};
+
+// Plot size in SVG units
+const WIDTH = 640;
+const HEIGHT = 420;
+const PADDING = 48;
+
+// Loading arrows drawn from the center of the map
+const MAX_ARROWS = 8;
+
+class TeaLandscape extends HTMLElement {
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+
+        // Default state
+        this._by = 'effects';
+        this._profile = null;
+        this._selected = null;
+        this._landscape = null;
+        this._error = null;
+        this.onProfileChanged = (event) => {
+            this._profile = event.detail.profile || null;
+            this.update();
+        };
+        this.onTeaSelected = (event) => {
+            this._selected = event.detail.tea?.name || null;
+            this.render();
+        };
+    }
+
+    connectedCallback() {
+        document.addEventListener('profile-changed', this.onProfileChanged);
+        document.addEventListener('tea-selected', this.onTeaSelected);
+        this.update();
+    }
+
+    disconnectedCallback() {
+        document.removeEventListener('profile-changed', this.onProfileChanged);
+        document.removeEventListener('tea-selected', this.onTeaSelected);
+    }
+
+    // Recompute the projection for the current embedding and drinker profile
+    update() {
+        try {
+            const system = new TeaAnalysisSystem({ traceScores: false, drinkerProfile: this._profile });
+            this._landscape = computeLandscape({ by: this._by, system });
+            this._error = null;
+        } catch (error) {
+            this._landscape = null;
+            this._error = error.message;
+        }
+        this.render();
+    }
+
+    // SVG markup of the scatter, its loading arrows and axis titles
+    renderPlot() {
+        const { axes, points } = this._landscape;
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        const span = values => Math.max(...values.map(Math.abs), 1e-6);
+        const xSpan = span(xs);
+        const ySpan = span(ys);
+
+        // Center the origin so the loading arrows start in the middle of the map
+        const scaleX = x => WIDTH / 2 + x / xSpan * (WIDTH / 2 - PADDING);
+        const scaleY = y => HEIGHT / 2 - y / ySpan * (HEIGHT / 2 - PADDING);
+        const radius = caffeineMg => 4 + Math.sqrt(Math.max(0, caffeineMg)) * 0.8;
+
+        // Dimensions that pull hardest on the two axes
+        const [first, second = { loadings: [] }] = axes;
+        const secondWeights = Object.fromEntries(second.loadings.map(({ dimension, weight }) => [dimension, weight]));
+        const arrows = first.loadings
+            .map(({ dimension, weight }) => ({ dimension, x: weight, y: secondWeights[dimension] || 0 }))
+            .sort((a, b) => Math.hypot(b.x, b.y) - Math.hypot(a.x, a.y))
+            .slice(0, MAX_ARROWS);
+        const arrowLength = Math.max(...arrows.map(({ x, y }) => Math.hypot(x, y)), 1e-6);
+        const arrowScale = 0.45 / arrowLength;
+
+        const axisTitle = (axis, name) => axis
+            ? `${name} (${(axis.explained * 100).toFixed(0)}%): ${axis.loadings.slice(0, 3).map(({ dimension, weight }) => `${weight >= 0 ? '+' : '−'}${dimension}`).join(', ')}`
+            : name;
+
+        return `
+            <svg viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="Tea landscape">
+                <line class="axis" x1="${PADDING / 2}" y1="${HEIGHT / 2}" x2="${WIDTH - PADDING / 2}" y2="${HEIGHT / 2}"></line>
+                <line class="axis" x1="${WIDTH / 2}" y1="${PADDING / 2}" x2="${WIDTH / 2}" y2="${HEIGHT - PADDING / 2}"></line>
+                <text class="axis-title" x="${WIDTH - PADDING / 2}" y="${HEIGHT - 6}" text-anchor="end">${axisTitle(first, 'PC1')}</text>
+                <text class="axis-title" x="6" y="14">${axisTitle(axes[1], 'PC2')}</text>
+
+                ${arrows.map(({ dimension, x, y }) => {
+                    const x2 = WIDTH / 2 + x * arrowScale * (WIDTH - PADDING * 2);
+                    const y2 = HEIGHT / 2 - y * arrowScale * (HEIGHT - PADDING * 2);
+                    return `
+                        <line class="loading" x1="${WIDTH / 2}" y1="${HEIGHT / 2}" x2="${x2}" y2="${y2}"></line>
+                        <text class="loading-label" x="${x2}" y="${y2}" text-anchor="${x >= 0 ? 'start' : 'end'}">${dimension}</text>`;
+                }).join('')}
+
+                ${points.map(({ name, baseType, x, y, caffeineMg }) => `
+                    <g class="point ${name === this._selected ? 'selected' : ''}" data-tea="${name}">
+                        <circle cx="${scaleX(x)}" cy="${scaleY(y)}" r="${radius(caffeineMg)}"
+                            fill="${typeColors[baseType] || '#34495e'}">
+                            <title>${name}: ${caffeineMg.toFixed(0)} mg caffeine</title>
+                        </circle>
+                        <text x="${scaleX(x) + radius(caffeineMg) + 3}" y="${scaleY(y) + 4}">${name}</text>
+                    </g>`).join('')}
+            </svg>
+        `;
+    }
+
+    render() {
+        const types = this._landscape
+            ? [...new Set(this._landscape.points.map(point => point.baseType))]
+            : [];
+
+        this.shadowRoot.innerHTML = `
+            <style>
+                :host {
+                    display: block;
+                    background-color: white;
+                    border-radius: 5px;
+                    box-shadow: 0 2px 5px rgba(0,0,0,0.1);
+                    margin: 1rem;
+                    padding: 1rem 1.5rem;
+                }
+
+                .landscape-header {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                }
+
+                .landscape-title {
+                    margin: 0;
+                    font-size: 1.25rem;
+                    font-weight: 600;
+                    color: #2c3e50;
+                }
+
+                select {
+                    padding: 0.35rem;
+                    font-size: 0.85rem;
+                    border: 1px solid #ced4da;
+                    border-radius: 4px;
+                }
+
+                svg {
+                    width: 100%;
+                    height: auto;
+                    font-size: 11px;
+                }
+
+                .axis {
+                    stroke: #dee2e6;
+                }
+
+                .axis-title {
+                    fill: #6c757d;
+                }
+
+                .loading {
+                    stroke: #adb5bd;
+                    stroke-dasharray: 3 3;
+                }
+
+                .loading-label {
+                    fill: #868e96;
+                    font-style: italic;
+                }
+
+                .point {
+                    cursor: pointer;
+                }
+
+                .point circle {
+                    fill-opacity: 0.8;
+                    stroke: white;
+                    stroke-width: 1.5;
+                }
+
+                .point:hover circle, .point.selected circle {
+                    fill-opacity: 1;
+                    stroke: #2c3e50;
+                    stroke-width: 2.5;
+                }
+
+                .point text {
+                    fill: #333;
+                }
+
+                .legend {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 1rem;
+                    font-size: 0.8rem;
+                    color: #555;
+                }
+
+                .swatch {
+                    display: inline-block;
+                    width: 0.75rem;
+                    height: 0.75rem;
+                    border-radius: 50%;
+                    margin-right: 0.25rem;
+                    vertical-align: middle;
+                }
+
+                .error {
+                    color: #c0392b;
+                    font-size: 0.85rem;
+                }
+            </style>
+
+            <div class="landscape-header">
+                <h2 class="landscape-title">Tea Landscape</h2>
+                <select class="embedding-select" aria-label="Map teas by">
+                    <option value="effects" ${this._by === 'effects' ? 'selected' : ''}>By effect scores</option>
+                    <option value="features" ${this._by === 'features' ? 'selected' : ''}>By features</option>
+                </select>
+            </div>
+
+            ${this._error ? `<div class="error">${this._error}</div>` : ''}
+            ${this._landscape ? this.renderPlot() : ''}
+
+            <div class="legend">
+                ${types.map(type => `<span><span class="swatch" style="background-color: ${typeColors[type] || '#34495e'}"></span>${type}</span>`).join('')}
+                <span>Point size: mg caffeine per cup</span>
+            </div>
+        `;
+
+        this.attachEventListeners();
+    }
+
+    attachEventListeners() {
+        const select = this.shadowRoot.querySelector('.embedding-select');
+        select.addEventListener('change', (e) => {
+            this._by = e.target.value;
+            this.update();
+        });
+
+        // Clicking a tea opens its analysis like a sidebar selection
+        this.shadowRoot.querySelectorAll('.point').forEach(point => {
+            point.addEventListener('click', () => {
+                const tea = TeaDatabase.findByName(point.dataset.tea);
+                if (!tea) return;
+
+                this.dispatchEvent(new CustomEvent('tea-selected', {
+                    detail: { tea },
+                    bubbles: true,
+                    composed: true
+                }));
+            });
+        });
+    }
+}
+
+// Register the custom element
+customElements.define('tea-landscape', TeaLandscape);
+
+export default TeaLandscape;
@@ -0,0 +1,263 @@
+import { primaryEffects } from '../props/PrimaryEffects.js';
+import { TeaAnalysisSystem } from '../TeaAnalysisSystem.js';
+import TeaDatabase from '../data/TeaDatabase.js';
+import { recommend, timeOfDayClock } from '../analysis/recommendation.js';
+
+class TeaRecommender extends HTMLElement {
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+
+        // Default state
+        this._profile = null;
+        this._result = null;
+        this._error = null;
+        this.onProfileChanged = (event) => {
+            this._profile = event.detail.profile || null;
+            if (this._result) this.runQuery();
+        };
+    }
+
+    connectedCallback() {
+        // Recommend for the drinker selected in the profile panel
+        document.addEventListener('profile-changed', this.onProfileChanged);
+        this.render();
+    }
+
+    disconnectedCallback() {
+        document.removeEventListener('profile-changed', this.onProfileChanged);
+    }
+
+    render() {
+        const effects = Object.keys(primaryEffects);
+        const query = this._query || { target: {}, avoid: [] };
+
+        this.shadowRoot.innerHTML = `
+            <style>
+                :host {
+                    display: block;
+                    width: 100%;
+                    background-color: #f8f9fa;
+                    border-right: 1px solid #e0e0e0;
+                    border-top: 1px solid #e0e0e0;
+                }
+
+                .recommender-container {
+                    padding: 1.5rem;
+                }
+
+                .recommender-title {
+                    margin-top: 0;
+                    margin-bottom: 1rem;
+                    font-size: 1.25rem;
+                    font-weight: 600;
+                    color: #2c3e50;
+                }
+
+                .effect-row {
+                    display: grid;
+                    grid-template-columns: 1fr 4rem 4rem;
+                    align-items: center;
+                    gap: 0.5rem;
+                    margin-bottom: 0.35rem;
+                    font-size: 0.85rem;
+                    color: #555;
+                }
+
+                .effect-header {
+                    font-weight: 600;
+                }
+
+                input, select {
+                    box-sizing: border-box;
+                    padding: 0.35rem;
+                    font-size: 0.85rem;
+                    border: 1px solid #ced4da;
+                    border-radius: 4px;
+                    background-color: white;
+                }
+
+                .option-field {
+                    margin-top: 0.75rem;
+                }
+
+                .option-field label {
+                    display: block;
+                    font-weight: 500;
+                    color: #555;
+                    font-size: 0.85rem;
+                    margin-bottom: 0.25rem;
+                }
+
+                .option-field input, .option-field select {
+                    width: 100%;
+                }
+
+                button {
+                    width: 100%;
+                    margin-top: 1rem;
+                    padding: 0.5rem;
+                    border: none;
+                    border-radius: 4px;
+                    cursor: pointer;
+                    color: white;
+                    background-color: #2c3e50;
+                }
+
+                .results {
+                    margin-top: 1rem;
+                    list-style: none;
+                    padding: 0;
+                }
+
+                .result {
+                    background-color: white;
+                    border: 1px solid #e0e0e0;
+                    border-radius: 6px;
+                    padding: 0.75rem;
+                    margin-bottom: 0.5rem;
+                    cursor: pointer;
+                }
+
+                .result:hover {
+                    border-color: #2c3e50;
+                }
+
+                .result-name {
+                    font-weight: 600;
+                    color: #2c3e50;
+                    display: flex;
+                    justify-content: space-between;
+                }
+
+                .result-explanation, .excluded, .error {
+                    font-size: 0.8rem;
+                    color: #6c757d;
+                    margin-top: 0.25rem;
+                }
+
+                .error {
+                    color: #c0392b;
+                }
+            </style>
+
+            <div class="recommender-container">
+                <h2 class="recommender-title">Find a Tea</h2>
+
+                <form class="recommender-form">
+                    <div class="effect-row effect-header">
+                        <span>Effect</span><span>Target</span><span>Avoid</span>
+                    </div>
+                    ${effects.map(effect => `
+                    <div class="effect-row">
+                        <label for="target-${effect}">${effect}</label>
+                        <input id="target-${effect}" name="target-${effect}" type="number" min="0" max="10" step="0.5"
+                            value="${query.target[effect] ?? ''}">
+                        <input name="avoid-${effect}" type="checkbox" ${query.avoid.includes(effect) ? 'checked' : ''}>
+                    </div>`).join('')}
+
+                    <div class="option-field">
+                        <label for="maxCaffeine">Max caffeine per cup (mg)</label>
+                        <input id="maxCaffeine" name="maxCaffeine" type="number" min="0" value="${query.maxCaffeine ?? ''}">
+                    </div>
+                    <div class="option-field">
+                        <label for="timeOfDay">Time of day</label>
+                        <select id="timeOfDay" name="timeOfDay">
+                            <option value="">Any time</option>
+                            ${Object.keys(timeOfDayClock).map(period => `<option value="${period}" ${period === query.timeOfDay ? 'selected' : ''}>${period}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="option-field">
+                        <label for="season">Season</label>
+                        <select id="season" name="season">
+                            <option value="">Any season</option>
+                            ${['spring', 'summer', 'fall', 'winter'].map(season => `<option value="${season}" ${season === query.season ? 'selected' : ''}>${season}</option>`).join('')}
+                        </select>
+                    </div>
+
+                    <button type="submit">Recommend</button>
+                </form>
+
+                ${this._error ? `<div class="error">${this._error}</div>` : ''}
+                ${this._result ? this.renderResults() : ''}
+            </div>
+        `;
+
+        this.attachEventListeners();
+    }
+
+    renderResults() {
+        const { recommendations, excluded } = this._result;
+
+        return `
+            <ol class="results">
+                ${recommendations.map(({ name, fit, explanation }) => `
+                <li class="result" data-tea="${name}">
+                    <div class="result-name"><span>${name}</span><span>${fit.toFixed(0)}%</span></div>
+                    <div class="result-explanation">${explanation}</div>
+                </li>`).join('')}
+            </ol>
+            ${excluded.length > 0 ? `<div class="excluded">Excluded: ${excluded.map(({ name, reason }) => `${name} (${reason})`).join(', ')}</div>` : ''}
+        `;
+    }
+
+    // Read the form into a recommend() query
+    readForm(form) {
+        const data = new FormData(form);
+        const target = {};
+        const avoid = [];
+        Object.keys(primaryEffects).forEach(effect => {
+            const value = data.get(`target-${effect}`);
+            if (value !== '' && value !== null) target[effect] = Number(value);
+            if (data.get(`avoid-${effect}`)) avoid.push(effect);
+        });
+
+        return {
+            target,
+            avoid,
+            maxCaffeine: data.get('maxCaffeine') !== '' ? Number(data.get('maxCaffeine')) : null,
+            timeOfDay: data.get('timeOfDay') || null,
+            season: data.get('season') || null
+        };
+    }
+
+    runQuery() {
+        try {
+            const system = new TeaAnalysisSystem({ traceScores: false, drinkerProfile: this._profile });
+            this._result = recommend({ ...this._query, system, limit: 5 });
+            this._error = null;
+        } catch (error) {
+            this._result = null;
+            this._error = error.message;
+        }
+        this.render();
+    }
+
+    attachEventListeners() {
+        const form = this.shadowRoot.querySelector('.recommender-form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this._query = this.readForm(form);
+            this.runQuery();
+        });
+
+        // Picking a recommendation analyzes it like a sidebar selection
+        this.shadowRoot.querySelectorAll('.result').forEach(item => {
+            item.addEventListener('click', () => {
+                const tea = TeaDatabase.findByName(item.dataset.tea);
+                if (!tea) return;
+
+                this.dispatchEvent(new CustomEvent('tea-selected', {
+                    detail: { tea },
+                    bubbles: true,
+                    composed: true
+                }));
+            });
+        });
+    }
+}
+
+// Register the custom element
+customElements.define('tea-recommender', TeaRecommender);
+
+export default TeaRecommender;
@@ -8,6 +8,8 @@ export const defaultConfig = {
   supportingEffectThreshold: 3.5,
   interactionStrengthFactor: 0.8,
   geographicalInfluenceFactor: 0.7,
+  traceScores: false,           // Record a per-effect provenance ledger (TeaEffectCalculator)
+  imputeMissingData: true,      // Estimate missing compounds/geography (TeaAnalysisSystem, data/TeaImputation.js)
   
   // Component weights for different aspects of tea analysis
   componentWeights: {
@@ -15,9 +17,23 @@ export const defaultConfig = {
     compounds: 0.25,    // Decreased from 0.30
     processing: 0.20,   // Increased from 0.15
     geography: 0.15,    // Unchanged
-    flavors: 0.20       // Increased from 0.15
+    flavors: 0.20,      // Increased from 0.15
+    seasonal: 0.10      // Harvest season; an explicit 0 turns it off
   },
   
+  // Per-rule action values replacing those in props/AdjustmentRules.js,
+  // e.g. { 'balance-elevating': { elevating: 1.4 } } (see analysis/calibration.js)
+  adjustmentRuleOverrides: {},
+  
+  // Per-compound overrides of the absorption/elimination parameters in props/Pharmacokinetics.js,
+  // e.g. { bodyWeight: 60, caffeine: { halfLife: 360 } } (TimingCalculator, utils/pharmacokinetics.js)
+  pharmacokinetics: {},
+  // mg of caffeine left in the body at bedtime above which a planned cup is flagged (analysis/dailyConsumption.js)
+  bedtimeCaffeineLimit: 50,
+  // Personal drinker profile (props/DrinkerProfiles.js) that Compound, Timing and Qi analyses adapt to;
+  // null analyzes for the default drinker (utils/drinkerProfile.js)
+  drinkerProfile: null,
+  
   // Thresholds for compound ratio analysis
   thresholds: {
     compoundRatios: {
@@ -0,0 +1,242 @@
+// TeaImputation.js
+// Estimates missing compound and geography values so calculators don't silently read them as 0
+
+import TeaDatabase from './TeaDatabase.js';
+import { teaTypeDescriptors } from '../props/TeaTypeDescriptors.js';
+import {
+    processingCompoundAdjustments,
+    seasonalCompoundAdjustments,
+    originGeography
+} from '../props/ImputationPriors.js';
+
+// Compound levels on the 0-10 scale, rounded to the database's half-point steps
+const compoundFields = ['caffeineLevel', 'lTheanineLevel', 'catechinLevel'];
+
+// Geography fields and how to round them
+const geographyFields = {
+    altitude: value => Math.round(value / 50) * 50,
+    humidity: value => Math.round(value),
+    latitude: value => Math.round(value * 100) / 100,
+    longitude: value => Math.round(value * 100) / 100,
+    harvestMonth: value => Math.min(12, Math.max(1, Math.round(value)))
+};
+
+/**
+ * Check whether a value counts as missing
+ * 0 is a real value (a decaf tea, a sea-level garden), so only empty values are imputed
+ * @param {*} value - Field value
+ * @returns {boolean} True if the value should be imputed
+ */
+function isMissing(value) {
+    return value === undefined || value === null || value === '';
+}
+
+/**
+ * Reduce a tea type to the base types of TeaTypeDescriptors ('puerh-shou' -> 'puerh')
+ * @param {string} type - Tea type
+ * @returns {string} Base type
+ */
+export function baseTeaType(type) {
+    const normalized = String(type || '').toLowerCase();
+    if (normalized.includes('puerh') || normalized.includes('pu-erh')) return 'puerh';
+    return normalized.split(/[\s-]/)[0];
+}
+
+// Word-level origin match ('Uji, Kyoto' matches 'uji' but not 'fuji')
+function originMatches(origin, keyword) {
+    return new RegExp(`\\b${keyword}\\b`, 'i').test(origin || '');
+}
+
+// Generic words that say nothing about where a tea grows
+const genericOriginWords = ['mountain', 'mountains', 'province', 'prefecture', 'valley', 'region', 'county'];
+
+/**
+ * Get the distinctive words of an origin, leaving out the country (the last part of 'Uji, Kyoto, Japan')
+ * @param {string} origin - Origin string
+ * @param {boolean} localityOnly - Only use the first part ('Uji')
+ * @returns {Set<string>} Lowercase words
+ */
+function originWords(origin, localityOnly = false) {
+    const parts = String(origin || '').toLowerCase().split(',').map(part => part.trim()).filter(Boolean);
+    const kept = localityOnly ? parts.slice(0, 1) : (parts.length > 1 ? parts.slice(0, -1) : parts);
+    return new Set(kept.join(' ').split(/[^a-z]+/)
+        .filter(word => word.length > 2 && !genericOriginWords.includes(word)));
+}
+
+// Whether two origins share a distinctive word
+function sameRegion(a, b, localityOnly = false) {
+    const wordsB = originWords(b, localityOnly);
+    return [...originWords(a, localityOnly)].some(word => wordsB.has(word));
+}
+
+/**
+ * Weight a reference tea by how similar it is to the tea being imputed
+ * @param {Object} tea - Tea with missing values
+ * @param {Object} reference - Reference tea of the same base type
+ * @returns {number} Weight (1 for a same-type tea with nothing else in common)
+ */
+function similarity(tea, reference) {
+    let weight = 1;
+    if (String(tea.type).toLowerCase() === String(reference.type).toLowerCase()) weight += 1;
+    if (tea.subType && reference.subType && tea.subType.toLowerCase() === reference.subType.toLowerCase()) weight += 1;
+
+    const methods = new Set(tea.processingMethods || []);
+    const referenceMethods = new Set(reference.processingMethods || []);
+    const union = new Set([...methods, ...referenceMethods]);
+    if (union.size > 0) {
+        weight += 2 * [...methods].filter(method => referenceMethods.has(method)).length / union.size;
+    }
+
+    if (sameRegion(tea.origin, reference.origin)) weight += 1;
+    return weight;
+}
+
+/**
+ * Get the harvest season of a month, shifting southern hemisphere months by six
+ * @param {number} month - Harvest month (1-12)
+ * @param {number} latitude - Latitude, if known
+ * @returns {string|null} Season key of seasonalCompoundAdjustments
+ */
+function harvestSeason(month, latitude) {
+    if (!month) return null;
+    const northernMonth = latitude < 0 ? ((month + 5) % 12) + 1 : month;
+    return Object.keys(seasonalCompoundAdjustments)
+        .find(season => seasonalCompoundAdjustments[season].months.includes(northernMonth)) || null;
+}
+
+/**
+ * Estimate one compound level
+ * @param {Object} tea - Tea with the level missing
+ * @param {string} field - Compound field
+ * @param {Object[]} references - Reference teas of the same base type with the field set
+ * @returns {Object|null} { value, source, basis } or null if nothing to go on
+ */
+function estimateCompound(tea, field, references) {
+    const basis = [];
+    const type = baseTeaType(tea.type);
+
+    // Type baseline shifted by the listed processing methods and the harvest season
+    let prior = teaTypeDescriptors.typicalComposition[type]?.[field];
+    if (prior !== undefined) {
+        basis.push(`typical ${type} tea`);
+        (tea.processingMethods || []).forEach(method => {
+            const adjustment = processingCompoundAdjustments[method]?.[field];
+            if (adjustment) {
+                prior += adjustment;
+                basis.push(`${method} (${adjustment > 0 ? '+' : ''}${adjustment})`);
+            }
+        });
+        const season = harvestSeason(tea.geography?.harvestMonth, tea.geography?.latitude);
+        const seasonal = season && seasonalCompoundAdjustments[season][field];
+        if (seasonal) {
+            prior += seasonal;
+            basis.push(`${season} harvest (${seasonal > 0 ? '+' : ''}${seasonal})`);
+        }
+    }
+
+    let referenceEstimate;
+    if (references.length > 0) {
+        const weights = references.map(reference => similarity(tea, reference));
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        referenceEstimate = references.reduce((sum, reference, i) => sum + reference[field] * weights[i], 0) / total;
+        basis.push(...references.map(reference => reference.name));
+    }
+
+    let value;
+    let source;
+    if (prior !== undefined && referenceEstimate !== undefined) {
+        value = (prior + referenceEstimate) / 2;
+        source = 'type-prior+reference-teas';
+    } else if (prior !== undefined) {
+        value = prior;
+        source = 'type-prior';
+    } else if (referenceEstimate !== undefined) {
+        value = referenceEstimate;
+        source = 'reference-teas';
+    } else {
+        return null;
+    }
+
+    return { value: Math.round(Math.min(10, Math.max(0, value)) * 2) / 2, source, basis };
+}
+
+/**
+ * Estimate one geography field
+ * @param {Object} tea - Tea with the field missing
+ * @param {string} field - Geography field
+ * @param {Object[]} referenceTeas - All reference teas
+ * @returns {Object|null} { value, source, basis } or null if nothing to go on
+ */
+function estimateGeography(tea, field, referenceTeas) {
+    // Reference teas from the same locality
+    const sameOrigin = referenceTeas.filter(reference => (
+        !isMissing(reference.geography?.[field]) && sameRegion(tea.origin, reference.origin, true)
+    ));
+    if (sameOrigin.length > 0 && field !== 'harvestMonth') {
+        const value = sameOrigin.reduce((sum, reference) => sum + reference.geography[field], 0) / sameOrigin.length;
+        return { value: geographyFields[field](value), source: 'reference-teas', basis: sameOrigin.map(reference => reference.name) };
+    }
+
+    // Typical values for the origin region
+    const region = originGeography.find(entry => originMatches(tea.origin, entry.match));
+    if (region && region[field] !== undefined) {
+        return { value: region[field], source: 'origin', basis: [`origin "${region.match}"`] };
+    }
+
+    // Type baseline (altitude and harvest month only)
+    const type = baseTeaType(tea.type);
+    const typical = teaTypeDescriptors.typicalComposition[type]?.[field];
+    if (typical !== undefined) {
+        return { value: typical, source: 'type-prior', basis: [`typical ${type} tea`] };
+    }
+
+    return null;
+}
+
+/**
+ * Fill in missing compound levels and geography values of a canonical tea
+ * @param {Object} tea - Canonical tea (see TeaSchema.js)
+ * @param {Object} options - { referenceTeas: teas to learn from (default: TeaDatabase) }
+ * @returns {Object} { tea: copy with estimates filled in, imputed: [{ field, value, source, basis }] }
+ */
+export function imputeTea(tea, { referenceTeas = TeaDatabase.getAllTeas() } = {}) {
+    if (!tea || typeof tea !== 'object') {
+        return { tea, imputed: [] };
+    }
+
+    const result = { ...tea, geography: tea.geography ? { ...tea.geography } : undefined };
+    const references = referenceTeas.filter(reference => reference !== tea && reference.name !== tea.name);
+    const imputed = [];
+    const type = baseTeaType(tea.type);
+
+    compoundFields.forEach(field => {
+        if (!isMissing(tea[field])) return;
+
+        const sameType = references.filter(reference => (
+            baseTeaType(reference.type) === type && !isMissing(reference[field])
+        ));
+        const estimate = estimateCompound(result, field, sameType);
+        if (estimate) {
+            result[field] = estimate.value;
+            imputed.push({ field, ...estimate });
+        }
+    });
+
+    Object.keys(geographyFields).forEach(field => {
+        if (!isMissing(result.geography?.[field])) return;
+
+        const estimate = estimateGeography(result, field, references);
+        if (estimate) {
+            result.geography = result.geography || {};
+            result.geography[field] = estimate.value;
+            imputed.push({ field: `geography.${field}`, ...estimate });
+        }
+    });
+
+    return { tea: result, imputed };
+}
+
+export default {
+    baseTeaType,
+    imputeTea
+};
@@ -1,110 +1,87 @@
 // TeaModel.js
 // Defines the data structure for tea information
 
+import { TEA_SCHEMA_VERSION, teaSchema, normalizeTea } from './TeaSchema.js';
+import { SEVERITY, validTeaTypes, validateTea } from './TeaValidation.js';
+
 export class TeaModel {
     constructor(data = {}) {
+        // Migrate legacy shapes (flavor.primary, processing.methods, ...) to the canonical schema
+        const { tea, sourceShape, remapped } = normalizeTea(data);
+        data = tea || {};
+        this.sourceShape = sourceShape;
+        this.remappedFields = remapped;
+        this.schemaVersion = TEA_SCHEMA_VERSION;
+        
         // Basic properties
-        this.name = data.name || '';
-        this.originalName = data.originalName || '';
-        this.type = data.type || '';
-        this.subType = data.subType || '';
-        this.origin = data.origin || '';
+        // Numeric fields the data leaves out stay undefined, so they read as unset rather than as 0
+        this.name = data.name ?? '';
+        this.originalName = data.originalName ?? '';
+        this.type = data.type ?? '';
+        this.subType = data.subType ?? '';
+        this.origin = data.origin ?? '';
+        this.age = data.age;
         
         // Chemical composition
-        this.caffeineLevel = data.caffeineLevel || 0;
-        this.lTheanineLevel = data.lTheanineLevel || 0;
-        this.catechinLevel = data.catechinLevel || 0;
-        this.totalPolyphenols = data.totalPolyphenols || 0;
-        this.aminoAcids = data.aminoAcids || 0;
+        this.caffeineLevel = data.caffeineLevel;
+        this.lTheanineLevel = data.lTheanineLevel;
+        this.catechinLevel = data.catechinLevel;
+        this.totalPolyphenols = data.totalPolyphenols;
+        this.aminoAcids = data.aminoAcids;
         
         // Processing information
+        this.processingMethods = data.processingMethods ?? [];
         this.processing = {
-            methods: data.processing?.methods || [],
-            oxidationLevel: data.processing?.oxidationLevel || 0,
-            rollingStyle: data.processing?.rollingStyle || '',
-            withering: data.processing?.withering || '',
-            firing: data.processing?.firing || ''
+            oxidationLevel: data.processing?.oxidationLevel,
+            rollingStyle: data.processing?.rollingStyle ?? '',
+            withering: data.processing?.withering ?? '',
+            firing: data.processing?.firing ?? ''
         };
         
         // Geographical information
         this.geography = {
-            altitude: data.geography?.altitude || 0,
-            humidity: data.geography?.humidity || 0,
-            latitude: data.geography?.latitude || 0,
-            longitude: data.geography?.longitude || 0,
-            harvestMonth: data.geography?.harvestMonth || 0
+            altitude: data.geography?.altitude,
+            humidity: data.geography?.humidity,
+            latitude: data.geography?.latitude,
+            longitude: data.geography?.longitude,
+            harvestMonth: data.geography?.harvestMonth
         };
         
+        // Brewing parameters if given; missing ones come from the tea type default
+        this.brewing = data.brewing;
+        
         // Flavor profile
-        this.flavor = {
-            primary: data.flavor?.primary || [],
-            secondary: data.flavor?.secondary || [],
-            notes: data.flavor?.notes || ''
-        };
+        this.flavorProfile = data.flavorProfile ?? [];
+        this.secondaryFlavors = data.secondaryFlavors ?? [];
+        this.flavorNotes = data.flavorNotes ?? '';
         
         // Expected effects if known
-        this.expectedEffects = data.expectedEffects || {};
+        this.expectedEffects = data.expectedEffects ?? {};
     }
     
     // Validate the tea data
+    // Returns { isValid, results, errors, warnings }; each result carries a path, severity, code and suggestion
     validate() {
-        const errors = [];
-        
-        // Basic validation
-        if (!this.name) {
-            errors.push('Tea name is required');
-        }
-        
-        if (!this.type) {
-            errors.push('Tea type is required');
-        } else if (!this.isValidTeaType(this.type)) {
-            errors.push(`Invalid tea type: ${this.type}`);
-        }
+        const validation = validateTea(this.toJSON());
         
-        // Validate ranges
-        if (this.caffeineLevel < 0 || this.caffeineLevel > 10) {
-            errors.push('Caffeine level must be between 0 and 10');
-        }
-        
-        if (this.lTheanineLevel < 0 || this.lTheanineLevel > 10) {
-            errors.push('L-Theanine level must be between 0 and 10');
-        }
-        
-        if (this.processing && this.processing.oxidationLevel !== undefined) {
-            if (this.processing.oxidationLevel < 0 || this.processing.oxidationLevel > 100) {
-                errors.push('Oxidation level must be between 0 and 100');
-            }
-        }
-        
-        // Geography validation
-        if (this.geography) {
-            if (this.geography.harvestMonth && (this.geography.harvestMonth < 1 || this.geography.harvestMonth > 12)) {
-                errors.push('Harvest month must be between 1 and 12');
-            }
-            
-            if (this.geography.latitude && (this.geography.latitude < -90 || this.geography.latitude > 90)) {
-                errors.push('Latitude must be between -90 and 90');
-            }
-            
-            if (this.geography.longitude && (this.geography.longitude < -180 || this.geography.longitude > 180)) {
-                errors.push('Longitude must be between -180 and 180');
-            }
-        }
+        // Point out legacy fields that were migrated on the way in
+        const legacyResults = this.remappedFields.map(({ from, to }) => ({
+            path: from,
+            severity: SEVERITY.INFO,
+            code: 'legacy-field',
+            message: `${from} is a legacy field and was read as ${to}`,
+            suggestion: `Move the value to ${to}`
+        }));
         
         return {
-            isValid: errors.length === 0,
-            errors
+            ...validation,
+            results: [...validation.results, ...legacyResults]
         };
     }
     
     // Check if tea type is valid
     isValidTeaType(type) {
-        const validTypes = [
-            'green', 'white', 'black', 'oolong', 'puerh', 'yellow',
-            'dark', 'herbal', 'tisane', 'sheng puerh', 'shou puerh'
-        ];
-        
-        return validTypes.includes(type.toLowerCase());
+        return typeof type === 'string' && validTeaTypes.includes(type.toLowerCase());
     }
     
     // Create a deep copy of the tea model
@@ -112,26 +89,28 @@ export class TeaModel {
         return new TeaModel(this.toJSON());
     }
     
-    // Convert to plain object
+    // Convert to plain object in the canonical schema
     toJSON() {
         return {
+            schemaVersion: this.schemaVersion,
             name: this.name,
             originalName: this.originalName,
             type: this.type,
             subType: this.subType,
             origin: this.origin,
+            age: this.age,
             caffeineLevel: this.caffeineLevel,
             lTheanineLevel: this.lTheanineLevel,
             catechinLevel: this.catechinLevel,
             totalPolyphenols: this.totalPolyphenols,
             aminoAcids: this.aminoAcids,
+            flavorProfile: [...this.flavorProfile],
+            secondaryFlavors: [...this.secondaryFlavors],
+            flavorNotes: this.flavorNotes,
+            processingMethods: [...this.processingMethods],
             processing: { ...this.processing },
             geography: { ...this.geography },
-            flavor: {
-                primary: [...this.flavor.primary],
-                secondary: [...this.flavor.secondary],
-                notes: this.flavor.notes
-            },
+            brewing: this.brewing && typeof this.brewing === 'object' ? { ...this.brewing } : this.brewing,
             expectedEffects: { ...this.expectedEffects }
         };
     }
@@ -148,59 +127,6 @@ export class TeaModel {
     
     // Get schema definition (for documentation or validation)
     static getSchema() {
-        return {
-            type: 'object',
-            properties: {
-                name: { type: 'string', description: 'The name of the tea' },
-                originalName: { type: 'string', description: 'Original name in native language' },
-                type: { type: 'string', description: 'Primary tea type (green, black, oolong, etc.)' },
-                subType: { type: 'string', description: 'Specific sub-category of tea' },
-                origin: { type: 'string', description: 'Country or region of origin' },
-                
-                caffeineLevel: { type: 'number', description: 'Caffeine level (0-10 scale)' },
-                lTheanineLevel: { type: 'number', description: 'L-Theanine level (0-10 scale)' },
-                catechinLevel: { type: 'number', description: 'Catechin level (0-10 scale)' },
-                totalPolyphenols: { type: 'number', description: 'Total polyphenols (0-10 scale)' },
-                aminoAcids: { type: 'number', description: 'Amino acid content (0-10 scale)' },
-                
-                processing: {
-                    type: 'object',
-                    properties: {
-                        methods: { type: 'array', items: { type: 'string' }, description: 'List of processing methods' },
-                        oxidationLevel: { type: 'number', description: 'Oxidation percentage (0-100)' },
-                        rollingStyle: { type: 'string', description: 'Style of leaf rolling' },
-                        withering: { type: 'string', description: 'Withering process description' },
-                        firing: { type: 'string', description: 'Firing process description' }
-                    }
-                },
-                
-                geography: {
-                    type: 'object',
-                    properties: {
-                        altitude: { type: 'number', description: 'Growing altitude in meters' },
-                        humidity: { type: 'number', description: 'Growing region humidity percentage' },
-                        latitude: { type: 'number', description: 'Latitude coordinates' },
-                        longitude: { type: 'number', description: 'Longitude coordinates' },
-                        harvestMonth: { type: 'number', description: 'Month of harvest (1-12)' }
-                    }
-                },
-                
-                flavor: {
-                    type: 'object',
-                    properties: {
-                        primary: { type: 'array', items: { type: 'string' }, description: 'Primary flavor notes' },
-                        secondary: { type: 'array', items: { type: 'string' }, description: 'Secondary flavor notes' },
-                        notes: { type: 'string', description: 'Additional flavor notes or description' }
-                    }
-                },
-                
-                expectedEffects: {
-                    type: 'object',
-                    additionalProperties: { type: 'number' },
-                    description: 'Expected effects with scores (0-10)'
-                }
-            },
-            required: ['name', 'type']
-        };
+        return teaSchema;
     }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,184 @@
+// TeaSchema.js
+// Canonical, versioned tea input schema and the normalizer that migrates legacy tea shapes to it
+
+// Current version of the canonical tea schema
+export const TEA_SCHEMA_VERSION = 2;
+
+// Canonical tea schema (the shape TeaDatabase entries use and every calculator reads)
+export const teaSchema = {
+    $version: TEA_SCHEMA_VERSION,
+    type: 'object',
+    properties: {
+        schemaVersion: { type: 'number', description: 'Version of the tea schema this object follows' },
+        name: { type: 'string', description: 'The name of the tea' },
+        originalName: { type: 'string', description: 'Original name in native language' },
+        type: { type: 'string', description: 'Primary tea type (green, black, oolong, etc.)' },
+        subType: { type: 'string', description: 'Specific sub-category of tea' },
+        origin: { type: 'string', description: 'Country or region of origin' },
+        age: { type: 'number', description: 'Age of the tea in years (aged teas only)' },
+
+        caffeineLevel: { type: 'number', description: 'Caffeine level (0-10 scale)' },
+        lTheanineLevel: { type: 'number', description: 'L-Theanine level (0-10 scale)' },
+        catechinLevel: { type: 'number', description: 'Catechin level (0-10 scale)' },
+        totalPolyphenols: { type: 'number', description: 'Total polyphenols (0-10 scale)' },
+        aminoAcids: { type: 'number', description: 'Amino acid content (0-10 scale)' },
+
+        flavorProfile: { type: 'array', items: { type: 'string' }, description: 'Primary flavor notes' },
+        secondaryFlavors: { type: 'array', items: { type: 'string' }, description: 'Secondary flavor notes' },
+        flavorNotes: { type: 'string', description: 'Additional flavor notes or description' },
+
+        processingMethods: { type: 'array', items: { type: 'string' }, description: 'List of processing methods' },
+        processing: {
+            type: 'object',
+            description: 'Processing details beyond the list of methods',
+            properties: {
+                oxidationLevel: { type: 'number', description: 'Oxidation percentage (0-100)' },
+                rollingStyle: { type: 'string', description: 'Style of leaf rolling' },
+                withering: { type: 'string', description: 'Withering process description' },
+                firing: { type: 'string', description: 'Firing process description' }
+            }
+        },
+
+        geography: {
+            type: 'object',
+            properties: {
+                altitude: { type: 'number', description: 'Growing altitude in meters' },
+                humidity: { type: 'number', description: 'Growing region humidity percentage' },
+                latitude: { type: 'number', description: 'Latitude coordinates' },
+                longitude: { type: 'number', description: 'Longitude coordinates' },
+                harvestMonth: { type: 'number', description: 'Month of harvest (1-12)' }
+            }
+        },
+
+        brewing: {
+            type: 'object',
+            description: 'How the tea is brewed; missing parameters come from the tea type default (see brewing/extraction.js)',
+            properties: {
+                temperature: { type: 'number', description: 'Water temperature in °C' },
+                steepTime: { type: 'number', description: 'Steep time in seconds' },
+                leafToWaterRatio: { type: 'number', description: 'Grams of leaf per 100 ml of water' },
+                vesselVolume: { type: 'number', description: 'Water volume in ml' },
+                infusion: { type: 'number', description: 'Infusion number (1 for fresh leaf)' },
+                previousSteepTimes: { type: 'array', items: { type: 'number' }, description: 'Steep times in seconds of the earlier infusions' }
+            }
+        },
+
+        expectedEffects: {
+            type: 'object',
+            additionalProperties: { type: 'number' },
+            description: 'Expected effects with scores (0-10)'
+        }
+    },
+    required: ['name', 'type']
+};
+
+// Legacy field locations and where they live in the canonical schema
+// Earlier entries win when a tea carries the same value in several legacy places
+const legacyFieldMap = [
+    { from: 'flavor.primary', to: 'flavorProfile' },
+    { from: 'flavor.secondary', to: 'secondaryFlavors' },
+    { from: 'flavor.notes', to: 'flavorNotes' },
+    { from: 'processing.methods', to: 'processingMethods' },
+    { from: 'processingInfo.methods', to: 'processingMethods' },
+    { from: 'compounds.caffeineLevel', to: 'caffeineLevel' },
+    { from: 'compounds.caffeine', to: 'caffeineLevel' },
+    { from: 'compounds.theanineLevel', to: 'lTheanineLevel' },
+    { from: 'compounds.lTheanineLevel', to: 'lTheanineLevel' },
+    { from: 'compounds.lTheanine', to: 'lTheanineLevel' },
+    { from: 'compounds.catechinLevel', to: 'catechinLevel' },
+    { from: 'compounds.totalPolyphenols', to: 'totalPolyphenols' },
+    { from: 'compounds.aminoAcids', to: 'aminoAcids' }
+];
+
+// Containers that only exist in legacy shapes and are dropped once migrated
+const legacyContainers = ['flavor', 'processingInfo', 'compounds'];
+
+// Processing details kept under the canonical processing object
+const processingDetailKeys = ['oxidationLevel', 'rollingStyle', 'withering', 'firing'];
+
+/**
+ * Read a value at a dot path
+ * @param {Object} obj - Source object
+ * @param {string} path - Dot-separated path
+ * @returns {*} The value or undefined
+ */
+function readPath(obj, path) {
+    return path.split('.').reduce((current, key) => (
+        current && typeof current === 'object' ? current[key] : undefined
+    ), obj);
+}
+
+/**
+ * Identify which shape a raw tea object uses
+ * @param {Object} data - Raw tea data
+ * @returns {string} 'canonical', 'model' (TeaModel v1 nesting), 'database' (flat, unversioned) or 'unknown'
+ */
+export function detectTeaShape(data) {
+    if (!data || typeof data !== 'object') {
+        return 'unknown';
+    }
+
+    if (data.schemaVersion === TEA_SCHEMA_VERSION) {
+        return 'canonical';
+    }
+
+    const usesLegacyNesting = legacyFieldMap.some(({ from }) => readPath(data, from) !== undefined);
+    return usesLegacyNesting ? 'model' : 'database';
+}
+
+/**
+ * Migrate a tea in any supported shape to the canonical schema
+ * @param {Object} data - Raw tea data (TeaModel v1, TeaDatabase or canonical shape)
+ * @returns {Object} { tea, sourceShape, remapped } where remapped lists { from, to } for each migrated field
+ */
+export function normalizeTea(data) {
+    const sourceShape = detectTeaShape(data);
+    const remapped = [];
+
+    if (sourceShape === 'unknown') {
+        return { tea: null, sourceShape, remapped };
+    }
+
+    const tea = { ...data };
+
+    legacyFieldMap.forEach(({ from, to }) => {
+        const value = readPath(data, from);
+        if (value === undefined || tea[to] !== undefined) {
+            return;
+        }
+
+        tea[to] = Array.isArray(value) ? [...value] : value;
+        remapped.push({ from, to });
+    });
+
+    legacyContainers.forEach(key => delete tea[key]);
+
+    // Keep only the processing details; the method list now lives in processingMethods
+    if (data.processing && typeof data.processing === 'object') {
+        const details = {};
+        processingDetailKeys.forEach(key => {
+            if (data.processing[key] !== undefined) {
+                details[key] = data.processing[key];
+            }
+        });
+        tea.processing = details;
+    }
+
+    if (!Array.isArray(tea.flavorProfile)) {
+        tea.flavorProfile = [];
+    }
+    if (!Array.isArray(tea.processingMethods)) {
+        tea.processingMethods = [];
+    }
+    tea.geography = { ...(data.geography || {}) };
+    tea.schemaVersion = TEA_SCHEMA_VERSION;
+
+    return { tea, sourceShape, remapped };
+}
+
+export default {
+    TEA_SCHEMA_VERSION,
+    teaSchema,
+    detectTeaShape,
+    normalizeTea
+};
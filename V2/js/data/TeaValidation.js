@@ -0,0 +1,328 @@
+// TeaValidation.js
+// Path-aware validation for tea records in the canonical schema (see TeaSchema.js)
+
+import { effectMapping, effectNameSubstitution } from '../props/EffectMapping.js';
+import { processingInfluences } from '../props/ProcessingInfluences.js';
+import { matchProcessingMethod } from '../calculators/ProcessingCalculator.js';
+import { isDistribution, distributionProblem } from '../utils/distributions.js';
+import { brewingRanges } from '../props/BrewingParameters.js';
+
+// Severity levels, from blocking to purely informative
+export const SEVERITY = {
+    ERROR: 'error',
+    WARNING: 'warning',
+    INFO: 'info'
+};
+
+// Tea types the calculators know about
+export const validTeaTypes = [
+    'green', 'white', 'black', 'oolong', 'puerh', 'yellow',
+    'dark', 'herbal', 'tisane', 'sheng puerh', 'shou puerh', 'puerh-sheng', 'puerh-shou'
+];
+
+// Compound levels on the 0-10 scale; 0 is a valid level. Missing caffeine and L-theanine are estimated
+// (data/TeaImputation.js) and drive most calculators, so they warrant a warning; the others only inform
+const compoundFields = {
+    caffeineLevel: { label: 'Caffeine level', missingSeverity: SEVERITY.WARNING },
+    lTheanineLevel: { label: 'L-Theanine level', missingSeverity: SEVERITY.WARNING },
+    catechinLevel: { label: 'Catechin level', missingSeverity: SEVERITY.INFO },
+    totalPolyphenols: { label: 'Total polyphenols', missingSeverity: SEVERITY.INFO },
+    aminoAcids: { label: 'Amino acid content', missingSeverity: SEVERITY.INFO }
+};
+
+// Numeric geography fields and their valid ranges
+const geographyRanges = {
+    harvestMonth: { min: 1, max: 12, label: 'Harvest month' },
+    latitude: { min: -90, max: 90, label: 'Latitude' },
+    longitude: { min: -180, max: 180, label: 'Longitude' },
+    humidity: { min: 0, max: 100, label: 'Humidity' },
+    altitude: { min: 0, max: 9000, label: 'Altitude' }
+};
+
+/**
+ * Build a single validation result
+ * @param {string} path - JSON path of the offending field (e.g. 'geography.harvestMonth')
+ * @param {string} severity - One of SEVERITY
+ * @param {string} code - Stable machine-readable code
+ * @param {string} message - Human-readable description
+ * @param {string} suggestion - Suggested fix
+ * @returns {Object} Validation result
+ */
+function result(path, severity, code, message, suggestion) {
+    return { path, severity, code, message, suggestion };
+}
+
+/**
+ * Check that a value is a finite number inside a range
+ * @param {Array} results - Results to append to
+ * @param {string} path - JSON path of the field
+ * @param {*} value - Value to check
+ * @param {number} min - Minimum allowed value
+ * @param {number} max - Maximum allowed value
+ * @param {string} label - Field label for messages
+ * @returns {boolean} True if the value is a number (in range or not)
+ */
+function checkRange(results, path, value, min, max, label) {
+    if (isDistribution(value)) {
+        return checkDistribution(results, path, value, min, max, label);
+    }
+
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        results.push(result(path, SEVERITY.ERROR, 'invalid-type',
+            `${label} must be a number`, `Set ${path} to a number between ${min} and ${max}`));
+        return false;
+    }
+
+    if (value < min || value > max) {
+        results.push(result(path, SEVERITY.ERROR, 'out-of-range',
+            `${label} must be between ${min} and ${max} (got ${value})`,
+            `Clamp ${path} to ${Math.min(max, Math.max(min, value))} or check the unit`));
+    }
+    return true;
+}
+
+/**
+ * Check a range or distribution spec (see utils/distributions.js) against a field's valid range
+ * @param {Array} results - Results to append to
+ * @param {string} path - JSON path of the field
+ * @param {Object} spec - Range or distribution
+ * @param {number} min - Minimum allowed value
+ * @param {number} max - Maximum allowed value
+ * @param {string} label - Field label for messages
+ * @returns {boolean} True if the spec is well formed
+ */
+function checkDistribution(results, path, spec, min, max, label) {
+    const problem = distributionProblem(spec);
+    if (problem) {
+        results.push(result(path, SEVERITY.ERROR, 'invalid-distribution',
+            `${label} has an invalid distribution: ${problem}`,
+            'Use { min, max }, or a distribution of type uniform, normal { mean, sd }, triangular { min, mode, max } or choice { values }'));
+        return false;
+    }
+
+    const values = [spec.min, spec.max, spec.mean, spec.mode, ...(spec.values || [])];
+    const outside = values.filter(value => typeof value === 'number' && (value < min || value > max));
+    if (outside.length > 0) {
+        results.push(result(path, SEVERITY.ERROR, 'out-of-range',
+            `${label} distribution reaches outside ${min}-${max} (${outside.join(', ')})`,
+            `Keep the ${path} distribution within ${min} and ${max}`));
+    }
+    return true;
+}
+
+// Name and type
+function validateIdentity(tea, results) {
+    if (!tea.name) {
+        results.push(result('name', SEVERITY.ERROR, 'required',
+            'Tea name is required', 'Add a name such as "Sencha"'));
+    }
+
+    if (!tea.type) {
+        results.push(result('type', SEVERITY.ERROR, 'required',
+            'Tea type is required', `Set type to one of: ${validTeaTypes.join(', ')}`));
+    } else if (typeof tea.type !== 'string' || !validTeaTypes.includes(tea.type.toLowerCase())) {
+        results.push(result('type', SEVERITY.ERROR, 'invalid-tea-type',
+            `Invalid tea type: ${tea.type}`, `Use one of: ${validTeaTypes.join(', ')}`));
+    }
+}
+
+// Compound levels
+function validateCompounds(tea, results) {
+    Object.entries(compoundFields).forEach(([field, { label, missingSeverity }]) => {
+        const value = tea[field];
+
+        if (value === undefined || value === null) {
+            results.push(result(field, missingSeverity, 'missing-value',
+                `${label} is not set; it is estimated from the tea type and similar teas`,
+                `Add ${field} on the 0-10 scale`));
+            return;
+        }
+
+        checkRange(results, field, value, 0, 10, label);
+    });
+}
+
+// Flavor profile
+function validateFlavors(tea, results) {
+    ['flavorProfile', 'secondaryFlavors'].forEach(field => {
+        const flavors = tea[field];
+        if (flavors === undefined) return;
+
+        if (!Array.isArray(flavors)) {
+            results.push(result(field, SEVERITY.ERROR, 'invalid-type',
+                `${field} must be an array of strings`, `Wrap the flavor notes in an array, e.g. ["grassy", "sweet"]`));
+            return;
+        }
+
+        flavors.forEach((flavor, index) => {
+            if (typeof flavor !== 'string' || !flavor.trim()) {
+                results.push(result(`${field}[${index}]`, SEVERITY.ERROR, 'invalid-type',
+                    'Flavor notes must be non-empty strings', 'Remove the entry or replace it with a flavor name'));
+            }
+        });
+    });
+
+    if (!Array.isArray(tea.flavorProfile) || tea.flavorProfile.length === 0) {
+        results.push(result('flavorProfile', SEVERITY.WARNING, 'empty-flavor-profile',
+            'Flavor profile is empty; the flavor calculator will contribute nothing',
+            'Add at least one primary flavor note'));
+    }
+}
+
+// Processing methods and details
+function validateProcessing(tea, results) {
+    const methods = tea.processingMethods;
+
+    if (methods !== undefined && !Array.isArray(methods)) {
+        results.push(result('processingMethods', SEVERITY.ERROR, 'invalid-type',
+            'processingMethods must be an array of strings', 'Wrap the methods in an array, e.g. ["steamed", "rolled"]'));
+    } else if (!methods || methods.length === 0) {
+        results.push(result('processingMethods', SEVERITY.WARNING, 'empty-processing-methods',
+            'No processing methods listed; the processing calculator will contribute nothing',
+            'List the processing steps, e.g. ["withered", "rolled", "full-oxidation"]'));
+    } else {
+        methods.forEach((method, index) => {
+            const path = `processingMethods[${index}]`;
+            const match = matchProcessingMethod(method, processingInfluences);
+
+            if (!match) {
+                results.push(result(path, SEVERITY.WARNING, 'unknown-processing-method',
+                    `Processing method "${method}" is not recognized and will be ignored`,
+                    'Use a method from props/ProcessingInfluences.js or add it there'));
+            } else if (match.matchType !== 'exact') {
+                results.push(result(path, SEVERITY.INFO, 'approximate-processing-method',
+                    `Processing method "${method}" is read as "${match.key}"`,
+                    `Write "${match.key}" to make the mapping explicit`));
+            }
+        });
+    }
+
+    const oxidationLevel = tea.processing?.oxidationLevel;
+    if (oxidationLevel !== undefined) {
+        checkRange(results, 'processing.oxidationLevel', oxidationLevel, 0, 100, 'Oxidation level');
+    }
+}
+
+// Geography
+function validateGeography(tea, results) {
+    if (!tea.geography || typeof tea.geography !== 'object') {
+        results.push(result('geography', SEVERITY.WARNING, 'missing-value',
+            'Geography is missing; geography and season calculators will use defaults',
+            'Add geography with altitude, humidity, latitude, longitude and harvestMonth'));
+        return;
+    }
+
+    Object.entries(geographyRanges).forEach(([field, { min, max, label }]) => {
+        const path = `geography.${field}`;
+        const value = tea.geography[field];
+
+        if (value === undefined || value === null) {
+            results.push(result(path, SEVERITY.INFO, 'missing-value',
+                `${label} is not set`, `Add ${path}`));
+            return;
+        }
+
+        checkRange(results, path, value, min, max, label);
+    });
+}
+
+// Brewing parameters (optional; missing ones fall back to the tea type default)
+function validateBrewing(tea, results) {
+    if (tea.brewing === undefined) return;
+
+    if (!tea.brewing || typeof tea.brewing !== 'object' || Array.isArray(tea.brewing)) {
+        results.push(result('brewing', SEVERITY.ERROR, 'invalid-type',
+            'Brewing must be an object', 'Set brewing to { temperature, steepTime, leafToWaterRatio, vesselVolume, infusion }'));
+        return;
+    }
+
+    Object.keys(tea.brewing).forEach(field => {
+        if (!brewingRanges[field] && field !== 'previousSteepTimes') {
+            results.push(result(`brewing.${field}`, SEVERITY.WARNING, 'unknown-field',
+                `"${field}" is not a brewing parameter and will be ignored`,
+                `Use one of: ${Object.keys(brewingRanges).join(', ')}`));
+        }
+    });
+
+    Object.entries(brewingRanges).forEach(([field, { min, max, label }]) => {
+        const value = tea.brewing[field];
+        if (value !== undefined) {
+            checkRange(results, `brewing.${field}`, value, min, max, label);
+        }
+    });
+
+    const previousSteepTimes = tea.brewing.previousSteepTimes;
+    if (previousSteepTimes !== undefined) {
+        if (!Array.isArray(previousSteepTimes)) {
+            results.push(result('brewing.previousSteepTimes', SEVERITY.ERROR, 'invalid-type',
+                'Previous steep times must be an array of seconds', 'Set brewing.previousSteepTimes to e.g. [20, 25]'));
+            return;
+        }
+        const { min, max } = brewingRanges.steepTime;
+        previousSteepTimes.forEach((time, index) => {
+            checkRange(results, `brewing.previousSteepTimes[${index}]`, time, min, max, `Steep time of infusion ${index + 1}`);
+        });
+    }
+}
+
+// Expected effects
+function validateExpectedEffects(tea, results) {
+    const expectedEffects = tea.expectedEffects;
+    if (!expectedEffects || typeof expectedEffects !== 'object') return;
+
+    const coreEffects = Object.keys(effectMapping);
+
+    Object.entries(expectedEffects).forEach(([effect, score]) => {
+        const path = `expectedEffects.${effect}`;
+
+        if (!coreEffects.includes(effect)) {
+            const replacement = effectNameSubstitution.toNewEffects(effect);
+            const suggestion = replacement !== effect
+                ? `Rename to "${replacement}"`
+                : `Use one of the core effects: ${coreEffects.join(', ')}`;
+            results.push(result(path, SEVERITY.WARNING, 'unknown-effect',
+                `"${effect}" is not one of the core effects and will not be compared`, suggestion));
+            return;
+        }
+
+        checkRange(results, path, score, 0, 10, `Expected ${effect} score`);
+    });
+}
+
+/**
+ * Validate a tea in the canonical schema
+ * @param {Object} tea - Tea data (run legacy shapes through normalizeTea first)
+ * @returns {Object} { isValid, results, errors, warnings } where each result is { path, severity, code, message, suggestion }
+ */
+export function validateTea(tea) {
+    const results = [];
+
+    if (!tea || typeof tea !== 'object') {
+        results.push(result('', SEVERITY.ERROR, 'invalid-type',
+            'Tea data must be an object', 'Pass a tea object'));
+    } else {
+        validateIdentity(tea, results);
+        validateCompounds(tea, results);
+        validateFlavors(tea, results);
+        validateProcessing(tea, results);
+        validateGeography(tea, results);
+        validateBrewing(tea, results);
+        validateExpectedEffects(tea, results);
+    }
+
+    const errors = results.filter(r => r.severity === SEVERITY.ERROR);
+    const warnings = results.filter(r => r.severity === SEVERITY.WARNING);
+
+    return {
+        isValid: errors.length === 0,
+        results,
+        errors,
+        warnings
+    };
+}
+
+export default {
+    SEVERITY,
+    validTeaTypes,
+    validateTea
+};
@@ -436,7 +436,8 @@ export async function generateEnhancedEffectsReport(progressCallback) {
     report += `  compounds: ${defaultConfig.componentWeights.compounds},\n`;
     report += `  processing: ${defaultConfig.componentWeights.processing},\n`;
     report += `  geography: ${defaultConfig.componentWeights.geography},\n`;
-    report += `  flavors: ${defaultConfig.componentWeights.flavors}\n`;
+    report += `  flavors: ${defaultConfig.componentWeights.flavors},\n`;
+    report += `  seasonal: ${defaultConfig.componentWeights.seasonal}\n`;
     report += '}\n';
     report += '```\n\n';
     
@@ -6,6 +6,10 @@
 // Import necessary components and utilities
 import './components/TestSection.js';
 import './components/TeaSidebar.js';
+import './components/DrinkerProfilePanel.js';
+import './components/TeaRecommender.js';
+import './components/TeaLandscape.js';
+import './components/TeaComparison.js';
 import TeaDatabase from './data/TeaDatabase.js';
 import { EffectSystemConfig } from './config/EffectSystemConfig.js';
 import { TeaEffectCalculator } from './calculators/TeaEffectCalculator.js';
@@ -15,10 +19,18 @@ import { primaryEffects } from './props/PrimaryEffects.js';
 import { flavorInfluences } from './props/FlavorInfluences.js';
 import { processingInfluences } from './props/ProcessingInfluences.js';
 import geographicalDescriptors from './props/GeographicalDescriptors.js';
-import { objectToMarkdown, createMarkdownTable, formatScoreWithBar, createExpandableSection } from './utils/markdownUtils.js';
+import { objectToMarkdown, createMarkdownTable, formatScoreWithBar, formatScoreWithBand, createExpandableSection } from './utils/markdownUtils.js';
+import { createTeaExport } from './reports/tea-export.js';
+import { analyzeSensitivity, formatSensitivityMarkdown } from './analysis/sensitivity.js';
+import { simulateUncertainty } from './analysis/uncertainty.js';
+import { simulateSession, formatSessionMarkdown } from './brewing/session.js';
+import { findSimilar, embeddings } from './analysis/similarity.js';
+import { TeaAnalysisSystem } from './TeaAnalysisSystem.js';
+import { resolveDrinkerProfile, describeProfile } from './utils/drinkerProfile.js';
 
-// Current tea and JSON data
+// Current tea, drinker profile and JSON data
 let currentTea = null;
+let currentProfile = null;
 let currentJsonData = null;
 let sectionRefs = {};
 
@@ -60,6 +72,16 @@ function setupEventListeners() {
         }
     });
 
+    // Re-analyze the current tea for a newly selected drinker profile
+    document.addEventListener('profile-changed', (event) => {
+        currentProfile = event.detail.profile || null;
+        if (currentTea) {
+            clearTestSections();
+            generateTestSections(currentTea);
+            generateJsonData(currentTea);
+        }
+    });
+
     // Event delegation for reference marker clicks
     document.addEventListener('click', (event) => {
         // Handle reference marker clicks
@@ -226,8 +248,8 @@ function generateTestSections(tea) {
     const testSectionsContainer = document.querySelector('.test-sections');
     if (!testSectionsContainer) return;
     
-    // Create an EffectSystemConfig instance
-    const config = new EffectSystemConfig(defaultConfig);
+    // Create an EffectSystemConfig instance for the selected drinker
+    const config = new EffectSystemConfig({ ...defaultConfig, drinkerProfile: currentProfile });
     
     // Initialize calculator with all data
     const calculator = new TeaEffectCalculator(config);
@@ -248,6 +270,21 @@ function generateTestSections(tea) {
     // Calculate full tea analysis
     const result = calculator.calculate(tea);
     
+    // Perturb each input to see which ones the analysis hinges on
+    const sensitivity = analyzeSensitivity(tea);
+    
+    // Compound levels, altitude and humidity are estimates; show score bands rather than points
+    const uncertainty = simulateUncertainty(tea, { assumeUncertainty: true, samples: 100 });
+    
+    // Brew the leaf over a gongfu session with the type's default infusion schedule
+    const system = new TeaAnalysisSystem({ traceScores: false, drinkerProfile: currentProfile });
+    const session = simulateSession(tea, { system });
+    const analysis = system.analyzeTea(tea);
+    const { timeOfDay } = analysis.qi.traditionalEnergy;
+    
+    // Nearest reference teas under each embedding
+    const similar = Object.fromEntries(embeddings.map(by => [by, findSimilar(tea, { by, k: 3, system })]));
+    
     // Define test sections
     const testSectionDefinitions = [
         {
@@ -262,8 +299,8 @@ function generateTestSections(tea) {
             id: 'effect-analysis',
             title: 'Tea Effect Analysis',
             calculator: 'TeaEffectCalculator',
-            inference: createEffectAnalysisMarkdown(tea, result),
-            rawOutput: JSON.stringify(result.data, null, 2),
+            inference: createEffectAnalysisMarkdown(tea, result, uncertainty),
+            rawOutput: JSON.stringify({ ...result.data, uncertainty }, null, 2),
             dataFlow: `TeaEffectCalculator → ${tea.name} → Effect Analysis`
         },
         {
@@ -273,9 +310,58 @@ function generateTestSections(tea) {
             inference: createComponentAnalysisMarkdown(result),
             rawOutput: JSON.stringify(result.data.componentScores || {}, null, 2),
             dataFlow: `All Calculators → ${tea.name} → Component Breakdown`
+        },
+        {
+            id: 'sensitivity',
+            title: 'Input Sensitivity',
+            calculator: 'SensitivityAnalysis',
+            inference: formatSensitivityMarkdown(sensitivity),
+            rawOutput: JSON.stringify(sensitivity, null, 2),
+            dataFlow: `Perturbed ${tea.name} inputs → TeaEffectCalculator → Ranked Score Changes`
+        },
+        {
+            id: 'gongfu-session',
+            title: 'Gongfu Session',
+            calculator: 'SessionSimulator',
+            inference: formatSessionMarkdown(session),
+            rawOutput: JSON.stringify(session, null, 2),
+            dataFlow: `${tea.name} → Extraction per Infusion → TeaEffectCalculator → Session Profile`
+        },
+        {
+            id: 'time-of-day',
+            title: 'Time of Day',
+            calculator: 'QiTeaAnalyzer',
+            inference: createTimeOfDayMarkdown(tea, timeOfDay),
+            rawOutput: JSON.stringify(timeOfDay, null, 2),
+            dataFlow: `${tea.name} → Energy Profile and Directions → Time Slot Suitability`
+        },
+        {
+            id: 'similar-teas',
+            title: 'Similar Teas',
+            calculator: 'SimilaritySearch',
+            inference: createSimilarTeasMarkdown(tea, similar),
+            rawOutput: JSON.stringify(similar, null, 2),
+            dataFlow: `${tea.name} → Effect, Feature and Qi Embeddings → Nearest Reference Teas`
         }
     ];
     
+    // How the tea suits the selected drinker
+    if (currentProfile) {
+        testSectionDefinitions.push({
+            id: 'drinker-profile',
+            title: 'Drinker Profile',
+            calculator: 'Compound/Timing/QiTeaAnalyzer',
+            inference: createProfileMarkdown(tea, analysis),
+            rawOutput: JSON.stringify({
+                profile: resolveDrinkerProfile(currentProfile),
+                caffeine: analysis.compound.compounds.profile,
+                timing: analysis.timing.timing.profile,
+                constitution: analysis.qi.traditionalEnergy.constitution
+            }, null, 2),
+            dataFlow: `${tea.name} + ${currentProfile.name} → Compound, Timing and Qi Analysis → Personal Fit`
+        });
+    }
+    
     // Create and append test sections
     testSectionDefinitions.forEach(sectionDef => {
         const testSection = document.createElement('test-section');
@@ -348,21 +434,137 @@ function createTeaInfoMarkdown(tea) {
     return markdown;
 }
 
+/**
+ * Create markdown for the drinker profile section
+ * @param {Object} tea - The tea object
+ * @param {Object} analysis - TeaAnalysisSystem result analyzed with the profile
+ * @returns {string} Markdown text
+ */
+function createProfileMarkdown(tea, analysis) {
+    const profile = resolveDrinkerProfile(currentProfile);
+    const felt = analysis.compound.compounds.profile;
+    const timing = analysis.timing.timing;
+    const constitution = analysis.qi.traditionalEnergy.constitution;
+    
+    let markdown = `# ${tea.name} for ${profile.name}\n\n`;
+    markdown += `${describeProfile(profile)}\n\n`;
+    
+    markdown += `## Caffeine\n`;
+    if (felt) {
+        markdown += `Felt at **${felt.compounds.caffeineLevel.toFixed(1)}/10** (×${felt.caffeineResponse.factor.toFixed(2)} for sensitivity and tolerance)\n\n`;
+    }
+    
+    markdown += `## Timing\n`;
+    markdown += `Onset after ${timing.onset} min, peak at ${timing.peak} min, effects for ${timing.duration} min\n\n`;
+    if (timing.profile) {
+        markdown += `Most alert ${timing.profile.alertWindow.join('–')}; `;
+        markdown += timing.profile.latestCup
+            ? `latest cup **${timing.profile.latestCup}** for a ${timing.profile.bedtime} bedtime\n\n`
+            : `the cup can be drunk any time before a ${timing.profile.bedtime} bedtime\n\n`;
+    }
+    
+    markdown += `## Constitution (${constitution.constitution.temperature}/${constitution.constitution.moisture})\n`;
+    if (constitution.fit.length > 0) {
+        constitution.fit.forEach(({ fit, note }) => {
+            markdown += `- ${fit === 'mismatch' ? '⚠️' : '✓'} ${note}\n`;
+        });
+    } else {
+        markdown += '*No notable match or mismatch*\n';
+    }
+    
+    return markdown;
+}
+
+/**
+ * Create markdown for the time of day section
+ * @param {Object} tea - The tea object
+ * @param {Object} timeOfDay - QiTeaAnalyzer time of day suitability
+ * @returns {string} Markdown text
+ */
+function createTimeOfDayMarkdown(tea, timeOfDay) {
+    const { slots, best, worst } = timeOfDay;
+    
+    let markdown = `# When to Drink ${tea.name}\n\n`;
+    markdown += `${timeOfDay.yinYang} nature with ${timeOfDay.qiMovement.join(' and ')} qi\n\n`;
+    
+    markdown += `## Suitability\n`;
+    Object.values(slots).forEach(({ label, description, score }) => {
+        markdown += `**${label}** (${description}): ${formatScoreWithBar(score)}\n`;
+    });
+    markdown += '\n';
+    
+    markdown += `## Best: ${slots[best.slot].label}\n`;
+    markdown += best.reasons.length > 0
+        ? best.reasons.map(reason => `- ${reason}`).join('\n') + '\n\n'
+        : `- ${slots[best.slot].ideal}\n\n`;
+    if (best.caveats?.length > 0) {
+        markdown += `Caveat: ${best.caveats.join('; ')}\n\n`;
+    }
+    
+    markdown += `## Worst: ${slots[worst.slot].label}\n`;
+    markdown += worst.reasons.length > 0
+        ? worst.reasons.map(reason => `- ${reason}`).join('\n') + '\n'
+        : '- Fewest qualities in its favour\n';
+    
+    return markdown;
+}
+
+/**
+ * Create markdown for the similar teas section
+ * @param {Object} tea - The tea object
+ * @param {Object} similar - findSimilar results keyed by embedding
+ * @returns {string} Markdown text
+ */
+function createSimilarTeasMarkdown(tea, similar) {
+    const headings = { effects: 'By Effects', features: 'By Features', qi: 'By Qi Energy' };
+    
+    let markdown = `# Teas Like ${tea.name}\n\n`;
+    markdown += `${tea.name}: ${similar.effects.caffeineMg.toFixed(0)} mg caffeine per cup\n\n`;
+    
+    Object.entries(similar).forEach(([by, { neighbors }]) => {
+        markdown += `## ${headings[by]}\n`;
+        neighbors.forEach(({ rank, name, distance, caffeineMg, differences }) => {
+            const differs = differences.map(({ dimension }) => dimension).join(', ');
+            markdown += `${rank}. **${name}** (distance ${distance.toFixed(2)}, ${caffeineMg.toFixed(0)} mg caffeine)`;
+            markdown += differs ? `: differs most in ${differs}\n` : '\n';
+        });
+        markdown += '\n';
+    });
+    
+    return markdown;
+}
+
 /**
  * Create markdown for effect analysis section
  * @param {Object} tea - The tea object
  * @param {Object} result - The calculation result
+ * @param {Object} uncertainty - Optional simulateUncertainty result; scores are then shown as 5th-95th percentile bands
  * @returns {string} Markdown text
  */
-function createEffectAnalysisMarkdown(tea, result) {
-    const { dominantEffect, supportingEffects, allScores } = result.data;
+function createEffectAnalysisMarkdown(tea, result, uncertainty = null) {
+    const { dominantEffect, supportingEffects, finalScores: allScores } = result.data;
+    
+    // Score band when the uncertainty simulation covers the effect, single bar otherwise
+    const formatScore = (effectId, score) => {
+        const stats = uncertainty?.effects[effectId.toLowerCase()];
+        return stats
+            ? formatScoreWithBand(stats.mean, stats.percentiles[5], stats.percentiles[95])
+            : formatScoreWithBar(score);
+    };
     
     let markdown = `# Effect Analysis Results\n\n`;
     
     // Dominant effect
     markdown += `## Dominant Effect: ${dominantEffect.name}\n`;
     markdown += `${dominantEffect.description}\n\n`;
-    markdown += `**Level:** ${formatScoreWithBar(dominantEffect.level)}\n\n`;
+    markdown += `**Level:** ${formatScore(dominantEffect.id, dominantEffect.level)}\n\n`;
+    
+    if (uncertainty) {
+        const probabilities = Object.entries(uncertainty.dominantProbability)
+            .map(([effect, probability]) => `${effect} ${Math.round(probability * 100)}%`)
+            .join(', ');
+        markdown += `**Chance of being dominant** (${uncertainty.samples} samples of ${uncertainty.uncertainFields.join(', ')}): ${probabilities}\n\n`;
+    }
     
     // Expected effects
     const expectedDominant = getExpectedDominant(tea);
@@ -378,7 +580,7 @@ function createEffectAnalysisMarkdown(tea, result) {
         supportingEffects.forEach(effect => {
             markdown += `### ${effect.name}\n`;
             markdown += `${effect.description}\n\n`;
-            markdown += `**Level:** ${formatScoreWithBar(effect.level)}\n\n`;
+            markdown += `**Level:** ${formatScore(effect.id, effect.level)}\n\n`;
         });
     } else {
         markdown += '*No supporting effects*\n\n';
@@ -396,8 +598,11 @@ function createEffectAnalysisMarkdown(tea, result) {
         const sortedEffects = Object.entries(allScores)
             .sort((a, b) => b[1] - a[1]);
             
+        if (uncertainty) {
+            markdown += '*Mean score, 5th–95th percentile band shaded*\n\n';
+        }
         sortedEffects.forEach(([effect, score]) => {
-            markdown += `**${effect}:** ${formatScoreWithBar(score)}\n`;
+            markdown += `**${effect}:** ${formatScore(effect, score)}\n`;
         });
     } else {
         markdown += '*No effect scores available*\n';
@@ -521,8 +726,8 @@ function formatComponentScoresMarkdown(scores) {
  * @param {Object} tea - The tea to analyze
  */
 function generateJsonData(tea) {
-    // Create calculator
-    const config = new EffectSystemConfig(defaultConfig);
+    // Create calculator for the selected drinker
+    const config = new EffectSystemConfig({ ...defaultConfig, drinkerProfile: currentProfile });
     const calculator = new TeaEffectCalculator(config);
     
     // Load all reference data
@@ -541,29 +746,7 @@ function generateJsonData(tea) {
     const result = calculator.calculate(tea);
     
     // Generate the JSON structure
-    currentJsonData = {
-        tea: {
-            name: tea.name || 'Unknown',
-            originalName: tea.originalName || '',
-            type: tea.type || 'unknown',
-            origin: tea.origin || 'Unknown',
-            compounds: {
-                lTheanine: tea.lTheanineLevel || 0,
-                caffeine: tea.caffeineLevel || 0,
-                ratio: tea.lTheanineLevel / tea.caffeineLevel
-            },
-            flavorProfile: tea.flavorProfile || [],
-            processingMethods: tea.processingMethods || [],
-            geography: tea.geography || {}
-        },
-        analysis: result.data,
-        calculatedAt: new Date().toISOString(),
-        _sectionRef: {
-            tea: 'tea-info',
-            analysis: 'effect-analysis',
-            components: 'component-analysis'
-        }
-    };
+    currentJsonData = createTeaExport(tea, result.data);
     
     // Display the JSON with references
     displayJsonWithReferences(currentJsonData);
@@ -0,0 +1,291 @@
+// AdjustmentRules.js
+// Declarative tea-specific score adjustments, applied by utils/RuleEngine.js
+//
+// Each rule:
+//   id          - Stable identifier, shown in the analysis output and score trace
+//   stage       - Where the rule runs: 'final' (TeaEffectCalculator blend),
+//                 'processing' (ProcessingCalculator) or 'seasonal' (SeasonCalculator)
+//   priority    - Higher priorities run first; ties keep file order
+//   description - Why the adjustment exists
+//   when        - Condition over tea fields (omit to always fire):
+//                   { all: [...] } / { any: [...] } / { not: condition }
+//                   { field, op, value } with op one of
+//                     equals, in, includes (substring or array member), matches (regex, any array item),
+//                     gt, gte, lt, lte, exists
+//                 Fields are dot paths into the tea (e.g. 'geography.altitude') or the derived
+//                 field 'lTheanineToCaffeineRatio'
+//   actions     - Applied in order:
+//                   { effect, op: 'multiply', value }  (effects without a score are left alone)
+//                   { effect, op: 'add', value }
+//                   { effect, op: 'clamp', min, max }  (effect '*' targets every scored effect)
+
+export const adjustmentRules = [
+    // --- Final blend (TeaEffectCalculator.calculateFinalScores) ---
+    {
+        id: 'balance-energizing',
+        stage: 'final',
+        priority: 100,
+        description: 'Energizing is over-represented by caffeine and tea type; reduce by 15%',
+        actions: [{ effect: 'energizing', op: 'multiply', value: 0.85 }]
+    },
+    {
+        id: 'balance-elevating',
+        stage: 'final',
+        priority: 100,
+        description: 'Elevating is under-represented by the component calculators; boost by 50%',
+        actions: [{ effect: 'elevating', op: 'multiply', value: 1.5 }]
+    },
+    {
+        id: 'balance-comforting',
+        stage: 'final',
+        priority: 100,
+        description: 'Comforting is under-represented by the component calculators; boost by 40%',
+        actions: [{ effect: 'comforting', op: 'multiply', value: 1.4 }]
+    },
+    {
+        id: 'balance-grounding',
+        stage: 'final',
+        priority: 100,
+        description: 'Grounding is under-represented by the component calculators; boost by 35%',
+        actions: [{ effect: 'grounding', op: 'multiply', value: 1.35 }]
+    },
+    {
+        id: 'japanese-shade-grown-green',
+        stage: 'final',
+        priority: 50,
+        description: 'Shade-grown Japanese green teas (Gyokuro, Matcha) are known for focus and uplift',
+        when: {
+            all: [
+                { field: 'type', op: 'equals', value: 'green' },
+                { field: 'processingMethods', op: 'includes', value: 'shade-grown' },
+                { field: 'origin', op: 'includes', value: 'Japan' }
+            ]
+        },
+        actions: [
+            { effect: 'focusing', op: 'multiply', value: 1.3 },
+            { effect: 'elevating', op: 'multiply', value: 1.4 }
+        ]
+    },
+    {
+        id: 'dan-cong-oolong',
+        stage: 'final',
+        priority: 50,
+        description: 'Dan Cong oolongs are prized for their aromatic, uplifting character',
+        when: {
+            all: [
+                { field: 'type', op: 'equals', value: 'oolong' },
+                { field: 'name', op: 'includes', value: 'Dan Cong' }
+            ]
+        },
+        actions: [{ effect: 'elevating', op: 'multiply', value: 1.5 }]
+    },
+    {
+        id: 'puerh-grounding',
+        stage: 'final',
+        priority: 50,
+        description: 'Puerh teas are characteristically grounding',
+        when: { field: 'type', op: 'includes', value: 'puerh' },
+        actions: [{ effect: 'grounding', op: 'multiply', value: 1.4 }]
+    },
+    {
+        id: 'aged-puerh',
+        stage: 'final',
+        priority: 50,
+        description: 'Aged and pile-fermented puerh deepen grounding and comforting',
+        when: {
+            all: [
+                { field: 'type', op: 'includes', value: 'puerh' },
+                {
+                    any: [
+                        { field: 'processingMethods', op: 'includes', value: 'aged' },
+                        { field: 'processingMethods', op: 'includes', value: 'pile-fermented' }
+                    ]
+                }
+            ]
+        },
+        actions: [
+            { effect: 'grounding', op: 'multiply', value: 1.3 },
+            { effect: 'comforting', op: 'multiply', value: 1.3 }
+        ]
+    },
+
+    // --- Processing (ProcessingCalculator.calculateProcessingScores) ---
+    {
+        id: 'post-fermentation',
+        stage: 'processing',
+        priority: 60,
+        description: 'Post-fermented teas gain slight grounding and comforting',
+        when: {
+            any: [
+                { field: 'type', op: 'includes', value: 'puerh' },
+                { field: 'processingMethods', op: 'matches', value: 'ferment' }
+            ]
+        },
+        actions: [
+            { effect: 'grounding', op: 'multiply', value: 1.1 },
+            { effect: 'comforting', op: 'multiply', value: 1.1 }
+        ]
+    },
+    {
+        id: 'heavy-firing',
+        stage: 'processing',
+        priority: 50,
+        description: 'Charcoal or heavy firing adds grounding and comforting depth',
+        when: { field: 'processing.firing', op: 'matches', value: 'charcoal|heavy' },
+        actions: [
+            { effect: 'grounding', op: 'multiply', value: 1.2 },
+            { effect: 'comforting', op: 'multiply', value: 1.15 }
+        ]
+    },
+    {
+        id: 'light-firing',
+        stage: 'processing',
+        priority: 50,
+        description: 'Light firing keeps an uplifting, aromatic character',
+        when: {
+            all: [
+                { field: 'processing.firing', op: 'includes', value: 'light' },
+                { not: { field: 'processing.firing', op: 'matches', value: 'charcoal|heavy' } }
+            ]
+        },
+        actions: [{ effect: 'elevating', op: 'multiply', value: 1.1 }]
+    },
+    {
+        id: 'tight-rolling',
+        stage: 'processing',
+        priority: 50,
+        description: 'Heavy or tight rolling releases more cell content, adding energy',
+        when: { field: 'processing.rollingStyle', op: 'matches', value: 'heavy|tight' },
+        actions: [{ effect: 'energizing', op: 'multiply', value: 1.15 }]
+    },
+    {
+        id: 'light-rolling',
+        stage: 'processing',
+        priority: 50,
+        description: 'Light rolling gives a gentler, calmer cup',
+        when: {
+            all: [
+                { field: 'processing.rollingStyle', op: 'includes', value: 'light' },
+                { not: { field: 'processing.rollingStyle', op: 'matches', value: 'heavy|tight' } }
+            ]
+        },
+        actions: [{ effect: 'calming', op: 'multiply', value: 1.1 }]
+    },
+    {
+        id: 'long-withering',
+        stage: 'processing',
+        priority: 50,
+        description: 'Long withering rounds the tea towards harmonizing',
+        when: { field: 'processing.withering', op: 'includes', value: 'long' },
+        actions: [{ effect: 'harmonizing', op: 'multiply', value: 1.15 }]
+    },
+    {
+        id: 'sun-withering',
+        stage: 'processing',
+        priority: 50,
+        description: 'Sun withering may boost elevating slightly',
+        when: {
+            all: [
+                { field: 'processing.withering', op: 'includes', value: 'sun' },
+                { not: { field: 'processing.withering', op: 'includes', value: 'long' } }
+            ]
+        },
+        actions: [{ effect: 'elevating', op: 'multiply', value: 1.1 }]
+    },
+    {
+        id: 'roasted-methods',
+        stage: 'processing',
+        priority: 50,
+        description: 'Heavy or charcoal roast listed as a method (skipped when firing details already cover it)',
+        when: {
+            all: [
+                { field: 'processingMethods', op: 'matches', value: '^(?=.*roast)(?=.*(heavy|charcoal))' },
+                { not: { field: 'processing.firing', op: 'matches', value: 'charcoal|heavy' } }
+            ]
+        },
+        actions: [
+            { effect: 'grounding', op: 'multiply', value: 1.1 },
+            { effect: 'comforting', op: 'multiply', value: 1.1 }
+        ]
+    },
+    {
+        id: 'shade-grown-methods',
+        stage: 'processing',
+        priority: 50,
+        description: 'Shading boosts focus, with slight calming and elevating',
+        when: { field: 'processingMethods', op: 'matches', value: 'shade' },
+        actions: [
+            { effect: 'focusing', op: 'multiply', value: 1.1 },
+            { effect: 'calming', op: 'multiply', value: 1.05 },
+            { effect: 'elevating', op: 'multiply', value: 1.05 }
+        ]
+    },
+    {
+        id: 'fermented-methods',
+        stage: 'processing',
+        priority: 50,
+        description: 'Fermentation boosts restorative and grounding',
+        when: { field: 'processingMethods', op: 'matches', value: 'ferment' },
+        actions: [
+            { effect: 'restorative', op: 'multiply', value: 1.1 },
+            { effect: 'grounding', op: 'multiply', value: 1.05 }
+        ]
+    },
+
+    // --- Seasonal (SeasonCalculator.calculateSeasonalScores) ---
+    {
+        id: 'high-altitude',
+        stage: 'seasonal',
+        priority: 50,
+        description: 'High altitude enhances focusing and elevating effects',
+        when: { field: 'geography.altitude', op: 'gt', value: 1000 },
+        actions: [
+            { effect: 'focusing', op: 'multiply', value: 1.2 },
+            { effect: 'elevating', op: 'multiply', value: 1.2 }
+        ]
+    },
+    {
+        id: 'low-altitude',
+        stage: 'seasonal',
+        priority: 50,
+        description: 'Low altitude enhances grounding effects',
+        when: {
+            all: [
+                { field: 'geography.altitude', op: 'gt', value: 0 },
+                { field: 'geography.altitude', op: 'lt', value: 500 }
+            ]
+        },
+        actions: [
+            { effect: 'grounding', op: 'multiply', value: 1.2 },
+            { effect: 'comforting', op: 'multiply', value: 1.1 }
+        ]
+    },
+    {
+        id: 'high-theanine-ratio',
+        stage: 'seasonal',
+        priority: 50,
+        description: 'High L-theanine to caffeine ratio enhances calming and focusing',
+        when: { field: 'lTheanineToCaffeineRatio', op: 'gt', value: 1.5 },
+        actions: [
+            { effect: 'calming', op: 'multiply', value: 1.2 },
+            { effect: 'focusing', op: 'multiply', value: 1.1 }
+        ]
+    },
+    {
+        id: 'low-theanine-ratio',
+        stage: 'seasonal',
+        priority: 50,
+        description: 'Low L-theanine to caffeine ratio enhances energizing',
+        when: { field: 'lTheanineToCaffeineRatio', op: 'lt', value: 0.8 },
+        actions: [{ effect: 'energizing', op: 'multiply', value: 1.2 }]
+    },
+    {
+        id: 'seasonal-cap',
+        stage: 'seasonal',
+        priority: 0,
+        description: 'Cap all seasonal scores at 10',
+        actions: [{ effect: '*', op: 'clamp', max: 10 }]
+    }
+];
+
+export default adjustmentRules;
@@ -0,0 +1,37 @@
+// BlendParameters.js
+// How blending/blend.js merges component teas into one composite tea
+
+// Compound levels (0-10) averaged by weight over the components that have them
+export const blendedCompounds = ['caffeineLevel', 'lTheanineLevel', 'catechinLevel', 'totalPolyphenols', 'aminoAcids'];
+
+// Geography values averaged by weight; harvestMonth is averaged around the calendar
+export const blendedGeography = ['altitude', 'humidity'];
+
+// Share of the blend a flavor note (summed over the components listing it) needs to be a primary
+// note, and a processing method to stay in the composite; rarer notes become secondary flavors
+export const blendThresholds = {
+    primaryFlavorShare: 0.2,
+    processingShare: 0.25
+};
+
+// Components further apart than this (km) count as mixed origins: the composite then takes its
+// coordinates from the largest component instead of a weighted midpoint that nobody grows tea at
+export const maxOriginSpreadKm = 500;
+
+// Proportion search of blending/designer.js: a grid of `divisions` steps per component (coarsened
+// until it has at most maxGridPoints blends), then moves of refineStep between pairs of components,
+// halved whenever no move improves the fit, down to minStep
+export const blendSearch = {
+    divisions: 10,
+    maxGridPoints: 1000,
+    refineStep: 0.05,
+    minStep: 0.005
+};
+
+export default {
+    blendedCompounds,
+    blendedGeography,
+    blendThresholds,
+    maxOriginSpreadKm,
+    blendSearch
+};
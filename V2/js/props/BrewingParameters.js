@@ -0,0 +1,104 @@
+// BrewingParameters.js
+// Constants for the brewing extraction model (see brewing/extraction.js)
+//
+// A brew is described by:
+//   temperature        water temperature in °C
+//   steepTime          steep time in seconds
+//   leafToWaterRatio   grams of leaf per 100 ml of water
+//   vesselVolume       water volume in ml
+//   infusion           infusion number (1 for the first steep of fresh leaf)
+//   previousSteepTimes steep times in seconds of the earlier infusions of the same leaf
+//                      (default: infusion - 1 steeps of steepTime)
+
+// Default western-style brew per base tea type; a tea brewed this way reaches the cup at its leaf levels
+export const defaultBrewing = {
+    green: { temperature: 80, steepTime: 120, leafToWaterRatio: 1.2, vesselVolume: 250, infusion: 1 },
+    white: { temperature: 85, steepTime: 240, leafToWaterRatio: 1.2, vesselVolume: 250, infusion: 1 },
+    yellow: { temperature: 80, steepTime: 150, leafToWaterRatio: 1.2, vesselVolume: 250, infusion: 1 },
+    oolong: { temperature: 95, steepTime: 180, leafToWaterRatio: 1.2, vesselVolume: 250, infusion: 1 },
+    black: { temperature: 95, steepTime: 240, leafToWaterRatio: 1.2, vesselVolume: 250, infusion: 1 },
+    dark: { temperature: 100, steepTime: 240, leafToWaterRatio: 1.2, vesselVolume: 250, infusion: 1 },
+    puerh: { temperature: 100, steepTime: 240, leafToWaterRatio: 1.2, vesselVolume: 250, infusion: 1 }
+};
+
+// Brew used for teas whose type has no default
+export const fallbackBrewing = defaultBrewing.green;
+
+// Default gongfu session per base tea type (see brewing/session.js): a small vessel packed with leaf,
+// short first steep lengthened by steepIncrement each infusion, and an optional discarded rinse
+export const defaultSessions = {
+    green: { infusions: 4, temperature: 80, leafToWaterRatio: 4, vesselVolume: 100, firstSteep: 20, steepIncrement: 10, rinse: 0 },
+    white: { infusions: 6, temperature: 90, leafToWaterRatio: 5, vesselVolume: 100, firstSteep: 20, steepIncrement: 10, rinse: 0 },
+    yellow: { infusions: 5, temperature: 80, leafToWaterRatio: 4, vesselVolume: 100, firstSteep: 20, steepIncrement: 10, rinse: 0 },
+    oolong: { infusions: 8, temperature: 95, leafToWaterRatio: 6, vesselVolume: 100, firstSteep: 20, steepIncrement: 5, rinse: 0 },
+    black: { infusions: 6, temperature: 95, leafToWaterRatio: 5, vesselVolume: 100, firstSteep: 15, steepIncrement: 5, rinse: 0 },
+    dark: { infusions: 10, temperature: 100, leafToWaterRatio: 6, vesselVolume: 100, firstSteep: 10, steepIncrement: 5, rinse: 5 },
+    puerh: { infusions: 10, temperature: 100, leafToWaterRatio: 7, vesselVolume: 100, firstSteep: 10, steepIncrement: 5, rinse: 5 }
+};
+
+// Valid range of every brewing parameter
+export const brewingRanges = {
+    temperature: { min: 40, max: 100, label: 'Water temperature', unit: '°C' },
+    steepTime: { min: 1, max: 3600, label: 'Steep time', unit: 's' },
+    leafToWaterRatio: { min: 0.1, max: 20, label: 'Leaf-to-water ratio', unit: 'g/100 ml' },
+    vesselVolume: { min: 20, max: 2000, label: 'Vessel volume', unit: 'ml' },
+    infusion: { min: 1, max: 30, label: 'Infusion number', unit: '' }
+};
+
+// Extraction kinetics per compound
+//   level               tea field holding the leaf level (0-10 scale)
+//   mgPerGramPerLevel   dry-leaf content per level point (caffeine level 5 = 35 mg/g)
+//   maxFraction         share of the leaf content that can be extracted at all
+//   rate                first-order extraction rate at referenceTemperature, per minute
+//   activationEnergy    Arrhenius activation energy in kJ/mol; the higher it is,
+//                       the more the rate drops in cooler water (catechins most, L-theanine least)
+export const extractionKinetics = {
+    caffeine: {
+        level: 'caffeineLevel',
+        label: 'Caffeine',
+        mgPerGramPerLevel: 7,
+        maxFraction: 0.85,
+        rate: 0.35,
+        activationEnergy: 38
+    },
+    lTheanine: {
+        level: 'lTheanineLevel',
+        label: 'L-Theanine',
+        mgPerGramPerLevel: 4,
+        maxFraction: 0.9,
+        rate: 0.5,
+        activationEnergy: 22
+    },
+    catechins: {
+        level: 'catechinLevel',
+        label: 'Catechins',
+        mgPerGramPerLevel: 20,
+        maxFraction: 0.7,
+        rate: 0.15,
+        activationEnergy: 60
+    }
+};
+
+// Temperature the kinetic rates are given at (°C)
+export const referenceTemperature = 80;
+
+// Rate multiplier once the leaf has been wetted by an earlier infusion and has unfurled
+export const rehydratedRateFactor = 1.5;
+
+// Liquor held back by wet leaf (ml per gram); it is not poured into the cup
+export const leafRetention = 2.5;
+
+// Processing methods whose leaf is suspended and drunk whole, so everything reaches the cup
+export const suspendedLeafMethods = ['stone-ground', 'powdered'];
+
+export default {
+    defaultBrewing,
+    fallbackBrewing,
+    defaultSessions,
+    brewingRanges,
+    extractionKinetics,
+    referenceTemperature,
+    rehydratedRateFactor,
+    leafRetention,
+    suspendedLeafMethods
+};
@@ -0,0 +1,85 @@
+// DrinkerProfiles.js
+// Reference data for personal drinker profiles (see utils/drinkerProfile.js)
+//
+// A profile is described by:
+//   name                 label shown in the UI
+//   bodyWeight           kg; scales the volume the compounds spread into
+//   caffeineSensitivity  self-rated response to caffeine: low, normal or high
+//   metabolizer          caffeine clearance (CYP1A2 activity): fast, normal or slow
+//   habitualCaffeine     usual mg of caffeine per day; regular intake builds tolerance
+//   chronotype           morning, intermediate or evening type
+//   bedtime              usual bedtime 'HH:MM' (default: the chronotype's)
+//   constitution         TCM constitution: { temperature: cold|neutral|warm, moisture: damp|neutral|dry }
+
+// Profile every analysis uses when none is set; it leaves scores and timing unchanged
+export const defaultDrinkerProfile = {
+    name: 'Default',
+    bodyWeight: 70,
+    caffeineSensitivity: 'normal',
+    metabolizer: 'normal',
+    habitualCaffeine: 200,
+    chronotype: 'intermediate',
+    bedtime: null,
+    constitution: { temperature: 'neutral', moisture: 'neutral' }
+};
+
+// Self-rated caffeine sensitivity: how strongly caffeine is felt (intensityFactor)
+// and the plasma level at which it becomes noticeable (thresholdFactor)
+export const caffeineSensitivities = {
+    low: { label: 'Low', intensityFactor: 0.8, thresholdFactor: 1.3 },
+    normal: { label: 'Normal', intensityFactor: 1.0, thresholdFactor: 1.0 },
+    high: { label: 'High', intensityFactor: 1.25, thresholdFactor: 0.7 }
+};
+
+// Caffeine clearance; slow metabolizers keep caffeine about twice as long as fast ones
+export const metabolizerTypes = {
+    fast: { label: 'Fast', halfLifeFactor: 0.7 },
+    normal: { label: 'Normal', halfLifeFactor: 1.0 },
+    slow: { label: 'Slow', halfLifeFactor: 1.6 }
+};
+
+// Tolerance from habitual intake: every 100 mg/day above the reference intake dulls caffeine by
+// perHundredMg (and below it sharpens it), within [minFactor, maxFactor]
+export const caffeineTolerance = {
+    referenceIntake: 200,
+    perHundredMg: 0.06,
+    minFactor: 0.7,
+    maxFactor: 1.15
+};
+
+// Chronotypes with their usual bedtime and the hours of the day they are most alert
+export const chronotypes = {
+    morning: { label: 'Morning type', bedtime: '22:00', alertWindow: ['07:00', '12:00'] },
+    intermediate: { label: 'Intermediate', bedtime: '23:00', alertWindow: ['09:00', '14:00'] },
+    evening: { label: 'Evening type', bedtime: '00:30', alertWindow: ['11:00', '18:00'] }
+};
+
+// TCM constitutions and the tea energies that aggravate or suit them; `energy` is a key of
+// QiTeaAnalyzer's energy profile (1-10), matched when it is at most `max` or at least `min`
+export const constitutionRules = [
+    { constitution: 'temperature', value: 'cold', energy: 'temperature', max: 3, fit: 'mismatch',
+      note: 'Strongly cooling tea for a cold constitution; may chill the stomach, better in small amounts or after food' },
+    { constitution: 'temperature', value: 'cold', energy: 'temperature', min: 7, fit: 'suited',
+      note: 'Warming tea that suits a cold constitution' },
+    { constitution: 'temperature', value: 'warm', energy: 'temperature', min: 8, fit: 'mismatch',
+      note: 'Strongly warming tea for a warm constitution; may aggravate heat, thirst or restlessness' },
+    { constitution: 'temperature', value: 'warm', energy: 'temperature', max: 4, fit: 'suited',
+      note: 'Cooling tea that suits a warm constitution' },
+    { constitution: 'moisture', value: 'damp', energy: 'moisture', min: 7, fit: 'mismatch',
+      note: 'Moistening tea for a damp constitution; may add to heaviness and sluggish digestion' },
+    { constitution: 'moisture', value: 'damp', energy: 'moisture', max: 3, fit: 'suited',
+      note: 'Drying tea that helps resolve dampness' },
+    { constitution: 'moisture', value: 'dry', energy: 'moisture', max: 3, fit: 'mismatch',
+      note: 'Drying tea for a dry constitution; may leave the mouth and skin drier' },
+    { constitution: 'moisture', value: 'dry', energy: 'moisture', min: 7, fit: 'suited',
+      note: 'Moistening tea that suits a dry constitution' }
+];
+
+export default {
+    defaultDrinkerProfile,
+    caffeineSensitivities,
+    metabolizerTypes,
+    caffeineTolerance,
+    chronotypes,
+    constitutionRules
+};
@@ -0,0 +1,66 @@
+// ImputationPriors.js
+// Adjustments used to estimate missing compound and geography values (see data/TeaImputation.js)
+// Tea type baselines live in TeaTypeDescriptors.typicalComposition
+
+// Change to the type baseline (0-10 scale) when a processing method is listed
+export const processingCompoundAdjustments = {
+    'shade-grown': { lTheanineLevel: 2, caffeineLevel: 1, catechinLevel: -1 },
+    'steamed': { catechinLevel: 0.5 },
+    'minimal-processing': { catechinLevel: 0.5 },
+    'partial-oxidation': { catechinLevel: -1 },
+    'full-oxidation': { catechinLevel: -2.5 },
+    'oxidised': { catechinLevel: -2 },
+    'fermented': { catechinLevel: -2, lTheanineLevel: -1 },
+    'pile-fermented': { catechinLevel: -2.5, lTheanineLevel: -1 },
+    'aged': { catechinLevel: -1.5, caffeineLevel: -0.5 },
+    'heavy-roast': { caffeineLevel: -0.5, catechinLevel: -1 },
+    'charcoal-roasted': { caffeineLevel: -0.5, catechinLevel: -1 },
+    'gaba-processed': { lTheanineLevel: -1 }
+};
+
+// Change to the type baseline by harvest season (northern hemisphere months; shifted by six in the south)
+export const seasonalCompoundAdjustments = {
+    spring: { months: [3, 4, 5], lTheanineLevel: 0.5, caffeineLevel: 0.5 },
+    summer: { months: [6, 7, 8], lTheanineLevel: -1, catechinLevel: 1 },
+    autumn: { months: [9, 10, 11], lTheanineLevel: -0.5 },
+    winter: { months: [12, 1, 2], caffeineLevel: -0.5 }
+};
+
+// Typical geography by origin keyword (matched as a whole word); the first entry found in the
+// origin string wins, so specific regions come before their countries
+export const originGeography = [
+    { match: 'uji', altitude: 200, humidity: 75, latitude: 34.88, longitude: 135.80 },
+    { match: 'shizuoka', altitude: 300, humidity: 70, latitude: 34.98, longitude: 138.38 },
+    { match: 'kagoshima', altitude: 200, humidity: 75, latitude: 31.60, longitude: 130.55 },
+    { match: 'japan', altitude: 300, humidity: 75, latitude: 35.00, longitude: 136.00 },
+    { match: 'wuyi', altitude: 600, humidity: 80, latitude: 27.72, longitude: 117.68 },
+    { match: 'fuding', altitude: 800, humidity: 80, latitude: 27.32, longitude: 120.20 },
+    { match: 'anxi', altitude: 800, humidity: 78, latitude: 25.06, longitude: 118.19 },
+    { match: 'fujian', altitude: 600, humidity: 78, latitude: 26.10, longitude: 118.30 },
+    { match: 'phoenix', altitude: 1200, humidity: 80, latitude: 23.77, longitude: 116.60 },
+    { match: 'guangdong', altitude: 800, humidity: 80, latitude: 23.50, longitude: 116.50 },
+    { match: 'menghai', altitude: 1300, humidity: 80, latitude: 21.97, longitude: 100.45 },
+    { match: 'xishuangbanna', altitude: 1400, humidity: 80, latitude: 22.00, longitude: 100.80 },
+    { match: 'yunnan', altitude: 1500, humidity: 75, latitude: 24.50, longitude: 101.50 },
+    { match: 'hangzhou', altitude: 300, humidity: 78, latitude: 30.25, longitude: 120.15 },
+    { match: 'zhejiang', altitude: 400, humidity: 78, latitude: 29.50, longitude: 120.00 },
+    { match: 'anhui', altitude: 600, humidity: 75, latitude: 30.10, longitude: 118.20 },
+    { match: 'hunan', altitude: 500, humidity: 78, latitude: 28.20, longitude: 112.90 },
+    { match: 'china', altitude: 800, humidity: 75, latitude: 27.00, longitude: 113.00 },
+    { match: 'alishan', altitude: 1500, humidity: 80, latitude: 23.51, longitude: 120.80 },
+    { match: 'ali', altitude: 1500, humidity: 80, latitude: 23.51, longitude: 120.80 },
+    { match: 'taiwan', altitude: 1000, humidity: 80, latitude: 23.70, longitude: 121.00 },
+    { match: 'darjeeling', altitude: 2000, humidity: 80, latitude: 27.04, longitude: 88.26 },
+    { match: 'assam', altitude: 100, humidity: 85, latitude: 26.70, longitude: 94.20 },
+    { match: 'nilgiri', altitude: 1800, humidity: 75, latitude: 11.40, longitude: 76.70 },
+    { match: 'india', altitude: 500, humidity: 75, latitude: 22.00, longitude: 79.00 },
+    { match: 'ceylon', altitude: 1200, humidity: 80, latitude: 7.00, longitude: 80.80 },
+    { match: 'sri lanka', altitude: 1200, humidity: 80, latitude: 7.00, longitude: 80.80 },
+    { match: 'kenya', altitude: 2000, humidity: 70, latitude: -0.40, longitude: 36.90 }
+];
+
+export default {
+    processingCompoundAdjustments,
+    seasonalCompoundAdjustments,
+    originGeography
+};
@@ -0,0 +1,52 @@
+// Pharmacokinetics.js
+// One-compartment absorption/elimination parameters for the compounds TimingCalculator follows
+// (see utils/pharmacokinetics.js); override them through the pharmacokinetics config key
+//
+//   lagTime               minutes before absorption starts (gastric emptying)
+//   absorptionRate        first-order absorption rate from the gut, per minute
+//   halfLife              elimination half-life in minutes
+//   volumeOfDistribution  litres per kg of body weight
+//   bioavailability       share of the dose reaching the bloodstream
+//   effectThreshold       plasma concentration (mg/L) above which the compound is noticeable
+
+export const compoundKinetics = {
+    caffeine: {
+        label: 'Caffeine',
+        lagTime: 5,
+        absorptionRate: 0.07,       // peak about 50 minutes after the lag
+        halfLife: 300,
+        volumeOfDistribution: 0.6,
+        bioavailability: 1.0,
+        effectThreshold: 0.4
+    },
+    lTheanine: {
+        label: 'L-Theanine',
+        lagTime: 10,
+        absorptionRate: 0.04,       // peak about 45 minutes after the lag
+        halfLife: 65,
+        volumeOfDistribution: 0.6,
+        bioavailability: 0.9,
+        effectThreshold: 0.4
+    }
+};
+
+// Body weight (kg) the volumes of distribution are scaled by
+export const referenceBodyWeight = 70;
+
+// Simulation grid in minutes
+export const simulationStep = 5;
+export const simulationHorizon = 1440;
+
+// Phase boundaries as shares of the peak combined activity (see deriveTiming)
+export const phaseLevels = {
+    peak: 0.9,          // peak phase: activity at or above 90% of its maximum
+    sustained: 0.5      // sustained phase: from the end of the peak until activity drops below 50%
+};
+
+export default {
+    compoundKinetics,
+    referenceBodyWeight,
+    simulationStep,
+    simulationHorizon,
+    phaseLevels
+};
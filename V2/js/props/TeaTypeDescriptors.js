@@ -59,6 +59,18 @@ export const teaTypeDescriptors = {
         puerh: "Puerh tea from Yunnan can be sheng (raw) which ages naturally, or shou (ripe) which undergoes accelerated fermentation. Both develop complex, earthy characters that continue to evolve with time."
     },
 
+    // Typical composition per tea type, used to estimate missing values (see data/TeaImputation.js)
+    // Compound levels on the 0-10 scale, altitude in meters
+    typicalComposition: {
+        green: { caffeineLevel: 4.5, lTheanineLevel: 6.5, catechinLevel: 7.5, altitude: 500, harvestMonth: 4 },
+        white: { caffeineLevel: 3, lTheanineLevel: 6.5, catechinLevel: 5, altitude: 800, harvestMonth: 3 },
+        yellow: { caffeineLevel: 3.5, lTheanineLevel: 6, catechinLevel: 6, altitude: 700, harvestMonth: 4 },
+        oolong: { caffeineLevel: 4.5, lTheanineLevel: 5, catechinLevel: 5.5, altitude: 900, harvestMonth: 5 },
+        black: { caffeineLevel: 6, lTheanineLevel: 3.5, catechinLevel: 3, altitude: 600, harvestMonth: 6 },
+        dark: { caffeineLevel: 4, lTheanineLevel: 3, catechinLevel: 3, altitude: 800, harvestMonth: 5 },
+        puerh: { caffeineLevel: 5, lTheanineLevel: 4, catechinLevel: 4.5, altitude: 1400, harvestMonth: 4 }
+    },
+
     // Mapping for seasonal flavor affinities
     seasonalFlavorAffinities: {
         spring: ["floral", "fresh", "grassy", "vegetal", "bright", "green", "herbaceous", "light", "crisp"],
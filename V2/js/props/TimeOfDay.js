@@ -0,0 +1,122 @@
+// TimeOfDay.js
+// Time of day tea drinking recommendations, ported from the V1 data/TimeOfDay.js for QiTeaAnalyzer
+
+// Time slots with the energy qualities that suit them and those better avoided;
+// clock is the time a cup in the slot is taken to be drunk when working out the caffeine left at bedtime
+export const timeOfDaySlots = {
+    morning: {
+        label: 'Morning',
+        description: 'Early to mid-morning (6am-10am)',
+        clock: '08:00',
+        suited: ['rising', 'stimulating', 'lifting', 'clearing', 'expanding'],
+        avoided: ['sinking', 'anchoring', 'heavy grounding'],
+        ideal: 'Teas with upward, awakening, and clear energy patterns'
+    },
+    midday: {
+        label: 'Midday',
+        description: 'Late morning to early afternoon (10am-2pm)',
+        clock: '12:00',
+        suited: ['balanced', 'harmonizing', 'circulating', 'dynamic'],
+        avoided: ['extremely stimulating', 'heavily sinking'],
+        ideal: 'Teas with balanced, steady energy patterns that support activity'
+    },
+    afternoon: {
+        label: 'Afternoon',
+        description: 'Mid to late afternoon (2pm-6pm)',
+        clock: '16:00',
+        suited: ['gentle rising', 'harmonizing', 'balanced', 'gently sinking'],
+        avoided: ['strongly stimulating', 'heavy'],
+        ideal: 'Teas with moderate, transitional energy patterns'
+    },
+    evening: {
+        label: 'Evening',
+        description: 'Early to mid-evening (6pm-9pm)',
+        clock: '19:30',
+        suited: ['sinking', 'grounding', 'gentle', 'anchoring'],
+        avoided: ['strongly rising', 'stimulating', 'intense clearing'],
+        ideal: 'Teas with calming, settling energy patterns'
+    },
+    night: {
+        label: 'Night',
+        description: 'Late evening before bed (9pm onwards)',
+        clock: '21:30',
+        suited: ['sinking', 'grounding', 'anchoring', 'gentle'],
+        avoided: ['rising', 'stimulating', 'clearing', 'expanding'],
+        ideal: 'Teas with deeply settling energy patterns that make way for sleep'
+    }
+};
+
+// What each quality means in terms of the energy profile (1-10, matched when within min/max)
+// and the secondary direction (matched when it is one of those listed)
+export const energyQualities = {
+    'rising': { movement: { min: 7 } },
+    'strongly rising': { movement: { min: 8 } },
+    'gentle rising': { movement: { min: 6, max: 7 } },
+    'stimulating': { movement: { min: 7 }, weight: { max: 4 } },
+    'strongly stimulating': { movement: { min: 8 }, weight: { max: 3 } },
+    'extremely stimulating': { movement: { min: 9 }, weight: { max: 2 } },
+    'lifting': { weight: { max: 4 } },
+    'clearing': { temperature: { max: 4 }, secondary: ['Outward'] },
+    'intense clearing': { temperature: { max: 2 }, secondary: ['Outward'] },
+    'expanding': { secondary: ['Outward', 'Outward then Inward'] },
+    'balanced': { temperature: { min: 4, max: 6 }, movement: { min: 4, max: 6 } },
+    'harmonizing': { secondary: ['Balanced'] },
+    'circulating': { secondary: ['Balanced', 'Outward then Inward'] },
+    'dynamic': { movement: { min: 5, max: 7 }, weight: { max: 5 } },
+    'gentle': { temperature: { min: 4, max: 6 }, weight: { min: 4, max: 6 } },
+    'gently sinking': { movement: { min: 4, max: 5 } },
+    'sinking': { movement: { max: 4 } },
+    'heavily sinking': { movement: { max: 3 }, weight: { min: 7 } },
+    'anchoring': { weight: { min: 6 }, secondary: ['Inward'] },
+    'grounding': { weight: { min: 6 } },
+    'heavy grounding': { weight: { min: 8 } },
+    'heavy': { weight: { min: 7 } }
+};
+
+// Slots suited to a tea's yin-yang nature and qi movement
+// (V1's "Early Afternoon" is the midday slot and its "Late Afternoon" the afternoon slot)
+export const timeRecommendations = {
+    yinYang: {
+        yang: ['morning', 'midday'],
+        yin: ['afternoon', 'evening', 'night'],
+        balanced: ['morning', 'afternoon', 'evening']
+    },
+    qiMovement: {
+        rising: ['morning', 'midday'],
+        descending: ['evening', 'night'],
+        expanding: ['morning', 'afternoon'],
+        contracting: ['evening', 'night'],
+        balanced: ['morning', 'afternoon', 'evening']
+    }
+};
+
+// Energy temperature at or above which a tea counts as yang, and at or below which as yin
+export const yinYangThresholds = {
+    yang: 6,
+    yin: 4
+};
+
+// Suitability scoring (0-10): every slot starts at base, gains `suited` per suited quality
+// the tea shows and loses `avoided` per avoided one, and gains the table bonuses above.
+// It also loses `caffeine` per bedtimeCaffeineLimit (config) of caffeine a cup drunk at the
+// slot's clock time still leaves in the body at bedtime
+export const timeOfDayScoring = {
+    base: 5,
+    suited: 1.5,
+    avoided: 2,
+    yinYang: 1,
+    qiMovement: 1,
+    caffeine: 5
+};
+
+// Bedtime used when no drinker profile sets one
+export const defaultBedtime = '22:00';
+
+export default {
+    timeOfDaySlots,
+    energyQualities,
+    timeRecommendations,
+    yinYangThresholds,
+    timeOfDayScoring,
+    defaultBedtime
+};
@@ -8,6 +8,7 @@ import { flavorInfluences } from '../props/FlavorInfluences.js';
 import { processingInfluences } from '../props/ProcessingInfluences.js';
 import { effectCombinations } from '../props/EffectCombinations.js';
 import geographicalDescriptors from '../props/GeographicalDescriptors.js';
+import { computeEffectMetrics, formatMetricsMarkdown } from '../analysis/metrics.js';
 
 /**
  * Generate a report on the effects analysis of teas in the database
@@ -77,13 +78,15 @@ export async function generateEffectsReport(progressCallback = () => {}) {
         // Add to reports
         teaReports.push({
             tea: tea.name,
+            type: tea.type,
+            expectedEffects: tea.expectedEffects,
             expectedDominant,
             calculatedDominant,
             dominantMatch,
             expectedSupporting,
             calculatedSupporting,
             supportingMatch,
-            allScores: result.data.allScores,
+            allScores: result.data.finalScores,
             componentScores: result.data.componentScores
         });
         
@@ -99,7 +102,13 @@ export async function generateEffectsReport(progressCallback = () => {}) {
         dominantMatches,
         dominantMatchRate: Math.round((dominantMatches / teas.length) * 100),
         supportingMatches,
-        supportingMatchRate: Math.round((supportingMatches / teas.length) * 100)
+        supportingMatchRate: Math.round((supportingMatches / teas.length) * 100),
+        metrics: computeEffectMetrics(teaReports.map(report => ({
+            tea: report.tea,
+            type: report.type,
+            expected: report.expectedEffects,
+            calculated: report.allScores
+        })))
     };
     
     // Format report text
@@ -185,6 +194,8 @@ export async function generateEnhancedEffectsReport(progressCallback = () => {})
         // Add to reports
         teaReports.push({
             tea: tea.name,
+            type: tea.type,
+            expectedEffects: tea.expectedEffects,
             teaDetails: tea,
             expectedDominant,
             calculatedDominant,
@@ -192,7 +203,7 @@ export async function generateEnhancedEffectsReport(progressCallback = () => {})
             expectedSupporting,
             calculatedSupporting,
             supportingMatch,
-            allScores: result.data.allScores,
+            allScores: result.data.finalScores,
             componentScores: result.data.componentScores,
             componentContributions,
             resultData: result.data
@@ -210,7 +221,13 @@ export async function generateEnhancedEffectsReport(progressCallback = () => {})
         dominantMatches,
         dominantMatchRate: Math.round((dominantMatches / teas.length) * 100),
         supportingMatches,
-        supportingMatchRate: Math.round((supportingMatches / teas.length) * 100)
+        supportingMatchRate: Math.round((supportingMatches / teas.length) * 100),
+        metrics: computeEffectMetrics(teaReports.map(report => ({
+            tea: report.tea,
+            type: report.type,
+            expected: report.expectedEffects,
+            calculated: report.allScores
+        })))
     };
     
     // Format enhanced report text
@@ -315,6 +332,10 @@ function formatReportText(teaReports, summary) {
     text += `- **Dominant effect match rate**: ${summary.dominantMatchRate}% (${summary.dominantMatches}/${summary.totalTeas})\n`;
     text += `- **Supporting effects match rate**: ${summary.supportingMatchRate}% (${summary.supportingMatches}/${summary.totalTeas})\n\n`;
     
+    if (summary.metrics) {
+        text += formatMetricsMarkdown(summary.metrics);
+    }
+    
     // Add tea reports
     text += '## Individual Tea Reports\n\n';
     
@@ -360,6 +381,10 @@ function formatEnhancedReportText(teaReports, summary) {
     text += `- **Dominant effect match rate**: ${summary.dominantMatchRate}% (${summary.dominantMatches}/${summary.totalTeas})\n`;
     text += `- **Supporting effects match rate**: ${summary.supportingMatchRate}% (${summary.supportingMatches}/${summary.totalTeas})\n\n`;
     
+    if (summary.metrics) {
+        text += formatMetricsMarkdown(summary.metrics);
+    }
+    
     // Add detailed tea reports
     text += '## Detailed Tea Reports\n\n';
     
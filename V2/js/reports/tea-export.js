@@ -0,0 +1,36 @@
+// tea-export.js - Build the JSON export document for an analyzed tea
+// Shared by the browser export tool (json-export.js) and the command-line interface
+
+/**
+ * Create the JSON export document for a tea and its analysis
+ * @param {Object} tea - The analyzed tea
+ * @param {Object} analysis - Serialized analysis data (e.g. result.data or analyzeTea() output)
+ * @returns {Object} The export document
+ */
+export function createTeaExport(tea, analysis) {
+    return {
+        tea: {
+            name: tea.name || 'Unknown',
+            originalName: tea.originalName || '',
+            type: tea.type || 'unknown',
+            origin: tea.origin || 'Unknown',
+            compounds: {
+                lTheanine: tea.lTheanineLevel || 0,
+                caffeine: tea.caffeineLevel || 0,
+                ratio: tea.lTheanineLevel / tea.caffeineLevel
+            },
+            flavorProfile: tea.flavorProfile || [],
+            processingMethods: tea.processingMethods || [],
+            geography: tea.geography || {}
+        },
+        analysis,
+        calculatedAt: new Date().toISOString(),
+        _sectionRef: {
+            tea: 'tea-info',
+            analysis: 'effect-analysis',
+            components: 'component-analysis'
+        }
+    };
+}
+
+export default createTeaExport;
@@ -0,0 +1,59 @@
+// CalculatorRegistry.test.js
+// Calculator registry: dependency ordering, cycles and disabled calculators
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CalculatorRegistry } from '../CalculatorRegistry.js';
+
+// Smallest object the registry accepts as a calculator
+const calculator = () => ({ infer: () => ({}), serialize: () => ({}) });
+const order = registry => registry.getExecutionOrder().map(({ name }) => name);
+
+test('calculators run after their dependencies, otherwise in registration order', () => {
+    const registry = new CalculatorRegistry()
+        .register('summary', calculator(), { dependsOn: ['effects', 'timing'] })
+        .register('effects', calculator(), { dependsOn: ['compounds'] })
+        .register('flavor', calculator())
+        .register('timing', calculator(), { dependsOn: ['compounds'] })
+        .register('compounds', calculator());
+
+    assert.deepEqual(order(registry), ['flavor', 'compounds', 'effects', 'timing', 'summary']);
+});
+
+test('a dependency cycle is reported with the calculators in it', () => {
+    const registry = new CalculatorRegistry()
+        .register('standalone', calculator())
+        .register('a', calculator(), { dependsOn: ['c'] })
+        .register('b', calculator(), { dependsOn: ['a'] })
+        .register('c', calculator(), { dependsOn: ['b'] });
+
+    assert.throws(() => registry.getExecutionOrder(), /dependency cycle between: a, b, c/);
+});
+
+test('an unregistered dependency is reported', () => {
+    const registry = new CalculatorRegistry().register('effects', calculator(), { dependsOn: ['compounds'] });
+    assert.throws(() => registry.getExecutionOrder(), /depends on unregistered calculator "compounds"/);
+});
+
+test('disabling a calculator skips everything that depends on it, directly or not', () => {
+    const registry = new CalculatorRegistry()
+        .register('compounds', calculator())
+        .register('effects', calculator(), { dependsOn: ['compounds'] })
+        .register('summary', calculator(), { dependsOn: ['effects'] })
+        .register('flavor', calculator());
+
+    registry.disable('compounds');
+    assert.deepEqual(order(registry), ['flavor']);
+    assert.ok(registry.has('effects'), 'dependents stay registered');
+
+    registry.enable('compounds');
+    assert.deepEqual(order(registry), ['compounds', 'effects', 'summary', 'flavor']);
+});
+
+test('registration checks the calculator and its output key', () => {
+    const registry = new CalculatorRegistry().register('timing', calculator());
+    assert.throws(() => registry.register('', calculator()), /non-empty string/);
+    assert.throws(() => registry.register('broken', { infer: () => ({}) }), /must implement infer\(\) and serialize\(\)/);
+    assert.throws(() => registry.register('other', calculator(), { outputKey: 'timing' }), /already used by calculator "timing"/);
+    assert.throws(() => registry.disable('missing'), /not registered/);
+});
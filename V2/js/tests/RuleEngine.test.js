@@ -0,0 +1,147 @@
+// RuleEngine.test.js
+// Declarative adjustment rules: condition operators, rule order and how actions combine
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RuleEngine, evaluateCondition, resolveField, applyRuleOverrides } from '../utils/RuleEngine.js';
+import { adjustmentRules } from '../props/AdjustmentRules.js';
+
+const gyokuro = {
+    name: 'Gyokuro',
+    type: 'green',
+    origin: 'Yame, Fukuoka, Japan',
+    caffeineLevel: 4,
+    lTheanineLevel: 9,
+    processingMethods: ['shade-grown', 'steamed'],
+    processing: { firing: 'light' },
+    geography: { altitude: 200 }
+};
+
+const holds = (field, op, value) => evaluateCondition({ field, op, value }, gyokuro);
+
+test('each operator compares the field it reads', () => {
+    assert.ok(holds('type', 'equals', 'green') && !holds('type', 'equals', 'Green'));
+    assert.ok(holds('type', 'in', ['white', 'green']) && !holds('type', 'in', 'green'));
+    assert.ok(holds('origin', 'includes', 'Japan') && holds('processingMethods', 'includes', 'steamed'));
+    assert.ok(!holds('processingMethods', 'includes', 'steam'));
+    assert.ok(holds('processingMethods', 'matches', '^shade') && holds('origin', 'matches', 'japan'));
+    assert.ok(holds('geography.altitude', 'gt', 100) && !holds('geography.altitude', 'gt', 200));
+    assert.ok(holds('geography.altitude', 'gte', 200) && holds('geography.altitude', 'lte', 200));
+    assert.ok(holds('caffeineLevel', 'lt', 5) && !holds('origin', 'lt', 5));
+    assert.ok(holds('processing.firing', 'exists') && holds('processing.withering', 'exists', false));
+});
+
+test('unknown operators are rejected', () => {
+    assert.throws(() => holds('type', 'like', 'green'), /Unknown rule operator "like"/);
+});
+
+test('all, any and not combine conditions, and no condition always holds', () => {
+    const green = { field: 'type', op: 'equals', value: 'green' };
+    const chinese = { field: 'origin', op: 'includes', value: 'China' };
+
+    assert.equal(evaluateCondition({ all: [green, chinese] }, gyokuro), false);
+    assert.equal(evaluateCondition({ any: [green, chinese] }, gyokuro), true);
+    assert.equal(evaluateCondition({ all: [green, { not: chinese }] }, gyokuro), true);
+    assert.equal(evaluateCondition(undefined, gyokuro), true);
+});
+
+test('the derived theanine to caffeine ratio is unset without caffeine', () => {
+    assert.equal(resolveField(gyokuro, 'lTheanineToCaffeineRatio'), 9 / 4);
+    assert.equal(resolveField({ ...gyokuro, caffeineLevel: 0 }, 'lTheanineToCaffeineRatio'), undefined);
+    assert.equal(resolveField({ origin: null }, 'origin'), undefined);
+});
+
+test('rules run by descending priority, ties in the order given', () => {
+    const engine = new RuleEngine([
+        { id: 'add', stage: 'final', priority: 10, actions: [{ effect: 'calming', op: 'add', value: 1 }] },
+        { id: 'double', stage: 'final', priority: 50, actions: [{ effect: 'calming', op: 'multiply', value: 2 }] },
+        { id: 'cap', stage: 'final', actions: [{ effect: 'calming', op: 'clamp', max: 8 }] },
+        { id: 'other-stage', stage: 'seasonal', priority: 99, actions: [{ effect: 'calming', op: 'add', value: 5 }] },
+        { id: 'add-again', stage: 'final', priority: 10, actions: [{ effect: 'calming', op: 'add', value: 2 }] }
+    ]);
+    const scores = { calming: 3 };
+    const fired = engine.apply('final', gyokuro, scores);
+
+    assert.deepEqual(fired.map(rule => rule.id), ['double', 'add', 'add-again', 'cap']);
+    assert.equal(scores.calming, 8);
+    assert.deepEqual(fired[3].changes, [{ effect: 'calming', op: 'clamp', min: undefined, max: 8, before: 9, after: 8 }]);
+});
+
+test('multiply leaves unscored effects alone and clamp only moves scores outside its bounds', () => {
+    const engine = new RuleEngine([
+        {
+            id: 'mixed',
+            stage: 'final',
+            actions: [
+                { effect: 'focusing', op: 'multiply', value: 2 },
+                { effect: 'elevating', op: 'multiply', value: 2 },
+                { effect: '*', op: 'clamp', min: 1, max: 10 }
+            ]
+        }
+    ]);
+    const scores = { focusing: 6, calming: 0.5, grounding: 4 };
+    const [rule] = engine.apply('final', gyokuro, scores);
+
+    assert.deepEqual(scores, { focusing: 10, calming: 1, grounding: 4 });
+    assert.deepEqual(rule.changes.map(({ effect, op }) => `${op} ${effect}`), ['multiply focusing', 'clamp focusing', 'clamp calming']);
+});
+
+test('a rule whose condition fails does not fire', () => {
+    const engine = new RuleEngine([{
+        id: 'oolong-only',
+        stage: 'final',
+        when: { field: 'type', op: 'equals', value: 'oolong' },
+        actions: [{ effect: 'calming', op: 'add', value: 1 }]
+    }]);
+    const scores = { calming: 3 };
+    assert.deepEqual(engine.apply('final', gyokuro, scores), []);
+    assert.deepEqual(scores, { calming: 3 });
+});
+
+test('overrides replace action values without touching the rules or clamps', () => {
+    const rules = [{
+        id: 'cap',
+        stage: 'final',
+        actions: [
+            { effect: 'calming', op: 'multiply', value: 1.2 },
+            { effect: 'calming', op: 'clamp', max: 10 }
+        ]
+    }];
+    const [overridden] = applyRuleOverrides(rules, { cap: { calming: 1.5 } });
+
+    assert.equal(overridden.actions[0].value, 1.5);
+    assert.equal(overridden.actions[1].max, 10);
+    assert.equal(rules[0].actions[0].value, 1.2);
+    assert.equal(applyRuleOverrides(rules, {}), rules);
+});
+
+test('the adjustment rules are well formed', () => {
+    const ids = adjustmentRules.map(rule => rule.id);
+    assert.equal(new Set(ids).size, ids.length);
+
+    const engine = new RuleEngine(adjustmentRules);
+    ['final', 'processing', 'seasonal'].forEach(stage => {
+        assert.doesNotThrow(() => engine.apply(stage, gyokuro, { calming: 5, focusing: 5, grounding: 5 }));
+    });
+    adjustmentRules.forEach(rule => {
+        assert.ok(['final', 'processing', 'seasonal'].includes(rule.stage), rule.id);
+        rule.actions.forEach(action => assert.ok(['multiply', 'add', 'clamp'].includes(action.op), rule.id));
+    });
+});
+
+test('the adjustment rules fire for the teas they describe', () => {
+    const engine = new RuleEngine(adjustmentRules);
+    const fired = (stage, tea) => engine.apply(stage, tea, { focusing: 5, elevating: 5, grounding: 5 }).map(rule => rule.id);
+
+    assert.ok(fired('final', gyokuro).includes('japanese-shade-grown-green'));
+    assert.ok(!fired('final', { ...gyokuro, origin: 'Anhui, China' }).includes('japanese-shade-grown-green'));
+
+    // Light and heavy firing exclude each other
+    assert.ok(fired('processing', gyokuro).includes('light-firing'));
+    const charcoal = fired('processing', { ...gyokuro, processing: { firing: 'light charcoal' } });
+    assert.ok(charcoal.includes('heavy-firing') && !charcoal.includes('light-firing'));
+
+    // The seasonal cap runs after every other seasonal rule
+    const seasonal = fired('seasonal', gyokuro);
+    assert.deepEqual(seasonal, ['low-altitude', 'high-theanine-ratio', 'seasonal-cap']);
+});
@@ -0,0 +1,66 @@
+// TeaImputation.test.js
+// Imputation of missing compound and geography values: what counts as missing and where estimates come from
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { imputeTea } from '../data/TeaImputation.js';
+
+const decaf = {
+    name: 'Decaf Sencha',
+    type: 'green',
+    origin: 'Uji, Kyoto, Japan',
+    caffeineLevel: 0,
+    lTheanineLevel: 6,
+    catechinLevel: 7,
+    geography: { altitude: 0, humidity: 75, latitude: 34.88, longitude: 135.8, harvestMonth: 4 }
+};
+
+test('explicit zeros are kept', () => {
+    const { tea, imputed } = imputeTea(decaf, { referenceTeas: [] });
+    assert.equal(tea.caffeineLevel, 0);
+    assert.equal(tea.geography.altitude, 0);
+    assert.deepEqual(imputed, []);
+});
+
+test('a missing compound starts from the type prior, adjusted for the harvest season', () => {
+    const { tea, imputed } = imputeTea({ ...decaf, caffeineLevel: undefined }, { referenceTeas: [] });
+    assert.equal(tea.caffeineLevel, 5);
+    assert.deepEqual(imputed, [{
+        field: 'caffeineLevel',
+        value: 5,
+        source: 'type-prior',
+        basis: ['typical green tea', 'spring harvest (+0.5)']
+    }]);
+});
+
+test('same-type reference teas are averaged with the prior', () => {
+    const reference = { name: 'Reference Green', type: 'green', caffeineLevel: 7 };
+    const black = { name: 'Reference Black', type: 'black', caffeineLevel: 1 };
+    const { imputed } = imputeTea({ ...decaf, caffeineLevel: null }, { referenceTeas: [reference, black] });
+
+    assert.equal(imputed.length, 1);
+    assert.equal(imputed[0].value, 6);
+    assert.equal(imputed[0].source, 'type-prior+reference-teas');
+    assert.ok(imputed[0].basis.includes('Reference Green'));
+    assert.ok(!imputed[0].basis.includes('Reference Black'));
+});
+
+test('missing geography comes from the origin and is reported by its path', () => {
+    const geography = { ...decaf.geography, altitude: '', humidity: undefined };
+    const { tea, imputed } = imputeTea({ ...decaf, geography }, { referenceTeas: [] });
+
+    assert.equal(tea.geography.altitude, 200);
+    assert.equal(tea.geography.humidity, 75);
+    assert.deepEqual(imputed.map(entry => [entry.field, entry.source]), [
+        ['geography.altitude', 'origin'],
+        ['geography.humidity', 'origin']
+    ]);
+    assert.deepEqual(imputed[0].basis, ['origin "uji"']);
+});
+
+test('the input tea is not modified', () => {
+    const input = { ...decaf, caffeineLevel: undefined, geography: { ...decaf.geography, altitude: null } };
+    imputeTea(input, { referenceTeas: [] });
+    assert.equal(input.caffeineLevel, undefined);
+    assert.equal(input.geography.altitude, null);
+});
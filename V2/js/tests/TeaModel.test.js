@@ -0,0 +1,38 @@
+// TeaModel.test.js
+// Tea model construction: unset fields versus explicit zeros, and the canonical plain object
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TeaModel } from '../data/TeaModel.js';
+
+test('unset numeric fields stay undefined while explicit zeros are kept', () => {
+    const tea = new TeaModel({ name: 'Decaf Sencha', type: 'green', caffeineLevel: 0, geography: { latitude: 0 } });
+
+    assert.equal(tea.caffeineLevel, 0);
+    assert.equal(tea.lTheanineLevel, undefined);
+    assert.equal(tea.age, undefined);
+    assert.equal(tea.processing.oxidationLevel, undefined);
+    assert.equal(tea.geography.latitude, 0);
+    assert.equal(tea.geography.altitude, undefined);
+    assert.equal(tea.name, 'Decaf Sencha');
+    assert.deepEqual(tea.flavorProfile, []);
+});
+
+test('toJSON keeps the brewing parameters and clone copies them', () => {
+    const brewing = { temperature: 70, steepTime: 90 };
+    const tea = new TeaModel({ name: 'Gyokuro', type: 'green', brewing });
+
+    assert.deepEqual(tea.toJSON().brewing, brewing);
+    assert.deepEqual(tea.clone().brewing, brewing);
+    assert.notEqual(tea.clone().brewing, brewing);
+    assert.equal(new TeaModel({ name: 'Sencha', type: 'green' }).toJSON().brewing, undefined);
+});
+
+test('a missing value is reported as missing, an explicit zero is range checked', () => {
+    const codes = data => new TeaModel({ name: 'Sencha', type: 'green', ...data }).validate().results
+        .filter(result => result.path === 'geography.harvestMonth')
+        .map(result => result.code);
+
+    assert.deepEqual(codes({ geography: {} }), ['missing-value']);
+    assert.deepEqual(codes({ geography: { harvestMonth: 0 } }), ['out-of-range']);
+});
@@ -0,0 +1,107 @@
+// TeaValidation.test.js
+// Tea validation: result codes, severities, paths and suggested fixes
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SEVERITY, validateTea } from '../data/TeaValidation.js';
+
+const sencha = {
+    name: 'Sencha',
+    type: 'green',
+    caffeineLevel: 4,
+    lTheanineLevel: 6,
+    catechinLevel: 7,
+    totalPolyphenols: 6,
+    aminoAcids: 5,
+    flavorProfile: ['grassy', 'marine'],
+    processingMethods: ['steamed', 'pan-fired'],
+    geography: { altitude: 400, humidity: 72, latitude: 34.97, longitude: 138.38, harvestMonth: 5 },
+    expectedEffects: { energizing: 7 }
+};
+
+// The result at a path, which must be the only one there
+function resultAt(tea, path) {
+    const matches = validateTea(tea).results.filter(result => result.path === path);
+    assert.equal(matches.length, 1, `expected one result at ${path}, got ${matches.length}`);
+    return matches[0];
+}
+
+test('a complete tea has no results', () => {
+    assert.deepEqual(validateTea(sencha), { isValid: true, results: [], errors: [], warnings: [] });
+});
+
+test('name and type are required, and the type must be known', () => {
+    const { isValid, errors } = validateTea({ ...sencha, name: '', type: undefined });
+    assert.equal(isValid, false);
+    assert.deepEqual(errors.map(({ path, code }) => [path, code]), [['name', 'required'], ['type', 'required']]);
+
+    const invalid = resultAt({ ...sencha, type: 'purple' }, 'type');
+    assert.equal(invalid.code, 'invalid-tea-type');
+    assert.match(invalid.suggestion, /^Use one of: green, white/);
+});
+
+test('missing compounds warn or inform by how much the calculators rely on them', () => {
+    const tea = { ...sencha, caffeineLevel: undefined, catechinLevel: null };
+    assert.equal(resultAt(tea, 'caffeineLevel').severity, SEVERITY.WARNING);
+    assert.equal(resultAt(tea, 'catechinLevel').severity, SEVERITY.INFO);
+    assert.equal(validateTea(tea).isValid, true);
+});
+
+test('out-of-range values are errors that suggest the clamped value', () => {
+    const compound = resultAt({ ...sencha, caffeineLevel: 12 }, 'caffeineLevel');
+    assert.equal(compound.code, 'out-of-range');
+    assert.equal(compound.severity, SEVERITY.ERROR);
+    assert.equal(compound.suggestion, 'Clamp caffeineLevel to 10 or check the unit');
+
+    const month = resultAt({ ...sencha, geography: { ...sencha.geography, harvestMonth: 13 } }, 'geography.harvestMonth');
+    assert.equal(month.code, 'out-of-range');
+    assert.equal(resultAt({ ...sencha, caffeineLevel: 'high' }, 'caffeineLevel').code, 'invalid-type');
+});
+
+test('array entries are reported by their bracket path', () => {
+    const tea = { ...sencha, flavorProfile: ['grassy', ''], processingMethods: ['steamed', 'moonbeam', 'pan fired'] };
+
+    const flavor = resultAt(tea, 'flavorProfile[1]');
+    assert.deepEqual([flavor.severity, flavor.code], [SEVERITY.ERROR, 'invalid-type']);
+
+    const unknown = resultAt(tea, 'processingMethods[1]');
+    assert.deepEqual([unknown.severity, unknown.code], [SEVERITY.WARNING, 'unknown-processing-method']);
+
+    const approximate = resultAt(tea, 'processingMethods[2]');
+    assert.deepEqual([approximate.severity, approximate.code], [SEVERITY.INFO, 'approximate-processing-method']);
+    assert.equal(approximate.suggestion, 'Write "pan-fired" to make the mapping explicit');
+
+    const steep = resultAt({ ...sencha, brewing: { previousSteepTimes: [30, -5] } }, 'brewing.previousSteepTimes[1]');
+    assert.equal(steep.code, 'out-of-range');
+});
+
+test('legacy effect names suggest their core effect', () => {
+    const legacy = resultAt({ ...sencha, expectedEffects: { soothing: 6 } }, 'expectedEffects.soothing');
+    assert.deepEqual([legacy.severity, legacy.code], [SEVERITY.WARNING, 'unknown-effect']);
+    assert.equal(legacy.suggestion, 'Rename to "calming"');
+
+    const unknown = resultAt({ ...sencha, expectedEffects: { sleepy: 6 } }, 'expectedEffects.sleepy');
+    assert.match(unknown.suggestion, /^Use one of the core effects: energizing, calming/);
+});
+
+test('brewing parameters are range checked and unknown ones flagged', () => {
+    const tea = { ...sencha, brewing: { temperature: 150, grind: 'fine' } };
+    assert.equal(resultAt(tea, 'brewing.temperature').code, 'out-of-range');
+    const unknown = resultAt(tea, 'brewing.grind');
+    assert.deepEqual([unknown.severity, unknown.code], [SEVERITY.WARNING, 'unknown-field']);
+    assert.equal(resultAt({ ...sencha, brewing: [] }, 'brewing').code, 'invalid-type');
+});
+
+test('malformed distributions are errors, well-formed ones are range checked', () => {
+    const malformed = resultAt({ ...sencha, caffeineLevel: { distribution: 'normal', mean: 4 } }, 'caffeineLevel');
+    assert.deepEqual([malformed.severity, malformed.code], [SEVERITY.ERROR, 'invalid-distribution']);
+
+    assert.equal(resultAt({ ...sencha, caffeineLevel: { min: 3, max: 12 } }, 'caffeineLevel').code, 'out-of-range');
+    assert.equal(validateTea({ ...sencha, caffeineLevel: { min: 3, max: 5 } }).isValid, true);
+});
+
+test('anything but an object is a single error at the root', () => {
+    const { isValid, results } = validateTea(null);
+    assert.equal(isValid, false);
+    assert.deepEqual(results.map(({ path, code }) => [path, code]), [['', 'invalid-type']]);
+});
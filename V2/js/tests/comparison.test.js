@@ -0,0 +1,34 @@
+// comparison.test.js
+// Tea comparison: causes of the final score differences
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareTeas, formatCause } from '../analysis/comparison.js';
+import { quietConsole } from './helpers/quietConsole.js';
+
+quietConsole();
+
+test('final score causes are ranked by their change to the final score', () => {
+    const [comparison] = compareTeas(['Sencha', 'Da Hong Pao']).comparisons;
+    const differences = Object.values(comparison.finalScores);
+    assert.ok(differences.length > 0);
+
+    differences.forEach(({ causes }) => {
+        const sizes = causes.map(({ delta }) => Math.abs(delta));
+        assert.deepEqual(sizes, [...sizes].sort((a, b) => b - a));
+        causes.forEach(cause => {
+            assert.ok(Array.isArray(cause.components));
+            cause.components.forEach(({ calculator, delta }) => assert.ok(calculator && Math.abs(delta) > 0));
+        });
+    });
+});
+
+test('a final score cause reads as a final score change with the component changes as detail', () => {
+    const text = formatCause({
+        change: 'higher altitude (400 → 600)',
+        delta: -2.35,
+        calculator: 'GeographyCalculator',
+        components: [{ component: 'geography', calculator: 'GeographyCalculator', delta: -3.6 }]
+    }, 'grounding');
+    assert.equal(text, 'higher altitude (400 → 600) → −2.35 grounding (component scores: −3.60 via GeographyCalculator)');
+});
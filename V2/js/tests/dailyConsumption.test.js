@@ -0,0 +1,34 @@
+// dailyConsumption.test.js
+// Day simulation: bedtime caffeine warnings
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulateDay, formatDayMarkdown } from '../analysis/dailyConsumption.js';
+import { quietConsole } from './helpers/quietConsole.js';
+
+quietConsole();
+
+const lateCups = [
+    { tea: 'Assam', time: '17:00' },
+    { tea: 'Assam', time: '18:30' },
+    { tea: 'Sencha', time: '20:00' }
+];
+
+test('every cup that adds to bedtime caffeine over the limit gets a warning', () => {
+    const day = simulateDay(lateCups, { bedtime: '22:00', caffeineLimit: 50 });
+
+    assert.deepEqual(day.warnings.map(({ cup, time }) => `${cup} ${time}`), ['Assam 17:00', 'Assam 18:30', 'Sencha 20:00']);
+    assert.ok(day.warnings[0].residualBefore <= 50 && day.warnings[0].residualAfter > 50);
+    day.warnings.slice(1).forEach(warning => {
+        assert.ok(warning.residualBefore > 50 && warning.residualAfter > warning.residualBefore);
+        assert.match(warning.message, /already over the 50 mg limit/);
+    });
+
+    const markdown = formatDayMarkdown(day);
+    assert.equal(markdown.split('\n').filter(line => line.startsWith('> ⚠️')).length, 3);
+});
+
+test('cups that keep bedtime caffeine under the limit get no warning', () => {
+    const day = simulateDay(lateCups, { bedtime: '22:00', caffeineLimit: 1000 });
+    assert.deepEqual(day.warnings, []);
+});
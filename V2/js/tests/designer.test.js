@@ -0,0 +1,26 @@
+// designer.test.js
+// Blend designer: the coarse grid of proportions it searches
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { gridPoints } from '../blending/designer.js';
+
+test('the grid holds every split of the parts, each summing to 1', () => {
+    const points = gridPoints(3, 4);
+
+    // C(4 + 2, 2) ways to split 4 parts between 3 teas
+    assert.equal(points.length, 15);
+    assert.equal(new Set(points.map(point => point.join())).size, 15);
+    points.forEach(point => {
+        assert.equal(point.length, 3);
+        assert.ok(Math.abs(point.reduce((sum, share) => sum + share, 0) - 1) < 1e-12);
+        point.forEach(share => assert.ok(Number.isInteger(share * 4) && share >= 0));
+    });
+    assert.deepEqual(points[0], [1, 0, 0]);
+    assert.deepEqual(points[points.length - 1], [0, 0, 1]);
+});
+
+test('two teas split in halves, one tea takes everything', () => {
+    assert.deepEqual(gridPoints(2, 2), [[1, 0], [0.5, 0.5], [0, 1]]);
+    assert.deepEqual(gridPoints(1, 5), [[1]]);
+});
@@ -0,0 +1,121 @@
+// distributions.test.js
+// Uncertain tea fields: spec checks, seeded sampling and central values
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    isDistribution,
+    distributionProblem,
+    validateDistributions,
+    createRandom,
+    sampleValue,
+    centralValue,
+    findDistributions,
+    sampleTea,
+    centralTea
+} from '../utils/distributions.js';
+
+// Mean of n samples of a spec
+function sampleMean(spec, n = 4000, seed = 7) {
+    const random = createRandom(seed);
+    let sum = 0;
+    for (let i = 0; i < n; i++) sum += sampleValue(spec, random);
+    return sum / n;
+}
+
+test('ranges and distributions are told apart from plain values', () => {
+    assert.ok(isDistribution({ min: 3, max: 5 }));
+    assert.ok(isDistribution({ distribution: 'normal', mean: 4, sd: 1 }));
+    assert.ok(!isDistribution({ min: 3, max: 5, label: 'caffeine' }));
+    assert.ok(!isDistribution([3, 5]) && !isDistribution(4) && !isDistribution(null));
+});
+
+test('well-formed specs have no problem', () => {
+    [
+        { min: 3, max: 5 },
+        { distribution: 'normal', mean: 4, sd: 1, min: 0, max: 10 },
+        { distribution: 'triangular', min: 2, mode: 3, max: 6 },
+        { distribution: 'choice', values: [2, 4], weights: [1, 3] }
+    ].forEach(spec => assert.equal(distributionProblem(spec), null, JSON.stringify(spec)));
+});
+
+test('malformed specs name their problem', () => {
+    assert.match(distributionProblem({ min: 5, max: 3 }), /min 5 is greater than max 3/);
+    assert.match(distributionProblem({ distribution: 'normal', mean: 4 }), /needs numeric mean and sd/);
+    assert.match(distributionProblem({ distribution: 'normal', mean: 4, sd: -1 }), /sd must not be negative/);
+    assert.match(distributionProblem({ distribution: 'triangular', min: 2, mode: 8, max: 6 }), /mode 8 must lie between/);
+    assert.match(distributionProblem({ distribution: 'choice', values: [] }), /non-empty values/);
+    assert.match(distributionProblem({ distribution: 'choice', values: [1, 2], weights: [0, 0] }), /not all 0/);
+    assert.match(distributionProblem({ distribution: 'beta' }), /unknown distribution "beta"/);
+});
+
+test('validateDistributions names the field of a malformed spec', () => {
+    const tea = { caffeineLevel: 4, geography: { altitude: { distribution: 'normal', mean: 800 } } };
+    assert.throws(() => validateDistributions(tea), /Invalid distribution in geography\.altitude: a normal distribution needs/);
+    assert.doesNotThrow(() => validateDistributions({ caffeineLevel: { min: 3, max: 5 } }));
+});
+
+test('a seed repeats the same samples', () => {
+    const spec = { distribution: 'normal', mean: 4, sd: 1 };
+    const draw = seed => {
+        const random = createRandom(seed);
+        return [1, 2, 3].map(() => sampleValue(spec, random));
+    };
+    assert.deepEqual(draw(42), draw(42));
+    assert.notDeepEqual(draw(42), draw(43));
+});
+
+test('samples stay within bounds and average to the central value', () => {
+    const specs = [
+        { min: 3, max: 5 },
+        { distribution: 'normal', mean: 4, sd: 1 },
+        { distribution: 'triangular', min: 2, mode: 3, max: 7 }
+    ];
+    specs.forEach(spec => {
+        assert.ok(Math.abs(sampleMean(spec) - centralValue(spec)) < 0.1, JSON.stringify(spec));
+    });
+
+    const random = createRandom(3);
+    for (let i = 0; i < 500; i++) {
+        const value = sampleValue({ distribution: 'normal', mean: 9.5, sd: 2, min: 0, max: 10 }, random);
+        assert.ok(value >= 0 && value <= 10);
+    }
+});
+
+test('choices follow their weights, and the central choice is the most likely', () => {
+    const spec = { distribution: 'choice', values: ['low', 'high'], weights: [1, 3] };
+    const random = createRandom(11);
+    const highs = Array.from({ length: 4000 }, () => sampleValue(spec, random)).filter(value => value === 'high').length;
+
+    assert.ok(Math.abs(highs / 4000 - 0.75) < 0.03);
+    assert.equal(centralValue(spec), 'high');
+    assert.equal(centralValue({ distribution: 'choice', values: [2, 4] }), 2);
+});
+
+test('a tea is sampled and collapsed field by field', () => {
+    const tea = {
+        name: 'Uncertain Sencha',
+        caffeineLevel: { min: 3, max: 5 },
+        flavorProfile: ['grassy'],
+        geography: { altitude: { distribution: 'triangular', min: 200, mode: 500, max: 800 }, humidity: 70 }
+    };
+
+    assert.deepEqual(findDistributions(tea), ['caffeineLevel', 'geography.altitude']);
+    assert.deepEqual(centralTea(tea), {
+        name: 'Uncertain Sencha',
+        caffeineLevel: 4,
+        flavorProfile: ['grassy'],
+        geography: { altitude: 500, humidity: 70 }
+    });
+
+    const sample = sampleTea(tea, createRandom(5));
+    assert.ok(sample.caffeineLevel >= 3 && sample.caffeineLevel <= 5);
+    assert.ok(sample.geography.altitude >= 200 && sample.geography.altitude <= 800);
+    assert.equal(sample.flavorProfile, tea.flavorProfile);
+});
+
+test('centralTea returns a tea without specs as is and rejects malformed ones', () => {
+    const plain = { name: 'Sencha', caffeineLevel: 4 };
+    assert.equal(centralTea(plain), plain);
+    assert.throws(() => centralTea({ caffeineLevel: { distribution: 'choice', values: [] } }), /Invalid distribution in caffeineLevel/);
+});
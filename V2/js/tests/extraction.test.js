@@ -0,0 +1,43 @@
+// extraction.test.js
+// Brewing extraction: parameter checks and the effect of cup strength on the scores
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TeaAnalysisSystem } from '../TeaAnalysisSystem.js';
+import TeaDatabase from '../data/TeaDatabase.js';
+import { resolveBrewing, extractCompounds } from '../brewing/extraction.js';
+import { quietConsole } from './helpers/quietConsole.js';
+
+quietConsole();
+
+const green = { type: 'green', caffeineLevel: 6, lTheanineLevel: 8, catechinLevel: 5 };
+
+test('resolveBrewing fills missing parameters from the tea type default', () => {
+    const brewing = resolveBrewing(green, { temperature: 70 });
+    assert.equal(brewing.temperature, 70);
+    assert.equal(brewing.steepTime, 120);
+    assert.equal(brewing.vesselVolume, 250);
+});
+
+test('resolveBrewing rejects zero and negative parameters', () => {
+    assert.throws(() => resolveBrewing(green, { vesselVolume: 0 }), /vesselVolume must be a positive number/);
+    assert.throws(() => resolveBrewing(green, { leafToWaterRatio: -1 }), /leafToWaterRatio/);
+    assert.throws(() => resolveBrewing(green, { temperature: -5 }), /temperature/);
+});
+
+test('the default brew has strength 1 and a weaker brew less', () => {
+    assert.ok(Math.abs(extractCompounds(green, {}).strength - 1) < 1e-9);
+    assert.ok(extractCompounds(green, { temperature: 40, steepTime: 10 }).strength < 0.1);
+});
+
+test('a weak brew scores lower than the default brew', () => {
+    const calculator = new TeaAnalysisSystem({ traceScores: false }).calculators.teaEffect;
+    const gyokuro = TeaDatabase.findByName('Gyokuro');
+    const full = calculator.infer(gyokuro).finalScores;
+    const weak = calculator.infer({ ...gyokuro, brewing: { temperature: 40, steepTime: 10 } }).finalScores;
+
+    Object.entries(full).forEach(([effect, score]) => {
+        assert.ok((weak[effect] || 0) < score, `${effect}: weak brew ${weak[effect]} should score below ${score}`);
+    });
+    assert.ok(Math.max(...Object.values(weak)) < 1);
+});
@@ -0,0 +1,37 @@
+// quietConsole.js
+// Silences the progress logging of the calculators so test reports stay readable
+
+import { before, after } from 'node:test';
+
+// Console methods the calculators log through
+const quietMethods = ['log', 'info', 'warn', 'debug'];
+
+/**
+ * Silence the console until the returned function is called
+ * @returns {Function} Restores the console methods
+ */
+export function silenceConsole() {
+    const saved = quietMethods.map(method => console[method]);
+    quietMethods.forEach(method => {
+        console[method] = () => {};
+    });
+    return () => quietMethods.forEach((method, i) => {
+        console[method] = saved[i];
+    });
+}
+
+/**
+ * Silence the console for the tests of the calling file
+ */
+export function quietConsole() {
+    let restore = null;
+    before(() => {
+        restore = silenceConsole();
+    });
+    after(() => restore?.());
+}
+
+export default {
+    silenceConsole,
+    quietConsole
+};
@@ -0,0 +1,51 @@
+// landscape.test.js
+// Tea landscape: principal components and the dimensions the teas are projected from
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TeaAnalysisSystem } from '../TeaAnalysisSystem.js';
+import TeaDatabase from '../data/TeaDatabase.js';
+import { principalComponents, computeLandscape } from '../analysis/landscape.js';
+import { quietConsole } from './helpers/quietConsole.js';
+
+quietConsole();
+
+const close = (actual, expected, tolerance = 1e-6) => assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not ${expected}`);
+
+test('points on a line have a single component along it', () => {
+    const rows = [0, 1, 2, 3, 4].map(t => [t, 2 * t + 1]);
+    const { mean, components, totalVariance } = principalComponents(rows, 2);
+
+    assert.deepEqual(mean, [2, 5]);
+    close(totalVariance, 2.5 + 10);
+    close(components[0].vector[0], 1 / Math.sqrt(5));
+    close(components[0].vector[1], 2 / Math.sqrt(5));
+    close(components[0].variance, totalVariance);
+    close(components[1].variance, 0);
+});
+
+test('components come out by variance, orthogonal to each other', () => {
+    const rows = [[3, 0, 0.5], [-3, 0, -0.5], [0, 1, 0], [0, -1, 0], [1, 0.5, 0], [-1, -0.5, 0]];
+    const { components, totalVariance } = principalComponents(rows, 2);
+    const [first, second] = components;
+
+    assert.ok(first.variance >= second.variance);
+    // Power iteration is approximate, so orthogonal to within its convergence
+    close(first.vector.reduce((sum, value, i) => sum + value * second.vector[i], 0), 0, 1e-4);
+    [first, second].forEach(({ vector }) => close(Math.hypot(...vector), 1));
+    assert.ok(first.variance + second.variance <= totalVariance + 1e-9);
+    // The largest loading is positive, so the map does not flip between runs
+    assert.ok(Math.max(...first.vector) >= Math.abs(Math.min(...first.vector)));
+});
+
+test('dimensions only some teas have still shape the feature landscape', () => {
+    // Without imputation the first tea has no harvest month, so its vector lacks the month dimensions
+    const system = new TeaAnalysisSystem({ traceScores: false, imputeMissingData: false });
+    const [first, ...others] = TeaDatabase.getAllTeas().slice(0, 4);
+    const teas = [{ ...first, geography: { ...first.geography, harvestMonth: null } }, ...others];
+
+    const { axes } = computeLandscape({ by: 'features', teas, system });
+    const dimensions = axes[0].loadings.map(({ dimension }) => dimension);
+    assert.ok(dimensions.includes('harvest month (cos)'));
+    assert.ok(dimensions.includes('harvest month (sin)'));
+});
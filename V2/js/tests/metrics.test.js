@@ -0,0 +1,48 @@
+// metrics.test.js
+// Agreement metrics: Spearman rank correlation and the dominant-effect confusion matrix
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spearmanCorrelation, computeEffectMetrics } from '../analysis/metrics.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual} is not ${expected}`);
+
+test('Spearman correlation of same, reversed and unrelated orderings', () => {
+    close(spearmanCorrelation([1, 2, 3, 4], [10, 20, 30, 40]), 1);
+    close(spearmanCorrelation([1, 2, 3, 4], [4, 3, 2, 1]), -1);
+    // Only the order counts, not the distances
+    close(spearmanCorrelation([1, 2, 3, 4], [1, 2, 3, 100]), 1);
+    close(spearmanCorrelation([1, 2, 3, 4, 5], [2, 5, 3, 1, 4]), 0);
+});
+
+test('Spearman correlation gives tied values their average rank', () => {
+    // Ranks [4, 2.5, 2.5, 1] against [4, 3, 2, 1]
+    close(spearmanCorrelation([1, 2, 2, 3], [1, 2, 3, 4]), 3 / Math.sqrt(10));
+});
+
+test('Spearman correlation is undefined for constant or mismatched series', () => {
+    assert.equal(spearmanCorrelation([5, 5, 5], [1, 2, 3]), null);
+    assert.equal(spearmanCorrelation([1, 2, 3], [1, 2]), null);
+    assert.equal(spearmanCorrelation([1], [1]), null);
+});
+
+test('the confusion matrix counts expected against calculated dominant effects', () => {
+    const metrics = computeEffectMetrics([
+        { tea: 'Match', type: 'green', expected: { calming: 8, energizing: 3 }, calculated: { calming: 9, energizing: 2 } },
+        { tea: 'Miss', type: 'black', expected: { energizing: 8 }, calculated: { calming: 7, energizing: 5 } },
+        { tea: 'Unrated', type: 'green', expected: {}, calculated: { calming: 5 } }
+    ]);
+    const { effects, matrix } = metrics.confusionMatrix;
+
+    assert.equal(effects.length, 8);
+    assert.equal(matrix.calming.calming, 1);
+    assert.equal(matrix.energizing.calming, 1);
+    const total = effects.reduce((sum, expected) => sum + effects.reduce((row, calculated) => row + matrix[expected][calculated], 0), 0);
+    assert.equal(total, 2, 'teas without expected effects are left out');
+
+    assert.equal(metrics.overall.teaCount, 2);
+    assert.equal(metrics.overall.dominantMatchRate, 0.5);
+    assert.equal(metrics.overall.topKHitRate[2], 1);
+    assert.equal(metrics.byType.black.dominantMatchRate, 0);
+    close(metrics.perEffect.energizing.bias, (-1 + -3) / 2);
+});
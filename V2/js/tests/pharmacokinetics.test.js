@@ -0,0 +1,60 @@
+// pharmacokinetics.test.js
+// One-compartment kinetics: concentrations after a dose and the timing read off the activity curve
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { concentrationAt, simulateConcentrations, deriveTiming } from '../utils/pharmacokinetics.js';
+
+const kinetics = { lagTime: 5, absorptionRate: 0.07, halfLife: 300, volumeOfDistribution: 0.6, bioavailability: 1 };
+const close = (actual, expected, tolerance = 1e-9) => assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not ${expected}`);
+
+test('nothing is in the blood before the lag or without a dose', () => {
+    assert.equal(concentrationAt(100, kinetics, 70, 0), 0);
+    assert.equal(concentrationAt(100, kinetics, 70, 5), 0);
+    assert.equal(concentrationAt(0, kinetics, 70, 60), 0);
+});
+
+test('the concentration follows the Bateman function and peaks where it predicts', () => {
+    const ka = kinetics.absorptionRate;
+    const ke = Math.LN2 / kinetics.halfLife;
+    const elapsed = 60;
+    const expected = 100 / (0.6 * 70) * ka / (ka - ke) * (Math.exp(-ke * elapsed) - Math.exp(-ka * elapsed));
+    close(concentrationAt(100, kinetics, 70, kinetics.lagTime + elapsed), expected);
+
+    const tmax = kinetics.lagTime + Math.log(ka / ke) / (ka - ke);
+    const peak = concentrationAt(100, kinetics, 70, tmax);
+    assert.ok(peak > concentrationAt(100, kinetics, 70, tmax - 1));
+    assert.ok(peak > concentrationAt(100, kinetics, 70, tmax + 1));
+});
+
+test('equal absorption and elimination rates give the limit of the general form', () => {
+    const ke = Math.LN2 / kinetics.halfLife;
+    const equal = concentrationAt(100, { ...kinetics, absorptionRate: ke }, 70, 120);
+    const nearby = concentrationAt(100, { ...kinetics, absorptionRate: ke * (1 + 1e-6) }, 70, 120);
+    close(equal, nearby, 1e-6);
+    assert.ok(equal > 0);
+});
+
+test('timing is read off the activity curve with interpolated crossings', () => {
+    const activity = [0, 1, 2, 3, 4, 3, 2, 1, 0, 0, 0];
+    const curve = activity.map((value, i) => ({ minute: i * 10, activity: value }));
+
+    // Onset at activity 1, peak phase above 3.6, sustained until 2, end back at 1
+    assert.deepEqual(deriveTiming({ curve }), {
+        onset: 10,
+        peak: 40,
+        duration: 70,
+        boundaries: [0, 10, 36, 44, 60, 70]
+    });
+});
+
+test('a cup with no active compounds has no timing', () => {
+    const simulation = simulateConcentrations({ caffeine: 0, lTheanine: 0 });
+    assert.deepEqual(deriveTiming(simulation), { onset: 0, peak: 0, duration: 0, boundaries: [] });
+});
+
+test('the phases of a simulated cup follow each other', () => {
+    const { boundaries, peak } = deriveTiming(simulateConcentrations({ caffeine: 40, lTheanine: 20 }));
+    boundaries.slice(1).forEach((minute, i) => assert.ok(minute >= boundaries[i], `boundaries ${boundaries}`));
+    assert.ok(peak >= boundaries[2] && peak <= boundaries[3]);
+});
@@ -0,0 +1,30 @@
+// recommendation.test.js
+// Effect-targeted recommendations: query validation and the clock time of each time of day
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { recommend, timeOfDayClock } from '../analysis/recommendation.js';
+import { timeOfDaySlots } from '../props/TimeOfDay.js';
+import { quietConsole } from './helpers/quietConsole.js';
+
+quietConsole();
+
+test('unknown target and avoid effects are rejected', () => {
+    assert.throws(() => recommend({ target: { calmng: 8 } }), /Unknown effect "calmng"/);
+    assert.throws(() => recommend({ target: { calming: 8 }, avoid: ['energising'] }), /Unknown effect "energising"/);
+});
+
+test('out-of-range targets are rejected', () => {
+    assert.throws(() => recommend({ target: { calming: 11 } }), /from 0 to 10/);
+});
+
+test('known effects rank the teas', () => {
+    const { recommendations } = recommend({ target: { calming: 8 }, avoid: ['energizing'], limit: 3 });
+    assert.equal(recommendations.length, 3);
+    assert.deepEqual(recommendations.map(({ rank }) => rank), [1, 2, 3]);
+});
+
+test('a time of day stands for the clock time of its Qi time slot', () => {
+    Object.entries(timeOfDaySlots).forEach(([slot, { clock }]) => assert.equal(timeOfDayClock[slot], clock));
+    assert.throws(() => recommend({ target: { calming: 8 }, timeOfDay: 'dusk' }), /expected morning, midday, afternoon, evening, night/);
+});
@@ -0,0 +1,46 @@
+// session.test.js
+// Gongfu session simulation: spent infusions and the session profile built from them
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulateSession, resolveSession } from '../brewing/session.js';
+import { quietConsole } from './helpers/quietConsole.js';
+
+quietConsole();
+
+const oolong = {
+    name: 'Test Oolong',
+    type: 'oolong',
+    origin: 'Wuyi Mountains, Fujian, China',
+    caffeineLevel: 6,
+    lTheanineLevel: 5,
+    catechinLevel: 6,
+    flavorProfile: ['roasted', 'mineral'],
+    processingMethods: ['partial-oxidation', 'roasted']
+};
+
+test('a spent infusion scores lower than the strongest one', () => {
+    const { steeps } = simulateSession(oolong, { infusions: 8 });
+    const strongest = steeps.reduce((best, steep) => (steep.strength > best.strength ? steep : best));
+    const last = steeps[steeps.length - 1];
+
+    assert.ok(last.strength < 1 && last.strength < strongest.strength);
+    Object.entries(strongest.finalScores).forEach(([effect, score]) => {
+        assert.ok((last.finalScores[effect] || 0) < score || score === 0,
+            `${effect}: infusion ${last.infusion} scored ${last.finalScores[effect]}, infusion ${strongest.infusion} ${score}`);
+    });
+});
+
+test('the session mean falls below the peak once the leaf is spent', () => {
+    const { cumulative } = simulateSession(oolong, { infusions: 10 });
+    Object.entries(cumulative.peakScores).forEach(([effect, peak]) => {
+        if (peak > 0) assert.ok(cumulative.meanScores[effect] < peak, effect);
+    });
+});
+
+test('a session needs a whole number of infusions, at least one', () => {
+    assert.throws(() => simulateSession(oolong, { infusions: 0 }), /at least one infusion/);
+    assert.throws(() => simulateSession(oolong, { infusions: 2.5 }), /whole number \(got 2\.5\)/);
+    assert.throws(() => resolveSession(oolong, { infusions: '3' }), /whole number/);
+    assert.equal(resolveSession(oolong, { infusions: 3 }).steepTimes.length, 3);
+});
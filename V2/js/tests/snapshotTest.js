@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+// snapshotTest.js
+// Golden snapshot regression test: runs every calculator (infer, formatInference, serialize) and
+// TeaAnalysisSystem.analyzeTea over every reference tea and compares the outputs with the stored golden files
+//
+//   node js/tests/snapshotTest.js                  Compare against the golden files (exit code 1 on any difference)
+//   node js/tests/snapshotTest.js --accept         Write the current outputs as the new golden files
+//   node js/tests/snapshotTest.js Gyokuro Assam    Limit either run to some teas
+
+import { readFile, writeFile, readdir, mkdir, unlink } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { TeaAnalysisSystem } from '../TeaAnalysisSystem.js';
+import TeaDatabase from '../data/TeaDatabase.js';
+import { normalizeString } from '../utils/helpers.js';
+import { silenceConsole } from './helpers/quietConsole.js';
+
+// Golden files, one per reference tea
+export const GOLDEN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'golden');
+
+// Numbers closer than this (relative) count as equal, so floating-point noise does not fail the run
+const tolerance = 1e-9;
+
+// Differences printed per tea before the rest are only counted
+const maxReportedDifferences = 25;
+
+// Golden file name of a tea
+function goldenFile(name) {
+    return path.join(GOLDEN_DIR, `${normalizeString(name).replace(/[^a-z0-9-]/g, '')}.json`);
+}
+
+// Plain JSON copy: drops undefined and functions, turns non-finite numbers into null
+function toJson(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+// Run a step, recording a thrown error as the output so one broken calculator does not hide the others
+function capture(step) {
+    try {
+        return toJson(step());
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+/**
+ * Snapshot every output the analysis produces for one tea
+ * Each tea gets a fresh system, so no state carries over from the tea before it.
+ * @param {Object} tea - Reference tea
+ * @returns {Object} { tea, analyzeTea, calculators: { name: { infer, formatInference, serialize } } }
+ */
+export function buildSnapshot(tea) {
+    const system = new TeaAnalysisSystem({ traceScores: false });
+    const analyzeTea = capture(() => system.analyzeTea(tea));
+
+    // analyzeTea ran every calculator's infer with its dependencies and kept the raw inferences
+    const calculators = {};
+    system.registry.getExecutionOrder().forEach(({ name, calculator }) => {
+        const inference = system.currentInferences?.[name];
+        calculators[name] = {
+            infer: toJson(inference),
+            formatInference: capture(() => calculator.formatInference(inference)),
+            serialize: capture(() => calculator.serialize(inference))
+        };
+    });
+
+    return { tea: tea.name, analyzeTea, calculators };
+}
+
+// Short, single-line rendering of a value in a difference
+function describe(value) {
+    if (value === undefined) return '(missing)';
+    const text = JSON.stringify(value);
+    return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+/**
+ * Every field in which two snapshots differ
+ * Multi-line strings (the formatInference Markdown) are compared line by line.
+ * @param {*} expected - Golden value
+ * @param {*} actual - Current value
+ * @param {string} field - Dot path of the values
+ * @returns {Object[]} [{ field, expected, actual }] with the values rendered for printing
+ */
+export function diffSnapshots(expected, actual, field = '') {
+    if (typeof expected === 'number' && typeof actual === 'number') {
+        const scale = Math.max(1, Math.abs(expected), Math.abs(actual));
+        return Math.abs(expected - actual) <= tolerance * scale
+            ? []
+            : [{ field, expected: describe(expected), actual: describe(actual) }];
+    }
+
+    if (typeof expected === 'string' && typeof actual === 'string' && expected !== actual
+        && (expected.includes('\n') || actual.includes('\n'))) {
+        const expectedLines = expected.split('\n');
+        const actualLines = actual.split('\n');
+        const differences = [];
+        for (let i = 0; i < Math.max(expectedLines.length, actualLines.length); i++) {
+            if (expectedLines[i] !== actualLines[i]) {
+                differences.push({ field: `${field} line ${i + 1}`, expected: describe(expectedLines[i]), actual: describe(actualLines[i]) });
+            }
+        }
+        return differences;
+    }
+
+    const isObject = value => value !== null && typeof value === 'object';
+    if (isObject(expected) && isObject(actual) && Array.isArray(expected) === Array.isArray(actual)) {
+        const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+        return [...keys].flatMap(key => {
+            const child = Array.isArray(expected) ? `${field}[${key}]` : (field ? `${field}.${key}` : key);
+            if (!(key in actual)) return [{ field: child, expected: describe(expected[key]), actual: '(missing)' }];
+            if (!(key in expected)) return [{ field: child, expected: '(missing)', actual: describe(actual[key]) }];
+            return diffSnapshots(expected[key], actual[key], child);
+        });
+    }
+
+    return JSON.stringify(expected) === JSON.stringify(actual)
+        ? []
+        : [{ field, expected: describe(expected), actual: describe(actual) }];
+}
+
+/**
+ * Compare (or accept) the snapshots of the reference teas
+ * @param {Object} options
+ * @param {boolean} options.accept - Write the current outputs as the golden files instead of comparing
+ * @param {string[]} options.teas - Names of the teas to check (default: all reference teas)
+ * @param {Function} options.log - Where to print the report (default: stdout)
+ * @returns {Promise<boolean>} Whether every snapshot matched (always true when accepting)
+ */
+export async function runSnapshots({ accept = false, teas = [], log = text => process.stdout.write(`${text}\n`) } = {}) {
+    const referenceTeas = TeaDatabase.getAllTeas();
+    const selected = teas.length > 0
+        ? teas.map(name => {
+            const tea = referenceTeas.find(candidate => candidate.name.toLowerCase() === name.toLowerCase());
+            if (!tea) {
+                throw new Error(`Tea "${name}" not found in database`);
+            }
+            return tea;
+        })
+        : referenceTeas;
+
+    const restoreConsole = silenceConsole();
+    let snapshots;
+    try {
+        snapshots = selected.map(tea => buildSnapshot(tea));
+    } finally {
+        restoreConsole();
+    }
+
+    if (accept) {
+        await mkdir(GOLDEN_DIR, { recursive: true });
+        for (const snapshot of snapshots) {
+            await writeFile(goldenFile(snapshot.tea), `${JSON.stringify(snapshot, null, 2)}\n`);
+            log(`accepted  ${snapshot.tea}`);
+        }
+
+        // Golden files of teas that left the database would otherwise fail no run and never be cleaned up
+        if (teas.length === 0) {
+            const current = new Set(snapshots.map(snapshot => path.basename(goldenFile(snapshot.tea))));
+            const files = await readdir(GOLDEN_DIR);
+            for (const file of files.filter(file => file.endsWith('.json') && !current.has(file))) {
+                await unlink(path.join(GOLDEN_DIR, file));
+                log(`removed   ${file}`);
+            }
+        }
+        return true;
+    }
+
+    let failed = 0;
+    for (const snapshot of snapshots) {
+        let golden;
+        try {
+            golden = JSON.parse(await readFile(goldenFile(snapshot.tea), 'utf8'));
+        } catch (error) {
+            failed++;
+            log(`FAIL  ${snapshot.tea}: no golden file ${path.relative(process.cwd(), goldenFile(snapshot.tea))}`);
+            continue;
+        }
+
+        const differences = diffSnapshots(golden, snapshot);
+        if (differences.length === 0) {
+            log(`ok    ${snapshot.tea}`);
+            continue;
+        }
+
+        failed++;
+        log(`FAIL  ${snapshot.tea}: ${differences.length} field${differences.length === 1 ? '' : 's'} differ`);
+        differences.slice(0, maxReportedDifferences).forEach(({ field, expected, actual }) => {
+            log(`      ${field}`);
+            log(`        - ${expected}`);
+            log(`        + ${actual}`);
+        });
+        if (differences.length > maxReportedDifferences) {
+            log(`      ... and ${differences.length - maxReportedDifferences} more`);
+        }
+    }
+
+    log('');
+    log(`${snapshots.length - failed} of ${snapshots.length} snapshots match`);
+    if (failed > 0) {
+        log('If the changes are intended, accept them with: npm run test:accept');
+    }
+    return failed === 0;
+}
+
+// Run when executed directly rather than imported
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const argv = process.argv.slice(2);
+    runSnapshots({
+        accept: argv.includes('--accept'),
+        teas: argv.filter(arg => !arg.startsWith('--'))
+    })
+        .then(passed => {
+            process.exitCode = passed ? 0 : 1;
+        })
+        .catch(error => {
+            process.stderr.write(`Error: ${error.message}\n`);
+            process.exitCode = 1;
+        });
+}
+
+export default {
+    buildSnapshot,
+    diffSnapshots,
+    runSnapshots
+};
@@ -0,0 +1,183 @@
+// RuleEngine.js
+// Evaluates the declarative adjustment rules from props/AdjustmentRules.js against a tea and a score map
+
+import { getNestedProperty } from './helpers.js';
+
+// Fields computed from the tea rather than read from it
+const derivedFields = {
+    lTheanineToCaffeineRatio: tea => (
+        tea.lTheanineLevel && tea.caffeineLevel > 0 ? tea.lTheanineLevel / tea.caffeineLevel : undefined
+    )
+};
+
+/**
+ * Read a field from a tea, including derived fields
+ * @param {Object} tea - The tea object
+ * @param {string} field - Dot path (e.g. 'geography.altitude') or derived field name
+ * @returns {*} The field value or undefined
+ */
+export function resolveField(tea, field) {
+    if (derivedFields[field]) {
+        return derivedFields[field](tea);
+    }
+    const value = getNestedProperty(tea, field, undefined);
+    return value === null ? undefined : value;
+}
+
+// Leaf comparison operators
+const operators = {
+    equals: (actual, expected) => actual === expected,
+    in: (actual, expected) => Array.isArray(expected) && expected.includes(actual),
+    includes: (actual, expected) => (
+        (typeof actual === 'string' || Array.isArray(actual)) && actual.includes(expected)
+    ),
+    matches: (actual, expected) => {
+        const pattern = new RegExp(expected, 'i');
+        const values = Array.isArray(actual) ? actual : [actual];
+        return values.some(value => typeof value === 'string' && pattern.test(value));
+    },
+    gt: (actual, expected) => typeof actual === 'number' && actual > expected,
+    gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+    lt: (actual, expected) => typeof actual === 'number' && actual < expected,
+    lte: (actual, expected) => typeof actual === 'number' && actual <= expected,
+    exists: (actual, expected = true) => (actual !== undefined) === expected
+};
+
+/**
+ * Evaluate a rule condition against a tea
+ * @param {Object} condition - { all }, { any }, { not } or { field, op, value }; missing means always true
+ * @param {Object} tea - The tea object
+ * @returns {boolean} Whether the condition holds
+ */
+export function evaluateCondition(condition, tea) {
+    if (!condition) return true;
+
+    if (Array.isArray(condition.all)) {
+        return condition.all.every(child => evaluateCondition(child, tea));
+    }
+    if (Array.isArray(condition.any)) {
+        return condition.any.some(child => evaluateCondition(child, tea));
+    }
+    if (condition.not) {
+        return !evaluateCondition(condition.not, tea);
+    }
+
+    const operator = operators[condition.op];
+    if (!operator) {
+        throw new Error(`Unknown rule operator "${condition.op}"`);
+    }
+    return operator(resolveField(tea, condition.field), condition.value);
+}
+
+/**
+ * Copy a rule set with some action values replaced
+ * @param {Array} rules - Rules in props/AdjustmentRules.js format
+ * @param {Object} overrides - { ruleId: { effect: value } } for multiply/add actions
+ * @returns {Array} Rules with the overridden values (the input is left untouched)
+ */
+export function applyRuleOverrides(rules, overrides) {
+    if (!overrides || Object.keys(overrides).length === 0) {
+        return rules;
+    }
+
+    return rules.map(rule => {
+        const ruleOverrides = overrides[rule.id];
+        if (!ruleOverrides) return rule;
+
+        return {
+            ...rule,
+            actions: (rule.actions || []).map(action => (
+                ruleOverrides[action.effect] !== undefined && action.op !== 'clamp'
+                    ? { ...action, value: ruleOverrides[action.effect] }
+                    : action
+            ))
+        };
+    });
+}
+
+export class RuleEngine {
+    constructor(rules = []) {
+        this.setRules(rules);
+    }
+
+    // Replace the rule set; rules are kept sorted by descending priority, ties in given order
+    setRules(rules) {
+        this.rules = (rules || [])
+            .map((rule, index) => ({ rule, index }))
+            .sort((a, b) => (b.rule.priority || 0) - (a.rule.priority || 0) || a.index - b.index)
+            .map(({ rule }) => rule);
+    }
+
+    // Rules that run at a given stage, in execution order
+    getRules(stage) {
+        return this.rules.filter(rule => rule.stage === stage);
+    }
+
+    // Apply one action to the scores and return the changes it made
+    applyAction(action, scores) {
+        const effects = action.effect === '*' ? Object.keys(scores) : [action.effect];
+        const changes = [];
+
+        effects.forEach(effect => {
+            const before = scores[effect] || 0;
+            let after = before;
+
+            if (action.op === 'multiply') {
+                // Only scale effects the tea actually has
+                if (!before) return;
+                after = before * action.value;
+            } else if (action.op === 'add') {
+                after = before + action.value;
+            } else if (action.op === 'clamp') {
+                after = Math.min(action.max ?? Infinity, Math.max(action.min ?? -Infinity, before));
+                // Scores already inside the bounds are left untouched
+                if (scores[effect] === undefined || after === before) return;
+            } else {
+                throw new Error(`Unknown rule action "${action.op}"`);
+            }
+
+            scores[effect] = after;
+            const bounds = action.op === 'clamp' ? { min: action.min, max: action.max } : { value: action.value };
+            changes.push({ effect, op: action.op, ...bounds, before, after });
+        });
+
+        return changes;
+    }
+
+    /**
+     * Apply every matching rule of a stage to a score map (in place)
+     * @param {string} stage - Rule stage ('final', 'processing', 'seasonal')
+     * @param {Object} tea - The tea being analyzed
+     * @param {Object} scores - Effect scores to adjust
+     * @param {ScoreTrace} trace - Optional trace to record each change in
+     * @returns {Array} Fired rules as { id, stage, priority, description, changes }
+     */
+    apply(stage, tea, scores, trace = null) {
+        const fired = [];
+        if (!tea || !scores) return fired;
+
+        this.getRules(stage).forEach(rule => {
+            if (!evaluateCondition(rule.when, tea)) return;
+
+            const changes = [];
+            (rule.actions || []).forEach(action => {
+                this.applyAction(action, scores).forEach(change => {
+                    changes.push(change);
+                    trace?.recordAdjustment(change.effect, rule.id, change, rule.description);
+                });
+            });
+
+            fired.push({
+                id: rule.id,
+                stage,
+                priority: rule.priority || 0,
+                description: rule.description || '',
+                changes
+            });
+        });
+
+        return fired;
+    }
+}
+
+export default RuleEngine;
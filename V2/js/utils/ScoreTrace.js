@@ -0,0 +1,120 @@
+// ScoreTrace.js
+// Ordered provenance ledger of every contribution and adjustment made to each effect score
+
+/**
+ * Round a number for ledger display without losing the sign of small deltas
+ * @param {number} value - Value to round
+ * @returns {number} Value rounded to 4 decimals
+ */
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+export class ScoreTrace {
+    constructor() {
+        this.ledger = {};
+        this.step = 0;
+    }
+
+    // Append an entry to an effect's ledger
+    push(effect, entry) {
+        if (!this.ledger[effect]) {
+            this.ledger[effect] = [];
+        }
+        this.ledger[effect].push({ step: ++this.step, ...entry });
+    }
+
+    // Record a weighted component score being added to the blend
+    recordContribution(effect, source, score, weight, before, after) {
+        this.push(effect, {
+            stage: 'blend',
+            source,
+            op: 'add',
+            score: round(score),
+            weight,
+            delta: round(after - before),
+            before: round(before),
+            after: round(after)
+        });
+    }
+
+    // Record a rule action (multiply, add or clamp) applied to one effect
+    recordAdjustment(effect, source, change, reason = '') {
+        const { op, value, min, max, before, after } = change;
+        this.push(effect, {
+            stage: 'adjustment',
+            source,
+            op,
+            ...(op === 'clamp' ? { min, max } : { value }),
+            delta: round(after - before),
+            before: round(before),
+            after: round(after),
+            reason
+        });
+    }
+
+    // Record every effect that changed between two score maps (normalization, interactions, clamping)
+    recordTransform(stage, source, beforeScores, afterScores, reason = '') {
+        const effects = new Set([...Object.keys(beforeScores || {}), ...Object.keys(afterScores || {})]);
+
+        effects.forEach(effect => {
+            const before = beforeScores?.[effect] || 0;
+            const after = afterScores?.[effect] || 0;
+            if (round(before) === round(after)) return;
+
+            this.push(effect, {
+                stage,
+                source,
+                op: 'set',
+                delta: round(after - before),
+                before: round(before),
+                after: round(after),
+                reason
+            });
+        });
+    }
+
+    // Ledger entries for one effect, in the order they were applied
+    getEntries(effect) {
+        return this.ledger[effect] || [];
+    }
+
+    // Format the ledgers of the given effects as markdown tables
+    toMarkdown(effects = Object.keys(this.ledger)) {
+        let md = '';
+
+        effects.forEach(effect => {
+            const entries = this.getEntries(effect);
+            if (entries.length === 0) return;
+
+            md += `#### ${effect.charAt(0).toUpperCase() + effect.slice(1)}\n\n`;
+            md += '| Step | Stage | Source | Operation | Before | After |\n';
+            md += '|------|-------|--------|-----------|--------|-------|\n';
+            entries.forEach(entry => {
+                let operation = entry.op;
+                if (entry.stage === 'blend') {
+                    operation = `+ ${entry.score.toFixed(2)} × ${entry.weight}`;
+                } else if (entry.op === 'multiply') {
+                    operation = `× ${entry.value}`;
+                } else if (entry.op === 'add') {
+                    operation = `+ ${entry.value}`;
+                } else if (entry.op === 'clamp') {
+                    operation = `clamp ${entry.min ?? '-∞'}..${entry.max ?? '∞'}`;
+                }
+                md += `| ${entry.step} | ${entry.stage} | ${entry.source} | ${operation} | ${entry.before.toFixed(2)} | ${entry.after.toFixed(2)} |\n`;
+            });
+            md += '\n';
+        });
+
+        return md;
+    }
+
+    // Plain ledger object keyed by effect
+    toJSON() {
+        return Object.fromEntries(
+            Object.entries(this.ledger).map(([effect, entries]) => [effect, entries.map(entry => ({ ...entry }))])
+        );
+    }
+}
+
+export default ScoreTrace;
@@ -0,0 +1,34 @@
+// clockTime.js
+// Conversions between 'HH:MM' clock times and minutes after midnight
+
+/**
+ * Parse a clock time into minutes after midnight
+ * @param {string|number} time - 'HH:MM' (24-hour) or minutes after midnight
+ * @returns {number} Minutes after midnight
+ */
+export function parseClockTime(time) {
+    if (typeof time === 'number' && Number.isFinite(time)) {
+        return time;
+    }
+
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || '').trim());
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new Error(`Invalid time "${time}" (expected HH:MM)`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Format minutes after midnight as a clock time (wrapping past midnight)
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} 'HH:MM'
+ */
+export function formatClockTime(minutes) {
+    const wrapped = ((Math.round(minutes) % 1440) + 1440) % 1440;
+    return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+}
+
+export default {
+    parseClockTime,
+    formatClockTime
+};
@@ -0,0 +1,240 @@
+// distributions.js
+// Uncertain tea fields: a numeric field may hold a range or a distribution instead of a single value
+//
+// Supported specs:
+//   { min, max }                                         uniform range (shorthand)
+//   { distribution: 'uniform', min, max }
+//   { distribution: 'normal', mean, sd, min?, max? }     samples are clamped to min/max when given
+//   { distribution: 'triangular', min, mode, max }
+//   { distribution: 'choice', values: [...], weights? }  discrete values, equally likely by default
+
+/**
+ * Check whether a field value is an uncertainty spec rather than a plain value
+ * @param {*} value - Field value
+ * @returns {boolean} True for a range or distribution object
+ */
+export function isDistribution(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+    if (typeof value.distribution === 'string') return true;
+
+    const keys = Object.keys(value);
+    return keys.length === 2 && typeof value.min === 'number' && typeof value.max === 'number';
+}
+
+// Whether a value is a finite number
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Find what is wrong with an uncertainty spec
+ * @param {Object} spec - Range or distribution (see top of file)
+ * @returns {string|null} Description of the first problem, or null for a well-formed spec
+ */
+export function distributionProblem(spec) {
+    const distribution = spec.distribution || 'uniform';
+    const bounded = (isNumber(spec.min) || spec.min === undefined) && (isNumber(spec.max) || spec.max === undefined);
+
+    switch (distribution) {
+        case 'uniform':
+            if (!isNumber(spec.min) || !isNumber(spec.max)) return 'a uniform range needs numeric min and max';
+            break;
+        case 'normal':
+            if (!isNumber(spec.mean) || !isNumber(spec.sd)) return 'a normal distribution needs numeric mean and sd';
+            if (spec.sd < 0) return `sd must not be negative (got ${spec.sd})`;
+            if (!bounded) return 'min and max must be numbers when given';
+            break;
+        case 'triangular':
+            if (![spec.min, spec.mode, spec.max].every(isNumber)) return 'a triangular distribution needs numeric min, mode and max';
+            if (spec.mode < spec.min || spec.mode > spec.max) return `mode ${spec.mode} must lie between min ${spec.min} and max ${spec.max}`;
+            break;
+        case 'choice': {
+            if (!Array.isArray(spec.values) || spec.values.length === 0) return 'a choice needs a non-empty values array';
+            const { weights } = spec;
+            if (weights !== undefined && (!Array.isArray(weights) || weights.length !== spec.values.length
+                || !weights.every(weight => isNumber(weight) && weight >= 0)
+                || weights.reduce((sum, weight) => sum + weight, 0) <= 0)) {
+                return 'weights must be one non-negative number per value, not all 0';
+            }
+            return null;
+        }
+        default:
+            return `unknown distribution "${distribution}" (expected uniform, normal, triangular or choice)`;
+    }
+
+    if (isNumber(spec.min) && isNumber(spec.max) && spec.min > spec.max) {
+        return `min ${spec.min} is greater than max ${spec.max}`;
+    }
+    return null;
+}
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32) so simulations can be repeated
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+export function createRandom(seed = 1) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Clamp a value to optional bounds
+function clamp(value, min, max) {
+    return Math.min(max ?? Infinity, Math.max(min ?? -Infinity, value));
+}
+
+/**
+ * Draw one value from an uncertainty spec
+ * @param {Object} spec - Range or distribution (see top of file)
+ * @param {Function} random - Generator returning numbers in [0, 1)
+ * @returns {*} The sampled value
+ */
+export function sampleValue(spec, random = Math.random) {
+    const distribution = spec.distribution || 'uniform';
+
+    switch (distribution) {
+        case 'uniform':
+            return spec.min + random() * (spec.max - spec.min);
+
+        case 'normal': {
+            // Box-Muller transform
+            const u = 1 - random();
+            const v = random();
+            const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+            return clamp(spec.mean + z * spec.sd, spec.min, spec.max);
+        }
+
+        case 'triangular': {
+            const { min, mode, max } = spec;
+            const u = random();
+            const split = (mode - min) / (max - min || 1);
+            return u < split
+                ? min + Math.sqrt(u * (max - min) * (mode - min))
+                : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+        }
+
+        case 'choice': {
+            const weights = spec.weights || spec.values.map(() => 1);
+            const total = weights.reduce((sum, weight) => sum + weight, 0);
+            let threshold = random() * total;
+            for (let i = 0; i < spec.values.length; i++) {
+                threshold -= weights[i];
+                if (threshold < 0) return spec.values[i];
+            }
+            return spec.values[spec.values.length - 1];
+        }
+
+        default:
+            throw new Error(`Unknown distribution "${distribution}"`);
+    }
+}
+
+/**
+ * Get the central value of an uncertainty spec (the mean, or the most likely choice)
+ * @param {Object} spec - Range or distribution
+ * @returns {*} The central value
+ */
+export function centralValue(spec) {
+    const distribution = spec.distribution || 'uniform';
+
+    switch (distribution) {
+        case 'uniform':
+            return (spec.min + spec.max) / 2;
+        case 'normal':
+            return clamp(spec.mean, spec.min, spec.max);
+        case 'triangular':
+            return (spec.min + spec.mode + spec.max) / 3;
+        case 'choice': {
+            const weights = spec.weights || spec.values.map(() => 1);
+            return spec.values[weights.indexOf(Math.max(...weights))];
+        }
+        default:
+            throw new Error(`Unknown distribution "${distribution}"`);
+    }
+}
+
+/**
+ * Replace every uncertainty spec in a tea
+ * @param {*} value - Tea or nested value
+ * @param {Function} resolve - Called with (spec, path) for each spec; returns the replacement
+ * @param {string} path - Dot path of value
+ * @returns {*} Copy with the specs replaced (plain values are shared)
+ */
+function mapDistributions(value, resolve, path = '') {
+    if (isDistribution(value)) return resolve(value, path);
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [
+        key,
+        mapDistributions(child, resolve, path ? `${path}.${key}` : key)
+    ]));
+}
+
+/**
+ * List the uncertain fields of a tea
+ * @param {Object} tea - Tea that may contain ranges or distributions
+ * @returns {string[]} Dot paths of the uncertain fields
+ */
+export function findDistributions(tea) {
+    const paths = [];
+    mapDistributions(tea, (spec, path) => {
+        paths.push(path);
+        return spec;
+    });
+    return paths;
+}
+
+/**
+ * Check every uncertainty spec in a tea
+ * @param {Object} tea - Tea that may contain ranges or distributions
+ * @throws {Error} Naming the field of the first malformed spec
+ */
+export function validateDistributions(tea) {
+    mapDistributions(tea, (spec, path) => {
+        const problem = distributionProblem(spec);
+        if (problem) {
+            throw new Error(`Invalid distribution in ${path}: ${problem}`);
+        }
+        return spec;
+    });
+}
+
+/**
+ * Draw one concrete tea from a tea with uncertain fields
+ * @param {Object} tea - Tea that may contain ranges or distributions
+ * @param {Function} random - Generator returning numbers in [0, 1)
+ * @returns {Object} Tea with every spec replaced by a sample
+ */
+export function sampleTea(tea, random = Math.random) {
+    return mapDistributions(tea, spec => sampleValue(spec, random));
+}
+
+/**
+ * Collapse a tea with uncertain fields to its central values
+ * @param {Object} tea - Tea that may contain ranges or distributions
+ * @returns {Object} Tea with every spec replaced by its central value (the tea itself if it has none)
+ * @throws {Error} If a spec is malformed
+ */
+export function centralTea(tea) {
+    if (findDistributions(tea).length === 0) return tea;
+    validateDistributions(tea);
+    return mapDistributions(tea, spec => centralValue(spec));
+}
+
+export default {
+    isDistribution,
+    distributionProblem,
+    validateDistributions,
+    createRandom,
+    sampleValue,
+    centralValue,
+    findDistributions,
+    sampleTea,
+    centralTea
+};
@@ -0,0 +1,126 @@
+// drinkerProfile.js
+// Personal drinker profiles: how one person's body and constitution change what a tea does to them
+
+import {
+    defaultDrinkerProfile,
+    caffeineSensitivities,
+    metabolizerTypes,
+    caffeineTolerance,
+    chronotypes,
+    constitutionRules
+} from '../props/DrinkerProfiles.js';
+import { compoundKinetics } from '../props/Pharmacokinetics.js';
+
+// Pick a known option, falling back to the default profile's
+function option(options, value, fallback) {
+    return Object.prototype.hasOwnProperty.call(options, value) ? value : fallback;
+}
+
+/**
+ * Fill a partial profile with the defaults; unknown option values fall back to the default
+ * @param {Object} profile - Partial drinker profile (see props/DrinkerProfiles.js)
+ * @returns {Object|null} Complete profile, or null if none was given
+ */
+export function resolveDrinkerProfile(profile) {
+    if (!profile || typeof profile !== 'object') {
+        return null;
+    }
+
+    const defaults = defaultDrinkerProfile;
+    const constitution = { ...defaults.constitution, ...(profile.constitution || {}) };
+    const chronotype = option(chronotypes, profile.chronotype, defaults.chronotype);
+
+    return {
+        name: profile.name || defaults.name,
+        bodyWeight: profile.bodyWeight > 0 ? profile.bodyWeight : defaults.bodyWeight,
+        caffeineSensitivity: option(caffeineSensitivities, profile.caffeineSensitivity, defaults.caffeineSensitivity),
+        metabolizer: option(metabolizerTypes, profile.metabolizer, defaults.metabolizer),
+        habitualCaffeine: profile.habitualCaffeine >= 0 ? profile.habitualCaffeine : defaults.habitualCaffeine,
+        chronotype,
+        bedtime: profile.bedtime || chronotypes[chronotype].bedtime,
+        constitution: {
+            temperature: ['cold', 'neutral', 'warm'].includes(constitution.temperature) ? constitution.temperature : 'neutral',
+            moisture: ['damp', 'neutral', 'dry'].includes(constitution.moisture) ? constitution.moisture : 'neutral'
+        }
+    };
+}
+
+/**
+ * How strongly a drinker feels caffeine compared with the default profile
+ * @param {Object} profile - Resolved drinker profile
+ * @returns {Object} { sensitivity, tolerance, factor } where factor = sensitivity × tolerance
+ */
+export function caffeineResponse(profile) {
+    const sensitivity = caffeineSensitivities[profile.caffeineSensitivity].intensityFactor;
+    const { referenceIntake, perHundredMg, minFactor, maxFactor } = caffeineTolerance;
+    const tolerance = Math.min(maxFactor, Math.max(minFactor,
+        1 - (profile.habitualCaffeine - referenceIntake) / 100 * perHundredMg));
+
+    return { sensitivity, tolerance, factor: sensitivity * tolerance };
+}
+
+/**
+ * Pharmacokinetic overrides for a drinker, on top of the configured ones
+ * Body weight replaces the reference weight, the metabolizer type scales caffeine's half-life,
+ * and sensitivity and tolerance move the level at which caffeine becomes noticeable
+ * @param {Object} profile - Resolved drinker profile (null leaves the overrides as they are)
+ * @param {Object} overrides - Configured pharmacokinetics overrides (see utils/pharmacokinetics.js)
+ * @returns {Object} Overrides for resolveKinetics/simulateConcentrations
+ */
+export function profileKinetics(profile, overrides = {}) {
+    if (!profile) {
+        return overrides || {};
+    }
+
+    const caffeine = { ...compoundKinetics.caffeine, ...(overrides?.caffeine || {}) };
+    const { tolerance } = caffeineResponse(profile);
+
+    return {
+        ...(overrides || {}),
+        bodyWeight: profile.bodyWeight,
+        caffeine: {
+            ...(overrides?.caffeine || {}),
+            halfLife: caffeine.halfLife * metabolizerTypes[profile.metabolizer].halfLifeFactor,
+            effectThreshold: caffeine.effectThreshold * caffeineSensitivities[profile.caffeineSensitivity].thresholdFactor / tolerance
+        }
+    };
+}
+
+/**
+ * How a tea's energy profile fits a drinker's TCM constitution
+ * @param {Object} profile - Resolved drinker profile
+ * @param {Object} energyProfile - QiTeaAnalyzer energy profile { temperature, moisture, weight, movement }
+ * @returns {Object[]} Matching rules as { fit: 'mismatch'|'suited', constitution, value, note }
+ */
+export function constitutionFit(profile, energyProfile) {
+    return constitutionRules
+        .filter(rule => profile.constitution[rule.constitution] === rule.value)
+        .filter(rule => {
+            const level = energyProfile[rule.energy];
+            if (typeof level !== 'number') return false;
+            if (rule.max !== undefined && level > rule.max) return false;
+            if (rule.min !== undefined && level < rule.min) return false;
+            return true;
+        })
+        .map(({ fit, constitution, value, note }) => ({ fit, constitution, value, note }));
+}
+
+/**
+ * One-line summary of a profile for reports
+ * @param {Object} profile - Resolved drinker profile
+ * @returns {string} e.g. "Ana (60 kg, high caffeine sensitivity, slow metabolizer, evening type, cold/neutral constitution)"
+ */
+export function describeProfile(profile) {
+    const { temperature, moisture } = profile.constitution;
+    return `${profile.name} (${profile.bodyWeight} kg, ${profile.caffeineSensitivity} caffeine sensitivity, `
+        + `${profile.metabolizer} metabolizer, ${profile.habitualCaffeine} mg/day habitual caffeine, `
+        + `${chronotypes[profile.chronotype].label.toLowerCase()}, ${temperature}/${moisture} constitution)`;
+}
+
+export default {
+    resolveDrinkerProfile,
+    caffeineResponse,
+    profileKinetics,
+    constitutionFit,
+    describeProfile
+};
@@ -110,6 +110,26 @@ export function formatScoreWithBar(score, maxScore = 10) {
     return `${score.toFixed(1)} ${filledBar}${emptyBar}`;
 }
 
+/**
+ * Formats an uncertain score (0-10) as a band: solid up to the low percentile,
+ * shaded between the low and high percentiles
+ * @param {number} mean - Mean score
+ * @param {number} low - Low percentile (e.g. 5th)
+ * @param {number} high - High percentile (e.g. 95th)
+ * @param {number} maxScore - Maximum score value (default: 10)
+ * @returns {string} Markdown representation of the score band
+ */
+export function formatScoreWithBand(mean, low, high, maxScore = 10) {
+    if (typeof mean !== 'number') return 'N/A';
+    
+    const cells = value => Math.round((Math.min(Math.max(0, value), maxScore) / maxScore) * 10);
+    const solid = cells(low);
+    const band = Math.max(cells(high) - solid, 0);
+    
+    const bar = '█'.repeat(solid) + '▒'.repeat(band) + '░'.repeat(10 - solid - band);
+    return `${mean.toFixed(1)} (${low.toFixed(1)}–${high.toFixed(1)}) ${bar}`;
+}
+
 /**
  * Creates an expandable section in markdown
  * @param {string} title - The section title
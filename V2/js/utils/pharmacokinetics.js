@@ -0,0 +1,151 @@
+// pharmacokinetics.js
+// One-compartment oral absorption/elimination model: plasma concentration curves for the compounds in a cup
+// and the effect timing read off them
+
+import {
+    compoundKinetics,
+    referenceBodyWeight,
+    simulationStep,
+    simulationHorizon,
+    phaseLevels
+} from '../props/Pharmacokinetics.js';
+
+/**
+ * Merge config overrides into the default kinetics
+ * @param {Object} overrides - { bodyWeight, step, horizon, [compound]: { halfLife, absorptionRate, ... } }
+ * @returns {Object} { compounds, bodyWeight, step, horizon }
+ */
+export function resolveKinetics(overrides = {}) {
+    const { bodyWeight, step, horizon, ...compoundOverrides } = overrides || {};
+    const compounds = {};
+    Object.entries(compoundKinetics).forEach(([compound, kinetics]) => {
+        compounds[compound] = { ...kinetics, ...(compoundOverrides[compound] || {}) };
+    });
+
+    return {
+        compounds,
+        bodyWeight: bodyWeight || referenceBodyWeight,
+        step: step || simulationStep,
+        horizon: horizon || simulationHorizon
+    };
+}
+
+/**
+ * Plasma concentration after a single oral dose (Bateman function with an absorption lag)
+ * @param {number} dose - Dose in mg
+ * @param {Object} kinetics - Entry of compoundKinetics
+ * @param {number} bodyWeight - Body weight in kg
+ * @param {number} minute - Minutes since the dose
+ * @returns {number} Concentration in mg/L
+ */
+export function concentrationAt(dose, kinetics, bodyWeight, minute) {
+    const elapsed = minute - (kinetics.lagTime || 0);
+    if (dose <= 0 || elapsed <= 0) return 0;
+
+    const ka = kinetics.absorptionRate;
+    const ke = Math.LN2 / kinetics.halfLife;
+    const volume = kinetics.volumeOfDistribution * bodyWeight;
+    const absorbed = kinetics.bioavailability * dose / volume;
+
+    // Equal rates make the general form divide by zero
+    if (Math.abs(ka - ke) < 1e-9) {
+        return absorbed * ke * elapsed * Math.exp(-ke * elapsed);
+    }
+    return absorbed * ka / (ka - ke) * (Math.exp(-ke * elapsed) - Math.exp(-ka * elapsed));
+}
+
+/**
+ * Simulate the concentration curves of one cup
+ * Activity is the sum of each concentration divided by its effect threshold, so 1 means "just noticeable"
+ * @param {Object} doses - mg per compound, e.g. { caffeine: 40, lTheanine: 25 }
+ * @param {Object} overrides - Kinetics overrides (see resolveKinetics)
+ * @returns {Object} { doses, parameters, compounds, curve } where compounds[compound] is { dose, cmax, tmax }
+ *   and curve is [{ minute, activity, [compound]: mg/L }]
+ */
+export function simulateConcentrations(doses, overrides = {}) {
+    const parameters = resolveKinetics(overrides);
+    const { compounds, bodyWeight, step, horizon } = parameters;
+
+    const curve = [];
+    for (let minute = 0; minute <= horizon; minute += step) {
+        const point = { minute, activity: 0 };
+        Object.entries(compounds).forEach(([compound, kinetics]) => {
+            const concentration = concentrationAt(doses[compound] || 0, kinetics, bodyWeight, minute);
+            point[compound] = concentration;
+            point.activity += concentration / kinetics.effectThreshold;
+        });
+        curve.push(point);
+    }
+
+    const summary = {};
+    Object.keys(compounds).forEach(compound => {
+        const peak = curve.reduce((best, point) => (point[compound] > best[compound] ? point : best), curve[0]);
+        summary[compound] = { dose: doses[compound] || 0, cmax: peak[compound], tmax: peak.minute };
+    });
+
+    return { doses, parameters, compounds: summary, curve };
+}
+
+/**
+ * Find where the activity curve first crosses a level, interpolating between grid points
+ * @param {Object[]} curve - Simulated curve
+ * @param {number} level - Activity level
+ * @param {boolean} rising - Look for an upward (true) or downward (false) crossing
+ * @param {number} fromIndex - Grid index to start searching from
+ * @returns {number|null} Minute of the crossing, or null if the curve never crosses
+ */
+function crossing(curve, level, rising, fromIndex = 0) {
+    for (let i = Math.max(1, fromIndex); i < curve.length; i++) {
+        const before = curve[i - 1].activity;
+        const after = curve[i].activity;
+        const crossed = rising ? before < level && after >= level : before >= level && after < level;
+        if (crossed) {
+            const share = (level - before) / (after - before);
+            return curve[i - 1].minute + share * (curve[i].minute - curve[i - 1].minute);
+        }
+    }
+    return null;
+}
+
+/**
+ * Read effect timing off a simulated activity curve
+ * Onset is when activity reaches 1 (one compound at its threshold), or a quarter of its peak for weak cups;
+ * the phases then follow the curve: rising until 90% of the peak, peak while above it, sustained until 50%,
+ * tapering until activity drops back below the onset level
+ * @param {Object} simulation - Result of simulateConcentrations
+ * @returns {Object} { onset, peak, duration, boundaries: [0, onset, riseEnd, peakEnd, sustainedEnd, end] } in minutes
+ */
+export function deriveTiming(simulation) {
+    const { curve } = simulation;
+    const peakIndex = curve.reduce((best, point, i) => (point.activity > curve[best].activity ? i : best), 0);
+    const peakActivity = curve[peakIndex].activity;
+
+    if (peakActivity <= 0) {
+        return { onset: 0, peak: 0, duration: 0, boundaries: [] };
+    }
+
+    const onsetLevel = Math.min(1, 0.25 * peakActivity);
+    const horizon = curve[curve.length - 1].minute;
+    const peakMinute = curve[peakIndex].minute;
+
+    const onset = crossing(curve, onsetLevel, true) ?? 0;
+    const riseEnd = crossing(curve, phaseLevels.peak * peakActivity, true) ?? peakMinute;
+    const peakEnd = crossing(curve, phaseLevels.peak * peakActivity, false, peakIndex) ?? horizon;
+    const sustainedEnd = crossing(curve, phaseLevels.sustained * peakActivity, false, peakIndex) ?? horizon;
+    const end = crossing(curve, onsetLevel, false, peakIndex) ?? horizon;
+
+    const boundaries = [0, onset, riseEnd, peakEnd, sustainedEnd, end].map(minute => Math.round(minute));
+    return {
+        onset: boundaries[1],
+        peak: peakMinute,
+        duration: boundaries[5],
+        boundaries
+    };
+}
+
+export default {
+    resolveKinetics,
+    concentrationAt,
+    simulateConcentrations,
+    deriveTiming
+};